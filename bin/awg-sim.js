@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// bin/awg-sim.js
+// Corre un escenario del simulador sin navegador e imprime/escribe los resultados.
+//
+//   node bin/awg-sim.js scenarios/tropical-day.json --hours 48 --format csv --out resultados.csv
+
+import { readFileSync, writeFileSync, existsSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseWeatherFile } from "../src/sim/weather.js";
+import { runScenario, samplesToCsv, samplesToRecords } from "../src/sim/scenario.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const SAMPLE_CLIMATES_DIR = resolve(ROOT, "src/data/climates");
+
+const USAGE = `Uso: awg-sim <escenario.json> [opciones]
+
+  --hours N          horas simuladas (por defecto las del escenario o 24)
+  --sample-min M     minutos entre muestras (por defecto 60)
+  --format json|csv  formato de salida (por defecto json)
+  --out ARCHIVO      escribe en un archivo en lugar de la salida estándar
+`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-h" || a === "--help") args.help = true;
+    else if (a.startsWith("--")) args[a.slice(2)] = argv[++i];
+    else args._.push(a);
+  }
+  return args;
+}
+
+// Horas y minutos de muestreo: número positivo o error de uso
+function positiveOption(args, name) {
+  const value = Number(args[name]);
+  if (!(Number.isFinite(value) && value > 0)) {
+    throw new Error(`--${name} debe ser un número positivo (recibido: ${args[name] ?? "nada"})`);
+  }
+  return value;
+}
+
+// "humid-tropical" -> perfil incluido; cualquier otra cosa -> ruta relativa al escenario
+function loadClimate(ref, baseDir) {
+  if (!ref) return null;
+  const sample = resolve(SAMPLE_CLIMATES_DIR, `${ref}.csv`);
+  const file = existsSync(sample) ? sample : resolve(baseDir, ref);
+  return parseWeatherFile(file, readFileSync(file, "utf8"));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args._[0]) {
+    process.stdout.write(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const scenarioPath = resolve(args._[0]);
+  const scenario = JSON.parse(readFileSync(scenarioPath, "utf8"));
+  if ("hours" in args) scenario.hours = positiveOption(args, "hours");
+  if ("sample-min" in args) scenario.sampleMinutes = positiveOption(args, "sample-min");
+
+  const climate = loadClimate(scenario.climate, dirname(scenarioPath));
+  const result = runScenario(scenario, { climate });
+
+  const format = args.format || "json";
+  let output;
+  if (format === "csv") output = samplesToCsv(result.samples);
+  else if (format === "json") {
+    output = JSON.stringify({ ...result, samples: samplesToRecords(result.samples) }, null, 2) + "\n";
+  } else throw new Error(`Formato desconocido: ${format}`);
+
+  if (args.out) {
+    writeFileSync(args.out, output);
+    const { producedL, energyKwh } = result.summary;
+    process.stderr.write(
+      `${result.name}: ${result.hours} h, ${producedL.toFixed(1)} L, ${energyKwh.toFixed(2)} kWh -> ${args.out}\n`
+    );
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  process.stderr.write(`awg-sim: ${err.message}\n`);
+  process.exit(1);
+}
@@ -1,59 +1,103 @@
 // src/AwgSimulator.jsx
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { Suspense, createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
 import * as THREE from "three";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { Environment, OrbitControls, Html } from "@react-three/drei";
+import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import { Environment, Lightformer, OrbitControls, Html, Line, PerformanceMonitor, useGLTF } from "@react-three/drei";
 import { Leva, useControls } from "leva";
-
-const STEPS = [
-  { key: "air", title: "Entrada de aire" },
-  { key: "condensation", title: "Condensación" },
-  { key: "filtration", title: "Filtración" },
-  { key: "uv_tank", title: "UV + Tanque" },
-  { key: "dispense", title: "Dispensado" },
-  { key: "mineral", title: "Purificación y Mineralización" },
-];
+import gsap from "gsap";
+import { TANK_DEFAULTS, tankFlags } from "./sim/massBalance.js";
+import { tankOptions } from "./sim/engine.js";
+import { summarizeProduction } from "./sim/weather.js";
+import { DRINKING_LIMITS } from "./sim/waterQuality.js";
+import { FAULTS, FAULT_SCENARIOS } from "./sim/faults.js";
+import { DEFAULT_SETPOINTS } from "./sim/controller.js";
+import { DESICCANT_DEFAULTS, DESICCANT_MEDIA } from "./sim/desiccant.js";
+import { compareTechnologies, steadyState } from "./sim/technology.js";
+import useSimulation, { SIM_SPEEDS, formatSimTime } from "./useSimulation.js";
+import { SAMPLE_CLIMATES } from "./data/climates/index.js";
+import { PANEL_STYLE, UiButton, VISUALLY_HIDDEN } from "./ui.jsx";
+import ClimatePanel from "./panels/ClimatePanel.jsx";
+import LabSheetPanel from "./panels/LabSheetPanel.jsx";
+import AlarmPanel from "./panels/AlarmPanel.jsx";
+import ControllerPanel from "./panels/ControllerPanel.jsx";
+import ScenarioPanel, { useScenarioHash } from "./panels/ScenarioPanel.jsx";
+import InspectorPanel from "./panels/InspectorPanel.jsx";
+import COMPONENT_SPECS from "./data/components.json";
+import ModelPanel from "./panels/ModelPanel.jsx";
+import { prepareModel } from "./machineModel.js";
+import MachinePanel from "./panels/MachinePanel.jsx";
+import TechnologyPanel from "./panels/TechnologyPanel.jsx";
+import TelemetryPanel, { useTelemetry } from "./panels/TelemetryPanel.jsx";
+import SizingPanel from "./panels/SizingPanel.jsx";
+import AssetStatusPanel from "./panels/AssetStatusPanel.jsx";
+import ReportPanel from "./panels/ReportPanel.jsx";
+import { collectReport } from "./report.js";
+import RecorderPanel from "./panels/RecorderPanel.jsx";
+import { DEFAULT_MACHINE, MACHINES } from "./data/machines/index.js";
+import {
+  explodedOffsetAt,
+  explodedOffsets,
+  explodedStageOffset,
+  fillTemplate,
+  focusedComponents,
+  localizeMachine,
+  stageIndexForComponent,
+  treatmentStages,
+} from "./machineDefinition.js";
+import { DEFAULT_SCENARIO, SCENARIO_VERSION } from "./shareState.js";
+import { recordTour } from "./tourVideo.js";
+import { ADAPTIVE_QUALITY, QUALITY_MODES, renderQuality } from "./renderQuality.js";
+import useKiosk from "./useKiosk.js";
+import { I18nContext, useLocalePreferences } from "./useI18n.js";
+import { LOCALES, UNIT_SYSTEMS } from "./i18n.js";
+import { alertMessage, climateLabel, errorMessage, mediaLabel } from "./simLabels.js";
+import useKeyboardShortcuts, { FULL_MOTION, REDUCED_MOTION, useReducedMotion } from "./useAccessibility.js";
+import { describeProcess, describeStep } from "./processDescription.js";
+import DescriptionPanel from "./panels/DescriptionPanel.jsx";
+
+// Rangos físicos de los sliders y producción de referencia para normalizar la escena
+const AIRFLOW_RANGE = [100, 2000]; // m³/h
+const YIELD_REF_LPH = 10; // L/h que se consideran "intensidad máxima" en la animación
+
+// GLB incluido en el build: p. ej. VITE_AWG_MODEL_URL=/models/awg.glb con el archivo en public/models
+const BUNDLED_MODEL = import.meta.env.VITE_AWG_MODEL_URL
+  ? { url: import.meta.env.VITE_AWG_MODEL_URL, bundled: true }
+  : null;
+// Decodificador Draco copiado al build por vite.config.js: los GLB comprimidos cargan sin red
+const DRACO_DECODER_PATH = `${import.meta.env.BASE_URL}draco/`;
 
 function clamp01(v) {
   return Math.max(0, Math.min(1, v));
 }
 
-/* ----------------------------- UI helpers ----------------------------- */
+function formatWatts(i18n, w) {
+  return w >= 1000 ? `${i18n.number(w / 1000, 2)} kW` : `${i18n.number(w)} W`;
+}
 
-function UiButton({ children, onClick, disabled }) {
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      style={{
-        border: "none",
-        borderRadius: 12,
-        padding: "10px 14px",
-        cursor: disabled ? "not-allowed" : "pointer",
-        background: disabled ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.78)",
-        backdropFilter: "blur(10px)",
-        boxShadow: "0 10px 30px rgba(0,0,0,0.14)",
-        fontFamily: "Inter, system-ui, Arial",
-        fontSize: 13,
-        fontWeight: 800,
-      }}
-    >
-      {children}
-    </button>
-  );
+// Nivel de un tanque en las unidades elegidas: "12,3/20,0 L"
+function tankLevel(i18n, level, capacity) {
+  return `${i18n.number(i18n.convert(level, "L"), 1)}/${i18n.format(capacity, "L", 1)}`;
 }
 
-function StepDots({ stepIndex, setStepIndex }) {
+/* ----------------------------- UI helpers ----------------------------- */
+
+
+function StepDots({ stages, stepIndex, setStepIndex, large }) {
+  const { t } = useContext(I18nContext);
+  const size = large ? 22 : 12;
   return (
-    <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-      {STEPS.map((s, idx) => (
+    <div style={{ display: "flex", gap: large ? 16 : 10, alignItems: "center" }}>
+      {stages.map((s, idx) => (
         <button
           key={s.key}
           onClick={() => setStepIndex(idx)}
-          aria-label={s.title}
+          aria-label={t("a11y.stepLabel", { index: idx + 1, title: s.title })}
+          aria-current={idx === stepIndex ? "step" : undefined}
+          title={s.title}
           style={{
-            width: 12,
-            height: 12,
+            width: size,
+            height: size,
             borderRadius: 999,
             border: "none",
             cursor: "pointer",
@@ -67,7 +111,8 @@ function StepDots({ stepIndex, setStepIndex }) {
   );
 }
 
-function Callout({ title, subtitle, icon = "💧" }) {
+function Callout({ title, subtitle, icon = "💧", life, detail, alert, onReplace, replaceLabel }) {
+  const lifeColor = alert === "critical" ? "#dc2626" : alert === "warning" ? "#f59e0b" : "#22c55e";
   return (
     <div
       style={{
@@ -94,16 +139,71 @@ function Callout({ title, subtitle, icon = "💧" }) {
       >
         {icon}
       </div>
-      <div>
+      <div style={{ flex: 1 }}>
         <div style={{ fontSize: 12, fontWeight: 900, lineHeight: 1.1 }}>{title}</div>
         <div style={{ fontSize: 11, opacity: 0.7, marginTop: 2 }}>{subtitle}</div>
+        {life !== undefined && (
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 5, fontSize: 10 }}>
+            <div style={{ flex: 1, height: 5, borderRadius: 9, background: "rgba(15,23,42,0.1)" }}>
+              <div style={{ width: `${life * 100}%`, height: "100%", borderRadius: 9, background: lifeColor }} />
+            </div>
+            <b style={{ color: alert ? lifeColor : undefined }}>{Math.round(life * 100)}%</b>
+            {detail && <span style={{ opacity: 0.7 }}>{detail}</span>}
+          </div>
+        )}
       </div>
+      {onReplace && (
+        <button
+          onClick={onReplace}
+          title={replaceLabel}
+          style={{ border: "none", borderRadius: 10, padding: "6px 8px", cursor: "pointer", fontWeight: 800 }}
+        >
+          ↻
+        </button>
+      )}
     </div>
   );
 }
 
 /* ----------------------------- Particles ----------------------------- */
 
+// Posiciones calculadas en el vertex shader: cada punto tiene una semilla fija dentro de la caja
+// y el CPU sólo avanza un desplazamiento común (uniform) por cuadro.
+const PARTICLE_VERTEX = `
+  attribute float phase;
+  uniform vec3 box;
+  uniform vec3 offset;
+  uniform float swirl;
+  uniform float swirlPhase;
+  uniform float size;
+  uniform float scale;
+  void main() {
+    vec3 halfBox = box * 0.5;
+    vec3 p = position * box + offset;
+    float a = phase + swirlPhase;
+    p.y += sin(a) * swirl * 0.06;
+    p.z += cos(a) * swirl * 0.06;
+    p = mod(p + halfBox, box) - halfBox;
+    vec4 mv = modelViewMatrix * vec4(p, 1.0);
+    gl_PointSize = size * scale / -mv.z;
+    gl_Position = projectionMatrix * mv;
+  }`;
+const PARTICLE_FRAGMENT = `
+  uniform vec3 color;
+  uniform float opacity;
+  void main() {
+    vec2 c = gl_PointCoord - 0.5;
+    if (dot(c, c) > 0.25) discard;
+    gl_FragColor = vec4(color, opacity);
+  }`;
+
+// Multiplicadores de animación (useAccessibility.js): la escena los reduce si el sistema pide menos movimiento
+const MotionContext = createContext(FULL_MOTION);
+
+const PARTICLE_CAPACITY = 900; // puntos reservados por emisor; `count` sólo cambia el rango dibujado
+const PARTICLE_OPACITY = 0.92;
+const PARTICLE_FADE_PER_SECOND = 1.5; // un emisor que se apaga desaparece en ~0.6 s
+
 function Particles({
   count = 900,
   color = "#7dd3fc",
@@ -113,83 +213,350 @@ function Particles({
   box = [1.2, 0.6, 0.6],
   direction = [1, 0, 0],
   swirl = 0.0,
+  quality = 1,
 }) {
   const points = useRef();
+  const motion = useContext(MotionContext);
+  const opacity = useRef(active ? PARTICLE_OPACITY : 0);
+  const capacity = Math.max(count, PARTICLE_CAPACITY);
 
   const dir = useMemo(() => {
     const d = new THREE.Vector3(direction[0], direction[1], direction[2]);
     if (d.length() === 0) d.set(1, 0, 0);
     d.normalize();
     return d;
-  }, [direction]);
-
-  const positions = useMemo(() => {
-    const arr = new Float32Array(count * 3);
-    for (let i = 0; i < count; i++) {
-      arr[i * 3 + 0] = (Math.random() - 0.5) * box[0];
-      arr[i * 3 + 1] = (Math.random() - 0.5) * box[1];
-      arr[i * 3 + 2] = (Math.random() - 0.5) * box[2];
+  }, [direction[0], direction[1], direction[2]]);
+
+  // Semillas en la caja unitaria centrada y fase del remolino de cada punto
+  const geometry = useMemo(() => {
+    const seeds = new Float32Array(capacity * 3);
+    const phases = new Float32Array(capacity);
+    for (let i = 0; i < capacity; i++) {
+      seeds[i * 3 + 0] = Math.random() - 0.5;
+      seeds[i * 3 + 1] = Math.random() - 0.5;
+      seeds[i * 3 + 2] = Math.random() - 0.5;
+      phases[i] = Math.random() * Math.PI * 2;
     }
-    return arr;
-  }, [count, box]);
+    const g = new THREE.BufferGeometry();
+    g.setAttribute("position", new THREE.BufferAttribute(seeds, 3));
+    g.setAttribute("phase", new THREE.BufferAttribute(phases, 1));
+    return g;
+  }, [capacity]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const material = useMemo(
+    () =>
+      new THREE.ShaderMaterial({
+        uniforms: {
+          box: { value: new THREE.Vector3() },
+          offset: { value: new THREE.Vector3() },
+          swirl: { value: 0 },
+          swirlPhase: { value: 0 },
+          size: { value: 0 },
+          scale: { value: 1 },
+          color: { value: new THREE.Color() },
+          opacity: { value: 0 },
+        },
+        vertexShader: PARTICLE_VERTEX,
+        fragmentShader: PARTICLE_FRAGMENT,
+        transparent: true,
+        depthWrite: false,
+      }),
+    []
+  );
+  useEffect(() => () => material.dispose(), [material]);
 
-  const phases = useMemo(() => {
-    const arr = new Float32Array(count);
-    for (let i = 0; i < count; i++) arr[i] = Math.random() * Math.PI * 2;
-    return arr;
-  }, [count]);
+  useEffect(() => {
+    geometry.setDrawRange(0, Math.max(1, Math.round(Math.min(count, capacity) * quality)));
+  }, [geometry, count, capacity, quality]);
 
   useFrame((state, delta) => {
-    if (!active || !points.current) return;
-    const pos = points.current.geometry.attributes.position.array;
+    if (!points.current) return;
+    // Los emisores inactivos se desvanecen (siguen fluyendo) en vez de quedar congelados
+    const target = active ? PARTICLE_OPACITY : 0;
+    const fade = PARTICLE_FADE_PER_SECOND * delta;
+    opacity.current =
+      target > opacity.current ? Math.min(target, opacity.current + fade) : Math.max(target, opacity.current - fade);
+    points.current.visible = opacity.current > 0;
+    if (!points.current.visible) return;
+
+    const u = material.uniforms;
+    u.box.value.set(Math.max(box[0], 1e-3), Math.max(box[1], 1e-3), Math.max(box[2], 1e-3));
+    // El desplazamiento se envuelve por eje con el tamaño de la caja: sin saltos ni pérdida de precisión
+    // Con movimiento reducido las partículas quedan quietas: se ve dónde hay flujo, sin animarlo
+    const flow = delta * motion.particles;
+    const o = u.offset.value.addScaledVector(dir, speed * flow);
+    o.set(o.x % u.box.value.x, o.y % u.box.value.y, o.z % u.box.value.z);
+    u.swirl.value = swirl;
+    u.swirlPhase.value = (u.swirlPhase.value + flow * (0.8 + swirl * 1.2)) % (Math.PI * 2);
+    u.size.value = size;
+    u.scale.value = state.gl.domElement.height / 2;
+    u.color.value.set(color);
+    u.opacity.value = opacity.current;
+  });
+
+  return <points ref={points} geometry={geometry} material={material} frustumCulled={false} />;
+}
 
-    const halfX = box[0] / 2;
-    const halfY = box[1] / 2;
-    const halfZ = box[2] / 2;
+/* ----------------------------- Picking ------------------------------- */
+
+// Contorno por casco invertido: la malla extruida por sus normales y vista por detrás
+function outlineMaterial(color) {
+  return new THREE.ShaderMaterial({
+    uniforms: { color: { value: new THREE.Color(color) }, thickness: { value: 0.018 } },
+    vertexShader: `uniform float thickness;
+      void main() { gl_Position = projectionMatrix * modelViewMatrix * vec4(position + normal * thickness, 1.0); }`,
+    fragmentShader: `uniform vec3 color;
+      void main() { gl_FragColor = vec4(color, 1.0); }`,
+    side: THREE.BackSide,
+  });
+}
 
-    const t = state.clock.getElapsedTime();
+const OUTLINE_COLORS = { hover: "#f59e0b", selected: "#2563eb" };
+const OUTLINES = {
+  hover: outlineMaterial(OUTLINE_COLORS.hover),
+  selected: outlineMaterial(OUTLINE_COLORS.selected),
+};
+// Las piezas planas (rotor, rejilla) no tienen volumen: se usa un disco algo mayor detrás
+const FLAT_OUTLINES = {
+  hover: new THREE.MeshBasicMaterial({ color: OUTLINE_COLORS.hover, side: THREE.DoubleSide }),
+  selected: new THREE.MeshBasicMaterial({ color: OUTLINE_COLORS.selected, side: THREE.DoubleSide }),
+};
+
+function addOutline(mesh, kind) {
+  const flat = mesh.geometry.type === "CircleGeometry" || mesh.geometry.type === "RingGeometry";
+  const hull = new THREE.Mesh(mesh.geometry, flat ? FLAT_OUTLINES[kind] : OUTLINES[kind]);
+  if (flat) {
+    hull.scale.set(1.06, 1.06, 1);
+    hull.position.z = -0.005;
+  }
+  hull.userData.outline = true;
+  hull.raycast = () => null;
+  mesh.add(hull);
+  return hull;
+}
 
-    for (let i = 0; i < count; i++) {
-      const ix = i * 3 + 0;
-      const iy = i * 3 + 1;
-      const iz = i * 3 + 2;
+// Pieza seleccionada y callback de selección, compartidos por todas las piezas de la escena
+const PickContext = createContext({ selected: null, onPick: null });
 
-      pos[ix] += dir.x * speed * delta;
-      pos[iy] += dir.y * speed * delta;
-      pos[iz] += dir.z * speed * delta;
+/** Hace clicable un grupo de mallas: contorno al pasar el puntero y selección al hacer clic. */
+function Pickable({ id, children }) {
+  const { selected, onPick } = useContext(PickContext);
+  const ref = useRef();
+  const [hovered, setHovered] = useState(false);
+  const outline = selected === id ? "selected" : hovered ? "hover" : null;
 
-      if (swirl > 0) {
-        const p = phases[i] + t * (0.8 + swirl * 1.2);
-        pos[iy] += Math.sin(p) * swirl * 0.02;
-        pos[iz] += Math.cos(p) * swirl * 0.02;
-      }
+  useEffect(() => {
+    if (!outline || !ref.current) return;
+    const meshes = [];
+    ref.current.traverse((o) => o.isMesh && !o.userData.outline && meshes.push(o));
+    const hulls = meshes.map((m) => addOutline(m, outline));
+    return () => hulls.forEach((h) => h.removeFromParent());
+  }, [outline]);
 
-      if (pos[ix] > halfX) pos[ix] = -halfX;
-      if (pos[ix] < -halfX) pos[ix] = halfX;
+  useEffect(() => {
+    if (!hovered) return;
+    document.body.style.cursor = "pointer";
+    return () => {
+      document.body.style.cursor = "";
+    };
+  }, [hovered]);
 
-      if (pos[iy] > halfY) pos[iy] = -halfY;
-      if (pos[iy] < -halfY) pos[iy] = halfY;
+  return (
+    <group
+      ref={ref}
+      onPointerOver={(e) => {
+        e.stopPropagation();
+        setHovered(true);
+      }}
+      onPointerOut={() => setHovered(false)}
+      onClick={(e) => {
+        e.stopPropagation();
+        // Un arrastre de OrbitControls no cuenta como clic
+        if (e.delta <= 4) onPick?.(id);
+      }}
+    >
+      {children}
+    </group>
+  );
+}
 
-      if (pos[iz] > halfZ) pos[iz] = -halfZ;
-      if (pos[iz] < -halfZ) pos[iz] = halfZ;
-    }
+/* ---------------------- Vista explosionada y corte --------------------- */
 
-    points.current.geometry.attributes.position.needsUpdate = true;
+// Planos de corte activos para la carcasa y los tanques; vacío = máquina entera
+const ClipContext = createContext([]);
+const NO_CLIP = [];
+
+/**
+ * Grupo que se desliza entre `position` y `position + offset` (vista explosionada). Sin
+ * `offset` vuelve a su lugar; con movimiento reducido salta sin animar.
+ */
+function Explodable({ position, offset, children }) {
+  const ref = useRef();
+  const motion = useContext(MotionContext);
+  const target = useMemo(() => new THREE.Vector3(), []);
+  const placed = useRef(false);
+
+  useFrame((_, delta) => {
+    if (!ref.current) return;
+    target.fromArray(position);
+    if (offset) target.set(target.x + offset[0], target.y + offset[1], target.z + offset[2]);
+    const ease = placed.current && motion.explode ? 1 - Math.pow(0.02, delta) : 1;
+    ref.current.position.lerp(target, ease);
+    placed.current = true;
   });
 
+  return <group ref={ref}>{children}</group>;
+}
+
+const LABEL_RISE = 0.62; // largo de la línea guía entre la pieza y su etiqueta
+const LEADER_POINTS = [
+  [0, 0, 0],
+  [0, LABEL_RISE, 0],
+];
+
+/** Etiqueta de la vista explosionada con su línea guía; resaltada si la pieza está en el paso actual. */
+function PartLabel({ id, name, order, focused }) {
+  const { selected, onPick } = useContext(PickContext);
+  const color = focused ? "#1d4ed8" : "#64748b";
   return (
-    <points ref={points}>
-      <bufferGeometry>
-        <bufferAttribute attach="attributes-position" args={[positions, 3]} />
-      </bufferGeometry>
-      <pointsMaterial
-        size={size}
+    <>
+      <Line
+        points={LEADER_POINTS}
         color={color}
+        lineWidth={1.5}
         transparent
-        opacity={0.92}
-        depthWrite={false}
+        opacity={focused ? 0.95 : 0.45}
+        raycast={() => null}
       />
-    </points>
+      <Html position={[0, LABEL_RISE, 0]} center zIndexRange={[5, 0]}>
+        <button
+          onClick={() => onPick?.(id)}
+          style={{
+            ...PANEL_STYLE,
+            padding: "3px 8px",
+            border: selected === id ? `2px solid ${color}` : "none",
+            fontSize: 11,
+            fontWeight: focused ? 900 : 700,
+            color: focused ? color : "#0f172a",
+            opacity: focused ? 1 : 0.6,
+            whiteSpace: "nowrap",
+            cursor: "pointer",
+          }}
+        >
+          {order} · {name}
+        </button>
+      </Html>
+    </>
+  );
+}
+
+/** Hace seguir a los hijos la posición de un nodo del GLB (etiquetas de la vista explosionada). */
+function FollowNode({ node, children }) {
+  const ref = useRef();
+  useFrame(() => {
+    if (!ref.current?.parent) return;
+    node.getWorldPosition(ref.current.position);
+    ref.current.parent.worldToLocal(ref.current.position);
+  });
+  return <group ref={ref}>{children}</group>;
+}
+
+const CUT_HANDLE_LIFT = 0.22; // altura del asa sobre el techo de la carcasa
+
+/**
+ * Plano de corte arrastrable: conserva lo que queda a la izquierda de `plane` (normal -X) y
+ * muestra la sección con un asa en el borde superior frontal. Mientras el puntero está sobre
+ * el asa OrbitControls queda desactivado, así arrastrarla no gira la cámara.
+ */
+function CutawayPlane({ plane, size, hint }) {
+  const [W, H, D] = size;
+  const controls = useThree((s) => s.controls);
+  const camera = useThree((s) => s.camera);
+  const gl = useThree((s) => s.gl);
+  const groupRef = useRef();
+  const dragPlane = useMemo(() => new THREE.Plane(), []);
+  const hit = useMemo(() => new THREE.Vector3(), []);
+  const dragging = useRef(false);
+  const [hovered, setHovered] = useState(false);
+  const outline = useMemo(
+    () => [
+      [0, -H / 2, -D / 2],
+      [0, H / 2, -D / 2],
+      [0, H / 2, D / 2],
+      [0, -H / 2, D / 2],
+      [0, -H / 2, -D / 2],
+    ],
+    [H, D]
+  );
+
+  useEffect(() => {
+    gl.localClippingEnabled = true;
+  }, [gl]);
+
+  useEffect(() => {
+    if (!controls) return;
+    controls.enabled = !hovered;
+    document.body.style.cursor = hovered ? "ew-resize" : "";
+    return () => {
+      controls.enabled = true;
+      document.body.style.cursor = "";
+    };
+  }, [controls, hovered]);
+
+  useFrame(() => {
+    if (groupRef.current) groupRef.current.position.x = plane.constant;
+  });
+
+  const onDown = (e) => {
+    e.stopPropagation();
+    e.target.setPointerCapture(e.pointerId);
+    dragging.current = true;
+    // Se arrastra sobre un plano que contiene el eje X y mira a la cámara
+    const normal = camera.getWorldDirection(hit).setX(0);
+    if (normal.lengthSq() < 1e-6) normal.set(0, 0, 1);
+    dragPlane.setFromNormalAndCoplanarPoint(normal.normalize(), e.point);
+  };
+  const onMove = (e) => {
+    if (!dragging.current || !e.ray.intersectPlane(dragPlane, hit)) return;
+    e.stopPropagation();
+    plane.constant = Math.max(-W / 2, Math.min(W / 2, hit.x));
+  };
+  const onUp = (e) => {
+    dragging.current = false;
+    e.target.releasePointerCapture(e.pointerId);
+  };
+
+  return (
+    <group ref={groupRef}>
+      <mesh rotation={[0, Math.PI / 2, 0]} raycast={() => null}>
+        <planeGeometry args={[D, H]} />
+        <meshBasicMaterial color="#38bdf8" transparent opacity={0.1} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <Line points={outline} color="#0284c7" lineWidth={1.5} raycast={() => null} />
+      <mesh
+        position={[0, H / 2 + CUT_HANDLE_LIFT, D / 2]}
+        onPointerOver={(e) => {
+          e.stopPropagation();
+          setHovered(true);
+        }}
+        onPointerOut={() => !dragging.current && setHovered(false)}
+        onPointerDown={onDown}
+        onPointerMove={onMove}
+        onPointerUp={onUp}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <sphereGeometry args={[0.09, 20, 20]} />
+        <meshStandardMaterial color={hovered ? "#0ea5e9" : "#0284c7"} roughness={0.3} />
+        {hovered && (
+          <Html position={[0, 0.18, 0]} center style={{ pointerEvents: "none" }}>
+            <div style={{ ...PANEL_STYLE, padding: "3px 8px", fontSize: 11, fontWeight: 800, whiteSpace: "nowrap" }}>
+              ↔ {hint}
+            </div>
+          </Html>
+        )}
+      </mesh>
+    </group>
   );
 }
 
@@ -201,6 +568,7 @@ function Particles({
  */
 
 function Panel({ pos, size, color = "#d7dbe2", opacity = 1 }) {
+  const clip = useContext(ClipContext);
   return (
     <mesh position={pos}>
       <boxGeometry args={size} />
@@ -210,16 +578,16 @@ function Panel({ pos, size, color = "#d7dbe2", opacity = 1 }) {
         roughness={0.22}
         transparent={opacity < 1}
         opacity={opacity}
+        clippingPlanes={clip}
+        side={clip.length ? THREE.DoubleSide : THREE.FrontSide}
       />
     </mesh>
   );
 }
 
-function MachineShell() {
+function MachineShell({ size }) {
   // Carcasa tipo cutaway (frente abierto)
-  const W = 4.0;
-  const H = 2.4;
-  const D = 2.2;
+  const [W, H, D] = size;
   const t = 0.12;
 
   return (
@@ -248,16 +616,22 @@ function MachineShell() {
   );
 }
 
-function Fan({ flow = 0.6, step }) {
+// Velocidad angular del rotor (rad/s); con el ventilador bloqueado (factor 0) queda quieto
+function fanSpin(flow, active, airflowFactor) {
+  const mult = active ? 1 : 0.25;
+  return (1.5 + flow * 10) * mult * airflowFactor;
+}
+
+function Fan({ flow = 0.6, active = false, airflowFactor = 1 }) {
   const fanRef = useRef();
+  const motion = useContext(MotionContext);
   useFrame((_, delta) => {
     if (!fanRef.current) return;
-    const mult = step === "air" ? 1 : 0.25;
-    fanRef.current.rotation.z += (1.5 + flow * 10) * mult * delta;
+    fanRef.current.rotation.z += fanSpin(flow, active, airflowFactor) * motion.spin * delta;
   });
 
   return (
-    <group position={[-1.55, 0.4, -0.4]}>
+    <group>
       <mesh>
         <circleGeometry args={[0.42, 48]} />
         <meshStandardMaterial color="#0f172a" roughness={0.7} metalness={0.2} />
@@ -277,8 +651,30 @@ function Fan({ flow = 0.6, step }) {
   );
 }
 
-function Coil({ step, cond = 0.55 }) {
+const COIL_COLOR = new THREE.Color("#1d4ed8");
+const FROST_COLOR = new THREE.Color("#f1f5f9");
+
+const DEFROST_EMISSIVE = new THREE.Color("#fb923c");
+const COLD_EMISSIVE = new THREE.Color("#60a5fa");
+
+/** Brillo, escarcha y desescarche del serpentín; compartido por la maqueta y los GLB. */
+function updateCoilMaterial(mat, { active, cond, frost, defrosting, baseColor, baseRoughness }, delta) {
+  // brillo residual fuera de su paso, según la condensación real (sigue al clima reproducido)
+  mat.emissiveIntensity = active ? 0.18 + clamp01(cond) * 0.9 : 0.04 + clamp01(cond) * 0.12;
+
+  // Escarcha: el serpentín se cubre de blanco gradualmente
+  mat.color.lerp(frost ? FROST_COLOR : baseColor, 1 - Math.pow(0.2, delta));
+  mat.roughness = frost ? 0.85 : baseRoughness;
+  if (frost) mat.emissiveIntensity *= 0.2;
+
+  // Desescarche: resistencia calefactora encendida (brillo cálido)
+  mat.emissive.copy(defrosting ? DEFROST_EMISSIVE : COLD_EMISSIVE);
+  if (defrosting) mat.emissiveIntensity = 0.5;
+}
+
+function Coil({ active = false, cond = 0.55, frost = false, defrosting = false }) {
   const coilGroup = useRef();
+  const motion = useContext(MotionContext);
 
   const coilMat = useMemo(() => {
     return new THREE.MeshStandardMaterial({
@@ -301,18 +697,18 @@ function Coil({ step, cond = 0.55 }) {
   useFrame((_, delta) => {
     if (!coilGroup.current) return;
     // micro motion para vida
-    coilGroup.current.rotation.y += 0.12 * delta;
-    coilGroup.current.rotation.x += 0.06 * delta;
-
-    if (step === "condensation") {
-      coilMat.emissiveIntensity = 0.18 + clamp01(cond) * 0.9;
-    } else {
-      coilMat.emissiveIntensity = 0.06;
-    }
+    coilGroup.current.rotation.y += 0.12 * motion.wobble * delta;
+    coilGroup.current.rotation.x += 0.06 * motion.wobble * delta;
+
+    updateCoilMaterial(
+      coilMat,
+      { active, cond, frost, defrosting, baseColor: COIL_COLOR, baseRoughness: 0.28 },
+      delta
+    );
   });
 
   return (
-    <group ref={coilGroup} position={[0.25, 0.65, -0.1]}>
+    <group ref={coilGroup}>
       {Array.from({ length: 6 }).map((_, i) => (
         <mesh key={i} position={[i * 0.14 - 0.35, 0, 0]} material={coilMat}>
           <torusGeometry args={[0.42, 0.055, 18, 100]} />
@@ -325,7 +721,39 @@ function Coil({ step, cond = 0.55 }) {
   );
 }
 
-function Filters() {
+// Color del cartucho nuevo y completamente cargado
+const CARTRIDGE_COLORS = {
+  sediment: ["#e2e8f0", "#7c5a3a"],
+  carbon: ["#4b5563", "#3b2a1a"],
+  mineral: ["#e7d8b5", "#8a6d45"],
+};
+
+function Cartridge({ media, loading = 0 }) {
+  const [clean, loaded] = CARTRIDGE_COLORS[media];
+  const mat = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: new THREE.Color(clean),
+        metalness: 0.25,
+        roughness: 0.55,
+      }),
+    [clean]
+  );
+  const from = useMemo(() => new THREE.Color(clean), [clean]);
+  const to = useMemo(() => new THREE.Color(loaded), [loaded]);
+
+  useFrame(() => {
+    mat.color.copy(from).lerp(to, clamp01(loading));
+  });
+
+  return (
+    <mesh material={mat}>
+      <cylinderGeometry args={[0.16, 0.16, 0.45, 24]} />
+    </mesh>
+  );
+}
+
+function Pipe({ length, radius = 0.09 }) {
   const pipeMat = useMemo(
     () =>
       new THREE.MeshStandardMaterial({
@@ -337,34 +765,21 @@ function Filters() {
   );
 
   return (
-    <group position={[-0.25, -0.05, -0.1]}>
-      {/* línea */}
-      <mesh material={pipeMat} position={[0, 0, 0]}>
-        <cylinderGeometry args={[0.09, 0.09, 2.3, 22]} />
-      </mesh>
-
-      {/* cartuchos */}
-      <mesh position={[-0.65, 0, 0]} material={pipeMat}>
-        <cylinderGeometry args={[0.16, 0.16, 0.45, 24]} />
-      </mesh>
-      <mesh
-        position={[0, 0, 0]}
-        material={new THREE.MeshStandardMaterial({
-          color: new THREE.Color("#374151"),
-          metalness: 0.25,
-          roughness: 0.55,
-        })}
-      >
-        <cylinderGeometry args={[0.16, 0.16, 0.45, 24]} />
-      </mesh>
-      <mesh position={[0.65, 0, 0]} material={pipeMat}>
-        <cylinderGeometry args={[0.16, 0.16, 0.45, 24]} />
-      </mesh>
-    </group>
+    <mesh material={pipeMat}>
+      <cylinderGeometry args={[radius, radius, length, 22]} />
+    </mesh>
   );
 }
 
-function UVTube({ step, flow = 0.6 }) {
+const UV_EMISSIVE = new THREE.Color("#a78bfa");
+
+// La lámpara pierde emisión con las horas de uso
+function uvEmission({ active, flow, output, sanitizing }) {
+  const lit = active || sanitizing;
+  return (lit ? 0.7 + (sanitizing ? 1 : clamp01(flow)) * 0.9 : 0.12) * output;
+}
+
+function UVTube({ active = false, flow = 0.6, output = 1, sanitizing = false }) {
   const uvRef = useRef();
 
   const uvMat = useMemo(() => {
@@ -378,17 +793,28 @@ function UVTube({ step, flow = 0.6 }) {
   }, []);
 
   useFrame(() => {
-    uvMat.emissiveIntensity = step === "uv_tank" ? 0.7 + clamp01(flow) * 0.9 : 0.12;
+    uvMat.emissiveIntensity = uvEmission({ active, flow, output, sanitizing });
   });
 
   return (
-    <mesh ref={uvRef} position={[0.35, -0.05, 0.25]} material={uvMat}>
+    <mesh ref={uvRef} material={uvMat}>
       <cylinderGeometry args={[0.075, 0.075, 1.35, 20]} />
     </mesh>
   );
 }
 
-function Tanks({ step }) {
+// Altura útil del agua dentro del tanque y base sobre la que crece (respecto de su centro)
+const TANK_WATER_H = 0.98;
+const TANK_WATER_BOTTOM = -0.5;
+const WATER_COLORS = { dirty: "#9ca3af", clean: "#60a5fa" };
+
+function setWaterLevel(mesh, target, delta, bottom, height) {
+  const next = mesh.scale.y + (Math.max(0.001, target) - mesh.scale.y) * (1 - Math.pow(0.001, delta));
+  mesh.scale.y = next;
+  mesh.position.y = bottom + (height * next) / 2;
+}
+
+function Tank({ contents, level = 0.3, leaking = false }) {
   const glassMat = useMemo(() => {
     return new THREE.MeshPhysicalMaterial({
       color: new THREE.Color("#ffffff"),
@@ -404,66 +830,170 @@ function Tanks({ step }) {
     });
   }, []);
 
-  const waterMatDirty = useMemo(() => {
+  const waterMat = useMemo(() => {
     return new THREE.MeshStandardMaterial({
-      color: new THREE.Color("#9ca3af"),
+      color: new THREE.Color(WATER_COLORS[contents]),
       transparent: true,
       opacity: 0.55,
-      roughness: 0.15,
+      roughness: contents === "clean" ? 0.12 : 0.15,
       metalness: 0.0,
     });
-  }, []);
+  }, [contents]);
 
-  const waterMatClean = useMemo(() => {
-    return new THREE.MeshStandardMaterial({
-      color: new THREE.Color("#60a5fa"),
-      transparent: true,
-      opacity: 0.55,
-      roughness: 0.12,
-      metalness: 0.0,
-    });
-  }, []);
+  // El corte atraviesa vidrio y agua: se ve el nivel desde adentro
+  const clip = useContext(ClipContext);
+  useEffect(() => {
+    glassMat.clippingPlanes = clip;
+    waterMat.clippingPlanes = clip;
+  }, [clip, glassMat, waterMat]);
 
-  const dirtyRef = useRef();
-  const cleanRef = useRef();
+  const waterRef = useRef();
 
   useFrame((_, delta) => {
-    if (!dirtyRef.current || !cleanRef.current) return;
+    if (!waterRef.current) return;
+    // Nivel real del balance de masa (fracción de la capacidad)
+    setWaterLevel(waterRef.current, clamp01(level), delta, TANK_WATER_BOTTOM, TANK_WATER_H);
+  });
 
-    const targetDirty = step === "filtration" || step === "condensation" ? 0.22 : 0.30;
-    const targetClean = step === "uv_tank" || step === "dispense" || step === "mineral" ? 0.42 : 0.28;
+  return (
+    <group>
+      <mesh material={glassMat}>
+        <cylinderGeometry args={[0.42, 0.42, 1.05, 32]} />
+      </mesh>
+      <mesh ref={waterRef} position={[0, -0.35, 0]} scale={[1, 0.3, 1]} material={waterMat}>
+        <cylinderGeometry args={[0.395, 0.395, TANK_WATER_H, 30]} />
+      </mesh>
 
-    dirtyRef.current.scale.y += (targetDirty - dirtyRef.current.scale.y) * (1 - Math.pow(0.001, delta));
-    cleanRef.current.scale.y += (targetClean - cleanRef.current.scale.y) * (1 - Math.pow(0.001, delta));
+      {/* charco bajo el tanque cuando hay fuga */}
+      <mesh position={[0, -0.52, 0.4]} rotation={[-Math.PI / 2, 0, 0]} visible={leaking} material={waterMat}>
+        <circleGeometry args={[0.5, 32]} />
+      </mesh>
+    </group>
+  );
+}
+
+const OZONE_EMISSIVE = new THREE.Color("#22d3ee");
+
+// Generador de ozono: cuerpo con un electrodo que pulsa mientras su etapa está activa
+function OzoneGenerator({ active = false }) {
+  const bodyMat = useMemo(
+    () => new THREE.MeshStandardMaterial({ color: new THREE.Color("#e2e8f0"), metalness: 0.4, roughness: 0.35 }),
+    []
+  );
+  const cellMat = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: new THREE.Color("#0e7490"),
+        emissive: OZONE_EMISSIVE,
+        emissiveIntensity: 0.1,
+        roughness: 0.3,
+      }),
+    []
+  );
+
+  useFrame((state) => {
+    const pulse = 0.5 + 0.5 * Math.sin(state.clock.getElapsedTime() * 6);
+    cellMat.emissiveIntensity = active ? 0.6 + pulse * 0.8 : 0.1;
   });
 
   return (
-    <group position={[-0.1, -0.95, -0.15]}>
-      {/* dirty */}
-      <mesh position={[-0.85, 0.25, 0.15]} material={glassMat}>
-        <cylinderGeometry args={[0.42, 0.42, 1.05, 32]} />
+    <group>
+      <mesh material={bodyMat}>
+        <boxGeometry args={[0.42, 0.22, 0.26]} />
       </mesh>
-      <mesh
-        ref={dirtyRef}
-        position={[-0.85, -0.1, 0.15]}
-        scale={[1, 0.3, 1]}
-        material={waterMatDirty}
-      >
-        <cylinderGeometry args={[0.395, 0.395, 0.98, 30]} />
+      <mesh position={[0, 0, 0.14]} rotation={[0, 0, Math.PI / 2]} material={cellMat}>
+        <cylinderGeometry args={[0.05, 0.05, 0.3, 16]} />
       </mesh>
+    </group>
+  );
+}
 
-      {/* clean */}
-      <mesh position={[0.35, 0.25, 0.15]} material={glassMat}>
-        <cylinderGeometry args={[0.42, 0.42, 1.05, 32]} />
+const WHEEL_MEDIA_COLOR = "#d6c7a1";
+const HEATER_EMISSIVE = new THREE.Color("#f97316");
+
+// Rueda desecante con el eje sobre x (el aire la atraviesa); gira sólo mientras se regenera.
+// El sector de regeneración (cuarto superior) es fijo y se enciende con el calefactor.
+function DesiccantWheel({ running = false, active = false }) {
+  const wheelRef = useRef();
+  const motion = useContext(MotionContext);
+  const mediaMat = useMemo(
+    () => new THREE.MeshStandardMaterial({ color: new THREE.Color(WHEEL_MEDIA_COLOR), roughness: 0.9 }),
+    []
+  );
+  const frameMat = useMemo(
+    () => new THREE.MeshStandardMaterial({ color: new THREE.Color("#475569"), metalness: 0.6, roughness: 0.35 }),
+    []
+  );
+  const sectorMat = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: new THREE.Color("#fdba74"),
+        emissive: HEATER_EMISSIVE,
+        emissiveIntensity: 0.05,
+        transparent: true,
+        opacity: 0.55,
+        side: THREE.DoubleSide,
+      }),
+    []
+  );
+
+  useFrame((_, delta) => {
+    if (wheelRef.current && running) wheelRef.current.rotation.x += (active ? 0.9 : 0.35) * motion.spin * delta;
+    sectorMat.emissiveIntensity = running ? 0.55 : 0.05;
+  });
+
+  return (
+    <group>
+      <group ref={wheelRef}>
+        <mesh rotation={[0, 0, Math.PI / 2]} material={mediaMat}>
+          <cylinderGeometry args={[0.55, 0.55, 0.22, 40]} />
+        </mesh>
+        {/* rayos: hacen visible el giro */}
+        {[0, Math.PI / 2].map((a) => (
+          <mesh key={a} rotation={[a, 0, 0]} material={frameMat}>
+            <boxGeometry args={[0.24, 1.1, 0.04]} />
+          </mesh>
+        ))}
+      </group>
+      <mesh position={[0.12, 0, 0]} rotation={[0, Math.PI / 2, 0]} material={sectorMat}>
+        <circleGeometry args={[0.56, 24, Math.PI / 4, Math.PI / 2]} />
       </mesh>
-      <mesh
-        ref={cleanRef}
-        position={[0.35, -0.1, 0.15]}
-        scale={[1, 0.28, 1]}
-        material={waterMatClean}
-      >
-        <cylinderGeometry args={[0.395, 0.395, 0.98, 30]} />
+    </group>
+  );
+}
+
+// Calefactor de regeneración: resistencias que enrojecen mientras la unidad regenera
+function HeaterElement({ running = false, active = false }) {
+  const boxMat = useMemo(
+    () => new THREE.MeshStandardMaterial({ color: new THREE.Color("#cbd5e1"), metalness: 0.5, roughness: 0.4 }),
+    []
+  );
+  const rodMat = useMemo(
+    () =>
+      new THREE.MeshStandardMaterial({
+        color: new THREE.Color("#7c2d12"),
+        emissive: HEATER_EMISSIVE,
+        emissiveIntensity: 0.05,
+        roughness: 0.5,
+      }),
+    []
+  );
+
+  useFrame((state) => {
+    const flicker = 0.08 * Math.sin(state.clock.getElapsedTime() * 9);
+    rodMat.emissiveIntensity = running ? (active ? 1.3 : 0.6) + flicker : 0.05;
+  });
+
+  return (
+    <group>
+      <mesh material={boxMat}>
+        <boxGeometry args={[0.36, 0.22, 0.3]} />
       </mesh>
+      {[-0.08, 0, 0.08].map((z) => (
+        <mesh key={z} position={[0, 0, z]} rotation={[0, 0, Math.PI / 2]} material={rodMat}>
+          <cylinderGeometry args={[0.025, 0.025, 0.42, 12]} />
+        </mesh>
+      ))}
     </group>
   );
 }
@@ -480,7 +1010,7 @@ function Faucet() {
   );
 
   return (
-    <group position={[1.65, -0.35, 0.75]}>
+    <group>
       <mesh material={metal}>
         <boxGeometry args={[0.35, 0.12, 0.35]} />
       </mesh>
@@ -494,7 +1024,18 @@ function Faucet() {
   );
 }
 
-function Cup() {
+const CUP_WATER_H = 0.5;
+const CUP_WATER_BOTTOM = -0.26;
+
+function Cup({ level = 0 }) {
+  const waterRef = useRef();
+
+  useFrame((_, delta) => {
+    if (!waterRef.current) return;
+    setWaterLevel(waterRef.current, clamp01(level), delta * 4, CUP_WATER_BOTTOM, CUP_WATER_H);
+    waterRef.current.visible = waterRef.current.scale.y > 0.01;
+  });
+
   const glass = useMemo(() => {
     return new THREE.MeshPhysicalMaterial({
       color: new THREE.Color("#ffffff"),
@@ -521,243 +1062,1818 @@ function Cup() {
   }, []);
 
   return (
-    <group position={[2.05, -1.1, 0.75]}>
+    <group>
       <mesh material={glass}>
         <cylinderGeometry args={[0.25, 0.25, 0.55, 28]} />
       </mesh>
-      <mesh position={[0, -0.1, 0]} material={water}>
-        <cylinderGeometry args={[0.23, 0.23, 0.28, 24]} />
+      <mesh ref={waterRef} position={[0, -0.1, 0]} scale={[1, 0.001, 1]} material={water}>
+        <cylinderGeometry args={[0.23, 0.23, CUP_WATER_H, 24]} />
       </mesh>
     </group>
   );
 }
 
-function AwgScene({ step, fluidFlow, tempCondensation }) {
+// Opacidad relativa de los componentes que no participan del paso activo
+const DIM_OPACITY = 0.22;
+
+function approachDim(level, dim, delta) {
+  const target = dim ? DIM_OPACITY : 1;
+  const next = level + (target - level) * (1 - Math.pow(0.01, delta));
+  return Math.abs(next - target) < 0.002 ? target : next;
+}
+
+// Multiplica la opacidad original de cada material bajo `root` (los contornos no se tocan)
+function applyOpacity(root, level) {
+  root.traverse((o) => {
+    if (!o.material || o.userData.outline) return;
+    (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => {
+      if (m.userData.baseOpacity === undefined) {
+        m.userData.baseOpacity = m.opacity;
+        m.userData.baseTransparent = m.transparent;
+      }
+      const transparent = m.userData.baseTransparent || level < 1;
+      if (m.transparent !== transparent) {
+        m.transparent = transparent;
+        m.needsUpdate = true;
+      }
+      m.opacity = m.userData.baseOpacity * level;
+    });
+  });
+}
+
+/** Atenúa (o devuelve) los materiales del grupo según el componente esté en foco. */
+function Focus({ dim, children }) {
+  const ref = useRef();
+  const level = useRef(1);
+
+  useFrame((_, delta) => {
+    if (!ref.current) return;
+    level.current = approachDim(level.current, dim, delta);
+    applyOpacity(ref.current, level.current);
+  });
+
+  return <group ref={ref}>{children}</group>;
+}
+
+/** Pieza de la maqueta para un componente de la definición, ya ubicada por su grupo padre. */
+function MockPart({
+  part,
+  active,
+  fluidFlow,
+  tempCondensation,
+  levels,
+  loadings,
+  maintenance,
+  effects,
+  airflowFactor,
+  controllerState,
+  running,
+}) {
+  switch (part.type) {
+    case "fan":
+      return <Fan flow={fluidFlow} active={active} airflowFactor={airflowFactor} />;
+    case "coil":
+      return (
+        <Coil
+          active={active}
+          cond={tempCondensation}
+          frost={effects.frost}
+          defrosting={controllerState === "defrost"}
+        />
+      );
+    case "cartridge":
+      return <Cartridge media={part.media} loading={loadings[part.media]} />;
+    case "pipe":
+      return <Pipe length={part.length} radius={part.radius} />;
+    case "uv":
+      return (
+        <UVTube
+          active={active}
+          flow={fluidFlow}
+          output={maintenance.uv.output}
+          sanitizing={controllerState === "sanitizing"}
+        />
+      );
+    case "ozone":
+      return <OzoneGenerator active={active} />;
+    case "wheel":
+      return <DesiccantWheel running={running} active={active} />;
+    case "heater":
+      return <HeaterElement running={running} active={active} />;
+    case "tank":
+      return (
+        <Tank
+          contents={part.contents}
+          level={levels[part.contents]}
+          leaking={part.contents === "clean" && effects.cleanLeakRate > 0 && levels.clean > 0}
+        />
+      );
+    case "faucet":
+      return <Faucet />;
+    case "cup":
+      return <Cup level={levels.cup} />;
+    default:
+      return null;
+  }
+}
+
+/** Maqueta de primitivas armada desde la definición: se usa cuando no hay GLB cargado (o mientras carga). */
+function MockMachine({ machine, focused, exploded, labels, ...state }) {
+  return (
+    <>
+      {/* Carcasa cutaway */}
+      <MachineShell size={machine.shell.size} />
+
+      {/* Componentes internos: sólo los que tienen ficha se pueden seleccionar */}
+      {machine.components.map((part) => {
+        const mesh = <MockPart part={part} active={focused.has(part.id)} {...state} />;
+        return (
+          <Explodable key={part.id} position={part.position} offset={exploded?.[part.id]}>
+            <group rotation={part.rotation}>
+              <Focus dim={!focused.has(part.id)}>
+                {COMPONENT_SPECS[part.spec] ? <Pickable id={part.id}>{mesh}</Pickable> : mesh}
+              </Focus>
+            </group>
+            {labels?.[part.id] && <PartLabel id={part.id} {...labels[part.id]} focused={focused.has(part.id)} />}
+          </Explodable>
+        );
+      })}
+    </>
+  );
+}
+
+// Componente de la definición al que pertenece cada rol de agua (ficha y foco)
+const ROLE_PICK = { dirty_water: "dirty_tank", clean_water: "clean_tank", cup_water: "cup" };
+const LOADED_COLORS = Object.fromEntries(
+  Object.entries(CARTRIDGE_COLORS).map(([id, [, loaded]]) => [id, new THREE.Color(loaded)])
+);
+
+function eachMaterial(node, fn) {
+  node.traverse((o) => {
+    if (!o.isMesh || o.userData.outline) return;
+    (Array.isArray(o.material) ? o.material : [o.material]).forEach(fn);
+  });
+}
+
+// Aspecto original de un material del GLB, guardado la primera vez que se anima
+function baseLook(m) {
+  if (!m.userData.baseLook) m.userData.baseLook = { color: m.color.clone(), roughness: m.roughness };
+  return m.userData.baseLook;
+}
+
+// Agua en un GLB: el nodo escala en Y desde su origen (conviene ubicarlo en el fondo)
+function setNodeLevel(node, target, delta) {
+  if (node.userData.baseScaleY === undefined) node.userData.baseScaleY = node.scale.y;
+  const base = node.userData.baseScaleY;
+  const current = node.scale.y / base;
+  node.scale.y = base * (current + (Math.max(0.001, target) - current) * (1 - Math.pow(0.001, delta)));
+  return node.scale.y / base;
+}
+
+const explodeTarget = new THREE.Vector3();
+const explodeOffset = new THREE.Vector3();
+const explodeScale = new THREE.Vector3();
+const explodeRotation = new THREE.Quaternion();
+
+// Lleva un nodo hacia su posición explosionada; `offset` viene en coordenadas de la escena y se
+// pasa al espacio del padre (el GLB llega escalado por prepareModel)
+function approachExploded(node, offset, ease) {
+  if (!node.userData.basePosition) node.userData.basePosition = node.position.clone();
+  explodeTarget.copy(node.userData.basePosition);
+  if (offset && node.parent) {
+    node.parent.matrixWorld.decompose(explodeOffset, explodeRotation, explodeScale);
+    explodeOffset.fromArray(offset).applyQuaternion(explodeRotation.invert()).divide(explodeScale);
+    explodeTarget.add(explodeOffset);
+  }
+  node.position.lerp(explodeTarget, ease);
+}
+
+// Piezas que el corte atraviesa además de la carcasa (las mallas del GLB sin rol)
+const CLIPPED_PARTS = new Set(["dirty_tank", "clean_tank"]);
+
+/**
+ * GLB con nodos mapeados a roles (machineModel.js): recibe las mismas animaciones,
+ * atenuación por paso, selección, vista explosionada y corte que la maqueta.
+ */
+function GlbMachine({
+  model,
+  focused,
+  fluidFlow,
+  tempCondensation,
+  levels,
+  loadings,
+  maintenance,
+  effects,
+  airflowFactor,
+  controllerState,
+  exploded,
+  labels,
+}) {
+  const { root, nodes } = model;
+  const { selected, onPick } = useContext(PickContext);
+  const motion = useContext(MotionContext);
+  const clip = useContext(ClipContext);
+  const [hovered, setHovered] = useState(null);
+  const dimLevels = useRef({});
+
+  const roleOf = useMemo(
+    () => new Map(Object.entries(nodes).flatMap(([role, list]) => list.map((n) => [n, role]))),
+    [nodes]
+  );
+  // Ficha de la pieza a la que pertenece una malla: el primer ancestro con rol
+  const pickIdFor = (object) => {
+    for (let o = object; o; o = o.parent) {
+      const role = roleOf.get(o);
+      if (role) return ROLE_PICK[role] || role;
+    }
+    return null;
+  };
+  // En la vista explosionada sólo se mueven los nodos de más arriba: el agua dentro de un tanque
+  // ya viaja con él
+  const explodeRoots = useMemo(
+    () =>
+      [...roleOf.keys()].filter((node) => {
+        for (let o = node.parent; o; o = o.parent) if (roleOf.has(o)) return false;
+        return true;
+      }),
+    [roleOf]
+  );
+
+  useEffect(() => {
+    root.traverse((o) => {
+      if (!o.isMesh || o.userData.outline) return;
+      const id = pickIdFor(o);
+      if (id && !CLIPPED_PARTS.has(id)) return;
+      (Array.isArray(o.material) ? o.material : [o.material]).forEach((m) => {
+        m.clippingPlanes = clip;
+      });
+    });
+  }, [root, roleOf, clip]);
+
+  useEffect(() => {
+    const hulls = [];
+    const outline = (id, kind) =>
+      Object.entries(nodes)
+        .filter(([role]) => (ROLE_PICK[role] || role) === id)
+        .forEach(([, list]) =>
+          list.forEach((node) => {
+            const meshes = [];
+            node.traverse((o) => o.isMesh && !o.userData.outline && meshes.push(o));
+            meshes.forEach((m) => hulls.push(addOutline(m, kind)));
+          })
+        );
+    if (selected) outline(selected, "selected");
+    if (hovered && hovered !== selected) outline(hovered, "hover");
+    return () => hulls.forEach((h) => h.removeFromParent());
+  }, [nodes, selected, hovered]);
+
+  useEffect(() => {
+    if (!hovered) return;
+    document.body.style.cursor = "pointer";
+    return () => {
+      document.body.style.cursor = "";
+    };
+  }, [hovered]);
+
+  useFrame((_, delta) => {
+    const ease = motion.explode ? 1 - Math.pow(0.02, delta) : 1;
+    explodeRoots.forEach((node) => {
+      const role = roleOf.get(node);
+      approachExploded(node, exploded?.[ROLE_PICK[role] || role], ease);
+    });
+
+    Object.entries(nodes).forEach(([role, list]) => {
+      const level = approachDim(dimLevels.current[role] ?? 1, !focused.has(ROLE_PICK[role] || role), delta);
+      dimLevels.current[role] = level;
+      list.forEach((node) => applyOpacity(node, level));
+    });
+
+    // El eje del rotor se puede indicar con la propiedad `awgAxis` del nodo
+    const spin = fanSpin(fluidFlow, focused.has("fan"), airflowFactor) * motion.spin * delta;
+    nodes.fan.forEach((n) => {
+      n.rotation[n.userData.awgAxis || "z"] += spin;
+    });
+
+    const coil = { active: focused.has("coil"), cond: tempCondensation, frost: effects.frost };
+    nodes.coil.forEach((n) =>
+      eachMaterial(n, (m) => {
+        if (!m.emissive) return;
+        const { color, roughness } = baseLook(m);
+        updateCoilMaterial(
+          m,
+          { ...coil, defrosting: controllerState === "defrost", baseColor: color, baseRoughness: roughness },
+          delta
+        );
+      })
+    );
+
+    const uv = uvEmission({
+      active: focused.has("uv"),
+      flow: fluidFlow,
+      output: maintenance.uv.output,
+      sanitizing: controllerState === "sanitizing",
+    });
+    nodes.uv.forEach((n) =>
+      eachMaterial(n, (m) => {
+        if (!m.emissive) return;
+        m.emissive.copy(UV_EMISSIVE);
+        m.emissiveIntensity = uv;
+      })
+    );
+
+    Object.keys(LOADED_COLORS).forEach((id) =>
+      nodes[id].forEach((n) =>
+        eachMaterial(n, (m) => {
+          if (m.color) m.color.copy(baseLook(m).color).lerp(LOADED_COLORS[id], clamp01(loadings[id]));
+        })
+      )
+    );
+
+    nodes.dirty_water.forEach((n) => setNodeLevel(n, clamp01(levels.dirty), delta));
+    nodes.clean_water.forEach((n) => setNodeLevel(n, clamp01(levels.clean), delta));
+    nodes.cup_water.forEach((n) => {
+      n.visible = setNodeLevel(n, clamp01(levels.cup), delta * 4) > 0.01;
+    });
+  });
+
+  return (
+    <>
+      <primitive
+        object={root}
+        onPointerMove={(e) => {
+          const id = pickIdFor(e.object);
+          if (id) e.stopPropagation();
+          setHovered(id);
+        }}
+        onPointerOut={() => setHovered(null)}
+        onClick={(e) => {
+          const id = pickIdFor(e.object);
+          if (!id) return;
+          e.stopPropagation();
+          if (e.delta <= 4) onPick?.(id);
+        }}
+      />
+      {/* Etiquetas de la vista explosionada sobre el primer nodo de cada pieza */}
+      {labels &&
+        Object.entries(labels).map(
+          ([id, label]) =>
+            nodes[id]?.[0] && (
+              <FollowNode key={id} node={nodes[id][0]}>
+                <PartLabel id={id} {...label} focused={focused.has(id)} />
+              </FollowNode>
+            )
+        )}
+    </>
+  );
+}
+
+function AwgScene({
+  machine,
+  step,
+  fluidFlow,
+  tempCondensation,
+  yieldLph = 0,
+  levels,
+  maintenance,
+  alerts,
+  onReplace,
+  effects,
+  airflowFactor = 1,
+  controllerState = "producing",
+  outputs,
+  selectedPart = null,
+  onPick,
+  model = null,
+  siteUnits = null,
+  particleQuality = 1,
+  motion = FULL_MOTION,
+  exploded = null,
+  cutaway = false,
+  i18n,
+}) {
+  const focused = focusedComponents(machine, step);
+
+  // Corte: el plano vive en la escena y el asa lo mueve sin re-renderizar el simulador
+  const cutPlane = useMemo(() => new THREE.Plane(new THREE.Vector3(-1, 0, 0), 0), []);
+  const clip = useMemo(() => (cutaway ? [cutPlane] : NO_CLIP), [cutaway, cutPlane]);
+
+  // Etiquetas de la vista explosionada: etapa donde participa la pieza y nombre de su ficha
+  const labels =
+    exploded &&
+    Object.fromEntries(
+      machine.components
+        .filter((c) => COMPONENT_SPECS[c.spec])
+        .map((c) => {
+          const spec = COMPONENT_SPECS[c.spec];
+          const name = spec.translations?.[i18n.locale]?.name ?? spec.name;
+          return [c.id, { name, order: stageIndexForComponent(machine, c.id) + 1 }];
+        })
+    );
+
+  // Intensidad de producción (0..1) a partir de los L/h del modelo psicrométrico
+  const yieldNorm = clamp01(yieldLph / YIELD_REF_LPH);
+
   // Velocidades de partículas
-  const airSpeed = 0.22 + clamp01(fluidFlow) * 0.75;
-  const waterSpeed = 0.15 + clamp01(fluidFlow) * 1.0;
+  const airSpeed = (0.22 + clamp01(fluidFlow) * 0.75) * airflowFactor;
+  const waterSpeed = 0.15 + yieldNorm * 1.0;
   const condSpeed = 0.1 + clamp01(tempCondensation) * 0.5;
 
+  // Cantidad de gotas: redondeada para no regenerar buffers en cada cambio mínimo
+  const condCount = Math.max(40, Math.round((yieldNorm * 900) / 40) * 40);
+  const waterCount = Math.max(120, Math.round((300 + yieldNorm * 600) / 60) * 60);
+
+  // Velocidad y densidad de cada `flow` de los emisores de la definición
+  const flows = {
+    air: { speed: airSpeed },
+    condensate: { speed: condSpeed, count: condCount },
+    treatment: { speed: outputs.transferPump ? waterSpeed * maintenance.flowFactor : 0, count: waterCount },
+    disinfection: { speed: 0.15 + waterSpeed * 0.35, count: waterCount },
+    dispense: { speed: 0.25 + waterSpeed * 0.35, count: waterCount },
+    dosing: { speed: 0.1 + waterSpeed * 0.22 },
+    // Lazo de regeneración de las unidades desecantes: corre con el calefactor encendido
+    regeneration: { speed: outputs.compressor ? 0.3 + yieldNorm * 0.6 : 0 },
+    leak: { speed: 0.5 },
+  };
+  const leaking = effects.cleanLeakRate > 0 && levels.clean > 0;
+  const emitterActive = (e) =>
+    e.stage === step || (e.flow === "dispense" && levels.dispensing) || (e.flow === "leak" && leaking);
+
+  // Estado de cartuchos y lámpara para los callouts
+  const loadings = Object.fromEntries(maintenance.cartridges.map((c) => [c.id, c.loading]));
+  const machineState = {
+    machine,
+    focused,
+    fluidFlow,
+    tempCondensation,
+    levels,
+    loadings,
+    maintenance,
+    effects,
+    airflowFactor,
+    controllerState,
+    running: outputs.compressor,
+    exploded,
+    labels,
+  };
+  // Emisores sobre la geometría del GLB cuando existe; si no, donde indica la definición
+  const anchors = model?.anchors ?? {};
+
+  // Vida útil y reemplazo para los callouts de cartuchos y lámparas UV
+  const calloutProps = ({ target, subtitle = "" }) => {
+    const part = machine.components.find((c) => c.id === target);
+    const id = part.type === "uv" ? "uv" : part.type === "cartridge" ? part.media : null;
+    if (!id) return { subtitle };
+    const status = id === "uv" ? maintenance.uv : maintenance.cartridges.find((c) => c.id === id);
+    const vars =
+      id === "uv"
+        ? { hours: Math.round(status.hours), output: Math.round(status.output * 100) }
+        : { life: Math.round(status.remainingLife * 100), pressureDrop: status.pressureDrop.toFixed(2) };
+    return {
+      subtitle: fillTemplate(subtitle, vars),
+      life: status.remainingLife,
+      detail: id === "uv" ? null : `ΔP ${status.pressureDrop.toFixed(2)} bar`,
+      alert: alerts.find((a) => a.id === id)?.level,
+      onReplace: () => onReplace(id),
+      replaceLabel: i18n.t("common.replace"),
+    };
+  };
+
   return (
-    <group position={[0, -0.05, 0]}>
-      {/* Carcasa cutaway */}
-      <MachineShell />
-
-      {/* Componentes internos */}
-      <Fan flow={fluidFlow} step={step} />
-      <Coil step={step} cond={tempCondensation} />
-      <Filters />
-      <UVTube step={step} flow={fluidFlow} />
-      <Tanks step={step} />
-      <Faucet />
-      <Cup />
-
-      {/* Callouts derecha (simulan los globos de tu referencia) */}
-      <Html position={[1.6, 0.25, 0.05]} transform style={{ width: 300 }}>
-        <div style={{ display: "grid", gap: 10 }}>
-          <Callout icon="🧱" title="SEDIMENT FILTER" subtitle="Retiene partículas y sólidos." />
-          <Callout icon="⚫" title="CARBON FILTER" subtitle="Reduce químicos, cloro y olores." />
-          <Callout icon="🧪" title="MINERALIZACIÓN" subtitle="Ajuste de minerales para mejor sabor." />
-        </div>
-      </Html>
+    <PickContext.Provider value={{ selected: selectedPart, onPick }}>
+      <MotionContext.Provider value={motion}>
+        <ClipContext.Provider value={clip}>
+          <group position={[0, -0.05, 0]}>
+            {model ? <GlbMachine model={model} {...machineState} /> : <MockMachine {...machineState} />}
+            {cutaway && <CutawayPlane plane={cutPlane} size={machine.shell.size} hint={i18n.t("view.dragCut")} />}
+
+            {/* Callouts (simulan los globos de tu referencia) */}
+            {machine.callouts.items.length > 0 && (
+              <Html position={machine.callouts.position} transform style={{ width: 300 }}>
+                <div style={{ display: "grid", gap: 10 }}>
+                  {machine.callouts.items.map((item, i) => (
+                    <Callout key={i} icon={item.icon} title={item.title} {...calloutProps(item)} />
+                  ))}
+                </div>
+              </Html>
+            )}
+
+            {/* Configuración del dimensionamiento aplicada: la escena muestra una de N unidades */}
+            {siteUnits > 1 && (
+              <Html position={[0, machine.shell.size[1] / 2 + 0.3, 0]} center>
+                <div
+                  style={{ ...PANEL_STYLE, padding: "4px 10px", fontSize: 12, fontWeight: 900, whiteSpace: "nowrap" }}
+                >
+                  {i18n.t("scene.units", { count: siteUnits })}
+                </div>
+              </Html>
+            )}
+
+            {/* Partículas por etapa: en la vista explosionada viajan con la pieza que atraviesan */}
+            {machine.emitters.map((e) => (
+              <Explodable
+                key={e.id}
+                position={anchors[e.id] ?? e.position}
+                offset={exploded && explodedOffsetAt(machine, exploded, e.position)}
+              >
+                <Particles
+                  active={emitterActive(e)}
+                  count={e.count ?? flows[e.flow].count}
+                  color={e.color}
+                  speed={flows[e.flow].speed}
+                  size={e.size}
+                  box={e.box}
+                  direction={e.direction}
+                  swirl={e.swirl}
+                  quality={particleQuality}
+                />
+              </Explodable>
+            ))}
+          </group>
+        </ClipContext.Provider>
+      </MotionContext.Provider>
+    </PickContext.Provider>
+  );
+}
 
-      {/* Partículas por paso (posiciones parecidas a tu imagen) */}
-      {/* Aire entrando (izquierda al ventilador) */}
-      <group position={[-2.05, 0.4, -0.4]}>
-        <Particles
-          active={step === "air"}
-          color="#93c5fd"
-          speed={airSpeed}
-          size={0.012}
-          box={[1.2, 0.55, 0.55]}
-          direction={[1, 0, 0]}
-          swirl={0.6}
-        />
-      </group>
+/** Carga un GLB (incluido en el build o soltado desde el disco) y arma la escena sobre él. */
+function GlbScene({ url, onReady, ...sceneProps }) {
+  const gltf = useGLTF(url, DRACO_DECODER_PATH);
+  const model = useMemo(() => prepareModel(gltf.scene), [gltf]);
+  const onReadyRef = useRef(onReady);
+  onReadyRef.current = onReady;
+  useEffect(() => {
+    onReadyRef.current?.(model);
+  }, [model]);
+  return <AwgScene {...sceneProps} model={model} />;
+}
 
-      {/* Condensación (bajando en la zona de coil) */}
-      <group position={[0.25, 0.55, -0.1]}>
-        <Particles
-          active={step === "condensation"}
-          color="#bfdbfe"
-          speed={condSpeed}
-          size={0.01}
-          box={[0.8, 0.45, 0.45]}
-          direction={[0, -1, 0]}
-          swirl={0.25}
-        />
-      </group>
+// Si el GLB no carga (archivo dañado, formato no soportado) se vuelve a la maqueta
+class ModelBoundary extends React.Component {
+  state = { error: null };
 
-      {/* Filtración (flujo horizontal por cartuchos) */}
-      <group position={[-0.25, -0.05, -0.1]}>
-        <Particles
-          active={step === "filtration"}
-          color="#60a5fa"
-          speed={waterSpeed}
-          size={0.01}
-          box={[2.3, 0.22, 0.22]}
-          direction={[1, 0, 0]}
-          swirl={0.18}
-        />
-      </group>
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
 
-      {/* UV + Tank */}
-      <group position={[0.35, -0.05, 0.25]}>
-        <Particles
-          active={step === "uv_tank"}
-          color="#a78bfa"
-          speed={0.15 + waterSpeed * 0.35}
-          size={0.01}
-          box={[1.3, 0.25, 0.25]}
-          direction={[1, 0, 0]}
-          swirl={0.12}
-        />
-      </group>
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
 
-      {/* Dispensado (chorro vertical) */}
-      <group position={[1.65, -0.8, 0.75]}>
-        <Particles
-          active={step === "dispense"}
-          color="#7dd3fc"
-          speed={0.25 + waterSpeed * 0.35}
-          size={0.012}
-          box={[0.35, 0.75, 0.35]}
-          direction={[0, -1, 0]}
-          swirl={0.0}
-        />
-      </group>
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
 
-      {/* Mineralización (partículas doradas pequeñas) */}
-      <group position={[0.1, -0.25, 0.05]}>
-        <Particles
-          active={step === "mineral"}
-          color="#f59e0b"
-          speed={0.1 + waterSpeed * 0.22}
-          size={0.01}
-          box={[1.2, 0.25, 0.25]}
-          direction={[1, 0, 0]}
-          swirl={0.22}
-        />
-      </group>
-    </group>
+// Sin el visor 3D (WebGL no disponible, contexto perdido) queda un aviso en vez del lienzo vacío
+class ViewerBoundary extends React.Component {
+  static contextType = I18nContext;
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+    const i18n = this.context;
+    const { t } = i18n;
+    return (
+      <div
+        role="alert"
+        style={{
+          ...PANEL_STYLE,
+          position: "absolute",
+          left: "50%",
+          top: "42%",
+          transform: "translate(-50%, -50%)",
+          width: 340,
+          fontSize: 12,
+        }}
+      >
+        <div style={{ fontWeight: 900, letterSpacing: 0.25, color: "#dc2626" }}>{t("scene.viewerError")}</div>
+        <div style={{ marginTop: 6, opacity: 0.8 }}>{errorMessage(i18n, error)}</div>
+        <div style={{ marginTop: 6, opacity: 0.7 }}>{t("scene.viewerHint")}</div>
+        <button
+          onClick={() => this.setState({ error: null })}
+          style={{ fontSize: 10, fontWeight: 800, cursor: "pointer", marginTop: 8 }}
+        >
+          {t("scene.retry")}
+        </button>
+      </div>
+    );
+  }
+}
+
+/**
+ * Entorno de reflejos armado con Lightformers (luces de techo y laterales tipo nave industrial):
+ * se genera en la GPU al iniciar, sin descargar un HDR, así funciona sin conexión.
+ */
+function StudioEnvironment() {
+  return (
+    <Environment resolution={256}>
+      <color attach="background" args={["#3b4252"]} />
+      {[-3, 0, 3].map((x) => (
+        <Lightformer key={x} intensity={2} position={[x, 5, -1]} rotation-x={Math.PI / 2} scale={[2, 8, 1]} />
+      ))}
+      <Lightformer intensity={0.8} position={[-6, 1.5, 0]} rotation-y={Math.PI / 2} scale={[10, 3, 1]} />
+      <Lightformer intensity={0.8} position={[6, 1.5, 0]} rotation-y={-Math.PI / 2} scale={[10, 3, 1]} />
+      <Lightformer intensity={0.5} color="#dbeafe" position={[0, 2, -8]} scale={[12, 4, 1]} />
+    </Environment>
   );
 }
 
+// Aplica una pose guardada (posición + target) a la cámara de OrbitControls
+function CameraPose({ pose }) {
+  const controls = useThree((s) => s.controls);
+  useEffect(() => {
+    if (!pose || !controls) return;
+    controls.object.position.fromArray(pose.position);
+    controls.target.fromArray(pose.target);
+    controls.update();
+  }, [pose, controls]);
+  return null;
+}
+
+// Lado mayor de la captura para el informe (px); acota la memoria en pantallas grandes
+const SNAPSHOT_MAX_SIZE = 3200;
+
+/**
+ * Expone en `captureRef` una función que renderiza un cuadro a mayor resolución y lo devuelve
+ * como data URL. Se lee justo después de renderizar, así no hace falta preserveDrawingBuffer.
+ */
+function SceneCapture({ captureRef }) {
+  const gl = useThree((s) => s.gl);
+  const scene = useThree((s) => s.scene);
+  const camera = useThree((s) => s.camera);
+  useEffect(() => {
+    captureRef.current = (scale = 2) => {
+      const ratio = gl.getPixelRatio();
+      const { width, height } = gl.getSize(new THREE.Vector2());
+      gl.setPixelRatio(Math.min(ratio * scale, SNAPSHOT_MAX_SIZE / Math.max(width, height, 1)));
+      gl.render(scene, camera);
+      const url = gl.domElement.toDataURL("image/png");
+      gl.setPixelRatio(ratio);
+      return url;
+    };
+    return () => {
+      captureRef.current = null;
+    };
+  }, [gl, scene, camera, captureRef]);
+  return null;
+}
+
+const FLIGHT_SECONDS = 1.6;
+
+/**
+ * Vuelo de cámara del recorrido: mientras `follow` esté activo lleva cámara y target de
+ * OrbitControls a `pose`. Cualquier interacción del usuario con los controles llama a
+ * `onTakeover` y corta el vuelo en curso. Con `instant` (movimiento reducido) salta a la pose.
+ */
+function CameraRig({ pose, follow, onTakeover, instant = false }) {
+  const controls = useThree((s) => s.controls);
+  const camera = useThree((s) => s.camera);
+  const onTakeoverRef = useRef(onTakeover);
+  onTakeoverRef.current = onTakeover;
+
+  useEffect(() => {
+    if (!controls) return;
+    const onStart = () => onTakeoverRef.current();
+    controls.addEventListener("start", onStart);
+    return () => controls.removeEventListener("start", onStart);
+  }, [controls]);
+
+  const flightRef = useRef(null);
+  useEffect(() => {
+    if (!controls || !follow || !pose) return;
+    const [px, py, pz] = pose.position;
+    const [tx, ty, tz] = pose.target;
+    const flight = gsap.timeline({
+      paused: true,
+      defaults: { duration: FLIGHT_SECONDS, ease: "power2.inOut" },
+      onUpdate: () => controls.update(),
+    });
+    flight.to(camera.position, { x: px, y: py, z: pz }, 0).to(controls.target, { x: tx, y: ty, z: tz }, 0);
+    if (instant) flight.progress(1);
+    flightRef.current = flight;
+    return () => {
+      flight.kill();
+      flightRef.current = null;
+    };
+  }, [controls, camera, follow, pose, instant]);
+
+  // El vuelo avanza con el reloj de la escena: al grabar cuadro a cuadro sigue el paso fijo
+  useFrame((_, delta) => {
+    const flight = flightRef.current;
+    if (flight && flight.progress() < 1) flight.time(flight.time() + delta);
+  });
+
+  return null;
+}
+
+/**
+ * Enlace para la grabación del recorrido (ver tourVideo.js): ajusta el tamaño del lienzo y
+ * dibuja cuadros a pedido con `advance` mientras el Canvas está en `frameloop="never"`.
+ */
+function TourRecorder({ recorderRef }) {
+  const gl = useThree((s) => s.gl);
+  const camera = useThree((s) => s.camera);
+  const advance = useThree((s) => s.advance);
+  useEffect(() => {
+    recorderRef.current = {
+      prepare(width, height) {
+        const ratio = gl.getPixelRatio();
+        const size = gl.getSize(new THREE.Vector2());
+        const aspect = camera.aspect;
+        gl.setPixelRatio(1);
+        gl.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        return () => {
+          gl.setPixelRatio(ratio);
+          gl.setSize(size.x, size.y, false);
+          camera.aspect = aspect;
+          camera.updateProjectionMatrix();
+        };
+      },
+      renderFrame(time) {
+        advance(time);
+        return gl.domElement;
+      },
+    };
+    return () => {
+      recorderRef.current = null;
+    };
+  }, [gl, camera, advance, recorderRef]);
+  return null;
+}
+
 /* ------------------------------ App Shell ----------------------------- */
 
 export default function AwgSimulator() {
+  // Idioma y unidades de la interfaz (?lang=&units= en la URL, recordados en localStorage)
+  const { i18n, setLocale, setUnits } = useLocalePreferences();
+  const { t, number, format } = i18n;
+
+  // Máquina mostrada: etapas del recorrido, componentes, emisores y callouts (data/machines),
+  // con los textos en el idioma elegido
+  const [sourceMachine, setMachine] = useState(DEFAULT_MACHINE);
+  const machine = useMemo(() => localizeMachine(sourceMachine, i18n.locale), [sourceMachine, i18n.locale]);
+  const stages = machine.stages;
   const [stepIndex, setStepIndex] = useState(0);
-  const step = STEPS[stepIndex].key;
-
-  const { fluidFlow, tempCondensation } = useControls({
-    fluidFlow: { value: 0.62, min: 0, max: 1, step: 0.01, label: "FLUID FLOW" },
-    tempCondensation: {
-      value: 0.58,
-      min: 0,
-      max: 1,
-      step: 0.01,
-      label: "TEMP. CONDENSACIÓN",
-    },
+  const stage = stages[stepIndex];
+  const step = stage.key;
+  const { technology } = machine;
+  const treatment = useMemo(() => treatmentStages(sourceMachine), [sourceMachine]);
+
+  // Los sliders trabajan en unidades del motor; al cambiar de idioma Leva sólo renueva las etiquetas
+  const [{ ambientTemp, relativeHumidity, altitude, airflow, coilTemp }, setAmbientControls] = useControls(
+    () => ({
+      ambientTemp: { value: 30, min: 0, max: 50, step: 0.5, label: t("leva.ambientTemp") },
+      relativeHumidity: { value: 70, min: 5, max: 100, step: 1, label: t("leva.relativeHumidity") },
+      altitude: { value: 0, min: 0, max: 4500, step: 50, label: t("leva.altitude") },
+      airflow: {
+        value: 600,
+        min: AIRFLOW_RANGE[0],
+        max: AIRFLOW_RANGE[1],
+        step: 10,
+        label: t("leva.airflow"),
+      },
+      coilTemp: { value: 8, min: -5, max: 25, step: 0.5, label: t("leva.coilTemp") },
+    }),
+    [i18n]
+  );
+
+  // Clima: sliders manuales o un perfil horario reproducido sobre el reloj de simulación
+  const [climateId, setClimateId] = useState("manual");
+  const [customClimate, setCustomClimate] = useState(null);
+  const sampleClimate = SAMPLE_CLIMATES.find((c) => c.id === climateId);
+  const climate = climateId === "custom" ? customClimate : sampleClimate?.profile || null;
+  const climateName = sampleClimate ? climateLabel(i18n, sampleClimate) : climate?.name;
+
+  const [{ dirtyCapacity, cleanCapacity, demandLph }, setTankControls] = useControls(
+    t("leva.folders.tanks"),
+    () => ({
+      dirtyCapacity: { value: TANK_DEFAULTS.dirtyCapacity, min: 5, max: 200, step: 1, label: t("leva.dirtyCapacity") },
+      cleanCapacity: { value: TANK_DEFAULTS.cleanCapacity, min: 5, max: 200, step: 1, label: t("leva.cleanCapacity") },
+      demandLph: { value: 3, min: 0, max: 30, step: 0.5, label: t("leva.demandLph") },
+    }),
+    [i18n]
+  );
+
+  const [setpoints, setControllerControls] = useControls(
+    t("leva.folders.controller"),
+    () => ({
+      minRh: { value: DEFAULT_SETPOINTS.minRh, min: 0, max: 90, step: 1, label: t("leva.minRh") },
+      defrostThreshold: {
+        value: DEFAULT_SETPOINTS.defrostThreshold,
+        min: -10,
+        max: 10,
+        step: 0.5,
+        label: t("leva.defrostThreshold"),
+      },
+      defrostDuration: {
+        value: DEFAULT_SETPOINTS.defrostDuration,
+        min: 1,
+        max: 60,
+        step: 1,
+        label: t("leva.defrostDuration"),
+      },
+      tankFullCutoff: {
+        value: DEFAULT_SETPOINTS.tankFullCutoff,
+        min: 0.5,
+        max: 1,
+        step: 0.01,
+        label: t("leva.tankFullCutoff"),
+      },
+      uvInterlock: { value: DEFAULT_SETPOINTS.uvInterlock, label: t("leva.uvInterlock") },
+      sanitizeInterval: {
+        value: DEFAULT_SETPOINTS.sanitizeInterval,
+        min: 1,
+        max: 168,
+        step: 1,
+        label: t("leva.sanitizeInterval"),
+      },
+    }),
+    [i18n]
+  );
+  // Rueda desecante: sólo la usan las máquinas con `technology: "desiccant"`
+  const [desiccant, setDesiccantControls] = useControls(
+    t("leva.folders.desiccant"),
+    () => ({
+      media: {
+        value: DESICCANT_DEFAULTS.media,
+        options: Object.fromEntries(Object.keys(DESICCANT_MEDIA).map((id) => [mediaLabel(i18n, id), id])),
+        label: t("leva.media"),
+      },
+      regenTemp: { value: DESICCANT_DEFAULTS.regenTemp, min: 60, max: 160, step: 5, label: t("leva.regenTemp") },
+      minRh: { value: DESICCANT_DEFAULTS.minRh, min: 0, max: 60, step: 1, label: t("leva.desiccantMinRh") },
+    }),
+    { collapsed: true },
+    [i18n]
+  );
+
+  // Calidad gráfica: en "Automática" el PerformanceMonitor ajusta el factor según los fps medidos
+  const [{ qualityMode }, setQualityControls] = useControls(
+    t("leva.folders.performance"),
+    () => ({
+      qualityMode: {
+        value: "auto",
+        options: Object.fromEntries(QUALITY_MODES.map((id) => [t(`qualityModes.${id}`), id])),
+        label: t("leva.qualityMode"),
+      },
+    }),
+    { collapsed: true },
+    [i18n]
+  );
+  const [qualityFactor, setQualityFactor] = useState(1);
+
+  // Producción estimada del perfil de clima y comparación de tecnologías con los mismos parámetros
+  const steadyParams = { altitude, airflow, coilTemp, setpoints, desiccant };
+  const steadyDeps = [altitude, airflow, coilTemp, setpoints.minRh, desiccant.media, desiccant.regenTemp, desiccant.minRh];
+  const climateSummary = useMemo(
+    () =>
+      climate &&
+      summarizeProduction(
+        climate,
+        (r) =>
+          steadyState(technology, { ...steadyParams, ambientTemp: r.temp, relativeHumidity: r.rh }).litersPerHour
+      ),
+    [climate, technology, ...steadyDeps]
+  );
+  const comparison = useMemo(
+    () => compareTechnologies({ ...steadyParams, ambientTemp, relativeHumidity }, climate),
+    [climate, ambientTemp, relativeHumidity, ...steadyDeps]
+  );
+
+  // Límites de potabilidad para la hoja de laboratorio
+  const [limits, setLimitControls] = useControls(
+    t("leva.folders.limits"),
+    () => ({
+      turbidityMax: {
+        value: DRINKING_LIMITS.turbidity.max,
+        min: 0.1,
+        max: 5,
+        step: 0.1,
+        label: t("leva.turbidityMax"),
+      },
+      vocMax: { value: DRINKING_LIMITS.voc.max, min: 0.01, max: 1, step: 0.01, label: t("leva.vocMax") },
+      microbesMax: { value: DRINKING_LIMITS.microbes.max, min: 0, max: 100, step: 1, label: t("leva.microbesMax") },
+      tdsRange: {
+        value: [DRINKING_LIMITS.tds.min, DRINKING_LIMITS.tds.max],
+        min: 0,
+        max: 1000,
+        step: 10,
+        label: t("leva.tdsRange"),
+      },
+      phRange: {
+        value: [DRINKING_LIMITS.ph.min, DRINKING_LIMITS.ph.max],
+        min: 5,
+        max: 10,
+        step: 0.1,
+        label: t("leva.phRange"),
+      },
+    }),
+    [i18n]
+  );
+  // El título de cada carpeta forma la ruta de sus controles en Leva: al cambiar de idioma las
+  // carpetas se recrean con los valores iniciales, así que se les devuelven los que tenían
+  const levaValues = useRef(null);
+  useEffect(() => {
+    const previous = levaValues.current;
+    levaValues.current = {
+      locale: i18n.locale,
+      tanks: { dirtyCapacity, cleanCapacity, demandLph },
+      setpoints,
+      desiccant,
+      quality: { qualityMode },
+      limits,
+    };
+    if (!previous || previous.locale === i18n.locale) return;
+    setTankControls(previous.tanks);
+    setControllerControls(previous.setpoints);
+    setDesiccantControls(previous.desiccant);
+    setQualityControls(previous.quality);
+    setLimitControls(previous.limits);
   });
+  const drinkingLimits = {
+    turbidity: { max: limits.turbidityMax },
+    voc: { max: limits.vocMax },
+    microbes: { max: limits.microbesMax },
+    tds: { min: limits.tdsRange[0], max: limits.tdsRange[1] },
+    ph: { min: limits.phRange[0], max: limits.phRange[1] },
+  };
+
+  const { sim, engine, playing, setPlaying, speed, setSpeed } = useSimulation({
+    ambientTemp,
+    relativeHumidity,
+    altitude,
+    airflow,
+    coilTemp,
+    demandLph,
+    technology,
+    desiccant,
+    treatment,
+    tank: { dirtyCapacity, cleanCapacity },
+    setpoints,
+    limits: drinkingLimits,
+    climate,
+  });
+  const { tanks } = sim;
+  const tankOpts = tankOptions({ tank: { dirtyCapacity, cleanCapacity } });
+  const flags = tankFlags(tanks, tankOpts);
+  const {
+    ambient,
+    effects,
+    outputs,
+    sensors,
+    psychro,
+    energy,
+    maintenance,
+    alerts,
+    alarms,
+    quality,
+    qualityViolations,
+    airflowFactor,
+  } = sim.op;
+  const energyKwh = sim.energyKwh;
+  const telemetry = useTelemetry(sim);
+
+  // Valores normalizados que consume la escena
+  const fluidFlow = clamp01((airflow - AIRFLOW_RANGE[0]) / (AIRFLOW_RANGE[1] - AIRFLOW_RANGE[0]));
+  const tempCondensation = clamp01(psychro.litersPerHour / YIELD_REF_LPH);
+
+  // Hora dentro del perfil reproducido, para la línea de tiempo
+  const climateHours = climate ? climate.records.length : 0;
+  const climateHour = climate ? (sim.time / 3600) % climateHours : 0;
+  const scrubClimate = (hour) => {
+    const loopStart = Math.floor(sim.time / 3600 / climateHours) * climateHours;
+    engine.seek((loopStart + hour) * 3600);
+  };
 
   const [autoPlay, setAutoPlay] = useState(false);
+
+  // Región viva: al cambiar de paso (o de idioma) el lector anuncia la etapa y el estado actual,
+  // leído del último render para no repetir el anuncio con cada tick del motor
+  const [announcement, setAnnouncement] = useState("");
+  const simRef = useRef(sim);
+  simRef.current = sim;
+  useEffect(() => {
+    setAnnouncement(describeStep(i18n, { machine, specs: COMPONENT_SPECS, index: stepIndex, sim: simRef.current }));
+  }, [machine, stepIndex]);
+
+  // Recorrido guiado: la cámara sigue al paso hasta que el usuario toma el control
+  const [followCamera, setFollowCamera] = useState(true);
+  const [resumeAutoPlay, setResumeAutoPlay] = useState(false);
+  const takeOverCamera = () => {
+    if (!followCamera) return;
+    setFollowCamera(false);
+    setResumeAutoPlay(autoPlay);
+    setAutoPlay(false);
+  };
+  const resumeTour = () => {
+    setFollowCamera(true);
+    if (resumeAutoPlay) setAutoPlay(true);
+  };
+  const toggleAutoPlay = () => {
+    if (!autoPlay) setFollowCamera(true);
+    setAutoPlay((v) => !v);
+    setAnnouncement(t(autoPlay ? "a11y.demoOff" : "a11y.demoOn"));
+  };
+
+  // Vista explosionada y corte: las piezas se separan siguiendo el recorrido y la cámara del paso
+  // se corre con las piezas resaltadas
+  const [exploded, setExploded] = useState(false);
+  const [cutaway, setCutaway] = useState(false);
+  const offsets = useMemo(() => explodedOffsets(machine), [machine]);
+  const tourPose = useMemo(() => {
+    if (!exploded) return stage.camera;
+    const shift = explodedStageOffset(machine, offsets, stage.key);
+    const move = (v) => v.map((x, i) => x + shift[i]);
+    return { position: move(stage.camera.position), target: move(stage.camera.target) };
+  }, [exploded, machine, offsets, stage]);
+  const toggleExploded = () => {
+    setExploded((v) => !v);
+    setAnnouncement(t(exploded ? "view.explodedOff" : "view.explodedOn"));
+  };
+  const toggleCutaway = () => {
+    setCutaway((v) => !v);
+    setAnnouncement(t(cutaway ? "view.cutOff" : "view.cutOn"));
+  };
+
+  // Cada paso dura lo que indica su etapa (`duration` en la definición de la máquina)
   useEffect(() => {
     if (!autoPlay) return;
-    const id = setInterval(() => {
-      setStepIndex((i) => (i + 1) % STEPS.length);
-    }, 3200);
-    return () => clearInterval(id);
-  }, [autoPlay]);
+    const id = setTimeout(() => {
+      setStepIndex((i) => (i + 1) % stages.length);
+    }, stage.duration * 1000);
+    return () => clearTimeout(id);
+  }, [autoPlay, stepIndex, stages.length, stage.duration]);
+
+  // Escenario compartible: la cámara se lee de OrbitControls al guardar y se aplica vía CameraPose
+  const controlsRef = useRef();
+  const [cameraPose, setCameraPose] = useState(null);
+
+  const getScenario = () => {
+    const controls = controlsRef.current;
+    return {
+      v: SCENARIO_VERSION,
+      machineId: machine.id,
+      step: stepIndex,
+      autoPlay,
+      playing,
+      speed,
+      climateId,
+      params: {
+        ambientTemp,
+        relativeHumidity,
+        altitude,
+        airflow,
+        coilTemp,
+        demandLph,
+        tank: { dirtyCapacity, cleanCapacity },
+        setpoints: { ...DEFAULT_SETPOINTS, ...setpoints },
+        desiccant,
+        limits,
+      },
+      camera: controls
+        ? { position: controls.object.position.toArray(), target: controls.target.toArray() }
+        : DEFAULT_SCENARIO.camera,
+      ...(climateId === "custom" && customClimate && { customClimate }),
+    };
+  };
+
+  const applyScenario = (s) => {
+    const { params } = s;
+    // Leva sólo acepta claves que existen en su esquema
+    const pick = (values, keys) => Object.fromEntries(Object.keys(keys).map((k) => [k, values[k]]));
+    setAmbientControls({
+      ambientTemp: params.ambientTemp,
+      relativeHumidity: params.relativeHumidity,
+      altitude: params.altitude,
+      airflow: params.airflow,
+      coilTemp: params.coilTemp,
+    });
+    setTankControls({ ...params.tank, demandLph: params.demandLph });
+    setControllerControls(pick(params.setpoints, setpoints));
+    setDesiccantControls(params.desiccant);
+    setLimitControls(params.limits);
+
+    if (s.customClimate) setCustomClimate(s.customClimate);
+    const knownClimate = s.climateId === "manual" || s.customClimate || SAMPLE_CLIMATES.some((c) => c.id === s.climateId);
+    setClimateId(knownClimate ? s.climateId : "manual");
+
+    // Una definición cargada desde archivo sólo se conserva si es la que ya está en pantalla
+    const nextMachine =
+      MACHINES.find((m) => m.id === s.machineId) || (s.machineId === machine.id ? sourceMachine : DEFAULT_MACHINE);
+    setMachine(nextMachine);
+    setStepIndex(Math.max(0, Math.min(nextMachine.stages.length - 1, Math.round(s.step))));
+    setAutoPlay(s.autoPlay);
+    setPlaying(s.playing);
+    if (SIM_SPEEDS.includes(s.speed)) setSpeed(s.speed);
+    // La pose guardada manda sobre el vuelo del recorrido
+    setFollowCamera(false);
+    setResumeAutoPlay(s.autoPlay);
+    setCameraPose(s.camera);
+  };
+  const linkError = useScenarioHash(applyScenario);
+
+  // Modelo 3D: GLB incluido o soltado sobre la escena; la maqueta queda como respaldo
+  const [modelSource, setModelSource] = useState(BUNDLED_MODEL);
+  const modelName = modelSource?.bundled ? t("model.bundled") : modelSource?.name;
+  const [modelStatus, setModelStatus] = useState(null);
+  const loadModelFile = (file) => {
+    if (!/\.glb$/i.test(file.name)) {
+      setModelStatus({ error: t("model.glbOnly", { file: file.name }) });
+      return;
+    }
+    setModelSource({ url: URL.createObjectURL(file), name: file.name, local: true });
+    setModelStatus(null);
+  };
+  useEffect(() => {
+    if (!modelSource?.local) return;
+    return () => URL.revokeObjectURL(modelSource.url);
+  }, [modelSource]);
+
+  // Inspección: clic en una pieza abre su ficha y salta al paso donde participa
+  const [selectedPart, setSelectedPart] = useState(null);
+  const pickPart = (id) => {
+    setSelectedPart(id);
+    const index = stageIndexForComponent(machine, id);
+    if (index >= 0) setStepIndex(index);
+  };
+
+  // Dimensionamiento del sitio: la configuración aplicada se refleja en tanques, demanda y clima
+  const [showSizing, setShowSizing] = useState(false);
+  const [siteConfig, setSiteConfig] = useState(null);
+  const applySizing = ({ units, storageL, demandLpd: siteDemand, climateId: siteClimate, ambient: design }) => {
+    const perUnitL = Math.min(200, Math.max(5, Math.ceil(storageL / units)));
+    setTankControls({ cleanCapacity: perUnitL, demandLph: siteDemand / units / 24 });
+    if (siteClimate === "manual") {
+      setAmbientControls({ ambientTemp: Math.round(design.temp * 2) / 2, relativeHumidity: Math.round(design.rh) });
+    }
+    setClimateId(siteClimate);
+    setSiteConfig({ units, storageL, perUnitL, demandLpd: siteDemand });
+  };
+
+  const selectMachine = (next) => {
+    setMachine(next);
+    setStepIndex(0);
+    setSelectedPart(null);
+  };
+  const selectedSpec = machine.components.find((c) => c.id === selectedPart)?.spec ?? selectedPart;
+
+  // Kiosco: sin interacción durante `idleSeconds` vuelve al bucle de atracción (recorrido desde
+  // el primer paso); el primer toque lo detiene y deja explorar
+  const { kiosk, idle, enter: enterKiosk, exit: exitKiosk, fullscreen } = useKiosk();
+  useEffect(() => {
+    if (!kiosk) return;
+    if (idle) {
+      setSelectedPart(null);
+      setStepIndex(0);
+      setFollowCamera(true);
+      setAutoPlay(true);
+    } else {
+      setAutoPlay(false);
+    }
+  }, [kiosk, idle]);
+
+  // Informe: captura del lienzo y estado del motor en el momento del clic
+  const captureRef = useRef(null);
+  const getReport = () =>
+    collectReport({
+      machine,
+      params: engine.getParams(),
+      sim: engine.getSnapshot(),
+      climateName,
+      site: siteConfig,
+      i18n,
+    });
 
-  return (
-    <div style={{ height: "100vh", width: "100%", background: "#eaf2ff", position: "relative" }}>
-      <Leva collapsed />
+  // Video del recorrido: la escena y el motor avanzan cuadro a cuadro con paso fijo (tourVideo.js)
+  const recorderRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+  // prefers-reduced-motion calma la escena en pantalla; el video grabado conserva la animación completa
+  const reducedMotion = useReducedMotion();
+  const motion = reducedMotion && !recording ? REDUCED_MOTION : FULL_MOTION;
+  // La grabación siempre va en calidad alta: sus cuadros no dependen de los fps en pantalla
+  const graphics = renderQuality(recording ? "high" : qualityMode, qualityFactor, window.devicePixelRatio);
+  const recordTourVideo = async ({ width, height, fps }, onProgress, signal) => {
+    if (!recorderRef.current) throw new Error(t("app.recorderUnavailable"));
+    const wasPlaying = playing;
+    flushSync(() => {
+      setRecording(true);
+      setPlaying(false);
+      setAutoPlay(false);
+      setFollowCamera(true);
+      setSelectedPart(null);
+      setCameraPose({ ...stages[0].camera });
+    });
+    try {
+      return await recordTour({
+        captions: stages.map((s, i) => ({
+          heading: `${i + 1}/${stages.length} · ${s.title.toUpperCase()}`,
+          narration: s.caption,
+        })),
+        width,
+        height,
+        fps,
+        stepSeconds: stages.map((s) => s.duration),
+        simSpeed: speed,
+        scene: {
+          prepare: recorderRef.current.prepare,
+          renderFrame: recorderRef.current.renderFrame,
+          setStage: (i) => flushSync(() => setStepIndex(i)),
+          stepSim: (dt) => flushSync(() => engine.step(dt)),
+        },
+        onProgress,
+        signal,
+      });
+    } finally {
+      setRecording(false);
+      setPlaying(wasPlaying);
+    }
+  };
+
+  // Teclado: pasos, demo y modo texto; durante la grabación el recorrido no se toca
+  const [showDescription, setShowDescription] = useState(false);
+  useKeyboardShortcuts(
+    recording
+      ? {}
+      : {
+          next: () => setStepIndex((i) => Math.min(stages.length - 1, i + 1)),
+          previous: () => setStepIndex((i) => Math.max(0, i - 1)),
+          first: () => setStepIndex(0),
+          last: () => setStepIndex(stages.length - 1),
+          step: ({ index }) => index < stages.length && setStepIndex(index),
+          autoplay: toggleAutoPlay,
+          explode: toggleExploded,
+          cutaway: toggleCutaway,
+          description: () => setShowDescription((v) => !v),
+          close: () => {
+            if (selectedPart) setSelectedPart(null);
+            else if (showDescription) setShowDescription(false);
+            else return false;
+          },
+        }
+  );
 
-      {/* TOP LEFT HEADER */}
+  const sceneProps = {
+    machine,
+    step,
+    fluidFlow,
+    tempCondensation,
+    yieldLph: psychro.litersPerHour,
+    levels: {
+      dirty: tanks.dirty / tankOpts.dirtyCapacity,
+      clean: tanks.clean / tankOpts.cleanCapacity,
+      cup: tanks.cup / tankOpts.cupCapacity,
+      dispensing: tanks.dispensing,
+    },
+    maintenance,
+    alerts,
+    onReplace: engine.replace,
+    effects,
+    airflowFactor,
+    controllerState: sim.controller.state,
+    outputs,
+    selectedPart,
+    onPick: pickPart,
+    siteUnits: siteConfig?.units,
+    particleQuality: graphics.particles,
+    motion,
+    exploded: exploded ? offsets : null,
+    cutaway,
+    i18n,
+  };
+
+  return (
+    <I18nContext.Provider value={i18n}>
       <div
-        style={{
-          position: "absolute",
-          left: 18,
-          top: 18,
-          zIndex: 10,
-          background: "rgba(255,255,255,0.74)",
-          borderRadius: 16,
-          padding: "10px 12px",
-          backdropFilter: "blur(10px)",
-          fontFamily: "Inter, system-ui, Arial",
-          boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
+        style={{ height: "100vh", width: "100%", background: "#eaf2ff", position: "relative" }}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={(e) => {
+          e.preventDefault();
+          const file = e.dataTransfer.files?.[0];
+          if (file) loadModelFile(file);
         }}
       >
-        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.3 }}>
-          GENERADOR AWG INTERACTIVO
+        <Leva collapsed hidden={!!kiosk} />
+        <div role="status" aria-live="polite" style={VISUALLY_HIDDEN}>
+          {announcement}
         </div>
-        <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>
-          Paso Actual: {STEPS[stepIndex].title}
-        </div>
-      </div>
 
-      {/* BOTTOM LEFT CONTROLS */}
-      <div
-        style={{
-          position: "absolute",
-          left: 18,
-          bottom: 18,
-          zIndex: 10,
-          display: "flex",
-          flexDirection: "column",
-          gap: 12,
-        }}
-      >
+        {/* TOP LEFT HEADER */}
         <div
           style={{
-            background: "rgba(255,255,255,0.62)",
+            position: "absolute",
+            left: 18,
+            top: 18,
+            zIndex: 10,
+            background: "rgba(255,255,255,0.74)",
             borderRadius: 16,
             padding: "10px 12px",
             backdropFilter: "blur(10px)",
-            boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
             fontFamily: "Inter, system-ui, Arial",
-            width: 340,
+            boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
           }}
         >
-          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-            <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>CONTROLES</div>
-            <div style={{ fontSize: 12, opacity: 0.7 }}>
-              Flow {fluidFlow.toFixed(2)} · Cond {tempCondensation.toFixed(2)}
+          <div style={{ display: "flex", gap: 8, alignItems: "center", justifyContent: "space-between" }}>
+            <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.3 }}>{t("app.title")}</div>
+            <div style={{ display: "flex", gap: 4 }}>
+              <select
+                value={i18n.locale}
+                onChange={(e) => setLocale(e.target.value)}
+                aria-label={t("app.language")}
+                style={{ fontSize: kiosk ? 14 : 10 }}
+              >
+                {Object.entries(LOCALES).map(([id, name]) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={i18n.units}
+                onChange={(e) => setUnits(e.target.value)}
+                aria-label={t("app.units")}
+                style={{ fontSize: kiosk ? 14 : 10 }}
+              >
+                {Object.entries(UNIT_SYSTEMS).map(([id, name]) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
             </div>
           </div>
-          <div style={{ fontSize: 11, opacity: 0.7, marginTop: 6 }}>
-            Ajusta sliders en el panel (Leva) o navega los pasos.
+          <div style={{ fontSize: 12, opacity: 0.75, marginTop: 4 }}>
+            {t("app.currentStep", { machine: machine.name, step: stage.title })}
           </div>
+          {!kiosk && (
+            <>
+              <ScenarioPanel getScenario={getScenario} onLoad={applyScenario} linkError={linkError} />
+              <MachinePanel machines={MACHINES} machine={sourceMachine} onSelect={selectMachine} />
+              <ModelPanel
+                source={modelSource}
+                status={modelStatus}
+                onFile={loadModelFile}
+                onReset={() => {
+                  setModelSource(null);
+                  setModelStatus(null);
+                }}
+              />
+              <ReportPanel getReport={getReport} capture={() => captureRef.current?.() ?? null} />
+              <RecorderPanel onRecord={recordTourVideo} recording={recording} />
+              <div style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 8, fontSize: 11 }}>
+                <button
+                  onClick={() => setShowSizing((v) => !v)}
+                  style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}
+                >
+                  {t("app.sizeSite")}
+                </button>
+                <button onClick={enterKiosk} style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}>
+                  {t("app.kiosk")}
+                </button>
+                <button
+                  onClick={() => setShowDescription((v) => !v)}
+                  aria-pressed={showDescription}
+                  style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}
+                >
+                  {t("a11y.textMode")}
+                </button>
+                {siteConfig && (
+                  <>
+                    <span style={{ opacity: 0.8 }}>
+                      {t("app.site", {
+                        units: siteConfig.units,
+                        machine: machine.name,
+                        demand: i18n.format(siteConfig.demandLpd, "L/d"),
+                        storage: i18n.format(siteConfig.storageL, "L"),
+                        perUnit: i18n.format(siteConfig.perUnitL, "L"),
+                      })}
+                    </span>
+                    <button
+                      onClick={() => setSiteConfig(null)}
+                      aria-label={t("app.removeSite")}
+                      style={{ fontSize: 10, cursor: "pointer" }}
+                    >
+                      ✕
+                    </button>
+                  </>
+                )}
+              </div>
+              {alerts.map((a) => (
+                <div
+                  key={a.id}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: 8,
+                    marginTop: 6,
+                    fontSize: 11,
+                    fontWeight: 700,
+                    color: a.level === "critical" ? "#dc2626" : "#b45309",
+                  }}
+                >
+                  <span style={{ flex: 1 }}>⚠ {alertMessage(i18n, a)}</span>
+                  {a.id !== "flow" && (
+                    <button
+                      onClick={() => engine.replace(a.id)}
+                      style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}
+                    >
+                      {t("common.replace")}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
         </div>
 
-        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-          <UiButton onClick={() => setStepIndex((i) => Math.max(0, i - 1))} disabled={stepIndex === 0}>
-            ◀ Anterior
-          </UiButton>
-          <UiButton
-            onClick={() => setStepIndex((i) => Math.min(STEPS.length - 1, i + 1))}
-            disabled={stepIndex === STEPS.length - 1}
-          >
-            Siguiente ▶
-          </UiButton>
-          <UiButton onClick={() => setStepIndex(0)}>Reiniciar</UiButton>
-        </div>
+        {/* TOP CENTER: FALLAS Y ALARMAS */}
+        {!kiosk && (
+          <div style={{ position: "absolute", left: "50%", top: 18, transform: "translateX(-50%)", zIndex: 10 }}>
+            <AlarmPanel
+              faults={FAULTS}
+              scenarios={FAULT_SCENARIOS}
+              alarms={alarms}
+              script={sim.faults.script}
+              time={sim.time}
+              actions={engine}
+            />
+            {showSizing && (
+              <div style={{ marginTop: 12 }}>
+                <SizingPanel
+                  samples={SAMPLE_CLIMATES}
+                  customProfile={customClimate}
+                  unit={{ technology, ...steadyParams }}
+                  machineName={machine.name}
+                  live={siteConfig && { litersPerHour: psychro.litersPerHour }}
+                  onApply={applySizing}
+                  onClose={() => setShowSizing(false)}
+                />
+              </div>
+            )}
+          </div>
+        )}
 
-        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-          <UiButton onClick={() => setAutoPlay((v) => !v)}>{autoPlay ? "⏸ Pausar Demo" : "▶ Demo Auto"}</UiButton>
-          <StepDots stepIndex={stepIndex} setStepIndex={setStepIndex} />
+        {/* RIGHT: FICHA DE COMPONENTE + CONTROLADOR (bajo el panel Leva; en el kiosco, sus botones) */}
+        <div
+          style={{
+            position: "absolute",
+            right: 18,
+            top: kiosk ? 18 : 64,
+            zIndex: 10,
+            display: "flex",
+            flexDirection: "column",
+            alignItems: "flex-end",
+            gap: 12,
+          }}
+        >
+          {kiosk && (
+            <div style={{ display: "flex", gap: 10 }}>
+              <UiButton large onClick={fullscreen}>
+                {t("kiosk.fullscreen")}
+              </UiButton>
+              <UiButton large onClick={exitKiosk}>
+                {t("kiosk.exit")}
+              </UiButton>
+            </div>
+          )}
+          {showDescription && (
+            <DescriptionPanel
+              description={describeProcess(i18n, { machine, specs: COMPONENT_SPECS, sim, tankOpts })}
+              stepIndex={stepIndex}
+              onSelectStep={setStepIndex}
+              reducedMotion={reducedMotion}
+              onClose={() => setShowDescription(false)}
+            />
+          )}
+          {selectedPart && (
+            <InspectorPanel
+              id={selectedSpec}
+              sim={sim}
+              airflow={airflow}
+              tankOpts={tankOpts}
+              onClose={() => setSelectedPart(null)}
+            />
+          )}
+          {!kiosk && (
+            <>
+              <ControllerPanel
+                controller={sim.controller}
+                outputs={outputs}
+                sensors={sensors}
+                time={sim.time}
+                technology={technology}
+              />
+              <TechnologyPanel comparison={comparison} technology={technology} climateName={climateName} />
+            </>
+          )}
         </div>
-      </div>
 
-      <Canvas camera={{ position: [5.2, 1.8, 5.2], fov: 33 }}>
-        <ambientLight intensity={0.7} />
-        <directionalLight position={[6, 7, 4]} intensity={1.25} />
-        <Environment preset="warehouse" />
+        {/* BOTTOM LEFT CONTROLS */}
+        <div
+          style={{
+            position: "absolute",
+            left: 18,
+            bottom: 18,
+            zIndex: 10,
+            display: "flex",
+            flexDirection: "column",
+            gap: 12,
+          }}
+        >
+          {!kiosk && (
+            <>
+              <TelemetryPanel history={telemetry.history} onClear={telemetry.clear} />
+              <div
+                style={{
+                  background: "rgba(255,255,255,0.62)",
+                  borderRadius: 16,
+                  padding: "10px 12px",
+                  backdropFilter: "blur(10px)",
+                  boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
+                  fontFamily: "Inter, system-ui, Arial",
+                  width: 340,
+                }}
+              >
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                  <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("controls.title")}</div>
+                  <div style={{ fontSize: 12, opacity: 0.7 }}>
+                    {t("controls.normalized", { flow: number(fluidFlow, 2), cond: number(tempCondensation, 2) })}
+                  </div>
+                </div>
+                <div style={{ fontSize: 11, marginTop: 6 }}>
+                  {t("controls.dew", {
+                    dew: format(psychro.dewPoint, "°C", 1),
+                    win: number(psychro.humidityRatioIn * 1000, 1),
+                    wout: number(psychro.humidityRatioOut * 1000, 1),
+                  })}{" "}
+                  <b>{format(psychro.litersPerHour, "L/h", 2)}</b>
+                  {!psychro.condensing &&
+                    t(technology === "desiccant" ? "controls.wheelIdle" : "controls.coilAboveDew")}
+                </div>
+                {technology === "desiccant" && (
+                  <div style={{ fontSize: 10, opacity: 0.7, marginTop: 2 }}>
+                    {t("controls.wheel", {
+                      media: mediaLabel(i18n, desiccant.media),
+                      capture: Math.round(psychro.captureFraction * 100),
+                      dew: format(psychro.regenDewPoint, "°C", 1),
+                      condenser: format(psychro.condenserTemp, "°C", 1),
+                    })}
+                  </div>
+                )}
+                <div style={{ fontSize: 11, marginTop: 6 }}>
+                  ⚡ <b>{formatWatts(i18n, energy.watts.total)}</b> ·{" "}
+                  {energy.cop !== null
+                    ? t("controls.cop", { cop: number(energy.cop, 2) })
+                    : t("controls.heater", { watts: formatWatts(i18n, energy.watts.heater) })}{" "}
+                  ·{" "}
+                  {t("controls.perLiter", {
+                    value: number(energy.kwhPerLiter / i18n.convert(1, "L"), 2),
+                    unit: i18n.unit("L"),
+                  })}{" "}
+                  · {number(energyKwh, 3)} kWh
+                </div>
+                <div style={{ fontSize: 10, opacity: 0.7, marginTop: 2 }}>
+                  {t("controls.fan", { watts: formatWatts(i18n, energy.watts.fan) })} ·{" "}
+                  {technology === "desiccant"
+                    ? t("controls.heaterWheel", { watts: formatWatts(i18n, energy.watts.heater + energy.watts.wheel) })
+                    : t("controls.compressor", { watts: formatWatts(i18n, energy.watts.compressor) })}{" "}
+                  ·{" "}
+                  {t("controls.uvPumps", {
+                    uv: formatWatts(i18n, energy.watts.uv),
+                    pumps: formatWatts(i18n, energy.watts.pumps),
+                  })}
+                </div>
+                <div style={{ fontSize: 11, marginTop: 6 }}>
+                  {t("controls.dirty", { level: tankLevel(i18n, tanks.dirty, tankOpts.dirtyCapacity) })}
+                  {flags.dirtyFull ? t("controls.full") : flags.dirtyEmpty ? t("controls.empty") : ""} ·{" "}
+                  {t("controls.clean", { level: tankLevel(i18n, tanks.clean, tankOpts.cleanCapacity) })}
+                  {flags.cleanFull ? t("controls.full") : flags.cleanEmpty ? t("controls.empty") : ""}
+                </div>
+                <div style={{ fontSize: 10, opacity: 0.7, marginTop: 2 }}>
+                  {t("controls.production", {
+                    produced: format(tanks.produced, "L", 1),
+                    dispensed: format(tanks.dispensed, "L", 1),
+                    cups: tanks.cupsServed,
+                    overflow: format(tanks.overflow, "L", 1),
+                  })}
+                  {tanks.leaked > 0 && t("controls.leaked", { leaked: format(tanks.leaked, "L", 1) })}
+                  {tanks.overflowing && <b style={{ color: "#dc2626" }}>{t("controls.overflowing")}</b>}
+                </div>
+                <div style={{ fontSize: 10, opacity: 0.7, marginTop: 2 }}>
+                  {t("controls.quality", {
+                    mode: t(`qualityModes.${qualityMode}`).toLowerCase(),
+                    particles: Math.round(graphics.particles * 100),
+                    dpr: number(graphics.dpr, 2),
+                  })}
+                </div>
+                <div style={{ fontSize: 11, opacity: 0.7, marginTop: 6 }}>{t("controls.hint")}</div>
+              </div>
+            </>
+          )}
+
+          <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <UiButton
+              large={!!kiosk}
+              onClick={() => setStepIndex((i) => Math.max(0, i - 1))}
+              disabled={stepIndex === 0}
+            >
+              {t("nav.previous")}
+            </UiButton>
+            <UiButton
+              large={!!kiosk}
+              onClick={() => setStepIndex((i) => Math.min(stages.length - 1, i + 1))}
+              disabled={stepIndex === stages.length - 1}
+            >
+              {t("nav.next")}
+            </UiButton>
+            <UiButton large={!!kiosk} onClick={() => setStepIndex(0)}>
+              {t("nav.restart")}
+            </UiButton>
+          </div>
 
-        <AwgScene step={step} fluidFlow={fluidFlow} tempCondensation={tempCondensation} />
+          <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <UiButton large={!!kiosk} onClick={toggleExploded}>
+              {t(exploded ? "view.assemble" : "view.explode")}
+            </UiButton>
+            <UiButton large={!!kiosk} onClick={toggleCutaway}>
+              {t(cutaway ? "view.removeCut" : "view.cutaway")}
+            </UiButton>
+          </div>
 
-        <OrbitControls enablePan={false} minDistance={4.0} maxDistance={9.5} />
-      </Canvas>
-    </div>
+          {!kiosk && (
+            <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+              <UiButton onClick={() => setPlaying((v) => !v)}>{playing ? "⏸" : "▶"}</UiButton>
+              {SIM_SPEEDS.map((x) => (
+                <UiButton key={x} onClick={() => setSpeed(x)} disabled={speed === x}>
+                  {x}x
+                </UiButton>
+              ))}
+              <UiButton
+                onClick={engine.dispense}
+                disabled={tanks.dispensing || flags.cleanEmpty || !outputs.dispenseAllowed}
+              >
+                {t("nav.dispense")}
+              </UiButton>
+              <UiButton onClick={engine.reset}>↺</UiButton>
+              <div style={{ fontSize: 12, fontWeight: 800, fontFamily: "Inter, system-ui, Arial" }}>
+                {formatSimTime(sim.time, t("common.day"))}
+              </div>
+            </div>
+          )}
+
+          <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+            <UiButton large={!!kiosk} onClick={toggleAutoPlay}>
+              {t(autoPlay ? "nav.pauseDemo" : "nav.demo")}
+            </UiButton>
+            <StepDots stages={stages} stepIndex={stepIndex} setStepIndex={setStepIndex} large={!!kiosk} />
+          </div>
+        </div>
+
+        {/* BOTTOM CENTER: NARRACIÓN DEL RECORRIDO */}
+        <div
+          style={{
+            ...PANEL_STYLE,
+            position: "absolute",
+            left: "50%",
+            bottom: 18,
+            transform: "translateX(-50%)",
+            zIndex: 10,
+            width: kiosk ? 560 : 380,
+            fontSize: kiosk ? 15 : 12,
+          }}
+        >
+          {kiosk && <div style={{ fontSize: 24, fontWeight: 900, marginBottom: 6 }}>{stage.caption}</div>}
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+            <div style={{ fontWeight: 900, letterSpacing: 0.25 }}>
+              {stepIndex + 1}/{stages.length} · {stage.title.toUpperCase()}
+            </div>
+            {!followCamera && (
+              <button onClick={resumeTour} style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}>
+                {t("nav.resumeTour")}
+              </button>
+            )}
+          </div>
+          <div style={{ marginTop: 4, opacity: 0.8, lineHeight: 1.35 }}>{stage.narration}</div>
+        </div>
+
+        {/* BOTTOM RIGHT: LAB SHEET + CLIMATE */}
+        {!kiosk && (
+          <div
+            style={{
+              position: "absolute",
+              right: 18,
+              bottom: 18,
+              zIndex: 10,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "flex-end",
+              gap: 12,
+            }}
+          >
+            <LabSheetPanel
+              quality={quality}
+              stageTitles={Object.fromEntries(stages.map((s) => [s.key, s.title]))}
+              step={step}
+              limits={drinkingLimits}
+              violations={qualityViolations}
+            />
+            <ClimatePanel
+              samples={SAMPLE_CLIMATES}
+              climateId={climateId}
+              onSelect={setClimateId}
+              customProfile={customClimate}
+              onLoadProfile={(profile) => {
+                setCustomClimate(profile);
+                setClimateId("custom");
+              }}
+              profile={climate}
+              hour={climateHour}
+              onScrub={scrubClimate}
+              ambient={ambient}
+              summary={climateSummary}
+            />
+          </div>
+        )}
+
+        {kiosk && idle && (
+          <div
+            style={{
+              ...PANEL_STYLE,
+              position: "absolute",
+              left: "50%",
+              top: 24,
+              transform: "translateX(-50%)",
+              zIndex: 10,
+              padding: "14px 22px",
+              fontSize: 20,
+              fontWeight: 900,
+              letterSpacing: 0.3,
+              pointerEvents: "none",
+            }}
+          >
+            {t("kiosk.attract")}
+          </div>
+        )}
+
+        <ViewerBoundary>
+          <Canvas
+            camera={{ position: [5.2, 1.8, 5.2], fov: 33 }}
+            frameloop={recording ? "never" : "always"}
+            dpr={graphics.dpr}
+            onPointerMissed={() => setSelectedPart(null)}
+            role="img"
+            aria-label={t("a11y.scene", { machine: machine.name })}
+          >
+            <ambientLight intensity={0.7} />
+            <directionalLight position={[6, 7, 4]} intensity={1.25} />
+            <StudioEnvironment />
+            {qualityMode === "auto" && !recording && (
+              <PerformanceMonitor
+                factor={qualityFactor}
+                bounds={() => ADAPTIVE_QUALITY.bounds}
+                step={ADAPTIVE_QUALITY.step}
+                flipflops={ADAPTIVE_QUALITY.flipflops}
+                onChange={({ factor }) => setQualityFactor(factor)}
+              />
+            )}
+
+            {modelSource ? (
+              <ModelBoundary
+                key={modelSource.url}
+                fallback={<AwgScene {...sceneProps} />}
+                onError={(error) => setModelStatus({ error: `${modelName}: ${errorMessage(i18n, error)}` })}
+              >
+                <Suspense fallback={<AwgScene {...sceneProps} />}>
+                  <GlbScene
+                    url={modelSource.url}
+                    onReady={(model) => setModelStatus({ found: model.found, missing: model.missing })}
+                    {...sceneProps}
+                  />
+                </Suspense>
+              </ModelBoundary>
+            ) : (
+              <AwgScene {...sceneProps} />
+            )}
+
+            <OrbitControls ref={controlsRef} makeDefault enablePan={false} minDistance={4.0} maxDistance={9.5} />
+            <CameraPose pose={cameraPose} />
+            <CameraRig
+              pose={tourPose}
+              follow={followCamera}
+              onTakeover={takeOverCamera}
+              instant={motion.flight === 0}
+            />
+            <SceneCapture captureRef={captureRef} />
+            <TourRecorder recorderRef={recorderRef} />
+          </Canvas>
+        </ViewerBoundary>
+        <AssetStatusPanel />
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,12 @@
+// src/data/climates/index.js
+// Perfiles de ejemplo incluidos en el bundle para funcionar sin conexión.
+import { parseWeatherCsv } from "../../sim/weather.js";
+import humidTropical from "./humid-tropical.csv?raw";
+import arid from "./arid.csv?raw";
+import temperate from "./temperate.csv?raw";
+
+export const SAMPLE_CLIMATES = [
+  { id: "humid-tropical", label: "Trópico húmedo", profile: parseWeatherCsv(humidTropical, "Trópico húmedo") },
+  { id: "arid", label: "Árido", profile: parseWeatherCsv(arid, "Árido") },
+  { id: "temperate", label: "Templado", profile: parseWeatherCsv(temperate, "Templado") },
+];
@@ -0,0 +1,9 @@
+// src/data/machines/index.js
+// Definiciones de máquina incluidas en el bundle; la primera es la máquina por defecto.
+import { normalizeMachine } from "../../machineDefinition.js";
+import standard from "./awg-standard.json";
+import ozoneDualUv from "./awg-ozone-dual-uv.json";
+import desiccant from "./awg-desiccant.json";
+
+export const MACHINES = [standard, ozoneDualUv, desiccant].map(normalizeMachine);
+export const DEFAULT_MACHINE = MACHINES[0];
@@ -0,0 +1,121 @@
+// src/i18n.js
+// Traducciones de la interfaz (es, en, pt) y formato de números y unidades según el idioma y
+// el sistema de unidades elegido. El motor trabaja siempre en SI: la conversión es sólo de
+// presentación.
+import es from "./locales/es.js";
+import en from "./locales/en.js";
+import pt from "./locales/pt.js";
+
+export const LOCALES = { es: "Español", en: "English", pt: "Português" };
+export const DEFAULT_LOCALE = "es";
+const CATALOGS = { es, en, pt };
+
+export const UNIT_SYSTEMS = { metric: "L · °C", imperial: "gal · °F" };
+// Sin elección explícita, el inglés se muestra en galones y °F
+const DEFAULT_UNITS = { es: "metric", en: "imperial", pt: "metric" };
+
+export const LITERS_PER_GALLON = 3.785411784;
+const ML_PER_FL_OZ = 29.5735295625;
+
+// Magnitudes que cambian con el sistema: métrico -> imperial como `v * factor + offset`
+const CONVERSIONS = {
+  L: { imperial: "gal", factor: 1 / LITERS_PER_GALLON },
+  "L/h": { imperial: "gal/h", factor: 1 / LITERS_PER_GALLON },
+  "L/d": { imperial: "gal/d", factor: 1 / LITERS_PER_GALLON },
+  mL: { imperial: "fl oz", factor: 1 / ML_PER_FL_OZ },
+  "°C": { imperial: "°F", factor: 1.8, offset: 32 },
+  // Diferencias de temperatura (oscilación diaria): sin desplazamiento
+  "Δ°C": { imperial: "Δ°F", factor: 1.8 },
+};
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/** `{name}` -> `vars.name`; los marcadores sin valor quedan como están. */
+function fill(template, vars) {
+  return vars ? template.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)) : template;
+}
+
+/** Primer idioma soportado entre los candidatos ("pt-BR" cuenta como "pt"). */
+export function resolveLocale(...candidates) {
+  for (const c of candidates) {
+    const code = typeof c === "string" ? c.toLowerCase().split(/[-_]/)[0] : null;
+    if (code in LOCALES) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/** `?lang=en&units=imperial`; sólo devuelve los valores válidos presentes. */
+export function preferencesFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const lang = params.get("lang")?.toLowerCase();
+  const units = params.get("units");
+  return {
+    ...(lang in LOCALES && { locale: lang }),
+    ...(units in UNIT_SYSTEMS && { units }),
+  };
+}
+
+export function defaultUnits(locale) {
+  return DEFAULT_UNITS[locale] ?? "metric";
+}
+
+/**
+ * Traductor y formateador para un idioma. `t(key, vars)` busca en el catálogo del idioma, luego
+ * en el español y si no devuelve la clave. `label(key, fallback)` es para textos que ya vienen
+ * en español desde los datos (fallas, etapas...): sólo los otros idiomas necesitan la clave.
+ */
+export function createI18n(locale = DEFAULT_LOCALE, units = defaultUnits(locale)) {
+  const catalog = CATALOGS[locale] ?? CATALOGS[DEFAULT_LOCALE];
+  const imperial = units === "imperial";
+  const formatters = new Map();
+
+  const t = (key, vars) => {
+    const value = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+    return typeof value === "string" ? fill(value, vars) : (value ?? key);
+  };
+  const label = (key, fallback, vars) => {
+    const value = lookup(catalog, key);
+    return fill(typeof value === "string" ? value : fallback, vars);
+  };
+
+  const number = (v, digits = 0) => {
+    if (!Number.isFinite(v)) return "—";
+    if (!formatters.has(digits)) {
+      formatters.set(
+        digits,
+        new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits })
+      );
+    }
+    return formatters.get(digits).format(v);
+  };
+
+  const convert = (v, unit) => {
+    const c = imperial && CONVERSIONS[unit];
+    return c ? v * c.factor + (c.offset ?? 0) : v;
+  };
+  const toMetric = (v, unit) => {
+    const c = imperial && CONVERSIONS[unit];
+    return c ? (v - (c.offset ?? 0)) / c.factor : v;
+  };
+  // Nombre a mostrar: "L/d" -> "L/día", "Δ°C" -> "°C"
+  const unit = (u) => {
+    const shown = (imperial && CONVERSIONS[u]?.imperial) || u;
+    return catalog.units?.[shown] ?? shown.replace("Δ", "");
+  };
+
+  return {
+    locale,
+    units,
+    t,
+    label,
+    number,
+    convert,
+    toMetric,
+    unit,
+    /** Valor en SI -> texto en las unidades elegidas: `format(12, "L/h", 1)` -> "3,2 gal/h". */
+    format: (v, u, digits = 0) => `${number(convert(v, u), digits)} ${unit(u)}`,
+    months: t("months"),
+  };
+}
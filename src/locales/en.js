@@ -0,0 +1,578 @@
+// src/locales/en.js
+// English catalog. Same shape as es.js plus `sim`, the engine texts that es.js takes from the data.
+
+export default {
+  months: ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"],
+  units: { "L/d": "L/day", "gal/d": "gal/day" },
+
+  common: {
+    close: "Close",
+    hide: "Hide",
+    show: "Show",
+    remove: "Remove",
+    cancel: "Cancel",
+    replace: "Replace",
+    gotIt: "Got it",
+    day: "Day",
+  },
+
+  app: {
+    title: "INTERACTIVE AWG GENERATOR",
+    currentStep: "{machine} · Current Step: {step}",
+    sizeSite: "📐 Size a site",
+    site: "{units} × {machine} · {demand} · storage {storage} ({perUnit} each)",
+    removeSite: "Remove site configuration",
+    kiosk: "🖥 Kiosk",
+    language: "Language",
+    units: "Units",
+    recorderUnavailable: "The 3D viewer is not available for recording",
+  },
+
+  controls: {
+    title: "CONTROLS",
+    normalized: "Flow {flow} · Cond {cond}",
+    dew: "Dew {dew} · W {win}→{wout} g/kg ·",
+    wheelIdle: " (wheel not regenerating)",
+    coilAboveDew: " (coil above dew point)",
+    wheel: "Wheel {media} · capture {capture}% · loop dew point {dew} · condenser {condenser}",
+    cop: "COP {cop}",
+    heater: "Heater {watts}",
+    perLiter: "{value} kWh/{unit}",
+    fan: "Fan {watts}",
+    heaterWheel: "Heater + wheel {watts}",
+    compressor: "Compressor {watts}",
+    uvPumps: "UV {uv} · Pumps {pumps}",
+    dirty: "💧 Raw {level}",
+    clean: "Clean {level}",
+    full: " (FULL)",
+    empty: " (EMPTY)",
+    production: "Produced {produced} · Dispensed {dispensed} ({cups} cups) · Overflow {overflow}",
+    leaked: " · Leaks {leaked}",
+    overflowing: " · OVERFLOWING!",
+    quality: "Quality {mode} · particles {particles}% · resolution ×{dpr}",
+    hint: "Adjust the sliders in the panel (Leva) or step through the process.",
+  },
+
+  nav: {
+    previous: "◀ Previous",
+    next: "Next ▶",
+    restart: "Restart",
+    dispense: "🥛 Dispense",
+    demo: "▶ Auto Demo",
+    pauseDemo: "⏸ Pause Demo",
+    resumeTour: "🎥 Resume tour",
+  },
+
+  kiosk: {
+    fullscreen: "⛶ Full screen",
+    exit: "✕ Exit kiosk",
+    attract: "👆 Touch the screen to explore",
+  },
+
+  a11y: {
+    announceStep: "Step {index} of {total}: {title}.",
+    announceParts: "Involved: {parts}.",
+    announceState: "Controller: {state}. Production: {production}.",
+    announceAlarms: "Active alarms: {count}.",
+    demoOn: "Auto demo running.",
+    demoOff: "Auto demo paused.",
+    stepLabel: "Step {index}: {title}",
+    scene: "Animated 3D view of {machine}. Text mode (D key) describes the same process.",
+    textMode: "📝 Text mode",
+    title: "PROCESS DESCRIPTION",
+    state: "Current state",
+    stages: "Tour steps",
+    parts: "Parts: {parts}",
+    current: "Current step",
+    goTo: "Go to step {index}: {title}",
+    shortcutsTitle: "Keyboard shortcuts",
+    reducedMotion: "Reduced motion: the scene turns slowly and the camera jumps between steps.",
+    summary: {
+      ambient: "Ambient",
+      state: "Controller",
+      production: "Production",
+      dirtyTank: "Dirty tank",
+      cleanTank: "Clean tank",
+      water: "Water",
+      drinkable: "Drinkable",
+      notDrinkable: "Not drinkable",
+      alarms: "Alarms",
+      none: "None",
+      maintenance: "Maintenance",
+    },
+    keys: {
+      next: "→",
+      previous: "←",
+      first: "Home",
+      last: "End",
+      step: "1–9",
+      autoplay: "Space",
+      explode: "E",
+      cutaway: "C",
+      description: "D",
+      close: "Esc",
+    },
+    shortcuts: {
+      next: "Next step",
+      previous: "Previous step",
+      first: "First step",
+      last: "Last step",
+      step: "Go to that step",
+      autoplay: "Start or pause the demo",
+      explode: "Separate or assemble the parts",
+      cutaway: "Toggle the cutaway",
+      description: "Open or close text mode",
+      close: "Close the part sheet or text mode",
+    },
+  },
+
+  view: {
+    explode: "💥 Exploded view",
+    assemble: "🧩 Assemble machine",
+    cutaway: "✂ Cutaway",
+    removeCut: "✂ Remove cutaway",
+    dragCut: "Drag to move the cut",
+    explodedOn: "Exploded view: the parts separate along the water's path.",
+    explodedOff: "Machine assembled.",
+    cutOn: "Cutaway on: drag the handle over the housing to cut through it and the tanks.",
+    cutOff: "Cutaway off.",
+  },
+
+  leva: {
+    ambientTemp: "AMBIENT T. (°C)",
+    relativeHumidity: "REL. HUMIDITY (%)",
+    altitude: "ALTITUDE (m)",
+    airflow: "AIR FLOW (m³/h)",
+    coilTemp: "CONDENSING TEMP. (°C)",
+    dirtyCapacity: "RAW TANK (L)",
+    cleanCapacity: "CLEAN TANK (L)",
+    demandLph: "DEMAND (L/h)",
+    minRh: "MIN. START RH (%)",
+    defrostThreshold: "DEFROST THRESHOLD (°C)",
+    defrostDuration: "DEFROST (min)",
+    tankFullCutoff: "FULL TANK CUTOFF",
+    uvInterlock: "UV INTERLOCK",
+    sanitizeInterval: "SANITIZE EVERY (h)",
+    media: "ADSORBENT MEDIA",
+    regenTemp: "REGENERATION T. (°C)",
+    desiccantMinRh: "DESICCANT MIN. RH (%)",
+    qualityMode: "GRAPHICS QUALITY",
+    turbidityMax: "MAX TURBIDITY (NTU)",
+    vocMax: "MAX CHLORINE/VOC (mg/L)",
+    microbesMax: "MAX MICROBES (CFU)",
+    tdsRange: "TDS (mg/L)",
+    phRange: "pH",
+    folders: {
+      tanks: "Tanks",
+      controller: "Controller",
+      desiccant: "Desiccant",
+      performance: "Performance",
+      limits: "Drinking water limits",
+    },
+  },
+
+  qualityModes: { auto: "Automatic", high: "High", low: "Low" },
+
+  scene: {
+    units: "× {count} units",
+    viewerError: "THE 3D VIEWER COULD NOT START",
+    viewerHint: "Check that WebGL is enabled in the browser. The simulation panels keep working.",
+    retry: "Retry",
+  },
+
+  assets: {
+    loading: "LOADING ASSETS · {pct}%",
+    failed: "Could not load:",
+    fallback: "Showing the mock-up instead. Offline, only the files bundled in the build are available.",
+  },
+
+  alarms: {
+    active: "🚨 ALARMS ({count})",
+    title: "FAULT MODE",
+    inject: "Inject…",
+    since: "since {time}",
+    repair: "Repair",
+    now: "Now",
+    in: "in",
+    simHours: "simulated h",
+    schedule: "Schedule",
+    loadScript: "Load script",
+    scheduled: "Scheduled",
+    clear: "Clear",
+    inHours: "in {hours} h",
+  },
+
+  climate: {
+    title: "CLIMATE",
+    manual: "Manual (sliders)",
+    file: "📂 CSV/EPW",
+    ambient: "{temp} · {rh} % RH",
+    hour: " · hour {hour} of {total}",
+    summary: "average · {total} over {days} day(s)",
+    extrapolated: "* month extrapolated from the available days",
+  },
+
+  controller: {
+    title: "CONTROLLER",
+    since: "{minutes} min ago · frost {frost} min",
+    compressor: "Compressor",
+    fan: "Fan",
+    uv: "UV",
+    transferPump: "Pump",
+    dispenseAllowed: "Dispensing",
+    heaterWheel: "Heater + wheel",
+    sensors: "RH {rh}% · Dew {dew} · Coil {coil} · Tank {tank}%",
+    sensorsDesiccant: "RH {rh}% · Loop dew point {dew} · Condenser {coil} · Tank {tank}%",
+    log: "Transition log",
+  },
+
+  inspector: {
+    close: "Close sheet",
+    live: "Live",
+    specs: "Specifications",
+    on: "On",
+    off: "Off",
+    speed: "Speed",
+    airflow: "Air flow",
+    power: "Power draw",
+    temperature: "Temperature",
+    airDew: "Air dew point",
+    condensate: "Condensate",
+    compressor: "Compressor",
+    capture: "Capture",
+    adsorption: "Adsorption possible",
+    motor: "Motor",
+    heaterPower: "Power",
+    desorption: "Desorption possible",
+    loopFlow: "Loop flow",
+    loopDew: "Loop dew point",
+    life: "Remaining life",
+    pressureDrop: "Pressure drop",
+    processed: "Processed",
+    dose: "Dose",
+    inactivation: "Inactivation",
+    output: "Output",
+    hours: "Hours in use",
+    volume: "Volume",
+    transferPump: "Transfer pump",
+    overflow: "Total overflow",
+    leaks: "Leaks",
+    state: "State",
+    serving: "Serving",
+    ready: "Ready",
+    blocked: "Blocked",
+    dispensed: "Dispensed",
+    level: "Level",
+    cups: "Cups served",
+  },
+
+  lab: {
+    title: "LAB SHEET",
+    failing: "⚠ {count} out of limits",
+    drinkable: "✓ Drinkable",
+    limit: "Limit",
+    uv: "UV: {dose} mJ/cm² · residence {residence} · {log} log",
+  },
+
+  machine: { title: "MACHINE" },
+
+  model: {
+    title: "3D MODEL",
+    mock: "Mock-up",
+    error: "{error} · showing the mock-up",
+    found: "{found}/{total} parts recognized",
+    missing: " · missing: {roles}",
+    dropHint: "Drop a .glb on the scene to use it",
+    glbOnly: "{file}: only .glb models are supported",
+    bundled: "Bundled model",
+  },
+
+  recorder: {
+    title: "VIDEO",
+    record: "⏺ Record tour",
+    recording: "RECORDING TOUR · {pct}%",
+    hint: "Each frame is rendered at a fixed step; it may take more or less time than the final video.",
+    resolutions: {
+      "720p": "1280×720",
+      "1080p": "1920×1080",
+      square: "1080×1080 (square)",
+      vertical: "1080×1920 (vertical)",
+    },
+  },
+
+  report: {
+    title: "REPORT",
+    print: "🖨 Print / PDF",
+    branding: "Branding",
+    company: "Company",
+    logo: "Logo",
+    image: "📂 Image",
+    primaryColor: "Primary color",
+    accentColor: "Accent color",
+    footer: "Footer",
+    defaultFooter: "Simulated values for reference only; actual production depends on the site and the installation.",
+    resetBranding: "Reset branding",
+    logoTooLarge: "{file}: the logo cannot exceed {kb} KB",
+    logoUnreadable: "{file}: the image could not be read",
+    popupBlocked: "The browser blocked the report window; allow pop-ups or download the HTML",
+    heading: "Simulation report · {machine}",
+    snapshotAlt: "3D view of the unit",
+    parameters: "Parameters",
+    results: "Results",
+    process: "Process",
+    waterQuality: "Water quality",
+    parameter: "Parameter",
+    outlet: "Outlet",
+    drinkable: "✓ Drinkable within the configured limits",
+    notDrinkable: "✗ Outside the configured limits",
+    notices: "Notices",
+    machine: "Machine",
+    technology: "Technology",
+    climate: "Climate",
+    manualClimate: "Manual conditions",
+    ambientTemp: "Ambient temperature",
+    rh: "Relative humidity",
+    altitude: "Altitude",
+    airflow: "Air flow",
+    wheel: "Desiccant wheel",
+    wheelValue: "{media} · regeneration {temp}",
+    coilTemp: "Coil temperature",
+    demand: "Demand",
+    tanks: "Raw / clean tanks",
+    controllerState: "Controller state",
+    production: "Production",
+    productionValue: "{lph} ({lpd} at this rate)",
+    dewPoint: "Air dew point",
+    power: "Power draw",
+    specificEnergy: "Specific energy",
+    cop: "Cycle COP",
+    heater: "Regeneration heater",
+    simTime: "Simulated time",
+    water: "Water produced / dispensed",
+    energy: "Accumulated energy",
+    uv: "UV disinfection",
+    site: "Site sizing",
+    siteValue: "{units} units for {demand} · storage {storage}",
+  },
+
+  scenario: {
+    title: "SCENARIO",
+    save: "💾 Save",
+    load: "📂 Load",
+    link: "🔗 Link",
+    linkReady: "Link ready in the address bar",
+    linkCopied: "Link copied",
+    loaded: "Loaded {file}",
+  },
+
+  sizing: {
+    title: "SITE SIZING",
+    close: "Close sizing",
+    unit: "Unit: {machine}",
+    demand: "Demand ({unit})",
+    climate: "Site climate",
+    typical: "Typical month",
+    typicalName: "Typical month ({month})",
+    month: "Month",
+    temp: "Mean T. ({unit})",
+    rh: "Mean RH (%)",
+    swing: "Daily swing ({unit})",
+    tariff: "Tariff ($/kWh)",
+    autonomy: "Storage (days of demand)",
+    criterion: "Size for",
+    perUnit: "Per unit:",
+    average: "average",
+    designMonth: " · {value} in {month}",
+    units: "unit(s) · storage tank",
+    shortfall: "⚠ Months short: {months}",
+    covered: "✓ Covers the demand in every month of the profile",
+    perYear: "{kwh} kWh/year · ${cost}/year",
+    perLiter: " · ${cost}/{unit}",
+    apply: "🎯 View in 3D",
+    live: "In the scene: {lph} per unit · target {target}",
+    noProduction: "This unit does not produce in the chosen climate; try another technology or a more humid climate.",
+  },
+
+  technology: {
+    title: "TECHNOLOGIES",
+    profile: "Profile average {climate}",
+    manual: "Manual conditions held for 24 h",
+  },
+
+  telemetry: {
+    title: "TELEMETRY",
+    coverage: "{hours} h · every {minutes} min",
+    recording: "recording…",
+    clear: "Clear",
+    axis: "axis {min} – {max} {unit}",
+    hoverHint: "Hover over a chart to read values",
+  },
+
+  errors: {
+    share: {
+      notScenario: "The file is not a simulator scenario.",
+      newerVersion: "Scenario from a newer version (v{version}); update the simulator.",
+      json: "The file is not valid JSON.",
+      brokenLink: "The link is damaged or incomplete.",
+    },
+    weather: {
+      noData: "The file has no data.",
+      missingColumns: "Temperature and/or relative humidity columns are missing (e.g. 'temp', 'rh').",
+      noRows: "No valid rows were found.",
+      emptyEpw: "The EPW has no hourly records.",
+    },
+    recording: {
+      noWebCodecs: "This browser does not support WebCodecs; use a recent version of Chrome, Edge, Safari or Firefox",
+      noCodec: "The browser cannot encode VP8/VP9 at {width}×{height}",
+    },
+    machine: {
+      invalid: "Invalid machine definition:",
+      json: "The file is not valid JSON.",
+    },
+    machineIssues: {
+      notJson: "The definition must be a JSON object.",
+      emptyList: "must be a list with at least one item",
+      list: "must be a list",
+      notObject: "must be an object",
+      missing: "is missing or empty",
+      repeated: '"{id}" is repeated',
+      missingVersion: "the format version is missing",
+      newerVersion: "definition from a newer version (v{version}); update the simulator",
+      badId: "use only lowercase letters, digits, '-' or '_'",
+      missingName: "the machine name is missing",
+      technology: "must be one of {options}",
+      oneOf: "must be one of {options}",
+      shellSize: "must be positive [width, height, depth]",
+      unknownType: '"{type}" is not a known type ({options})',
+      vector: "must be [x, y, z]",
+      rotation: "must be [x, y, z] in radians",
+      positiveVector: "must be positive [x, y, z]",
+      zeroVector: "must be a non-zero vector",
+      pipeLength: "the pipe needs a positive length",
+      text: "must be text",
+      missingTitle: "the title is missing",
+      missingNarration: "the narration is missing",
+      duration: "must be positive (seconds)",
+      camera: "needs position and target as [x, y, z]",
+      emptyFocus: "name at least one component or group",
+      unknownFocus: '"{id}" is not a component or a group',
+      unknownStage: '"{id}" is not a stage',
+      unknownComponent: '"{id}" is not a component',
+      unstaged: "no stage highlights it; add it to a stage focus or set its stage",
+      inactiveEmitter: "without a stage the emitter never turns on",
+      color: "must be a #rrggbb color",
+      positive: "must be positive",
+      nonNegative: "must be ≥ 0",
+      count: "must be an integer between 1 and 5000",
+      translations: "must be an object per language",
+    },
+  },
+
+  sim: {
+    faults: {
+      fan_stall: {
+        label: "Fan stalled",
+        diagnosis: "No air flow. Check the motor, capacitor and grille obstructions.",
+      },
+      coil_icing: {
+        label: "Coil iced up",
+        diagnosis: "Ice on the fins. Force a defrost and check the evaporating temperature.",
+      },
+      refrigerant_leak: {
+        label: "Refrigerant leak",
+        diagnosis: "The coil does not cool and the compressor runs unloaded. Find the leak and recharge.",
+      },
+      sediment_clog: {
+        label: "Sediment filter clogged",
+        diagnosis: "Excessive pressure drop in the line. Replace the sediment cartridge.",
+      },
+      uv_failure: { label: "UV lamp off", diagnosis: "No disinfection. Check the ballast and lamp; block dispensing." },
+      clean_tank_leak: {
+        label: "Clean tank leak",
+        diagnosis: "The clean tank level drops without dispensing. Check seals and fittings.",
+      },
+      faucet_stuck: {
+        label: "Faucet valve stuck",
+        diagnosis: "The faucet does not close and drains the clean tank. Replace the solenoid valve.",
+      },
+    },
+    faultScenarios: {
+      fan_2h: "Fan stalls at 2 h",
+      leak_then_ice: "Refrigerant leak (4 h) and icing (8 h)",
+      treatment_day: "Treatment fault day",
+    },
+    states: {
+      standby: "STANDBY",
+      producing: "PRODUCING",
+      defrost: "DEFROST",
+      tank_full: "TANK FULL",
+      sanitizing: "SANITIZING",
+      fault: "FAULT",
+    },
+    reasons: {
+      power_on: "Powered on",
+      alarm: "Alarm {codes}",
+      alarms_cleared: "Alarms cleared",
+      sanitize_done: "Sanitizing complete",
+      defrost_done: "Defrost complete",
+      sanitize_scheduled: "Scheduled cycle every {hours} h",
+      tank_full: "Tank at {pct}%",
+      frost: "Coil ≤ {threshold} °C",
+      low_rh: "RH {rh}% < {minRh}%",
+      dew_point: "Dew point below coil temperature",
+      production: "Production conditions met",
+    },
+    quality: {
+      turbidity: "Turbidity",
+      voc: "Chlorine/VOC",
+      microbes: "Microbial load",
+      ca: "Calcium",
+      mg: "Magnesium",
+    },
+    series: {
+      yieldLph: "Production",
+      dirtyPct: "Raw tank",
+      cleanPct: "Clean tank",
+      powerW: "Power draw",
+      ambientTemp: "Ambient",
+      dewPoint: "Dew point",
+      coilTemp: "Coil",
+      rh: "RH",
+    },
+    charts: {
+      yield: "Water production",
+      tanks: "Tank levels",
+      power: "Power draw",
+      temps: "Temperatures",
+      rh: "Relative humidity",
+    },
+    climates: { "humid-tropical": "Humid tropics", arid: "Arid", temperate: "Temperate" },
+    media: { silica: "Silica gel" },
+    criteria: { average: "Annual average", worst: "Worst month" },
+    technologies: {
+      refrigeration: { label: "Refrigeration", detail: "Cold coil below the dew point" },
+      desiccant: { label: "Desiccant", detail: "Adsorption wheel with thermal regeneration" },
+    },
+    roles: {
+      fan: "Fan rotor",
+      coil: "Coil",
+      sediment: "Sediment filter",
+      carbon: "Carbon filter",
+      mineral: "Mineralizer",
+      uv: "UV lamp",
+      dirty_water: "Raw tank water",
+      clean_water: "Clean tank water",
+      cup_water: "Water in the cup",
+      dirty_tank: "Raw water tank",
+      clean_tank: "Clean water tank",
+      faucet: "Faucet",
+      cup: "Cup",
+    },
+    cartridges: { sediment: "SEDIMENT FILTER", carbon: "CARBON FILTER", mineral: "MINERALIZATION", uv: "UV LAMP" },
+    alerts: {
+      exhausted: "{name}: life exhausted, replace",
+      low: "{name}: {pct}% of life remaining",
+      flow: "Filtration flow reduced to {pct}%",
+    },
+  },
+};
@@ -0,0 +1,416 @@
+// src/locales/es.js
+// Catálogo base: toda clave de la interfaz existe aquí; en.js y pt.js siguen la misma forma.
+// Los textos que ya están en español en los datos (sim/, máquinas, componentes, errores) no se repiten.
+
+export default {
+  months: ["Ene", "Feb", "Mar", "Abr", "May", "Jun", "Jul", "Ago", "Sep", "Oct", "Nov", "Dic"],
+  units: { "L/d": "L/día", "gal/d": "gal/día", "fl oz": "oz" },
+
+  common: {
+    close: "Cerrar",
+    hide: "Ocultar",
+    show: "Ver",
+    remove: "Quitar",
+    cancel: "Cancelar",
+    replace: "Reemplazar",
+    gotIt: "Entendido",
+    day: "Día",
+  },
+
+  app: {
+    title: "GENERADOR AWG INTERACTIVO",
+    currentStep: "{machine} · Paso Actual: {step}",
+    sizeSite: "📐 Dimensionar sitio",
+    site: "{units} × {machine} · {demand} · reserva {storage} ({perUnit} c/u)",
+    removeSite: "Quitar configuración del sitio",
+    kiosk: "🖥 Kiosco",
+    language: "Idioma",
+    units: "Unidades",
+    recorderUnavailable: "El visor 3D no está disponible para grabar",
+  },
+
+  controls: {
+    title: "CONTROLES",
+    normalized: "Flow {flow} · Cond {cond}",
+    dew: "Rocío {dew} · W {win}→{wout} g/kg ·",
+    wheelIdle: " (rueda sin regenerar)",
+    coilAboveDew: " (serpentín sobre el punto de rocío)",
+    wheel: "Rueda {media} · captura {capture}% · rocío del lazo {dew} · condensador {condenser}",
+    cop: "COP {cop}",
+    heater: "Calefactor {watts}",
+    perLiter: "{value} kWh/{unit}",
+    fan: "Ventilador {watts}",
+    heaterWheel: "Calefactor + rueda {watts}",
+    compressor: "Compresor {watts}",
+    uvPumps: "UV {uv} · Bombas {pumps}",
+    dirty: "💧 Sucio {level}",
+    clean: "Limpio {level}",
+    full: " (LLENO)",
+    empty: " (VACÍO)",
+    production: "Producido {produced} · Dispensado {dispensed} ({cups} vasos) · Rebose {overflow}",
+    leaked: " · Fugas {leaked}",
+    overflowing: " · ¡DESBORDE!",
+    quality: "Calidad {mode} · partículas {particles}% · resolución ×{dpr}",
+    hint: "Ajusta sliders en el panel (Leva) o navega los pasos.",
+  },
+
+  nav: {
+    previous: "◀ Anterior",
+    next: "Siguiente ▶",
+    restart: "Reiniciar",
+    dispense: "🥛 Dispensar",
+    demo: "▶ Demo Auto",
+    pauseDemo: "⏸ Pausar Demo",
+    resumeTour: "🎥 Retomar recorrido",
+  },
+
+  kiosk: {
+    fullscreen: "⛶ Pantalla completa",
+    exit: "✕ Salir del kiosco",
+    attract: "👆 Toca la pantalla para explorar",
+  },
+
+  // Lectores de pantalla, teclado y modo texto del proceso
+  a11y: {
+    announceStep: "Paso {index} de {total}: {title}.",
+    announceParts: "Intervienen: {parts}.",
+    announceState: "Controlador: {state}. Producción: {production}.",
+    announceAlarms: "Alarmas activas: {count}.",
+    demoOn: "Demo automática en marcha.",
+    demoOff: "Demo automática en pausa.",
+    stepLabel: "Paso {index}: {title}",
+    scene: "Vista 3D animada de {machine}. El modo texto (tecla D) describe el mismo proceso.",
+    textMode: "📝 Modo texto",
+    title: "DESCRIPCIÓN DEL PROCESO",
+    state: "Estado actual",
+    stages: "Etapas del recorrido",
+    parts: "Piezas: {parts}",
+    current: "Paso actual",
+    goTo: "Ir al paso {index}: {title}",
+    shortcutsTitle: "Atajos de teclado",
+    reducedMotion: "Movimiento reducido: la escena gira despacio y la cámara salta entre pasos.",
+    summary: {
+      ambient: "Ambiente",
+      state: "Controlador",
+      production: "Producción",
+      dirtyTank: "Tanque sucio",
+      cleanTank: "Tanque limpio",
+      water: "Agua",
+      drinkable: "Potable",
+      notDrinkable: "No potable",
+      alarms: "Alarmas",
+      none: "Ninguna",
+      maintenance: "Mantenimiento",
+    },
+    keys: {
+      next: "→",
+      previous: "←",
+      first: "Inicio",
+      last: "Fin",
+      step: "1–9",
+      autoplay: "Espacio",
+      explode: "E",
+      cutaway: "C",
+      description: "D",
+      close: "Esc",
+    },
+    shortcuts: {
+      next: "Paso siguiente",
+      previous: "Paso anterior",
+      first: "Primer paso",
+      last: "Último paso",
+      step: "Ir a ese paso",
+      autoplay: "Iniciar o pausar la demo",
+      explode: "Separar o armar las piezas",
+      cutaway: "Activar o quitar el corte",
+      description: "Abrir o cerrar el modo texto",
+      close: "Cerrar la ficha o el modo texto",
+    },
+  },
+
+  // Vista explosionada y plano de corte
+  view: {
+    explode: "💥 Vista explosionada",
+    assemble: "🧩 Armar máquina",
+    cutaway: "✂ Corte",
+    removeCut: "✂ Quitar corte",
+    dragCut: "Arrastra para mover el corte",
+    explodedOn: "Vista explosionada: las piezas se separan siguiendo el recorrido del agua.",
+    explodedOff: "Máquina armada.",
+    cutOn: "Corte activado: arrastra el asa sobre la carcasa para cortarla junto con los tanques.",
+    cutOff: "Corte desactivado.",
+  },
+
+  // Etiquetas de los sliders de Leva: los valores siguen en unidades del motor (SI)
+  leva: {
+    ambientTemp: "T. AMBIENTE (°C)",
+    relativeHumidity: "HUMEDAD REL. (%)",
+    altitude: "ALTITUD (m)",
+    airflow: "FLUID FLOW (m³/h)",
+    coilTemp: "TEMP. CONDENSACIÓN (°C)",
+    dirtyCapacity: "TANQUE SUCIO (L)",
+    cleanCapacity: "TANQUE LIMPIO (L)",
+    demandLph: "DEMANDA (L/h)",
+    minRh: "HR MÍN. ARRANQUE (%)",
+    defrostThreshold: "UMBRAL DESESCARCHE (°C)",
+    defrostDuration: "DESESCARCHE (min)",
+    tankFullCutoff: "CORTE TANQUE LLENO",
+    uvInterlock: "INTERLOCK UV",
+    sanitizeInterval: "SANITIZADO CADA (h)",
+    media: "MEDIO ADSORBENTE",
+    regenTemp: "T. REGENERACIÓN (°C)",
+    desiccantMinRh: "HR MÍN. DESECANTE (%)",
+    qualityMode: "CALIDAD GRÁFICA",
+    turbidityMax: "TURBIDEZ MÁX (NTU)",
+    vocMax: "CLORO/VOC MÁX (mg/L)",
+    microbesMax: "MICROBIOS MÁX (UFC)",
+    tdsRange: "TDS (mg/L)",
+    phRange: "pH",
+    folders: {
+      tanks: "Tanques",
+      controller: "Controlador",
+      desiccant: "Desecante",
+      performance: "Rendimiento",
+      limits: "Límites agua potable",
+    },
+  },
+
+  qualityModes: { auto: "Automática", high: "Alta", low: "Baja" },
+
+  scene: {
+    units: "× {count} unidades",
+    viewerError: "NO SE PUDO INICIAR EL VISOR 3D",
+    viewerHint: "Verifica que el navegador tenga WebGL habilitado. Los paneles de simulación siguen funcionando.",
+    retry: "Reintentar",
+  },
+
+  assets: {
+    loading: "CARGANDO RECURSOS · {pct}%",
+    failed: "No se pudieron cargar:",
+    fallback:
+      "Se muestra la maqueta en su lugar. Sin conexión sólo están disponibles los archivos incluidos en el build.",
+  },
+
+  alarms: {
+    active: "🚨 ALARMAS ({count})",
+    title: "MODO FALLAS",
+    inject: "Inyectar…",
+    since: "desde {time}",
+    repair: "Reparar",
+    now: "Ahora",
+    in: "en",
+    simHours: "h simuladas",
+    schedule: "Programar",
+    loadScript: "Cargar guion",
+    scheduled: "Programadas",
+    clear: "Vaciar",
+    inHours: "en {hours} h",
+  },
+
+  climate: {
+    title: "CLIMA",
+    manual: "Manual (sliders)",
+    file: "📂 CSV/EPW",
+    ambient: "{temp} · {rh} % HR",
+    hour: " · hora {hour} de {total}",
+    summary: "promedio · {total} en {days} día(s)",
+    extrapolated: "* mes extrapolado desde los días disponibles",
+  },
+
+  controller: {
+    title: "CONTROLADOR",
+    since: "hace {minutes} min · escarcha {frost} min",
+    compressor: "Compresor",
+    fan: "Ventilador",
+    uv: "UV",
+    transferPump: "Bomba",
+    dispenseAllowed: "Dispensado",
+    heaterWheel: "Calefactor + rueda",
+    sensors: "HR {rh}% · Rocío {dew} · Serpentín {coil} · Tanque {tank}%",
+    sensorsDesiccant: "HR {rh}% · Rocío del lazo {dew} · Condensador {coil} · Tanque {tank}%",
+    log: "Registro de transiciones",
+  },
+
+  inspector: {
+    close: "Cerrar ficha",
+    live: "En vivo",
+    specs: "Especificaciones",
+    on: "Encendida",
+    off: "Apagada",
+    speed: "Velocidad",
+    airflow: "Caudal",
+    power: "Consumo",
+    temperature: "Temperatura",
+    airDew: "Rocío del aire",
+    condensate: "Condensado",
+    compressor: "Compresor",
+    capture: "Captura",
+    adsorption: "Adsorción posible",
+    motor: "Motor",
+    heaterPower: "Potencia",
+    desorption: "Desorción posible",
+    loopFlow: "Caudal del lazo",
+    loopDew: "Rocío del lazo",
+    life: "Vida restante",
+    pressureDrop: "Caída de presión",
+    processed: "Procesado",
+    dose: "Dosis",
+    inactivation: "Inactivación",
+    output: "Emisión",
+    hours: "Horas de uso",
+    volume: "Volumen",
+    transferPump: "Bomba de trasiego",
+    overflow: "Rebose acumulado",
+    leaks: "Fugas",
+    state: "Estado",
+    serving: "Sirviendo",
+    ready: "Listo",
+    blocked: "Bloqueado",
+    dispensed: "Dispensado",
+    level: "Nivel",
+    cups: "Vasos servidos",
+  },
+
+  lab: {
+    title: "HOJA DE LABORATORIO",
+    failing: "⚠ {count} fuera de límite",
+    drinkable: "✓ Apta para consumo",
+    limit: "Límite",
+    uv: "UV: {dose} mJ/cm² · residencia {residence} · {log} log",
+  },
+
+  machine: { title: "MÁQUINA" },
+
+  model: {
+    title: "MODELO 3D",
+    mock: "Maqueta",
+    error: "{error} · se muestra la maqueta",
+    found: "{found}/{total} piezas reconocidas",
+    missing: " · faltan: {roles}",
+    dropHint: "Arrastra un .glb sobre la escena para usarlo",
+    glbOnly: "{file}: sólo se admiten modelos .glb",
+    bundled: "Modelo incluido",
+  },
+
+  recorder: {
+    title: "VIDEO",
+    record: "⏺ Grabar recorrido",
+    recording: "GRABANDO RECORRIDO · {pct}%",
+    hint: "Cada cuadro se genera con paso fijo; puede tardar más o menos que el video final.",
+    resolutions: {
+      "720p": "1280×720",
+      "1080p": "1920×1080",
+      square: "1080×1080 (cuadrado)",
+      vertical: "1080×1920 (vertical)",
+    },
+  },
+
+  report: {
+    title: "INFORME",
+    print: "🖨 Imprimir / PDF",
+    branding: "Marca",
+    company: "Empresa",
+    logo: "Logo",
+    image: "📂 Imagen",
+    primaryColor: "Color principal",
+    accentColor: "Color de acento",
+    footer: "Pie de página",
+    defaultFooter: "Valores simulados a modo de referencia; la producción real depende del sitio y la instalación.",
+    resetBranding: "Restablecer marca",
+    logoTooLarge: "{file}: el logo no puede superar {kb} KB",
+    logoUnreadable: "{file}: no se pudo leer la imagen",
+    popupBlocked: "El navegador bloqueó la ventana del informe; permite ventanas emergentes o descarga el HTML",
+    // Documento del informe (report.js)
+    heading: "Informe de simulación · {machine}",
+    snapshotAlt: "Vista 3D del equipo",
+    parameters: "Parámetros",
+    results: "Resultados",
+    process: "Proceso",
+    waterQuality: "Calidad del agua",
+    parameter: "Parámetro",
+    outlet: "Salida",
+    drinkable: "✓ Apta para consumo según los límites configurados",
+    notDrinkable: "✗ Fuera de los límites configurados",
+    notices: "Avisos",
+    machine: "Máquina",
+    technology: "Tecnología",
+    climate: "Clima",
+    manualClimate: "Condiciones manuales",
+    ambientTemp: "Temperatura ambiente",
+    rh: "Humedad relativa",
+    altitude: "Altitud",
+    airflow: "Caudal de aire",
+    wheel: "Rueda desecante",
+    wheelValue: "{media} · regeneración {temp}",
+    coilTemp: "Temperatura del serpentín",
+    demand: "Demanda",
+    tanks: "Tanques sucio / limpio",
+    controllerState: "Estado del controlador",
+    production: "Producción",
+    productionValue: "{lph} ({lpd} a este ritmo)",
+    dewPoint: "Punto de rocío del aire",
+    power: "Consumo eléctrico",
+    specificEnergy: "Energía específica",
+    cop: "COP del ciclo",
+    heater: "Calefactor de regeneración",
+    simTime: "Tiempo simulado",
+    water: "Agua producida / dispensada",
+    energy: "Energía acumulada",
+    uv: "Desinfección UV",
+    site: "Dimensionamiento del sitio",
+    siteValue: "{units} unidades para {demand} · reserva {storage}",
+  },
+
+  scenario: {
+    title: "ESCENARIO",
+    save: "💾 Guardar",
+    load: "📂 Cargar",
+    link: "🔗 Enlace",
+    linkReady: "Enlace listo en la barra de direcciones",
+    linkCopied: "Enlace copiado",
+    loaded: "Cargado {file}",
+  },
+
+  sizing: {
+    title: "DIMENSIONAMIENTO",
+    close: "Cerrar dimensionamiento",
+    unit: "Unidad: {machine}",
+    demand: "Demanda ({unit})",
+    climate: "Clima del sitio",
+    typical: "Mes típico",
+    typicalName: "Mes típico ({month})",
+    month: "Mes",
+    temp: "T. media ({unit})",
+    rh: "HR media (%)",
+    swing: "Oscilación diaria ({unit})",
+    tariff: "Tarifa ($/kWh)",
+    autonomy: "Reserva (días de demanda)",
+    criterion: "Dimensionar con",
+    perUnit: "Por unidad:",
+    average: "promedio",
+    designMonth: " · {value} en {month}",
+    units: "unidad(es) · tanque de reserva",
+    shortfall: "⚠ Meses en falta: {months}",
+    covered: "✓ Cubre la demanda en todos los meses del perfil",
+    perYear: "{kwh} kWh/año · ${cost}/año",
+    perLiter: " · ${cost}/{unit}",
+    apply: "🎯 Ver en 3D",
+    live: "En la escena: {lph} por unidad · objetivo {target}",
+    noProduction: "Esta unidad no produce en el clima elegido; prueba otra tecnología o un clima más húmedo.",
+  },
+
+  technology: {
+    title: "TECNOLOGÍAS",
+    profile: "Promedio del perfil {climate}",
+    manual: "Condiciones manuales sostenidas 24 h",
+  },
+
+  telemetry: {
+    title: "TELEMETRÍA",
+    coverage: "{hours} h · cada {minutes} min",
+    recording: "registrando…",
+    clear: "Limpiar",
+    axis: "eje {min} – {max} {unit}",
+    hoverHint: "Pasa el puntero sobre un gráfico para leer valores",
+  },
+};
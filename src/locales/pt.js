@@ -0,0 +1,586 @@
+// src/locales/pt.js
+// Catálogo em português. Mesma forma de es.js mais `sim`, os textos do motor que es.js toma dos dados.
+
+export default {
+  months: ["Jan", "Fev", "Mar", "Abr", "Mai", "Jun", "Jul", "Ago", "Set", "Out", "Nov", "Dez"],
+  units: { "L/d": "L/dia", "gal/d": "gal/dia", "fl oz": "oz" },
+
+  common: {
+    close: "Fechar",
+    hide: "Ocultar",
+    show: "Ver",
+    remove: "Remover",
+    cancel: "Cancelar",
+    replace: "Substituir",
+    gotIt: "Entendi",
+    day: "Dia",
+  },
+
+  app: {
+    title: "GERADOR AWG INTERATIVO",
+    currentStep: "{machine} · Etapa Atual: {step}",
+    sizeSite: "📐 Dimensionar local",
+    site: "{units} × {machine} · {demand} · reserva {storage} ({perUnit} cada)",
+    removeSite: "Remover configuração do local",
+    kiosk: "🖥 Quiosque",
+    language: "Idioma",
+    units: "Unidades",
+    recorderUnavailable: "O visualizador 3D não está disponível para gravar",
+  },
+
+  controls: {
+    title: "CONTROLES",
+    normalized: "Flow {flow} · Cond {cond}",
+    dew: "Orvalho {dew} · W {win}→{wout} g/kg ·",
+    wheelIdle: " (roda sem regenerar)",
+    coilAboveDew: " (serpentina acima do ponto de orvalho)",
+    wheel: "Roda {media} · captura {capture}% · orvalho do circuito {dew} · condensador {condenser}",
+    cop: "COP {cop}",
+    heater: "Aquecedor {watts}",
+    perLiter: "{value} kWh/{unit}",
+    fan: "Ventilador {watts}",
+    heaterWheel: "Aquecedor + roda {watts}",
+    compressor: "Compressor {watts}",
+    uvPumps: "UV {uv} · Bombas {pumps}",
+    dirty: "💧 Bruta {level}",
+    clean: "Limpa {level}",
+    full: " (CHEIO)",
+    empty: " (VAZIO)",
+    production: "Produzido {produced} · Dispensado {dispensed} ({cups} copos) · Transbordo {overflow}",
+    leaked: " · Vazamentos {leaked}",
+    overflowing: " · TRANSBORDANDO!",
+    quality: "Qualidade {mode} · partículas {particles}% · resolução ×{dpr}",
+    hint: "Ajuste os sliders no painel (Leva) ou navegue pelas etapas.",
+  },
+
+  nav: {
+    previous: "◀ Anterior",
+    next: "Próximo ▶",
+    restart: "Reiniciar",
+    dispense: "🥛 Dispensar",
+    demo: "▶ Demo Automática",
+    pauseDemo: "⏸ Pausar Demo",
+    resumeTour: "🎥 Retomar percurso",
+  },
+
+  kiosk: {
+    fullscreen: "⛶ Tela cheia",
+    exit: "✕ Sair do quiosque",
+    attract: "👆 Toque na tela para explorar",
+  },
+
+  a11y: {
+    announceStep: "Passo {index} de {total}: {title}.",
+    announceParts: "Participam: {parts}.",
+    announceState: "Controlador: {state}. Produção: {production}.",
+    announceAlarms: "Alarmes ativos: {count}.",
+    demoOn: "Demo automática em andamento.",
+    demoOff: "Demo automática pausada.",
+    stepLabel: "Passo {index}: {title}",
+    scene: "Vista 3D animada de {machine}. O modo texto (tecla D) descreve o mesmo processo.",
+    textMode: "📝 Modo texto",
+    title: "DESCRIÇÃO DO PROCESSO",
+    state: "Estado atual",
+    stages: "Etapas do percurso",
+    parts: "Peças: {parts}",
+    current: "Passo atual",
+    goTo: "Ir ao passo {index}: {title}",
+    shortcutsTitle: "Atalhos de teclado",
+    reducedMotion: "Movimento reduzido: a cena gira devagar e a câmera salta entre passos.",
+    summary: {
+      ambient: "Ambiente",
+      state: "Controlador",
+      production: "Produção",
+      dirtyTank: "Tanque sujo",
+      cleanTank: "Tanque limpo",
+      water: "Água",
+      drinkable: "Potável",
+      notDrinkable: "Não potável",
+      alarms: "Alarmes",
+      none: "Nenhum",
+      maintenance: "Manutenção",
+    },
+    keys: {
+      next: "→",
+      previous: "←",
+      first: "Home",
+      last: "End",
+      step: "1–9",
+      autoplay: "Espaço",
+      explode: "E",
+      cutaway: "C",
+      description: "D",
+      close: "Esc",
+    },
+    shortcuts: {
+      next: "Próximo passo",
+      previous: "Passo anterior",
+      first: "Primeiro passo",
+      last: "Último passo",
+      step: "Ir a esse passo",
+      autoplay: "Iniciar ou pausar a demo",
+      explode: "Separar ou montar as peças",
+      cutaway: "Ativar ou remover o corte",
+      description: "Abrir ou fechar o modo texto",
+      close: "Fechar a ficha ou o modo texto",
+    },
+  },
+
+  view: {
+    explode: "💥 Vista explodida",
+    assemble: "🧩 Montar máquina",
+    cutaway: "✂ Corte",
+    removeCut: "✂ Remover corte",
+    dragCut: "Arraste para mover o corte",
+    explodedOn: "Vista explodida: as peças se separam seguindo o caminho da água.",
+    explodedOff: "Máquina montada.",
+    cutOn: "Corte ativado: arraste a alça sobre a carcaça para cortá-la junto com os tanques.",
+    cutOff: "Corte desativado.",
+  },
+
+  leva: {
+    ambientTemp: "T. AMBIENTE (°C)",
+    relativeHumidity: "UMIDADE REL. (%)",
+    altitude: "ALTITUDE (m)",
+    airflow: "VAZÃO DE AR (m³/h)",
+    coilTemp: "TEMP. CONDENSAÇÃO (°C)",
+    dirtyCapacity: "TANQUE BRUTO (L)",
+    cleanCapacity: "TANQUE LIMPO (L)",
+    demandLph: "DEMANDA (L/h)",
+    minRh: "UR MÍN. PARTIDA (%)",
+    defrostThreshold: "LIMIAR DEGELO (°C)",
+    defrostDuration: "DEGELO (min)",
+    tankFullCutoff: "CORTE TANQUE CHEIO",
+    uvInterlock: "INTERTRAVAMENTO UV",
+    sanitizeInterval: "SANITIZAR A CADA (h)",
+    media: "MEIO ADSORVENTE",
+    regenTemp: "T. REGENERAÇÃO (°C)",
+    desiccantMinRh: "UR MÍN. DESSECANTE (%)",
+    qualityMode: "QUALIDADE GRÁFICA",
+    turbidityMax: "TURBIDEZ MÁX (NTU)",
+    vocMax: "CLORO/VOC MÁX (mg/L)",
+    microbesMax: "MICRÓBIOS MÁX (UFC)",
+    tdsRange: "TDS (mg/L)",
+    phRange: "pH",
+    folders: {
+      tanks: "Tanques",
+      controller: "Controlador",
+      desiccant: "Dessecante",
+      performance: "Desempenho",
+      limits: "Limites de água potável",
+    },
+  },
+
+  qualityModes: { auto: "Automática", high: "Alta", low: "Baixa" },
+
+  scene: {
+    units: "× {count} unidades",
+    viewerError: "NÃO FOI POSSÍVEL INICIAR O VISUALIZADOR 3D",
+    viewerHint: "Verifique se o navegador tem WebGL habilitado. Os painéis de simulação continuam funcionando.",
+    retry: "Tentar novamente",
+  },
+
+  assets: {
+    loading: "CARREGANDO RECURSOS · {pct}%",
+    failed: "Não foi possível carregar:",
+    fallback: "A maquete é exibida no lugar. Sem conexão só estão disponíveis os arquivos incluídos no build.",
+  },
+
+  alarms: {
+    active: "🚨 ALARMES ({count})",
+    title: "MODO FALHAS",
+    inject: "Injetar…",
+    since: "desde {time}",
+    repair: "Reparar",
+    now: "Agora",
+    in: "em",
+    simHours: "h simuladas",
+    schedule: "Programar",
+    loadScript: "Carregar roteiro",
+    scheduled: "Programadas",
+    clear: "Esvaziar",
+    inHours: "em {hours} h",
+  },
+
+  climate: {
+    title: "CLIMA",
+    manual: "Manual (sliders)",
+    file: "📂 CSV/EPW",
+    ambient: "{temp} · {rh} % UR",
+    hour: " · hora {hour} de {total}",
+    summary: "média · {total} em {days} dia(s)",
+    extrapolated: "* mês extrapolado a partir dos dias disponíveis",
+  },
+
+  controller: {
+    title: "CONTROLADOR",
+    since: "há {minutes} min · gelo {frost} min",
+    compressor: "Compressor",
+    fan: "Ventilador",
+    uv: "UV",
+    transferPump: "Bomba",
+    dispenseAllowed: "Dispensa",
+    heaterWheel: "Aquecedor + roda",
+    sensors: "UR {rh}% · Orvalho {dew} · Serpentina {coil} · Tanque {tank}%",
+    sensorsDesiccant: "UR {rh}% · Orvalho do circuito {dew} · Condensador {coil} · Tanque {tank}%",
+    log: "Registro de transições",
+  },
+
+  inspector: {
+    close: "Fechar ficha",
+    live: "Ao vivo",
+    specs: "Especificações",
+    on: "Ligada",
+    off: "Desligada",
+    speed: "Velocidade",
+    airflow: "Vazão",
+    power: "Consumo",
+    temperature: "Temperatura",
+    airDew: "Orvalho do ar",
+    condensate: "Condensado",
+    compressor: "Compressor",
+    capture: "Captura",
+    adsorption: "Adsorção possível",
+    motor: "Motor",
+    heaterPower: "Potência",
+    desorption: "Dessorção possível",
+    loopFlow: "Vazão do circuito",
+    loopDew: "Orvalho do circuito",
+    life: "Vida restante",
+    pressureDrop: "Perda de carga",
+    processed: "Processado",
+    dose: "Dose",
+    inactivation: "Inativação",
+    output: "Emissão",
+    hours: "Horas de uso",
+    volume: "Volume",
+    transferPump: "Bomba de transferência",
+    overflow: "Transbordo acumulado",
+    leaks: "Vazamentos",
+    state: "Estado",
+    serving: "Servindo",
+    ready: "Pronto",
+    blocked: "Bloqueado",
+    dispensed: "Dispensado",
+    level: "Nível",
+    cups: "Copos servidos",
+  },
+
+  lab: {
+    title: "FICHA DE LABORATÓRIO",
+    failing: "⚠ {count} fora do limite",
+    drinkable: "✓ Própria para consumo",
+    limit: "Limite",
+    uv: "UV: {dose} mJ/cm² · residência {residence} · {log} log",
+  },
+
+  machine: { title: "MÁQUINA" },
+
+  model: {
+    title: "MODELO 3D",
+    mock: "Maquete",
+    error: "{error} · exibindo a maquete",
+    found: "{found}/{total} peças reconhecidas",
+    missing: " · faltam: {roles}",
+    dropHint: "Arraste um .glb sobre a cena para usá-lo",
+    glbOnly: "{file}: só são aceitos modelos .glb",
+    bundled: "Modelo incluído",
+  },
+
+  recorder: {
+    title: "VÍDEO",
+    record: "⏺ Gravar percurso",
+    recording: "GRAVANDO PERCURSO · {pct}%",
+    hint: "Cada quadro é gerado com passo fixo; pode levar mais ou menos tempo que o vídeo final.",
+    resolutions: {
+      "720p": "1280×720",
+      "1080p": "1920×1080",
+      square: "1080×1080 (quadrado)",
+      vertical: "1080×1920 (vertical)",
+    },
+  },
+
+  report: {
+    title: "RELATÓRIO",
+    print: "🖨 Imprimir / PDF",
+    branding: "Marca",
+    company: "Empresa",
+    logo: "Logo",
+    image: "📂 Imagem",
+    primaryColor: "Cor principal",
+    accentColor: "Cor de destaque",
+    footer: "Rodapé",
+    defaultFooter: "Valores simulados apenas como referência; a produção real depende do local e da instalação.",
+    resetBranding: "Restaurar marca",
+    logoTooLarge: "{file}: o logo não pode passar de {kb} KB",
+    logoUnreadable: "{file}: não foi possível ler a imagem",
+    popupBlocked: "O navegador bloqueou a janela do relatório; permita pop-ups ou baixe o HTML",
+    heading: "Relatório de simulação · {machine}",
+    snapshotAlt: "Vista 3D do equipamento",
+    parameters: "Parâmetros",
+    results: "Resultados",
+    process: "Processo",
+    waterQuality: "Qualidade da água",
+    parameter: "Parâmetro",
+    outlet: "Saída",
+    drinkable: "✓ Própria para consumo segundo os limites configurados",
+    notDrinkable: "✗ Fora dos limites configurados",
+    notices: "Avisos",
+    machine: "Máquina",
+    technology: "Tecnologia",
+    climate: "Clima",
+    manualClimate: "Condições manuais",
+    ambientTemp: "Temperatura ambiente",
+    rh: "Umidade relativa",
+    altitude: "Altitude",
+    airflow: "Vazão de ar",
+    wheel: "Roda dessecante",
+    wheelValue: "{media} · regeneração {temp}",
+    coilTemp: "Temperatura da serpentina",
+    demand: "Demanda",
+    tanks: "Tanques bruto / limpo",
+    controllerState: "Estado do controlador",
+    production: "Produção",
+    productionValue: "{lph} ({lpd} neste ritmo)",
+    dewPoint: "Ponto de orvalho do ar",
+    power: "Consumo elétrico",
+    specificEnergy: "Energia específica",
+    cop: "COP do ciclo",
+    heater: "Aquecedor de regeneração",
+    simTime: "Tempo simulado",
+    water: "Água produzida / dispensada",
+    energy: "Energia acumulada",
+    uv: "Desinfecção UV",
+    site: "Dimensionamento do local",
+    siteValue: "{units} unidades para {demand} · reserva {storage}",
+  },
+
+  scenario: {
+    title: "CENÁRIO",
+    save: "💾 Salvar",
+    load: "📂 Carregar",
+    link: "🔗 Link",
+    linkReady: "Link pronto na barra de endereços",
+    linkCopied: "Link copiado",
+    loaded: "Carregado {file}",
+  },
+
+  sizing: {
+    title: "DIMENSIONAMENTO",
+    close: "Fechar dimensionamento",
+    unit: "Unidade: {machine}",
+    demand: "Demanda ({unit})",
+    climate: "Clima do local",
+    typical: "Mês típico",
+    typicalName: "Mês típico ({month})",
+    month: "Mês",
+    temp: "T. média ({unit})",
+    rh: "UR média (%)",
+    swing: "Amplitude diária ({unit})",
+    tariff: "Tarifa ($/kWh)",
+    autonomy: "Reserva (dias de demanda)",
+    criterion: "Dimensionar por",
+    perUnit: "Por unidade:",
+    average: "média",
+    designMonth: " · {value} em {month}",
+    units: "unidade(s) · tanque de reserva",
+    shortfall: "⚠ Meses em falta: {months}",
+    covered: "✓ Atende a demanda em todos os meses do perfil",
+    perYear: "{kwh} kWh/ano · ${cost}/ano",
+    perLiter: " · ${cost}/{unit}",
+    apply: "🎯 Ver em 3D",
+    live: "Na cena: {lph} por unidade · meta {target}",
+    noProduction: "Esta unidade não produz no clima escolhido; tente outra tecnologia ou um clima mais úmido.",
+  },
+
+  technology: {
+    title: "TECNOLOGIAS",
+    profile: "Média do perfil {climate}",
+    manual: "Condições manuais mantidas por 24 h",
+  },
+
+  telemetry: {
+    title: "TELEMETRIA",
+    coverage: "{hours} h · a cada {minutes} min",
+    recording: "registrando…",
+    clear: "Limpar",
+    axis: "eixo {min} – {max} {unit}",
+    hoverHint: "Passe o ponteiro sobre um gráfico para ler os valores",
+  },
+
+  errors: {
+    share: {
+      notScenario: "O arquivo não é um cenário do simulador.",
+      newerVersion: "Cenário de uma versão mais nova (v{version}); atualize o simulador.",
+      json: "O arquivo não é um JSON válido.",
+      brokenLink: "O link está danificado ou incompleto.",
+    },
+    weather: {
+      noData: "O arquivo não tem dados.",
+      missingColumns: "Faltam colunas de temperatura e/ou umidade relativa (p. ex. 'temp', 'rh').",
+      noRows: "Nenhuma linha válida foi encontrada.",
+      emptyEpw: "O EPW não contém registros horários.",
+    },
+    recording: {
+      noWebCodecs: "Este navegador não suporta WebCodecs; use uma versão recente do Chrome, Edge, Safari ou Firefox",
+      noCodec: "O navegador não consegue codificar VP8/VP9 em {width}×{height}",
+    },
+    machine: {
+      invalid: "Definição de máquina inválida:",
+      json: "O arquivo não é um JSON válido.",
+    },
+    machineIssues: {
+      notJson: "A definição deve ser um objeto JSON.",
+      emptyList: "deve ser uma lista com pelo menos um item",
+      list: "deve ser uma lista",
+      notObject: "deve ser um objeto",
+      missing: "está ausente ou vazio",
+      repeated: '"{id}" está repetido',
+      missingVersion: "falta a versão do formato",
+      newerVersion: "definição de uma versão mais nova (v{version}); atualize o simulador",
+      badId: "use só minúsculas, números, '-' ou '_'",
+      missingName: "falta o nome da máquina",
+      technology: "deve ser uma de {options}",
+      oneOf: "deve ser um de {options}",
+      shellSize: "deve ser [largura, altura, profundidade] positivos",
+      unknownType: '"{type}" não é um tipo conhecido ({options})',
+      vector: "deve ser [x, y, z]",
+      rotation: "deve ser [x, y, z] em radianos",
+      positiveVector: "deve ser [x, y, z] positivos",
+      zeroVector: "deve ser um vetor não nulo",
+      pipeLength: "a tubulação precisa de um comprimento positivo",
+      text: "deve ser um texto",
+      missingTitle: "falta o título",
+      missingNarration: "falta a narração",
+      duration: "deve ser positiva (segundos)",
+      camera: "precisa de position e target como [x, y, z]",
+      emptyFocus: "indique pelo menos um componente ou grupo",
+      unknownFocus: '"{id}" não é um componente nem um grupo',
+      unknownStage: '"{id}" não é uma etapa',
+      unknownComponent: '"{id}" não é um componente',
+      unstaged: "nenhuma etapa o destaca; adicione-o ao foco de uma ou indique sua stage",
+      inactiveEmitter: "sem etapa o emissor nunca é ativado",
+      color: "deve ser uma cor #rrggbb",
+      positive: "deve ser positivo",
+      nonNegative: "deve ser ≥ 0",
+      count: "deve ser um inteiro entre 1 e 5000",
+      translations: "deve ser um objeto por idioma",
+    },
+  },
+
+  sim: {
+    faults: {
+      fan_stall: {
+        label: "Ventilador travado",
+        diagnosis: "Sem vazão de ar. Verificar motor, capacitor e obstruções na grade.",
+      },
+      coil_icing: {
+        label: "Serpentina congelada",
+        diagnosis: "Gelo sobre as aletas. Forçar degelo e verificar a temperatura de evaporação.",
+      },
+      refrigerant_leak: {
+        label: "Vazamento de refrigerante",
+        diagnosis: "A serpentina não resfria e o compressor trabalha em vazio. Localizar o vazamento e recarregar.",
+      },
+      sediment_clog: {
+        label: "Filtro de sedimentos obstruído",
+        diagnosis: "Perda de carga excessiva na linha. Substituir o cartucho de sedimentos.",
+      },
+      uv_failure: {
+        label: "Lâmpada UV apagada",
+        diagnosis: "Sem desinfecção. Verificar reator e lâmpada; bloquear a dispensa.",
+      },
+      clean_tank_leak: {
+        label: "Vazamento no tanque limpo",
+        diagnosis: "O nível do tanque limpo cai sem dispensar. Verificar vedações e conexões.",
+      },
+      faucet_stuck: {
+        label: "Válvula da torneira travada",
+        diagnosis: "A torneira não fecha e esvazia o tanque limpo. Substituir a válvula solenoide.",
+      },
+    },
+    faultScenarios: {
+      fan_2h: "Ventilador trava às 2 h",
+      leak_then_ice: "Vazamento de refrigerante (4 h) e gelo (8 h)",
+      treatment_day: "Dia de falhas de tratamento",
+    },
+    states: {
+      standby: "EM ESPERA",
+      producing: "PRODUZINDO",
+      defrost: "DEGELO",
+      tank_full: "TANQUE CHEIO",
+      sanitizing: "SANITIZANDO",
+      fault: "FALHA",
+    },
+    reasons: {
+      power_on: "Ligado",
+      alarm: "Alarme {codes}",
+      alarms_cleared: "Alarmes resolvidos",
+      sanitize_done: "Sanitização concluída",
+      defrost_done: "Degelo concluído",
+      sanitize_scheduled: "Ciclo programado a cada {hours} h",
+      tank_full: "Tanque a {pct}%",
+      frost: "Serpentina ≤ {threshold} °C",
+      low_rh: "UR {rh}% < {minRh}%",
+      dew_point: "Ponto de orvalho abaixo da temperatura da serpentina",
+      production: "Condições de produção",
+    },
+    quality: {
+      turbidity: "Turbidez",
+      voc: "Cloro/VOC",
+      microbes: "Carga microbiana",
+      ca: "Cálcio",
+      mg: "Magnésio",
+    },
+    series: {
+      yieldLph: "Produção",
+      dirtyPct: "Tanque bruto",
+      cleanPct: "Tanque limpo",
+      powerW: "Consumo",
+      ambientTemp: "Ambiente",
+      dewPoint: "Orvalho",
+      coilTemp: "Serpentina",
+      rh: "UR",
+    },
+    charts: {
+      yield: "Produção de água",
+      tanks: "Nível dos tanques",
+      power: "Consumo elétrico",
+      temps: "Temperaturas",
+      rh: "Umidade relativa",
+    },
+    climates: { "humid-tropical": "Trópico úmido", arid: "Árido", temperate: "Temperado" },
+    media: { silica: "Sílica gel" },
+    criteria: { average: "Média anual", worst: "Pior mês" },
+    technologies: {
+      refrigeration: { label: "Refrigeração", detail: "Serpentina fria abaixo do ponto de orvalho" },
+      desiccant: { label: "Dessecante", detail: "Roda de adsorção com regeneração térmica" },
+    },
+    roles: {
+      fan: "Rotor do ventilador",
+      coil: "Serpentina",
+      sediment: "Filtro de sedimentos",
+      carbon: "Filtro de carvão",
+      mineral: "Mineralizador",
+      uv: "Lâmpada UV",
+      dirty_water: "Água do tanque bruto",
+      clean_water: "Água do tanque limpo",
+      cup_water: "Água do copo",
+      dirty_tank: "Tanque bruto",
+      clean_tank: "Tanque limpo",
+      faucet: "Torneira",
+      cup: "Copo",
+    },
+    cartridges: {
+      sediment: "FILTRO DE SEDIMENTOS",
+      carbon: "FILTRO DE CARVÃO",
+      mineral: "MINERALIZAÇÃO",
+      uv: "LÂMPADA UV",
+    },
+    alerts: {
+      exhausted: "{name}: vida esgotada, substituir",
+      low: "{name}: {pct}% de vida restante",
+      flow: "Vazão de filtragem reduzida a {pct}%",
+    },
+  },
+};
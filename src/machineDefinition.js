@@ -0,0 +1,390 @@
+// src/machineDefinition.js
+// Definiciones de máquina en JSON: etapas del recorrido, componentes y su ubicación,
+// emisores de partículas y callouts. La escena dibuja y anima cualquier definición válida.
+import { TECHNOLOGIES } from "./sim/technology.js";
+import { codedError, fillMessage } from "./sim/messages.js";
+
+export const MACHINE_VERSION = 1;
+
+/** Tipos de componente que sabe dibujar la escena, con los valores permitidos de sus campos propios. */
+export const COMPONENT_TYPES = {
+  fan: { label: "Ventilador" },
+  coil: { label: "Serpentín" },
+  cartridge: { label: "Cartucho", fields: { media: ["sediment", "carbon", "mineral"] } },
+  uv: { label: "Lámpara UV" },
+  ozone: { label: "Generador de ozono" },
+  wheel: { label: "Rueda desecante" },
+  heater: { label: "Calefactor de regeneración" },
+  tank: { label: "Tanque", fields: { contents: ["dirty", "clean"] } },
+  pipe: { label: "Tubería" },
+  faucet: { label: "Grifo" },
+  cup: { label: "Vaso" },
+};
+
+/**
+ * Flujos de partículas: cada uno toma su velocidad de una magnitud del motor (caudal de
+ * aire, condensado, bomba de trasiego...). `dispense` también corre mientras se sirve un
+ * vaso y `leak` sólo con una fuga activa, así que no necesitan etapa.
+ */
+export const EMITTER_FLOWS = [
+  "air",
+  "condensate",
+  "regeneration",
+  "treatment",
+  "disinfection",
+  "dispense",
+  "dosing",
+  "leak",
+];
+const CONDITIONAL_FLOWS = ["dispense", "leak"];
+
+// Componentes que tratan el agua (cartuchos según su medio, lámparas UV, ozono)
+const TREATMENT_TYPES = ["cartridge", "uv", "ozone"];
+
+const DEFAULT_SHELL = { size: [4.0, 2.4, 2.2] };
+const DEFAULT_CALLOUTS = { position: [1.6, 0.25, 0.05], items: [] };
+// Segundos que dura cada etapa en el recorrido automático si la definición no lo indica
+export const DEFAULT_STAGE_SECONDS = 3.2;
+
+const isText = (v) => typeof v === "string" && v.trim().length > 0;
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+const isPositive = (v) => Number.isFinite(v) && v > 0;
+const isColor = (v) => typeof v === "string" && /^#([0-9a-f]{3}){1,2}$/i.test(v);
+
+// Revisa una lista de objetos con `id`/`key` único; devuelve los ids vistos
+function checkList(issue, list, path, idKey, checkItem) {
+  const seen = new Set();
+  if (!Array.isArray(list) || !list.length) {
+    issue(path, "emptyList");
+    return seen;
+  }
+  list.forEach((item, i) => {
+    const at = `${path}[${i}]`;
+    if (!item || typeof item !== "object") {
+      issue(at, "notObject");
+      return;
+    }
+    const id = item[idKey];
+    if (!isText(id)) issue(`${at}.${idKey}`, "missing");
+    else if (seen.has(id)) issue(`${at}.${idKey}`, "repeated", { id });
+    else seen.add(id);
+    checkItem(item, isText(id) ? `${path}[${i}] (${id})` : at);
+  });
+  return seen;
+}
+
+// Problemas de una definición, por código (ver machineIssues); cada uno se informa con la ruta del
+// campo delante. La interfaz los traduce con el código (machineIssueText en simLabels.js)
+export const MACHINE_ISSUES = {
+  notJson: "La definición debe ser un objeto JSON.",
+  emptyList: "debe ser una lista con al menos un elemento",
+  list: "debe ser una lista",
+  notObject: "debe ser un objeto",
+  missing: "falta o está vacío",
+  repeated: '"{id}" está repetido',
+  missingVersion: "falta la versión del formato",
+  newerVersion: "definición de una versión más nueva (v{version}); actualiza el simulador",
+  badId: "usa sólo minúsculas, números, '-' o '_'",
+  missingName: "falta el nombre de la máquina",
+  technology: "debe ser una de {options}",
+  oneOf: "debe ser uno de {options}",
+  shellSize: "debe ser [ancho, alto, fondo] positivos",
+  unknownType: '"{type}" no es un tipo conocido ({options})',
+  vector: "debe ser [x, y, z]",
+  rotation: "debe ser [x, y, z] en radianes",
+  positiveVector: "debe ser [x, y, z] positivos",
+  zeroVector: "debe ser un vector no nulo",
+  pipeLength: "la tubería necesita un largo positivo",
+  text: "debe ser un texto",
+  missingTitle: "falta el título",
+  missingNarration: "falta la narración",
+  duration: "debe ser positiva (segundos)",
+  camera: "necesita position y target como [x, y, z]",
+  emptyFocus: "indica al menos un componente o grupo",
+  unknownFocus: '"{id}" no es un componente ni un grupo',
+  unknownStage: '"{id}" no es una etapa',
+  unknownComponent: '"{id}" no es un componente',
+  unstaged: "ninguna etapa lo resalta; agrégalo al foco de una o indica su stage",
+  inactiveEmitter: "sin etapa el emisor nunca se activa",
+  color: "debe ser un color #rrggbb",
+  positive: "debe ser positivo",
+  nonNegative: "debe ser ≥ 0",
+  count: "debe ser un entero entre 1 y 5000",
+  translations: "debe ser un objeto por idioma",
+};
+
+/** Texto en español de un problema: `ruta: mensaje`. */
+function machineIssueMessage({ path, code, vars }) {
+  const text = fillMessage(MACHINE_ISSUES[code], vars);
+  return path ? `${path}: ${text}` : text;
+}
+
+/**
+ * Lista de errores legibles de una definición (vacía si es válida). Cada mensaje indica
+ * la ruta del campo, p. ej. `stages[2] (filtration).focus: "filtros" no es un componente ni un grupo`.
+ */
+export function validateMachine(def) {
+  return machineIssues(def).map(machineIssueMessage);
+}
+
+/** Problemas de una definición como `{ path, code, vars }` (ver MACHINE_ISSUES). */
+export function machineIssues(def) {
+  const issues = [];
+  const issue = (path, code, vars = {}) => issues.push({ path, code, vars });
+  if (!def || typeof def !== "object" || Array.isArray(def)) return [{ path: "", code: "notJson", vars: {} }];
+  if (typeof def.v !== "number") issue("v", "missingVersion");
+  else if (def.v > MACHINE_VERSION) issue("v", "newerVersion", { version: def.v });
+  if (!isText(def.id) || !/^[a-z0-9_-]+$/.test(def.id)) issue("id", "badId");
+  if (!isText(def.name)) issue("name", "missingName");
+  if (def.technology !== undefined && !TECHNOLOGIES[def.technology]) {
+    issue("technology", "technology", { options: Object.keys(TECHNOLOGIES).join(", ") });
+  }
+  if (def.shell !== undefined && !(isVec3(def.shell?.size) && def.shell.size.every(isPositive))) {
+    issue("shell.size", "shellSize");
+  }
+
+  const groups = new Set();
+  const componentIds = checkList(issue, def.components, "components", "id", (c, at) => {
+    const type = COMPONENT_TYPES[c.type];
+    if (!type) {
+      issue(`${at}.type`, "unknownType", { type: c.type, options: Object.keys(COMPONENT_TYPES).join(", ") });
+      return;
+    }
+    if (!isVec3(c.position)) issue(`${at}.position`, "vector");
+    if (c.rotation !== undefined && !isVec3(c.rotation)) issue(`${at}.rotation`, "rotation");
+    Object.entries(type.fields || {}).forEach(([field, allowed]) => {
+      if (!allowed.includes(c[field])) issue(`${at}.${field}`, "oneOf", { options: allowed.join(", ") });
+    });
+    if (c.type === "pipe" && !isPositive(c.length)) issue(`${at}.length`, "pipeLength");
+    if (c.group !== undefined) {
+      if (isText(c.group)) groups.add(c.group);
+      else issue(`${at}.group`, "text");
+    }
+  });
+
+  const stageKeys = checkList(issue, def.stages, "stages", "key", (s, at) => {
+    if (!isText(s.title)) issue(`${at}.title`, "missingTitle");
+    if (!isText(s.narration)) issue(`${at}.narration`, "missingNarration");
+    if (s.caption !== undefined && !isText(s.caption)) issue(`${at}.caption`, "text");
+    if (s.duration !== undefined && !isPositive(s.duration)) issue(`${at}.duration`, "duration");
+    if (!isVec3(s.camera?.position) || !isVec3(s.camera?.target)) issue(`${at}.camera`, "camera");
+    if (!Array.isArray(s.focus) || !s.focus.length) issue(`${at}.focus`, "emptyFocus");
+    else
+      s.focus
+        .filter((f) => !componentIds.has(f) && !groups.has(f))
+        .forEach((f) => issue(`${at}.focus`, "unknownFocus", { id: f }));
+  });
+
+  // La etapa propia de un componente (a la que salta al seleccionarlo) debe existir. Cartuchos,
+  // lámparas UV y ozono tratan el agua en su etapa: sin ninguna quedarían fuera de la línea de
+  // tratamiento y de su desgaste (ver treatmentStages) aunque la escena los dibuje
+  const focused = new Set((Array.isArray(def.stages) ? def.stages : []).flatMap((s) => s?.focus ?? []));
+  (Array.isArray(def.components) ? def.components : []).forEach((c, i) => {
+    if (c?.stage !== undefined && !stageKeys.has(c.stage)) {
+      issue(`components[${i}] (${c.id}).stage`, "unknownStage", { id: c.stage });
+    } else if (TREATMENT_TYPES.includes(c?.type) && !c.stage && !focused.has(c.id) && !focused.has(c.group)) {
+      issue(`components[${i}] (${c.id})`, "unstaged");
+    }
+  });
+
+  if (def.emitters !== undefined) {
+    checkList(issue, def.emitters, "emitters", "id", (e, at) => {
+      if (!EMITTER_FLOWS.includes(e.flow)) issue(`${at}.flow`, "oneOf", { options: EMITTER_FLOWS.join(", ") });
+      if (e.stage === undefined) {
+        if (!CONDITIONAL_FLOWS.includes(e.flow)) issue(`${at}.stage`, "inactiveEmitter");
+      } else if (!stageKeys.has(e.stage)) issue(`${at}.stage`, "unknownStage", { id: e.stage });
+      if (!isVec3(e.position)) issue(`${at}.position`, "vector");
+      if (!isVec3(e.box) || !e.box.every(isPositive)) issue(`${at}.box`, "positiveVector");
+      if (!isVec3(e.direction) || e.direction.every((d) => d === 0)) issue(`${at}.direction`, "zeroVector");
+      if (!isColor(e.color)) issue(`${at}.color`, "color");
+      if (e.size !== undefined && !isPositive(e.size)) issue(`${at}.size`, "positive");
+      if (e.swirl !== undefined && !(Number.isFinite(e.swirl) && e.swirl >= 0)) issue(`${at}.swirl`, "nonNegative");
+      if (e.count !== undefined && !(Number.isInteger(e.count) && e.count > 0 && e.count <= 5000)) {
+        issue(`${at}.count`, "count");
+      }
+    });
+  }
+
+  if (def.callouts !== undefined) {
+    const { position, items } = def.callouts || {};
+    if (position !== undefined && !isVec3(position)) issue("callouts.position", "vector");
+    if (!Array.isArray(items)) issue("callouts.items", "list");
+    else
+      items.forEach((item, i) => {
+        if (!componentIds.has(item?.target)) {
+          issue(`callouts.items[${i}].target`, "unknownComponent", { id: item?.target });
+        }
+        if (!isText(item?.title)) issue(`callouts.items[${i}].title`, "missingTitle");
+      });
+  }
+  if (def.translations !== undefined) checkTranslations(issue, def.translations, stageKeys, componentIds);
+  return issues;
+}
+
+const TRANSLATED_FIELDS = {
+  machine: ["name", "description"],
+  stages: ["title", "narration", "caption"],
+  callouts: ["title", "subtitle"],
+};
+
+// `translations: { en: { name, description, stages: { <key>: {...} }, callouts: { <target>: {...} } } }`
+function checkTranslations(issue, translations, stageKeys, componentIds) {
+  if (!translations || typeof translations !== "object" || Array.isArray(translations)) {
+    issue("translations", "translations");
+    return;
+  }
+  const checkTexts = (obj, fields, at) =>
+    fields.filter((f) => obj[f] !== undefined && !isText(obj[f])).forEach((f) => issue(`${at}.${f}`, "text"));
+  Object.entries(translations).forEach(([locale, tr]) => {
+    const at = `translations.${locale}`;
+    if (!tr || typeof tr !== "object") {
+      issue(at, "notObject");
+      return;
+    }
+    checkTexts(tr, TRANSLATED_FIELDS.machine, at);
+    [
+      ["stages", stageKeys, "unknownStage"],
+      ["callouts", componentIds, "unknownComponent"],
+    ].forEach(([section, known, problem]) => {
+      Object.entries(tr[section] ?? {}).forEach(([key, texts]) => {
+        const path = `${at}.${section}.${key}`;
+        if (!known.has(key)) issue(path, problem, { id: key });
+        else if (texts && typeof texts === "object") checkTexts(texts, TRANSLATED_FIELDS[section], path);
+        else issue(path, "notObject");
+      });
+    });
+  });
+}
+
+// Errores al cargar una definición (la interfaz los traduce con `code`, ver codedError)
+export const MACHINE_ERRORS = {
+  invalid: "Definición de máquina inválida:",
+  json: "El archivo no es un JSON válido.",
+};
+
+/**
+ * Valida y completa una definición con los valores por defecto. Lanza Error con todos
+ * los problemas encontrados, uno por línea; `issues` los trae para traducirlos.
+ */
+export function normalizeMachine(raw) {
+  const issues = machineIssues(raw);
+  if (issues.length) {
+    const error = codedError("machine.invalid", MACHINE_ERRORS.invalid);
+    error.message += issues.map((issue) => `\n• ${machineIssueMessage(issue)}`).join("");
+    throw Object.assign(error, { issues });
+  }
+  return {
+    ...raw,
+    technology: raw.technology || "refrigeration",
+    shell: raw.shell || DEFAULT_SHELL,
+    // `caption`: texto breve en pantalla (kiosco, video); sin él se usa la narración
+    stages: raw.stages.map((s) => ({ duration: DEFAULT_STAGE_SECONDS, caption: s.narration, ...s })),
+    components: raw.components.map((c) => ({ rotation: [0, 0, 0], spec: c.id, ...c })),
+    emitters: (raw.emitters || []).map((e) => ({ size: 0.01, swirl: 0, ...e })),
+    callouts: { ...DEFAULT_CALLOUTS, ...raw.callouts },
+  };
+}
+
+/**
+ * Textos de la máquina en otro idioma según su bloque `translations`; lo que falte queda en el
+ * idioma original. Sin `caption` traducida se usa la narración traducida, como en normalizeMachine.
+ */
+export function localizeMachine(machine, locale) {
+  const tr = machine.translations?.[locale];
+  if (!tr) return machine;
+  return {
+    ...machine,
+    name: tr.name ?? machine.name,
+    description: tr.description ?? machine.description,
+    stages: machine.stages.map((s) => {
+      const t = tr.stages?.[s.key];
+      return t ? { ...s, ...t, caption: t.caption ?? t.narration ?? s.caption } : s;
+    }),
+    callouts: {
+      ...machine.callouts,
+      items: machine.callouts.items.map((item) => ({ ...item, ...tr.callouts?.[item.target] })),
+    },
+  };
+}
+
+export function machineFromJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw codedError("machine.json", MACHINE_ERRORS.json);
+  }
+  return normalizeMachine(raw);
+}
+
+/** Ids de los componentes resaltados en una etapa (los grupos se expanden). */
+export function focusedComponents(machine, stageKey) {
+  const focus = machine.stages.find((s) => s.key === stageKey)?.focus ?? [];
+  return new Set(machine.components.filter((c) => focus.includes(c.id) || focus.includes(c.group)).map((c) => c.id));
+}
+
+/** Etapa a la que salta la escena al seleccionar un componente: la suya o la primera que lo resalta. */
+export function stageIndexForComponent(machine, id) {
+  const component = machine.components.find((c) => c.id === id);
+  if (!component) return -1;
+  if (component.stage) return machine.stages.findIndex((s) => s.key === component.stage);
+  return machine.stages.findIndex((s) => focusedComponents(machine, s.key).has(id));
+}
+
+/**
+ * Línea de tratamiento del agua para el motor (formato de DEFAULT_TREATMENT en waterQuality.js):
+ * la etapa del serpentín, donde se forma el condensado, y las etapas con cartuchos, lámparas UV
+ * u ozono con sus procesos, en el orden del recorrido.
+ */
+export function treatmentStages(machine) {
+  const stepOf = (c) => (c.type === "cartridge" ? c.media : TREATMENT_TYPES.includes(c.type) ? c.type : null);
+  const stages = machine.stages.map((s) => ({ key: s.key, steps: [] }));
+  machine.components.forEach((c) => {
+    const index = stageIndexForComponent(machine, c.id);
+    if (stepOf(c) && index >= 0) stages[index].steps.push(stepOf(c));
+  });
+  const condenser = machine.components.find((c) => c.type === "coil");
+  const source = Math.max(0, condenser ? stageIndexForComponent(machine, condenser.id) : 0);
+  return stages.filter((s, i) => i === source || s.steps.length > 0);
+}
+
+/** Reemplaza `{nombre}` por `vars.nombre`; lo que no está en `vars` queda igual. */
+export function fillTemplate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Vista explosionada: cuánto se alejan las piezas del centro de la carcasa (fracción de su
+// posición) y cuánto salen por el frente abierto entre la primera y la última etapa
+export const EXPLODED_VIEW = { spread: 0.45, depth: 1.6 };
+
+/**
+ * Desplazamiento `[x, y, z]` de cada componente en la vista explosionada. Las piezas salen por
+ * el frente en escalera según la primera etapa que las resalta, así las que se superponen (la
+ * lámpara UV dentro de la línea de filtros) quedan separadas siguiendo el recorrido del agua.
+ */
+export function explodedOffsets(machine) {
+  const { spread, depth } = EXPLODED_VIEW;
+  const last = Math.max(1, machine.stages.length - 1);
+  return Object.fromEntries(
+    machine.components.map((c) => {
+      const first = machine.stages.findIndex((s) => focusedComponents(machine, s.key).has(c.id));
+      const order = Math.max(0, first >= 0 ? first : stageIndexForComponent(machine, c.id));
+      const [x, y, z] = c.position;
+      return [c.id, [x * spread, y * spread, z * spread + depth * (0.25 + (0.75 * order) / last)]];
+    })
+  );
+}
+
+/** Desplazamiento de un punto de la escena (p. ej. un emisor): el del componente más cercano. */
+export function explodedOffsetAt(machine, offsets, position) {
+  const distance = (c) => Math.hypot(...c.position.map((v, i) => v - position[i]));
+  const nearest = machine.components.reduce((best, c) => (distance(c) < distance(best) ? c : best));
+  return offsets[nearest.id];
+}
+
+/** Desplazamiento medio de las piezas resaltadas en la etapa: la cámara del recorrido lo sigue. */
+export function explodedStageOffset(machine, offsets, stageKey) {
+  const ids = [...focusedComponents(machine, stageKey)];
+  if (!ids.length) return [0, 0, 0];
+  return [0, 1, 2].map((axis) => ids.reduce((sum, id) => sum + offsets[id][axis], 0) / ids.length);
+}
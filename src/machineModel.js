@@ -0,0 +1,129 @@
+// src/machineModel.js
+// Modelos GLB de la máquina: emparejamiento de nodos con los roles del simulador,
+// ajuste de escala y anclas para los emisores de partículas.
+import * as THREE from "three";
+
+/**
+ * Roles que la escena sabe animar. Un nodo se asigna al primer rol cuyo patrón coincide
+ * con su nombre como palabra (separada por `_`, `-`, `.`, espacios o dígitos), o al rol
+ * indicado explícitamente en `userData.awgRole` (propiedad personalizada en Blender).
+ * Los roles de agua van antes que los de tanque para que "Dirty_Tank_Water" sea agua.
+ */
+export const MODEL_ROLES = [
+  // Sólo el rotor gira: "fan" a secas también nombraría la carcasa del ventilador
+  { role: "fan", label: "Rotor del ventilador", patterns: ["fan_rotor", "rotor", "fan_blades", "impeller", "aspas"] },
+  { role: "coil", label: "Serpentín", patterns: ["coil", "evaporator", "evaporador", "serpentin"] },
+  { role: "sediment", label: "Filtro de sedimentos", patterns: ["sediment", "sedimentos"] },
+  { role: "carbon", label: "Filtro de carbón", patterns: ["carbon"] },
+  { role: "mineral", label: "Mineralizador", patterns: ["mineral", "mineralizer"] },
+  { role: "uv", label: "Lámpara UV", patterns: ["uv_lamp", "uv", "lampara_uv"] },
+  { role: "dirty_water", label: "Agua tanque sucio", patterns: ["dirty_water", "dirty_tank_water", "agua_sucia"], optional: true },
+  { role: "clean_water", label: "Agua tanque limpio", patterns: ["clean_water", "clean_tank_water", "agua_limpia"], optional: true },
+  { role: "cup_water", label: "Agua del vaso", patterns: ["cup_water", "agua_vaso"], optional: true },
+  { role: "dirty_tank", label: "Tanque sucio", patterns: ["dirty_tank", "tank_dirty", "tanque_sucio"] },
+  { role: "clean_tank", label: "Tanque limpio", patterns: ["clean_tank", "tank_clean", "tanque_limpio"] },
+  { role: "faucet", label: "Grifo", patterns: ["faucet", "tap", "grifo"] },
+  { role: "cup", label: "Vaso", patterns: ["cup", "vaso"], optional: true },
+];
+
+// Volumen que ocupa la maqueta: el GLB se escala para entrar en la misma caja
+export const MOCK_SIZE = [4.0, 2.4, 2.2];
+
+function matcher(pattern) {
+  return new RegExp(`(^|[^a-z])${pattern}($|[^a-z])`, "i");
+}
+
+/** Rol de un nodo según su nombre o `userData.awgRole`; null si no coincide ninguno. */
+export function roleForNode(node, roles = MODEL_ROLES) {
+  const explicit = node.userData?.awgRole;
+  if (explicit && roles.some((r) => r.role === explicit)) return explicit;
+  const name = node.name || "";
+  return roles.find((r) => r.patterns.some((p) => matcher(p).test(name)))?.role ?? null;
+}
+
+/**
+ * Recorre el modelo y agrupa los nodos por rol. Un nodo cuyo ancestro ya tiene ese
+ * mismo rol no se vuelve a listar (el ancestro lo arrastra).
+ * Devuelve `{ nodes: { rol: Object3D[] }, missing: [rol] }` (sólo roles obligatorios).
+ */
+export function mapModelNodes(root, roles = MODEL_ROLES) {
+  const nodes = Object.fromEntries(roles.map((r) => [r.role, []]));
+  const visit = (node, inherited) => {
+    const role = roleForNode(node, roles);
+    if (role && role !== inherited) nodes[role].push(node);
+    node.children.forEach((child) => visit(child, role || inherited));
+  };
+  root.children.forEach((child) => visit(child, null));
+  const missing = roles.filter((r) => !r.optional && !nodes[r.role].length).map((r) => r.role);
+  return { nodes, missing };
+}
+
+/** Escala y centra `root` para que entre en una caja de tamaño `size`. */
+export function fitModel(root, size = MOCK_SIZE) {
+  root.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(root);
+  if (box.isEmpty()) return root;
+  const dims = box.getSize(new THREE.Vector3());
+  const scale = Math.min(size[0] / dims.x, size[1] / dims.y, size[2] / dims.z);
+  // Escalar respecto del origen del nodo y llevar el centro de la caja a (0, 0, 0)
+  const center = box.getCenter(new THREE.Vector3());
+  root.scale.multiplyScalar(scale);
+  root.position.copy(center.sub(root.position).multiplyScalar(-scale));
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+// Caja de un conjunto de nodos en el espacio donde está montado `root` (su padre)
+function boxOf(root, objects) {
+  const box = new THREE.Box3();
+  const toLocal = root.parent ? root.parent.matrixWorld.clone().invert() : new THREE.Matrix4();
+  objects.forEach((o) => {
+    const b = new THREE.Box3().setFromObject(o);
+    if (!b.isEmpty()) box.union(b.applyMatrix4(toLocal));
+  });
+  return box.isEmpty() ? null : box;
+}
+
+/**
+ * Posición de cada emisor de partículas a partir de la geometría real. Los emisores
+ * cuyo rol falta quedan fuera y la escena usa la posición de la maqueta.
+ */
+export function particleAnchors(root, nodes) {
+  root.updateMatrixWorld(true);
+  const center = (roles, offset = [0, 0, 0]) => {
+    const box = boxOf(root, roles.flatMap((r) => nodes[r] || []));
+    if (!box) return null;
+    const c = box.getCenter(new THREE.Vector3());
+    return [c.x + offset[0], c.y + offset[1], c.z + offset[2]];
+  };
+  const leak = boxOf(root, nodes.clean_tank || []);
+
+  const anchors = {
+    air: center(["fan"], [-0.5, 0, 0]),
+    condensation: center(["coil"], [0, -0.1, 0]),
+    filtration: center(["sediment", "carbon", "mineral"]),
+    uv_tank: center(["uv"]),
+    dispense: center(["faucet"], [0, -0.45, 0]),
+    mineral: center(["mineral"]),
+    leak: leak && [(leak.min.x + leak.max.x) / 2, leak.min.y, (leak.min.z + leak.max.z) / 2],
+  };
+  return Object.fromEntries(Object.entries(anchors).filter(([, v]) => v));
+}
+
+/**
+ * Deja un GLB listo para la escena: copia independiente, ajustada al tamaño de la maqueta,
+ * con materiales propios en los nodos con rol (para atenuarlos o teñirlos sin afectar a otros).
+ */
+export function prepareModel(scene, roles = MODEL_ROLES) {
+  const root = fitModel(scene.clone(true));
+  const { nodes, missing } = mapModelNodes(root, roles);
+  Object.values(nodes)
+    .flat()
+    .forEach((node) =>
+      node.traverse((o) => {
+        if (o.isMesh) o.material = Array.isArray(o.material) ? o.material.map((m) => m.clone()) : o.material.clone();
+      })
+    );
+  const found = roles.filter((r) => nodes[r.role].length).map((r) => r.role);
+  return { root, nodes, missing, found, anchors: particleAnchors(root, nodes) };
+}
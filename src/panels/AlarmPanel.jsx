@@ -0,0 +1,125 @@
+// src/panels/AlarmPanel.jsx
+// Modo fallas: alarmas activas con código de diagnóstico, inyección manual y guiones por tiempo.
+import React, { useState } from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { faultById } from "../sim/faults.js";
+import { formatSimTime } from "../useSimulation.js";
+import useI18n from "../useI18n.js";
+import { faultDiagnosis, faultLabel, faultScenarioLabel } from "../simLabels.js";
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+
+export default function AlarmPanel({ faults, scenarios, alarms, script, time, actions }) {
+  const [open, setOpen] = useState(false);
+  const [faultId, setFaultId] = useState(faults[0].id);
+  const [atHour, setAtHour] = useState(1);
+  const [scenarioId, setScenarioId] = useState(scenarios[0].id);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 360, fontSize: 11 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>
+          {alarms.length ? t("alarms.active", { count: alarms.length }) : t("alarms.title")}
+        </div>
+        <button onClick={() => setOpen((v) => !v)} style={smallButton}>
+          {open ? t("common.hide") : t("alarms.inject")}
+        </button>
+      </div>
+
+      {alarms.map((a) => (
+        <div
+          key={a.id}
+          style={{
+            marginTop: 6,
+            padding: "6px 8px",
+            borderRadius: 10,
+            background: "rgba(220,38,38,0.1)",
+            display: "flex",
+            gap: 8,
+            alignItems: "flex-start",
+          }}
+        >
+          <b style={{ color: "#dc2626", fontFamily: "monospace", fontSize: 12 }}>{a.code}</b>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontWeight: 800 }}>
+              {faultLabel(i18n, a)}{" "}
+              <span style={{ fontWeight: 400, opacity: 0.6 }}>
+                {t("alarms.since", { time: formatSimTime(a.since, t("common.day")) })}
+              </span>
+            </div>
+            <div style={{ opacity: 0.75 }}>{faultDiagnosis(i18n, a)}</div>
+          </div>
+          <button onClick={() => actions.clearFault(a.id)} style={smallButton}>
+            {t("alarms.repair")}
+          </button>
+        </div>
+      ))}
+
+      {open && (
+        <div style={{ display: "grid", gap: 6, marginTop: 8 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <select value={faultId} onChange={(e) => setFaultId(e.target.value)} style={{ flex: 1 }}>
+              {faults.map((f) => (
+                <option key={f.id} value={f.id}>
+                  {f.code} · {faultLabel(i18n, f)}
+                </option>
+              ))}
+            </select>
+            <button onClick={() => actions.injectFault(faultId)} style={smallButton}>
+              {t("alarms.now")}
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            {t("alarms.in")}
+            <input
+              type="number"
+              min={0}
+              step={0.5}
+              value={atHour}
+              onChange={(e) => setAtHour(Math.max(0, Number(e.target.value)))}
+              style={{ width: 56 }}
+            />
+            {t("alarms.simHours")}
+            <button onClick={() => actions.scheduleFault(faultId, atHour)} style={smallButton}>
+              {t("alarms.schedule")}
+            </button>
+          </div>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <select value={scenarioId} onChange={(e) => setScenarioId(e.target.value)} style={{ flex: 1 }}>
+              {scenarios.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {faultScenarioLabel(i18n, s)}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => actions.loadScenario(scenarios.find((s) => s.id === scenarioId))}
+              style={smallButton}
+            >
+              {t("alarms.loadScript")}
+            </button>
+          </div>
+
+          {script.length > 0 && (
+            <div style={{ opacity: 0.8 }}>
+              <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 800 }}>
+                {t("alarms.scheduled")}
+                <button onClick={actions.clearScript} style={smallButton}>
+                  {t("alarms.clear")}
+                </button>
+              </div>
+              {script.map((e, i) => (
+                <div key={i}>
+                  {faultById(e.faultId).code} · {faultLabel(i18n, faultById(e.faultId))} —{" "}
+                  {t("alarms.inHours", { hours: i18n.number((e.at - time) / 3600, 1) })}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
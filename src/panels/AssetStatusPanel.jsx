@@ -0,0 +1,64 @@
+// src/panels/AssetStatusPanel.jsx
+// Estado de carga de los recursos 3D (modelos, texturas) sobre la escena: progreso mientras
+// llegan y la lista de archivos que fallaron, en vez de un lienzo en blanco.
+import React, { useState } from "react";
+import { useProgress } from "@react-three/drei";
+import { PANEL_STYLE } from "../ui.jsx";
+import useI18n from "../useI18n.js";
+
+const fileName = (url) => decodeURIComponent(String(url).split("/").pop() || url);
+
+export default function AssetStatusPanel() {
+  const { active, progress, item, errors } = useProgress();
+  const [dismissed, setDismissed] = useState(0);
+  const { t } = useI18n();
+  const pending = errors.slice(dismissed);
+
+  if (!active && pending.length === 0) return null;
+  return (
+    <div
+      role="status"
+      style={{
+        ...PANEL_STYLE,
+        position: "absolute",
+        left: "50%",
+        top: "42%",
+        transform: "translate(-50%, -50%)",
+        zIndex: 20,
+        width: 320,
+        fontSize: 12,
+      }}
+    >
+      {active && (
+        <>
+          <div style={{ fontWeight: 900, letterSpacing: 0.25 }}>
+            {t("assets.loading", { pct: Math.round(progress) })}
+          </div>
+          <div style={{ height: 6, borderRadius: 3, background: "rgba(15,23,42,0.12)", marginTop: 8 }}>
+            <div style={{ width: `${progress}%`, height: "100%", borderRadius: 3, background: "#2563eb" }} />
+          </div>
+          {item && <div style={{ marginTop: 6, opacity: 0.7, wordBreak: "break-all" }}>{fileName(item)}</div>}
+        </>
+      )}
+      {pending.length > 0 && (
+        <div style={{ marginTop: active ? 8 : 0, color: "#dc2626" }}>
+          <b>{t("assets.failed")}</b>
+          {pending.map((url, i) => (
+            <div key={i} style={{ wordBreak: "break-all" }}>
+              · {fileName(url)}
+            </div>
+          ))}
+          <div style={{ marginTop: 4, color: "#0f172a", opacity: 0.75 }}>
+            {t("assets.fallback")}
+          </div>
+          <button
+            onClick={() => setDismissed(errors.length)}
+            style={{ fontSize: 10, fontWeight: 800, cursor: "pointer", marginTop: 6 }}
+          >
+            {t("common.gotIt")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
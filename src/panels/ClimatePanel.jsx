@@ -0,0 +1,95 @@
+// src/panels/ClimatePanel.jsx
+// Selección de clima (manual, perfiles de ejemplo o archivo CSV/EPW), línea de tiempo y resumen.
+import React, { useState } from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { parseWeatherFile } from "../sim/weather.js";
+import useI18n from "../useI18n.js";
+import { climateLabel, errorMessage } from "../simLabels.js";
+
+export default function ClimatePanel({
+  samples,
+  climateId,
+  onSelect,
+  customProfile,
+  onLoadProfile,
+  profile,
+  hour,
+  onScrub,
+  ambient,
+  summary,
+}) {
+  const [error, setError] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        onLoadProfile(parseWeatherFile(file.name, text));
+        setError(null);
+      } catch (err) {
+        setError(errorMessage(i18n, err));
+      }
+    });
+    e.target.value = "";
+  };
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 300, fontSize: 11 }}>
+      <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("climate.title")}</div>
+
+      <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+        <select value={climateId} onChange={(e) => onSelect(e.target.value)} style={{ flex: 1 }}>
+          <option value="manual">{t("climate.manual")}</option>
+          {samples.map((c) => (
+            <option key={c.id} value={c.id}>
+              {climateLabel(i18n, c)}
+            </option>
+          ))}
+          {customProfile && <option value="custom">{customProfile.name}</option>}
+        </select>
+        <label style={{ cursor: "pointer", fontWeight: 800 }}>
+          {t("climate.file")}
+          <input type="file" accept=".csv,.epw,.txt" onChange={onFile} style={{ display: "none" }} />
+        </label>
+      </div>
+      {error && <div style={{ color: "#dc2626", marginTop: 6 }}>{error}</div>}
+
+      <div style={{ marginTop: 8 }}>
+        {t("climate.ambient", { temp: i18n.format(ambient.temp, "°C", 1), rh: i18n.number(ambient.rh) })}
+        {profile && t("climate.hour", { hour: Math.floor(hour), total: profile.records.length })}
+      </div>
+
+      {profile && (
+        <>
+          <input
+            type="range"
+            min={0}
+            max={profile.records.length - 1}
+            step={0.25}
+            value={hour}
+            onChange={(e) => onScrub(Number(e.target.value))}
+            style={{ width: "100%", marginTop: 6 }}
+          />
+          <div style={{ marginTop: 6 }}>
+            <b>{i18n.format(summary.averageDaily, "L/d", 1)}</b>{" "}
+            {t("climate.summary", { total: i18n.format(summary.total, "L", 1), days: summary.daily.length })}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "2px 10px", marginTop: 4, opacity: 0.75 }}>
+            {summary.monthly.map((m) => (
+              <span key={m.month}>
+                {i18n.months[m.month - 1]}: {i18n.format(m.estimatedLiters, "L")}
+                {m.daysCovered < 28 && "*"}
+              </span>
+            ))}
+          </div>
+          {summary.monthly.some((m) => m.daysCovered < 28) && (
+            <div style={{ opacity: 0.6, marginTop: 2 }}>{t("climate.extrapolated")}</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
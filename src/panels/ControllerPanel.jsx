@@ -0,0 +1,77 @@
+// src/panels/ControllerPanel.jsx
+// Estado del controlador simulado, actuadores, sensores y registro de transiciones.
+import React, { useState } from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { CONTROLLER_STATES } from "../sim/controller.js";
+import { formatSimTime } from "../useSimulation.js";
+import useI18n from "../useI18n.js";
+import { stateLabel, transitionReason } from "../simLabels.js";
+
+const OUTPUTS = ["compressor", "fan", "uv", "transferPump", "dispenseAllowed"];
+// En una unidad desecante la salida del compresor maneja el calefactor y la rueda
+const DESICCANT_LABELS = { compressor: "heaterWheel" };
+
+function StateBadge({ state }) {
+  const i18n = useI18n();
+  const { color } = CONTROLLER_STATES[state];
+  return (
+    <span style={{ background: color, color: "white", borderRadius: 8, padding: "2px 8px", fontWeight: 900 }}>
+      {stateLabel(i18n, state)}
+    </span>
+  );
+}
+
+export default function ControllerPanel({ controller, outputs, sensors, time, technology = "refrigeration" }) {
+  const [showLog, setShowLog] = useState(true);
+  const desiccant = technology === "desiccant";
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 300, fontSize: 11 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("controller.title")}</div>
+        <StateBadge state={controller.state} />
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 4 }}>
+        {t("controller.since", {
+          minutes: i18n.number((time - controller.since) / 60),
+          frost: i18n.number(controller.frostMinutes),
+        })}
+      </div>
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "2px 10px", marginTop: 6 }}>
+        {OUTPUTS.map((key) => (
+          <span key={key} style={{ opacity: outputs[key] ? 1 : 0.45 }}>
+            {outputs[key] ? "●" : "○"} {t(`controller.${(desiccant && DESICCANT_LABELS[key]) || key}`)}
+          </span>
+        ))}
+      </div>
+      <div style={{ marginTop: 4, opacity: 0.75 }}>
+        {t(desiccant ? "controller.sensorsDesiccant" : "controller.sensors", {
+          rh: i18n.number(sensors.rh),
+          dew: i18n.format(sensors.dewPoint, "°C", 1),
+          coil: i18n.format(sensors.coilTemp, "°C", 1),
+          tank: Math.round(sensors.dirtyLevel * 100),
+        })}
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", marginTop: 8, fontWeight: 800 }}>
+        {t("controller.log")}
+        <button onClick={() => setShowLog((v) => !v)} style={{ fontSize: 10, cursor: "pointer" }}>
+          {showLog ? t("common.hide") : t("common.show")}
+        </button>
+      </div>
+      {showLog && (
+        <div style={{ maxHeight: 140, overflowY: "auto", marginTop: 4, fontFamily: "monospace", fontSize: 10 }}>
+          {[...controller.log].reverse().map((e, i) => (
+            <div key={controller.log.length - i}>
+              {formatSimTime(e.time, t("common.day"))} {e.from ? `${stateLabel(i18n, e.from)} → ` : ""}
+              <b>{stateLabel(i18n, e.to)}</b> <span style={{ opacity: 0.65 }}>{transitionReason(i18n, e)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
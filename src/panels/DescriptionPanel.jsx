@@ -0,0 +1,100 @@
+// src/panels/DescriptionPanel.jsx
+// Modo texto: el proceso completo sin depender de la escena 3D, para lectores de pantalla.
+// Estado de la máquina, cada etapa con sus piezas y la ayuda de atajos de teclado.
+import React, { useEffect, useRef } from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import useI18n from "../useI18n.js";
+import { SHORTCUT_ACTIONS } from "../useAccessibility.js";
+
+const headingStyle = { fontSize: 11, fontWeight: 800, margin: "10px 0 4px" };
+
+/** `description` viene de describeProcess; `stepIndex` marca el paso actual del recorrido. */
+export default function DescriptionPanel({ description, stepIndex, onSelectStep, reducedMotion, onClose }) {
+  const { t } = useI18n();
+  const titleRef = useRef(null);
+
+  // Al abrir, el foco va al título para que el lector empiece a leer desde ahí
+  useEffect(() => {
+    titleRef.current?.focus();
+  }, []);
+
+  return (
+    <section
+      aria-labelledby="awg-description-title"
+      style={{ ...PANEL_STYLE, width: 320, maxHeight: "70vh", overflowY: "auto", fontSize: 11 }}
+    >
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2
+          id="awg-description-title"
+          ref={titleRef}
+          tabIndex={-1}
+          style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25, margin: 0, outline: "none" }}
+        >
+          {t("a11y.title")} · {description.title}
+        </h2>
+        <button
+          onClick={onClose}
+          aria-label={t("common.close")}
+          style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}
+        >
+          ✕
+        </button>
+      </div>
+      {description.description && (
+        <p style={{ margin: "4px 0 0", opacity: 0.8, lineHeight: 1.35 }}>{description.description}</p>
+      )}
+      {reducedMotion && <p style={{ margin: "4px 0 0", opacity: 0.7 }}>{t("a11y.reducedMotion")}</p>}
+
+      <h3 style={headingStyle}>{t("a11y.state")}</h3>
+      <dl style={{ margin: 0, display: "grid", gridTemplateColumns: "auto 1fr", gap: "2px 8px" }}>
+        {description.summary.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt style={{ opacity: 0.7 }}>{label}</dt>
+            <dd style={{ margin: 0, fontWeight: 700 }}>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <h3 style={headingStyle}>{t("a11y.stages")}</h3>
+      <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 6 }}>
+        {description.stages.map((s, idx) => (
+          <li key={s.key} aria-current={idx === stepIndex ? "step" : undefined}>
+            <button
+              onClick={() => onSelectStep(idx)}
+              aria-label={t("a11y.goTo", { index: idx + 1, title: s.title })}
+              style={{
+                fontSize: 11,
+                fontWeight: 900,
+                cursor: "pointer",
+                border: "none",
+                padding: 0,
+                background: "none",
+                color: idx === stepIndex ? "#1d4ed8" : "inherit",
+                textAlign: "left",
+              }}
+            >
+              {s.title}
+              {idx === stepIndex && ` · ${t("a11y.current")}`}
+            </button>
+            <div style={{ opacity: 0.8, lineHeight: 1.35 }}>{s.narration}</div>
+            {s.parts.length > 0 && (
+              <div style={{ opacity: 0.7 }}>{t("a11y.parts", { parts: s.parts.join(", ") })}</div>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      <h3 style={headingStyle}>{t("a11y.shortcutsTitle")}</h3>
+      <dl style={{ margin: 0, display: "grid", gridTemplateColumns: "auto 1fr", gap: "2px 8px" }}>
+        {SHORTCUT_ACTIONS.map((action) => (
+          <React.Fragment key={action}>
+            <dt>
+              <kbd style={{ fontWeight: 800 }}>{t(`a11y.keys.${action}`)}</kbd>
+            </dt>
+            <dd style={{ margin: 0 }}>{t(`a11y.shortcuts.${action}`)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </section>
+  );
+}
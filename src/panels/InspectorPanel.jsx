@@ -0,0 +1,140 @@
+// src/panels/InspectorPanel.jsx
+// Ficha del componente seleccionado en la escena: función, especificaciones (de
+// data/components.json) y valores en vivo del motor.
+import React from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import COMPONENT_SPECS from "../data/components.json";
+import useI18n from "../useI18n.js";
+
+// Punto nominal del ventilador: las rpm escalan con el caudal (ley de afinidad)
+const FAN_RPM_NOMINAL = 1450;
+const FAN_AIRFLOW_NOMINAL = 600; // m³/h
+
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+/** Pares [etiqueta, valor] con lo que el motor sabe ahora de cada pieza. */
+function liveReadings(id, { sim, airflow, tankOpts }, i18n) {
+  const { op, tanks } = sim;
+  const t = (key) => i18n.t(`inspector.${key}`);
+  const onOff = (v) => t(v ? "on" : "off");
+  const of = (v, capacity) => `${i18n.number(i18n.convert(v, "L"), 1)} / ${i18n.format(capacity, "L")}`;
+  switch (id) {
+    case "fan": {
+      const flow = airflow * op.airflowFactor;
+      return [
+        [t("speed"), `${i18n.number((FAN_RPM_NOMINAL * flow) / FAN_AIRFLOW_NOMINAL)} rpm`],
+        [t("airflow"), `${i18n.number(flow)} m³/h`],
+        [t("power"), `${i18n.number(op.energy.watts.fan)} W`],
+      ];
+    }
+    case "coil":
+      return [
+        [t("temperature"), i18n.format(op.sensors.coilTemp, "°C", 1)],
+        [t("airDew"), i18n.format(op.psychro.dewPoint, "°C", 1)],
+        [t("condensate"), i18n.format(op.psychro.litersPerHour, "L/h", 2)],
+        [t("compressor"), `${i18n.number(op.energy.watts.compressor)} W · COP ${i18n.number(op.energy.cop, 2)}`],
+      ];
+    case "wheel":
+      return [
+        [t("capture"), pct(op.psychro.captureFraction)],
+        [t("adsorption"), i18n.format(op.psychro.adsorptionLph, "L/h", 2)],
+        [t("motor"), onOff(op.energy.watts.wheel > 0)],
+      ];
+    case "heater":
+      return [
+        [t("heaterPower"), `${i18n.number(op.energy.watts.heater)} W`],
+        [t("desorption"), i18n.format(op.psychro.desorptionLph, "L/h", 2)],
+        [t("loopFlow"), `${i18n.number(op.psychro.regenAirflow)} m³/h`],
+      ];
+    case "condenser":
+      return [
+        [t("temperature"), i18n.format(op.psychro.condenserTemp, "°C", 1)],
+        [t("loopDew"), i18n.format(op.psychro.regenDewPoint, "°C", 1)],
+        [t("condensate"), i18n.format(op.psychro.litersPerHour, "L/h", 2)],
+      ];
+    case "sediment":
+    case "carbon":
+    case "mineral": {
+      const c = op.maintenance.cartridges.find((x) => x.id === id);
+      return [
+        [t("life"), pct(c.remainingLife)],
+        [t("pressureDrop"), `${i18n.number(c.pressureDrop, 2)} bar`],
+        [t("processed"), i18n.format(sim.maintenance.processed[id], "L")],
+      ];
+    }
+    case "uv":
+      return [
+        [t("dose"), `${i18n.number(op.quality.uv.dose)} mJ/cm²`],
+        [t("inactivation"), `${i18n.number(op.quality.uv.logReduction, 1)} log`],
+        [t("output"), pct(op.maintenance.uv.output)],
+        [t("hours"), `${i18n.number(op.maintenance.uv.hours)} h`],
+      ];
+    case "dirty_tank":
+      return [
+        [t("volume"), of(tanks.dirty, tankOpts.dirtyCapacity)],
+        [t("transferPump"), onOff(tanks.pumpOn)],
+        [t("overflow"), i18n.format(tanks.overflow, "L", 1)],
+      ];
+    case "clean_tank":
+      return [
+        [t("volume"), of(tanks.clean, tankOpts.cleanCapacity)],
+        [t("leaks"), i18n.format(tanks.leaked, "L", 1)],
+      ];
+    case "faucet":
+      return [
+        [t("state"), t(tanks.dispensing ? "serving" : op.outputs.dispenseAllowed ? "ready" : "blocked")],
+        [t("dispensed"), i18n.format(tanks.dispensed, "L", 1)],
+      ];
+    case "cup":
+      return [
+        [t("level"), i18n.format(tanks.cup * 1000, "mL")],
+        [t("cups"), String(tanks.cupsServed)],
+      ];
+    default:
+      return [];
+  }
+}
+
+const rowStyle = { display: "flex", justifyContent: "space-between", gap: 10, marginTop: 2 };
+
+export default function InspectorPanel({ id, sim, airflow, tankOpts, onClose }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  if (!COMPONENT_SPECS[id]) return null;
+  // Cada ficha trae sus traducciones: nombre, función y especificaciones completas
+  const { translations, ...base } = COMPONENT_SPECS[id];
+  const spec = { ...base, ...translations?.[i18n.locale] };
+  const readings = liveReadings(id, { sim, airflow, tankOpts }, i18n);
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 300, fontSize: 11 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{spec.name.toUpperCase()}</div>
+        <button
+          onClick={onClose}
+          aria-label={t("inspector.close")}
+          style={{ fontSize: 10, fontWeight: 800, cursor: "pointer" }}
+        >
+          ✕
+        </button>
+      </div>
+      <div style={{ marginTop: 4, opacity: 0.8, lineHeight: 1.35 }}>{spec.role}</div>
+
+      {readings.length > 0 && <div style={{ marginTop: 8, fontWeight: 800 }}>{t("inspector.live")}</div>}
+      {readings.map(([label, value]) => (
+        <div key={label} style={rowStyle}>
+          <span style={{ opacity: 0.7 }}>{label}</span>
+          <b>{value}</b>
+        </div>
+      ))}
+
+      <div style={{ marginTop: 8, fontWeight: 800 }}>{t("inspector.specs")}</div>
+      {spec.specs.map((s) => (
+        <div key={s.label} style={rowStyle}>
+          <span style={{ opacity: 0.7 }}>{s.label}</span>
+          <span style={{ textAlign: "right" }}>{s.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
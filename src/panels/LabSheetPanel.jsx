@@ -0,0 +1,77 @@
+// src/panels/LabSheetPanel.jsx
+// "Hoja de laboratorio": calidad del agua a la salida de cada etapa y chequeo de límites.
+import React from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { QUALITY_PARAMS, formatLimit, formatQualityValue } from "../sim/waterQuality.js";
+import useI18n from "../useI18n.js";
+import { qualityLabel } from "../simLabels.js";
+
+export default function LabSheetPanel({ quality, stageTitles, step, limits, violations }) {
+  const failing = new Set(violations.map((v) => v.key));
+  const cell = { padding: "2px 6px", textAlign: "right", whiteSpace: "nowrap" };
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  return (
+    <div style={{ ...PANEL_STYLE, fontSize: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("lab.title")}</div>
+        <div style={{ fontWeight: 800, color: violations.length ? "#dc2626" : "#15803d" }}>
+          {violations.length ? t("lab.failing", { count: violations.length }) : t("lab.drinkable")}
+        </div>
+      </div>
+
+      <table style={{ borderCollapse: "collapse", marginTop: 6 }}>
+        <thead>
+          <tr>
+            <th style={{ ...cell, textAlign: "left" }} />
+            {quality.stages.map((s) => (
+              <th
+                key={s.key}
+                style={{ ...cell, background: s.key === step ? "rgba(59,130,246,0.15)" : undefined, borderRadius: 6 }}
+              >
+                {stageTitles[s.key] || s.key}
+              </th>
+            ))}
+            <th style={cell}>{t("lab.limit")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {QUALITY_PARAMS.map((p) => (
+            <tr key={p.key}>
+              <td style={{ ...cell, textAlign: "left", fontWeight: 700 }}>
+                {qualityLabel(i18n, p)} <span style={{ opacity: 0.6, fontWeight: 400 }}>{p.unit}</span>
+              </td>
+              {quality.stages.map((s, i) => {
+                const isOutput = i === quality.stages.length - 1;
+                const bad = isOutput && failing.has(p.key);
+                return (
+                  <td
+                    key={s.key}
+                    style={{
+                      ...cell,
+                      color: bad ? "#dc2626" : undefined,
+                      fontWeight: bad || isOutput ? 800 : 400,
+                      background: s.key === step ? "rgba(59,130,246,0.08)" : undefined,
+                    }}
+                  >
+                    {formatQualityValue(s.quality[p.key], p.digits)}
+                  </td>
+                );
+              })}
+              <td style={{ ...cell, opacity: 0.7 }}>{limits[p.key] ? formatLimit(limits[p.key]) : ""}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: 6, opacity: 0.75 }}>
+        {t("lab.uv", {
+          dose: i18n.number(quality.uv.dose),
+          residence: Number.isFinite(quality.uv.residenceTime) ? `${i18n.number(quality.uv.residenceTime)} s` : "—",
+          log: i18n.number(quality.uv.logReduction, 1),
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// src/panels/MachinePanel.jsx
+// Selector de la definición de máquina: las incluidas en el bundle o un JSON propio,
+// validado antes de mostrarse.
+import React, { useState } from "react";
+import { localizeMachine, machineFromJson } from "../machineDefinition.js";
+import useI18n from "../useI18n.js";
+import { errorMessage } from "../simLabels.js";
+
+export default function MachinePanel({ machines, machine, onSelect }) {
+  const [error, setError] = useState(null);
+  const i18n = useI18n();
+  const { t, locale } = i18n;
+  // Una definición cargada desde archivo se suma a la lista mientras esté en pantalla
+  const options = machines.some((m) => m.id === machine.id) ? machines : [...machines, machine];
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        onSelect(machineFromJson(text));
+        setError(null);
+      } catch (err) {
+        setError(`${file.name}: ${errorMessage(i18n, err)}`);
+      }
+    });
+    e.target.value = "";
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 11 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ letterSpacing: 0.25 }}>{t("machine.title")}</b>
+        <select
+          value={machine.id}
+          onChange={(e) => {
+            onSelect(options.find((m) => m.id === e.target.value));
+            setError(null);
+          }}
+          style={{ fontSize: 11 }}
+        >
+          {options.map((m) => (
+            <option key={m.id} value={m.id}>
+              {localizeMachine(m, locale).name}
+            </option>
+          ))}
+        </select>
+        <label style={{ cursor: "pointer", fontWeight: 800 }}>
+          📂 JSON
+          <input type="file" accept=".json,application/json" onChange={onFile} style={{ display: "none" }} />
+        </label>
+      </div>
+      {machine.description && (
+        <div style={{ marginTop: 4, opacity: 0.6, maxWidth: 320 }}>{localizeMachine(machine, locale).description}</div>
+      )}
+      {error && (
+        <div style={{ marginTop: 4, color: "#dc2626", whiteSpace: "pre-line", maxWidth: 320 }}>{error}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+// src/panels/ModelPanel.jsx
+// Origen del modelo 3D: maqueta procedural, GLB incluido en el build o archivo local,
+// con los roles que se pudieron asociar a nodos del GLB.
+import React from "react";
+import { MODEL_ROLES } from "../machineModel.js";
+import useI18n from "../useI18n.js";
+import { roleLabel } from "../simLabels.js";
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+
+/**
+ * `source`: `{ url, name }` del archivo local o `{ url, bundled }` del GLB incluido.
+ * `status`: `{ found, missing }` una vez cargado el GLB, `{ error }` si falló.
+ */
+export default function ModelPanel({ source, status, onFile, onReset }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const sourceName = source?.bundled ? t("model.bundled") : source?.name;
+  const onChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onFile(file);
+    e.target.value = "";
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 11 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ letterSpacing: 0.25 }}>{t("model.title")}</b>
+        <span style={{ opacity: 0.75 }}>{source ? sourceName : t("model.mock")}</span>
+        <label style={{ cursor: "pointer", fontWeight: 800 }}>
+          📂 GLB
+          <input type="file" accept=".glb,model/gltf-binary" onChange={onChange} style={{ display: "none" }} />
+        </label>
+        {source && (
+          <button onClick={onReset} style={smallButton}>
+            {t("common.remove")}
+          </button>
+        )}
+      </div>
+      {status?.error && (
+        <div style={{ marginTop: 4, color: "#dc2626" }}>{t("model.error", { error: status.error })}</div>
+      )}
+      {status?.found && (
+        <div style={{ marginTop: 4, opacity: 0.75, lineHeight: 1.35 }}>
+          {t("model.found", { found: status.found.length, total: MODEL_ROLES.length })}
+          {status.missing.length > 0 && (
+            <span style={{ color: "#b45309" }}>
+              {t("model.missing", { roles: status.missing.map((role) => roleLabel(i18n, role)).join(", ") })}
+            </span>
+          )}
+        </div>
+      )}
+      {!source && !status && <div style={{ marginTop: 4, opacity: 0.6 }}>{t("model.dropHint")}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+// src/panels/RecorderPanel.jsx
+// Grabación del recorrido automático a WebM: resolución y cuadros por segundo, progreso y
+// cancelación. Mientras graba, una capa cubre la app para que nadie mueva la escena.
+import React, { useRef, useState } from "react";
+import { PANEL_STYLE, downloadFile } from "../ui.jsx";
+import { RECORDING_DEFAULTS, RECORDING_FPS, RECORDING_RESOLUTIONS } from "../tourVideo.js";
+import useI18n from "../useI18n.js";
+import { errorMessage } from "../simLabels.js";
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+
+/** `onRecord({ width, height, fps }, onProgress, signal)` resuelve con los bytes del WebM o null. */
+export default function RecorderPanel({ onRecord, recording }) {
+  const [resolution, setResolution] = useState(RECORDING_DEFAULTS.resolution);
+  const [fps, setFps] = useState(RECORDING_DEFAULTS.fps);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const record = async () => {
+    const { width, height } = RECORDING_RESOLUTIONS.find((r) => r.id === resolution);
+    abortRef.current = new AbortController();
+    setProgress(0);
+    setError(null);
+    try {
+      const bytes = await onRecord({ width, height, fps }, setProgress, abortRef.current.signal);
+      if (bytes) {
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+        downloadFile(`awg-recorrido-${resolution}-${fps}fps-${stamp}.webm`, bytes, "video/webm");
+      }
+    } catch (e) {
+      setError(errorMessage(i18n, e));
+    } finally {
+      abortRef.current = null;
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 11 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ letterSpacing: 0.25 }}>{t("recorder.title")}</b>
+        <select value={resolution} onChange={(e) => setResolution(e.target.value)} style={{ fontSize: 11 }}>
+          {RECORDING_RESOLUTIONS.map((r) => (
+            <option key={r.id} value={r.id}>
+              {t(`recorder.resolutions.${r.id}`)}
+            </option>
+          ))}
+        </select>
+        <select value={fps} onChange={(e) => setFps(Number(e.target.value))} style={{ fontSize: 11 }}>
+          {RECORDING_FPS.map((f) => (
+            <option key={f} value={f}>
+              {f} fps
+            </option>
+          ))}
+        </select>
+        <button onClick={record} disabled={recording} style={smallButton}>
+          {t("recorder.record")}
+        </button>
+      </div>
+      {error && <div style={{ marginTop: 4, color: "#dc2626" }}>{error}</div>}
+
+      {recording && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            zIndex: 100,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            background: "rgba(15,23,42,0.35)",
+          }}
+        >
+          <div style={{ ...PANEL_STYLE, width: 300, fontSize: 12 }}>
+            <div style={{ fontWeight: 900, letterSpacing: 0.25 }}>
+              {t("recorder.recording", { pct: Math.round(progress * 100) })}
+            </div>
+            <div style={{ height: 6, borderRadius: 3, background: "rgba(15,23,42,0.12)", marginTop: 8 }}>
+              <div style={{ width: `${progress * 100}%`, height: "100%", borderRadius: 3, background: "#2563eb" }} />
+            </div>
+            <div style={{ marginTop: 6, opacity: 0.7 }}>
+              {t("recorder.hint")}
+            </div>
+            <button onClick={() => abortRef.current?.abort()} style={{ ...smallButton, marginTop: 8 }}>
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
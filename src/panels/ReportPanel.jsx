@@ -0,0 +1,142 @@
+// src/panels/ReportPanel.jsx
+// Informe para el cliente: captura la escena en alta resolución, arma el HTML con report.js y
+// lo abre para imprimir/guardar como PDF o lo descarga. La marca queda guardada en el navegador.
+import React, { useState } from "react";
+import { downloadFile } from "../ui.jsx";
+import { DEFAULT_BRANDING, buildReportHtml, normalizeBranding } from "../report.js";
+import useI18n from "../useI18n.js";
+
+const BRANDING_KEY = "awg-report-branding";
+const MAX_LOGO_BYTES = 512 * 1024;
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+const field = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginTop: 4 };
+
+function loadBranding() {
+  try {
+    return normalizeBranding(JSON.parse(localStorage.getItem(BRANDING_KEY)) ?? {});
+  } catch {
+    return DEFAULT_BRANDING;
+  }
+}
+
+/**
+ * `getReport()` devuelve el contenido del informe en el instante del clic (ver collectReport) y
+ * `capture()` la imagen de la escena como data URL (null si el lienzo no está listo).
+ */
+export default function ReportPanel({ getReport, capture }) {
+  const [branding, setBranding] = useState(loadBranding);
+  const [editing, setEditing] = useState(false);
+  const [error, setError] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const update = (patch) => {
+    const next = { ...branding, ...patch };
+    setBranding(next);
+    try {
+      localStorage.setItem(BRANDING_KEY, JSON.stringify(next));
+    } catch {
+      // Sin almacenamiento (modo privado, cuota llena) la marca sólo dura la sesión
+    }
+  };
+
+  const onLogo = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      setError(t("report.logoTooLarge", { file: file.name, kb: MAX_LOGO_BYTES / 1024 }));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      update({ logo: reader.result });
+      setError(null);
+    };
+    reader.onerror = () => setError(t("report.logoUnreadable", { file: file.name }));
+    reader.readAsDataURL(file);
+  };
+
+  const html = (autoPrint) => buildReportHtml(getReport(), { branding, image: capture(), autoPrint, i18n });
+
+  const print = () => {
+    const win = window.open("", "_blank");
+    if (!win) {
+      setError(t("report.popupBlocked"));
+      return;
+    }
+    win.document.write(html(true));
+    win.document.close();
+    setError(null);
+  };
+
+  const download = () => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    downloadFile(`awg-informe-${stamp}.html`, html(false), "text/html");
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 11 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ letterSpacing: 0.25 }}>{t("report.title")}</b>
+        <button onClick={print} style={smallButton}>
+          {t("report.print")}
+        </button>
+        <button onClick={download} style={smallButton}>
+          ⬇ HTML
+        </button>
+        <button onClick={() => setEditing((v) => !v)} aria-expanded={editing} style={smallButton}>
+          {t("report.branding")}
+        </button>
+      </div>
+      {editing && (
+        <div style={{ paddingLeft: 10, maxWidth: 300 }}>
+          <label style={field}>
+            <span style={{ opacity: 0.75 }}>{t("report.company")}</span>
+            <input
+              value={branding.companyName}
+              onChange={(e) => update({ companyName: e.target.value })}
+              style={{ fontSize: 11, width: 160 }}
+            />
+          </label>
+          <div style={field}>
+            <span style={{ opacity: 0.75 }}>{t("report.logo")}</span>
+            <span style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              {branding.logo && <img src={branding.logo} alt="" style={{ maxHeight: 20, maxWidth: 60 }} />}
+              <label style={{ cursor: "pointer", fontWeight: 800 }}>
+                {t("report.image")}
+                <input type="file" accept="image/*" onChange={onLogo} style={{ display: "none" }} />
+              </label>
+              {branding.logo && (
+                <button onClick={() => update({ logo: null })} style={smallButton}>
+                  {t("common.remove")}
+                </button>
+              )}
+            </span>
+          </div>
+          <label style={field}>
+            <span style={{ opacity: 0.75 }}>{t("report.primaryColor")}</span>
+            <input type="color" value={branding.primaryColor} onChange={(e) => update({ primaryColor: e.target.value })} />
+          </label>
+          <label style={field}>
+            <span style={{ opacity: 0.75 }}>{t("report.accentColor")}</span>
+            <input type="color" value={branding.accentColor} onChange={(e) => update({ accentColor: e.target.value })} />
+          </label>
+          <label style={{ ...field, alignItems: "flex-start" }}>
+            <span style={{ opacity: 0.75 }}>{t("report.footer")}</span>
+            <textarea
+              value={branding.footer ?? t("report.defaultFooter")}
+              onChange={(e) => update({ footer: e.target.value })}
+              rows={2}
+              style={{ fontSize: 10, width: 160, resize: "vertical" }}
+            />
+          </label>
+          <button onClick={() => update(DEFAULT_BRANDING)} style={{ ...smallButton, marginTop: 4 }}>
+            {t("report.resetBranding")}
+          </button>
+        </div>
+      )}
+      {error && <div style={{ marginTop: 4, color: "#dc2626" }}>{error}</div>}
+    </div>
+  );
+}
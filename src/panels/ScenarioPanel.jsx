@@ -0,0 +1,97 @@
+// src/panels/ScenarioPanel.jsx
+// Guardar/cargar el escenario como JSON y copiar un enlace que abre en el mismo estado.
+import React, { useEffect, useRef, useState } from "react";
+import { scenarioFromHash, scenarioFromJson, scenarioToHash, scenarioToJson } from "../shareState.js";
+import { downloadFile } from "../ui.jsx";
+import useI18n from "../useI18n.js";
+import { errorMessage } from "../simLabels.js";
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+
+/**
+ * Carga el escenario que traiga la URL al montar y en cada cambio de hash. Debe llamarse
+ * después de los `useControls` del componente para que Leva ya tenga sus entradas.
+ * Devuelve el error del último enlace, si lo hubo.
+ */
+export function useScenarioHash(onLoad) {
+  const [error, setError] = useState(null);
+  const onLoadRef = useRef(onLoad);
+  onLoadRef.current = onLoad;
+
+  useEffect(() => {
+    const fromHash = () => {
+      try {
+        const scenario = scenarioFromHash(window.location.hash);
+        if (scenario) onLoadRef.current(scenario);
+        setError(null);
+      } catch (err) {
+        setError(err);
+      }
+    };
+    fromHash();
+    window.addEventListener("hashchange", fromHash);
+    return () => window.removeEventListener("hashchange", fromHash);
+  }, []);
+
+  return error;
+}
+
+/** `getScenario()` se llama al momento de guardar para capturar también la cámara. */
+export default function ScenarioPanel({ getScenario, onLoad, linkError }) {
+  const [message, setMessage] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+  const shown = message || (linkError && { text: errorMessage(i18n, linkError), error: true });
+
+  const save = () => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    downloadFile(`awg-escenario-${stamp}.json`, scenarioToJson(getScenario()));
+  };
+
+  const copyLink = () => {
+    const hash = scenarioToHash(getScenario());
+    window.history.replaceState(null, "", hash);
+    const fallback = () => setMessage({ text: t("scenario.linkReady") });
+    if (!navigator.clipboard) return fallback();
+    navigator.clipboard
+      .writeText(window.location.href)
+      .then(() => setMessage({ text: t("scenario.linkCopied") }), fallback);
+  };
+
+  const onFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        onLoad(scenarioFromJson(text));
+        setMessage({ text: t("scenario.loaded", { file: file.name }) });
+      } catch (err) {
+        setMessage({ text: errorMessage(i18n, err), error: true });
+      }
+    });
+    e.target.value = "";
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 11 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <b style={{ letterSpacing: 0.25 }}>{t("scenario.title")}</b>
+        <button onClick={save} style={smallButton}>
+          {t("scenario.save")}
+        </button>
+        <label style={{ cursor: "pointer", fontWeight: 800 }}>
+          {t("scenario.load")}
+          <input type="file" accept=".json,application/json" onChange={onFile} style={{ display: "none" }} />
+        </label>
+        <button onClick={copyLink} style={smallButton}>
+          {t("scenario.link")}
+        </button>
+      </div>
+      {shown && (
+        <div style={{ marginTop: 4, color: shown.error ? "#dc2626" : "inherit", opacity: shown.error ? 1 : 0.7 }}>
+          {shown.text}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+// src/panels/SizingPanel.jsx
+// Calculadora de dimensionamiento: demanda del sitio, clima, tarifa y reserva -> unidades,
+// tanque y meses en falta (ver sim/sizing.js). "Ver en 3D" lleva la configuración a la escena.
+import React, { useMemo, useState } from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { SIZING_CRITERIA, SIZING_DEFAULTS, sizeSite, typicalDayProfile } from "../sim/sizing.js";
+import useI18n from "../useI18n.js";
+import { climateLabel, criterionLabel } from "../simLabels.js";
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+const field = { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginTop: 4 };
+const numberInput = { width: 70, fontSize: 11 };
+
+/** Con `unit` el campo muestra y edita en las unidades elegidas; `value` y `onChange` van en SI. */
+function NumberField({ label, value, onChange, min = 0, step = 1, unit }) {
+  const i18n = useI18n();
+  const shown = unit ? Number(i18n.convert(value, unit).toFixed(1)) : value;
+  return (
+    <label style={field}>
+      <span style={{ opacity: 0.75 }}>{label}</span>
+      <input
+        type="number"
+        value={shown}
+        min={unit ? Math.round(i18n.convert(min, unit)) : min}
+        step={step}
+        onChange={(e) => {
+          const v = Number(e.target.value) || 0;
+          onChange(Math.max(min, unit ? i18n.toMetric(v, unit) : v));
+        }}
+        style={numberInput}
+      />
+    </label>
+  );
+}
+
+/**
+ * `unit`: parámetros de la máquina en pantalla (tecnología, caudal, serpentín, altitud...).
+ * `onApply(config)` recibe la recomendación y el clima elegido para reflejarlos en la escena.
+ */
+export default function SizingPanel({ samples, customProfile, unit, machineName, live, onApply, onClose }) {
+  const [demandLpd, setDemandLpd] = useState(SIZING_DEFAULTS.demandLpd);
+  const [tariff, setTariff] = useState(SIZING_DEFAULTS.tariff);
+  const [autonomyDays, setAutonomyDays] = useState(SIZING_DEFAULTS.autonomyDays);
+  const [criterion, setCriterion] = useState(SIZING_DEFAULTS.criterion);
+  const [source, setSource] = useState("typical");
+  const [typical, setTypical] = useState({ month: 1, temp: 22, rh: 78, swing: 6 });
+  const setTypicalField = (key) => (value) => setTypical((t) => ({ ...t, [key]: value }));
+  const i18n = useI18n();
+  const { t, months } = i18n;
+
+  const climate = useMemo(() => {
+    if (source === "typical") {
+      return typicalDayProfile({ ...typical, name: t("sizing.typicalName", { month: months[typical.month - 1] }) });
+    }
+    return source === "custom" ? customProfile : samples.find((c) => c.id === source)?.profile;
+  }, [source, typical, customProfile, samples, t, months]);
+
+  // `unit` llega como objeto nuevo en cada render: se compara por valor
+  const unitKey = JSON.stringify(unit);
+  const result = useMemo(
+    () => climate && sizeSite({ demandLpd, climate, tariff, autonomyDays, criterion, unit: JSON.parse(unitKey) }),
+    [climate, demandLpd, tariff, autonomyDays, criterion, unitKey]
+  );
+
+  const apply = () => {
+    const design = result.months.find((m) => m.month === result.designMonth);
+    onApply({
+      units: result.units,
+      storageL: result.storageL,
+      demandLpd,
+      climateId: source === "typical" ? "manual" : source,
+      ambient: { temp: design.temp, rh: design.rh },
+    });
+  };
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 340, fontSize: 11 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("sizing.title")}</div>
+        <button onClick={onClose} aria-label={t("sizing.close")} style={smallButton}>
+          ✕
+        </button>
+      </div>
+      <div style={{ opacity: 0.7, marginTop: 2 }}>{t("sizing.unit", { machine: machineName })}</div>
+
+      <NumberField
+        label={t("sizing.demand", { unit: i18n.unit("L/d") })}
+        value={demandLpd}
+        onChange={setDemandLpd}
+        step={10}
+        unit="L/d"
+      />
+      <label style={field}>
+        <span style={{ opacity: 0.75 }}>{t("sizing.climate")}</span>
+        <select value={source} onChange={(e) => setSource(e.target.value)} style={{ fontSize: 11 }}>
+          <option value="typical">{t("sizing.typical")}</option>
+          {samples.map((c) => (
+            <option key={c.id} value={c.id}>
+              {climateLabel(i18n, c)}
+            </option>
+          ))}
+          {customProfile && <option value="custom">{customProfile.name}</option>}
+        </select>
+      </label>
+      {source === "typical" && (
+        <div style={{ paddingLeft: 10 }}>
+          <label style={field}>
+            <span style={{ opacity: 0.75 }}>{t("sizing.month")}</span>
+            <select
+              value={typical.month}
+              onChange={(e) => setTypicalField("month")(Number(e.target.value))}
+              style={{ fontSize: 11 }}
+            >
+              {months.map((m, i) => (
+                <option key={m} value={i + 1}>
+                  {m}
+                </option>
+              ))}
+            </select>
+          </label>
+          <NumberField
+            label={t("sizing.temp", { unit: i18n.unit("°C") })}
+            value={typical.temp}
+            onChange={setTypicalField("temp")}
+            min={-20}
+            unit="°C"
+          />
+          <NumberField label={t("sizing.rh")} value={typical.rh} onChange={setTypicalField("rh")} />
+          <NumberField
+            label={t("sizing.swing", { unit: i18n.unit("Δ°C") })}
+            value={typical.swing}
+            onChange={setTypicalField("swing")}
+            unit="Δ°C"
+          />
+        </div>
+      )}
+      <NumberField label={t("sizing.tariff")} value={tariff} onChange={setTariff} step={0.01} />
+      <NumberField label={t("sizing.autonomy")} value={autonomyDays} onChange={setAutonomyDays} step={0.5} />
+      <label style={field}>
+        <span style={{ opacity: 0.75 }}>{t("sizing.criterion")}</span>
+        <select value={criterion} onChange={(e) => setCriterion(e.target.value)} style={{ fontSize: 11 }}>
+          {Object.keys(SIZING_CRITERIA).map((id) => (
+            <option key={id} value={id}>
+              {criterionLabel(i18n, id)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {result && (
+        <div style={{ marginTop: 8, borderTop: "1px solid rgba(15,23,42,0.12)", paddingTop: 6 }}>
+          <div>
+            {t("sizing.perUnit")} <b>{i18n.format(result.unitAverageLpd, "L/d", 1)}</b> {t("sizing.average")}
+            {criterion === "worst" &&
+              t("sizing.designMonth", {
+                value: i18n.format(result.designLpd, "L/d", 1),
+                month: months[result.designMonth - 1],
+              })}
+          </div>
+          {result.units ? (
+            <>
+              <div style={{ fontSize: 13, marginTop: 4 }}>
+                <b>{result.units}</b> {t("sizing.units")} <b>{i18n.format(result.storageL, "L")}</b>
+              </div>
+              <div style={{ marginTop: 4, color: result.shortfallMonths.length ? "#b45309" : "#15803d" }}>
+                {result.shortfallMonths.length
+                  ? t("sizing.shortfall", { months: result.shortfallMonths.map((m) => months[m - 1]).join(", ") })
+                  : t("sizing.covered")}
+              </div>
+              <div style={{ marginTop: 4, opacity: 0.8 }}>
+                {t("sizing.perYear", { kwh: i18n.number(result.annualKwh), cost: i18n.number(result.annualCost) })}
+                {result.costPerLiter !== null &&
+                  t("sizing.perLiter", {
+                    cost: i18n.number(result.costPerLiter / i18n.convert(1, "L"), 3),
+                    unit: i18n.unit("L"),
+                  })}
+              </div>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "2px 10px", marginTop: 4, opacity: 0.75 }}>
+                {result.months.map((m) => (
+                  <span key={m.month} style={{ color: m.deficitLpd > 0 ? "#b45309" : undefined }}>
+                    {months[m.month - 1]}: {i18n.format(m.fleetLpd, "L/d")}
+                  </span>
+                ))}
+              </div>
+              <button onClick={apply} style={{ ...smallButton, marginTop: 6 }}>
+                {t("sizing.apply")}
+              </button>
+              {live && (
+                <div style={{ marginTop: 4, opacity: 0.75 }}>
+                  {t("sizing.live", {
+                    lph: i18n.format(live.litersPerHour, "L/h", 2),
+                    target: i18n.format(demandLpd / result.units / 24, "L/h", 2),
+                  })}
+                </div>
+              )}
+            </>
+          ) : (
+            <div style={{ marginTop: 4, color: "#dc2626" }}>
+              {t("sizing.noProduction")}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
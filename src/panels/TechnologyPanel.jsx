@@ -0,0 +1,55 @@
+// src/panels/TechnologyPanel.jsx
+// Comparación de tecnologías de captación bajo el mismo clima (ver sim/technology.js).
+import React from "react";
+import { PANEL_STYLE } from "../ui.jsx";
+import { TECHNOLOGIES } from "../sim/technology.js";
+import useI18n from "../useI18n.js";
+import { technologyText } from "../simLabels.js";
+
+const cell = { padding: "2px 6px", textAlign: "right", whiteSpace: "nowrap" };
+
+export default function TechnologyPanel({ comparison, technology, climateName }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  // La más eficiente entre las que producen algo
+  const producing = Object.entries(comparison).filter(([, r]) => r.litersPerDay > 0);
+  const best = producing.length ? producing.reduce((a, b) => (b[1].kwhPerLiter < a[1].kwhPerLiter ? b : a))[0] : null;
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 300, fontSize: 11 }}>
+      <div style={{ fontSize: 12, fontWeight: 900, letterSpacing: 0.25 }}>{t("technology.title")}</div>
+      <div style={{ opacity: 0.7, marginTop: 2 }}>
+        {climateName ? t("technology.profile", { climate: climateName }) : t("technology.manual")}
+      </div>
+      <table style={{ borderCollapse: "collapse", marginTop: 6, width: "100%" }}>
+        <thead>
+          <tr style={{ opacity: 0.7 }}>
+            <th style={{ ...cell, textAlign: "left" }} />
+            <th style={cell}>{i18n.unit("L/d")}</th>
+            <th style={cell}>kWh/día</th>
+            <th style={cell}>kWh/{i18n.unit("L")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.keys(TECHNOLOGIES).map((id) => {
+            const { label, detail } = technologyText(i18n, id);
+            const r = comparison[id];
+            return (
+              <tr key={id} title={detail} style={{ fontWeight: id === technology ? 800 : 400 }}>
+                <td style={{ ...cell, textAlign: "left" }}>
+                  {id === technology ? "● " : ""}
+                  {label}
+                </td>
+                <td style={cell}>{i18n.number(i18n.convert(r.litersPerDay, "L/d"), 1)}</td>
+                <td style={cell}>{i18n.number(r.kwhPerDay, 1)}</td>
+                <td style={{ ...cell, color: id === best ? "#15803d" : undefined }}>
+                  {i18n.number(r.kwhPerLiter / i18n.convert(1, "L"), 2)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
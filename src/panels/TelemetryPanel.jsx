@@ -0,0 +1,156 @@
+// src/panels/TelemetryPanel.jsx
+// HUD de telemetría: series del motor sobre el tiempo simulado dibujadas en SVG, con lectura
+// al pasar el puntero y exportación a CSV.
+import React, { useEffect, useState } from "react";
+import { PANEL_STYLE, downloadFile } from "../ui.jsx";
+import { formatSimTime } from "../useSimulation.js";
+import {
+  TELEMETRY_CHARTS,
+  TELEMETRY_SERIES,
+  createTelemetry,
+  nearestSample,
+  recordSample,
+  seriesExtent,
+  telemetryToCsv,
+} from "../sim/telemetry.js";
+import useI18n from "../useI18n.js";
+import { chartTitle, seriesLabel } from "../simLabels.js";
+
+const SERIES = Object.fromEntries(TELEMETRY_SERIES.map((s) => [s.key, s]));
+const CHART_W = 316;
+const CHART_H = 44;
+
+const smallButton = { fontSize: 10, fontWeight: 800, cursor: "pointer" };
+
+/** Registra el historial mientras el componente está montado (aunque el HUD esté plegado). */
+export function useTelemetry(sim) {
+  const [history, setHistory] = useState(() => createTelemetry());
+  useEffect(() => {
+    setHistory((h) => recordSample(h, sim));
+  }, [sim]);
+  return { history, clear: () => setHistory(createTelemetry()) };
+}
+
+// Las series se grafican en SI; sólo las lecturas pasan a las unidades elegidas (el trazo es el mismo)
+function formatValue(i18n, v, unit) {
+  const shown = i18n.convert(v, unit);
+  return i18n.number(shown, Math.abs(shown) >= 100 ? 0 : 1);
+}
+
+function Chart({ chart, samples, hover, onHover }) {
+  const i18n = useI18n();
+  const axisUnit = SERIES[chart.series[0]].unit;
+  const [min, max] = seriesExtent(samples, chart.series, chart.range);
+  const t0 = samples[0].time;
+  const span = Math.max(1, samples[samples.length - 1].time - t0);
+  const x = (t) => ((t - t0) / span) * CHART_W;
+  const y = (v) => CHART_H - ((v - min) / (max - min)) * CHART_H;
+  const shown = samples[hover ?? samples.length - 1];
+
+  const onMove = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const t = t0 + ((e.clientX - box.left) / box.width) * span;
+    onHover(nearestSample(samples, t));
+  };
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+        <b>{chartTitle(i18n, chart)}</b>
+        <span>
+          {chart.series.map((key) => (
+            <span key={key} style={{ color: SERIES[key].color, marginLeft: 6 }}>
+              {seriesLabel(i18n, SERIES[key])} {formatValue(i18n, shown[key], SERIES[key].unit)}{" "}
+              {i18n.unit(SERIES[key].unit)}
+            </span>
+          ))}
+        </span>
+      </div>
+      <svg
+        width={CHART_W}
+        height={CHART_H}
+        viewBox={`0 0 ${CHART_W} ${CHART_H}`}
+        onMouseMove={onMove}
+        onMouseLeave={() => onHover(null)}
+        style={{ display: "block", background: "rgba(255,255,255,0.5)", borderRadius: 6, cursor: "crosshair" }}
+      >
+        {chart.series.map((key) => (
+          <polyline
+            key={key}
+            fill="none"
+            stroke={SERIES[key].color}
+            strokeWidth={1.5}
+            points={samples.map((s) => `${x(s.time).toFixed(1)},${y(s[key]).toFixed(1)}`).join(" ")}
+          />
+        ))}
+        {hover !== null && (
+          <>
+            <line x1={x(shown.time)} x2={x(shown.time)} y1={0} y2={CHART_H} stroke="#0f172a" strokeOpacity={0.35} />
+            {chart.series.map((key) => (
+              <circle key={key} cx={x(shown.time)} cy={y(shown[key])} r={2.5} fill={SERIES[key].color} />
+            ))}
+          </>
+        )}
+      </svg>
+      <div style={{ opacity: 0.55, fontSize: 9 }}>
+        {i18n.t("telemetry.axis", {
+          min: formatValue(i18n, min, axisUnit),
+          max: formatValue(i18n, max, axisUnit),
+          unit: i18n.unit(axisUnit),
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default function TelemetryPanel({ history, onClear }) {
+  const [open, setOpen] = useState(true);
+  const [hover, setHover] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+  const { samples } = history;
+  // El índice bajo el puntero puede quedar fuera de rango si el historial se diezmó o reinició
+  const hovered = hover !== null && hover < samples.length ? hover : null;
+  const coveredHours = samples.length ? (samples[samples.length - 1].time - samples[0].time) / 3600 : 0;
+
+  const exportCsv = () => {
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-");
+    downloadFile(`awg-telemetria-${stamp}.csv`, telemetryToCsv(history), "text/csv");
+  };
+
+  return (
+    <div style={{ ...PANEL_STYLE, width: 340, fontSize: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 6 }}>
+        <button
+          onClick={() => setOpen((v) => !v)}
+          aria-expanded={open}
+          style={{ ...smallButton, fontSize: 12, fontWeight: 900, letterSpacing: 0.25, border: "none", background: "none" }}
+        >
+          {open ? "▾" : "▸"} {t("telemetry.title")}
+        </button>
+        <span style={{ flex: 1, opacity: 0.7 }}>
+          {samples.length > 1
+            ? t("telemetry.coverage", { hours: i18n.number(coveredHours, 1), minutes: history.interval / 60 })
+            : t("telemetry.recording")}
+        </span>
+        <button onClick={exportCsv} disabled={!samples.length} style={smallButton}>
+          ⬇ CSV
+        </button>
+        <button onClick={onClear} style={smallButton}>
+          {t("telemetry.clear")}
+        </button>
+      </div>
+
+      {open && samples.length > 1 && (
+        <>
+          {TELEMETRY_CHARTS.map((chart) => (
+            <Chart key={chart.id} chart={chart} samples={samples} hover={hovered} onHover={setHover} />
+          ))}
+          <div style={{ marginTop: 4, opacity: 0.7 }}>
+            {hovered !== null ? formatSimTime(samples[hovered].time, t("common.day")) : t("telemetry.hoverHint")}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
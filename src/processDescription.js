@@ -0,0 +1,83 @@
+// src/processDescription.js
+// Descripción en texto del proceso para lectores de pantalla: el anuncio de la región viva en
+// cada paso y el resumen completo del modo texto, con los mismos datos que muestra la escena.
+import { focusedComponents } from "./machineDefinition.js";
+import { alertMessage, faultLabel, stateLabel } from "./simLabels.js";
+
+/** Nombre de la pieza en el idioma activo; las que no tienen ficha (tuberías) no se nombran. */
+function partName(i18n, specs, part) {
+  const spec = specs[part.spec];
+  if (!spec) return null;
+  return spec.translations?.[i18n.locale]?.name ?? spec.name;
+}
+
+/**
+ * Piezas que participan en la etapa, sin repetir nombres (p. ej. dos lámparas UV iguales).
+ * `specs` son las fichas de data/components.json.
+ */
+export function stageParts(i18n, { machine, specs }, stageKey) {
+  const focused = focusedComponents(machine, stageKey);
+  const names = machine.components.filter((c) => focused.has(c.id)).map((c) => partName(i18n, specs, c));
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Anuncio de la región viva al cambiar de paso: posición en el recorrido, qué ocurre en la
+ * etapa y cómo está la máquina ahora. `machine` llega ya traducida (localizeMachine).
+ */
+export function describeStep(i18n, { machine, specs, index, sim }) {
+  const { t, format } = i18n;
+  const stage = machine.stages[index];
+  const parts = stageParts(i18n, { machine, specs }, stage.key);
+  const lines = [
+    t("a11y.announceStep", { index: index + 1, total: machine.stages.length, title: stage.title }),
+    stage.narration,
+    parts.length > 0 && t("a11y.announceParts", { parts: parts.join(", ") }),
+    t("a11y.announceState", {
+      state: stateLabel(i18n, sim.controller.state),
+      production: format(sim.op.psychro.litersPerHour, "L/h", 2),
+    }),
+    sim.op.alarms.length > 0 && t("a11y.announceAlarms", { count: sim.op.alarms.length }),
+  ];
+  return lines.filter(Boolean).join(" ");
+}
+
+/**
+ * Contenido del modo texto: pares [etiqueta, valor] con el estado de la máquina y cada etapa
+ * del recorrido con su narración y las piezas que intervienen.
+ */
+export function describeProcess(i18n, { machine, specs, sim, tankOpts }) {
+  const { t, number, format } = i18n;
+  const { op, tanks } = sim;
+  const label = (key) => t(`a11y.summary.${key}`);
+  const level = (value, capacity) => `${format(value, "L", 1)} / ${format(capacity, "L", 1)}`;
+  const drinkable = op.qualityViolations.length === 0;
+
+  const summary = [
+    [label("ambient"), `${format(op.ambient.temp, "°C", 1)} · ${number(op.ambient.rh)} %`],
+    [label("state"), stateLabel(i18n, sim.controller.state)],
+    [label("production"), format(op.psychro.litersPerHour, "L/h", 2)],
+    [label("dirtyTank"), level(tanks.dirty, tankOpts.dirtyCapacity)],
+    [label("cleanTank"), level(tanks.clean, tankOpts.cleanCapacity)],
+    [label("water"), t(drinkable ? "a11y.summary.drinkable" : "a11y.summary.notDrinkable")],
+    [
+      label("alarms"),
+      op.alarms.length > 0 ? op.alarms.map((a) => faultLabel(i18n, a)).join(", ") : t("a11y.summary.none"),
+    ],
+  ];
+  if (op.alerts.length > 0) {
+    summary.push([label("maintenance"), op.alerts.map((a) => alertMessage(i18n, a)).join(" ")]);
+  }
+
+  return {
+    title: machine.name,
+    description: machine.description || "",
+    summary,
+    stages: machine.stages.map((s) => ({
+      key: s.key,
+      title: s.title,
+      narration: s.narration,
+      parts: stageParts(i18n, { machine, specs }, s.key),
+    })),
+  };
+}
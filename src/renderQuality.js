@@ -0,0 +1,27 @@
+// src/renderQuality.js
+// Calidad gráfica: resolución del lienzo (pixel ratio) y densidad de partículas. En modo
+// automático un factor 0..1 (PerformanceMonitor de drei) baja o sube ambos para sostener los fps.
+
+// Los nombres están en los catálogos (qualityModes.<modo>)
+export const QUALITY_MODES = ["auto", "high", "low"];
+
+export const ADAPTIVE_QUALITY = {
+  bounds: [45, 58], // fps promedio: por debajo baja la calidad, por encima la recupera
+  step: 0.1,
+  flipflops: 8, // tras tantos cambios se fija el último factor (evita oscilar)
+  maxDpr: 2,
+  minDpr: 0.6,
+  minParticles: 0.25,
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/** `{ dpr, particles }` para el modo elegido; `factor` sólo aplica en "auto". */
+export function renderQuality(mode, factor = 1, deviceDpr = 1, opts = ADAPTIVE_QUALITY) {
+  const top = Math.min(deviceDpr, opts.maxDpr);
+  const f = mode === "high" ? 1 : mode === "low" ? 0 : Math.max(0, Math.min(1, factor));
+  return {
+    dpr: Math.round(lerp(Math.min(opts.minDpr, top), top, f) * 100) / 100,
+    particles: lerp(opts.minParticles, 1, f),
+  };
+}
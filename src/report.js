@@ -0,0 +1,246 @@
+// src/report.js
+// Informe para el cliente: junta parámetros, etapas del proceso y resultados del motor en un
+// documento HTML autónomo (imprimible como PDF desde el navegador), con la marca configurable.
+
+import { QUALITY_PARAMS, formatLimit, formatQualityValue } from "./sim/waterQuality.js";
+import { fillTemplate } from "./machineDefinition.js";
+import { createI18n } from "./i18n.js";
+import { alertMessage, faultLabel, mediaLabel, qualityLabel, stateLabel, technologyText } from "./simLabels.js";
+
+export const DEFAULT_BRANDING = {
+  companyName: "AWG Demo",
+  logo: null, // data URL de la imagen; null = sin logo
+  primaryColor: "#1d4ed8",
+  accentColor: "#0ea5e9",
+  footer: null, // null = aviso de referencia en el idioma del informe; un texto propio se imprime tal cual
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** Completa la marca con los valores por defecto e ignora colores o logos inválidos. */
+export function normalizeBranding(raw = {}) {
+  const b = { ...DEFAULT_BRANDING, ...raw };
+  return {
+    companyName: typeof b.companyName === "string" ? b.companyName : DEFAULT_BRANDING.companyName,
+    logo: typeof b.logo === "string" && b.logo.startsWith("data:image/") ? b.logo : null,
+    primaryColor: HEX_COLOR.test(b.primaryColor) ? b.primaryColor : DEFAULT_BRANDING.primaryColor,
+    accentColor: HEX_COLOR.test(b.accentColor) ? b.accentColor : DEFAULT_BRANDING.accentColor,
+    footer: typeof b.footer === "string" ? b.footer : null,
+  };
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Contenido del informe a partir del estado en pantalla. `sim` es el snapshot del motor
+ * (`{ ...estado, op }`), `params` los parámetros con que corre y `site` la configuración del
+ * dimensionamiento aplicada, si la hay. `machine` llega ya traducida (localizeMachine) y `i18n`
+ * fija idioma y unidades del resto de los textos.
+ */
+export function collectReport({ machine, params, sim, climateName = null, site = null, i18n = createI18n() }) {
+  const { op, tanks } = sim;
+  const desiccant = machine.technology === "desiccant";
+  const { maintenance } = op;
+  const lph = op.psychro.litersPerHour;
+  const { t, number, format } = i18n;
+  const label = (key) => t(`report.${key}`);
+
+  const parameters = [
+    [label("machine"), machine.name],
+    [label("technology"), technologyText(i18n, machine.technology).label],
+    [label("climate"), climateName || label("manualClimate")],
+    [label("ambientTemp"), format(op.ambient.temp, "°C", 1)],
+    [label("rh"), `${number(op.ambient.rh)} %`],
+    [label("altitude"), `${number(params.altitude)} m`],
+    [label("airflow"), `${number(params.airflow)} m³/h`],
+    desiccant
+      ? [
+          label("wheel"),
+          t("report.wheelValue", {
+            media: mediaLabel(i18n, params.desiccant.media),
+            temp: format(params.desiccant.regenTemp, "°C"),
+          }),
+        ]
+      : [label("coilTemp"), format(params.coilTemp, "°C", 1)],
+    [label("demand"), format(params.demandLph, "L/h", 1)],
+    [label("tanks"), `${format(params.tank.dirtyCapacity, "L")} / ${format(params.tank.cleanCapacity, "L")}`],
+  ];
+
+  const results = [
+    [label("controllerState"), stateLabel(i18n, sim.controller.state)],
+    [label("production"), t("report.productionValue", { lph: format(lph, "L/h", 2), lpd: format(lph * 24, "L/d", 1) })],
+    [label("dewPoint"), format(op.psychro.dewPoint, "°C", 1)],
+    [label("power"), `${number(op.energy.watts.total)} W`],
+    [label("specificEnergy"), `${number(op.energy.kwhPerLiter / i18n.convert(1, "L"), 2)} kWh/${i18n.unit("L")}`],
+    op.energy.cop !== null
+      ? [label("cop"), number(op.energy.cop, 2)]
+      : [label("heater"), `${number(op.energy.watts.heater)} W`],
+    [label("simTime"), `${number(sim.time / 3600, 1)} h`],
+    [label("water"), `${format(tanks.produced, "L", 1)} / ${format(tanks.dispensed, "L", 1)}`],
+    [label("energy"), `${number(sim.energyKwh, 2)} kWh`],
+    [label("uv"), `${number(op.quality.uv.dose)} mJ/cm² · ${number(op.quality.uv.logReduction, 1)} log`],
+  ];
+  if (site) {
+    results.push([
+      label("site"),
+      t("report.siteValue", {
+        units: site.units,
+        demand: format(site.demandLpd, "L/d"),
+        storage: format(site.storageL, "L"),
+      }),
+    ]);
+  }
+
+  const failing = new Set(op.qualityViolations.map((v) => v.key));
+  const limits = params.limits;
+  const quality = QUALITY_PARAMS.map((p) => ({
+    label: qualityLabel(i18n, p),
+    unit: p.unit,
+    value: formatQualityValue(op.quality.output[p.key], p.digits),
+    limit: limits[p.key] ? formatLimit(limits[p.key]) : "",
+    ok: !failing.has(p.key),
+  }));
+
+  // Callouts con sus plantillas resueltas contra el desgaste de cartuchos y lámpara
+  const callouts = machine.callouts.items.map(({ target, title, subtitle = "" }) => {
+    const part = machine.components.find((c) => c.id === target);
+    const cartridge = part.type === "cartridge" && maintenance.cartridges.find((c) => c.id === part.media);
+    const vars =
+      part.type === "uv"
+        ? { hours: Math.round(maintenance.uv.hours), output: Math.round(maintenance.uv.output * 100) }
+        : cartridge
+          ? { life: Math.round(cartridge.remainingLife * 100), pressureDrop: cartridge.pressureDrop.toFixed(2) }
+          : {};
+    return { title, subtitle: fillTemplate(subtitle, vars) };
+  });
+
+  return {
+    title: t("report.heading", { machine: machine.name }),
+    description: machine.description || "",
+    parameters,
+    results,
+    stages: machine.stages.map((s) => ({ title: s.title, narration: s.narration })),
+    callouts,
+    quality,
+    drinkable: failing.size === 0,
+    alarms: op.alarms.map((a) => `${a.code} · ${faultLabel(i18n, a)}`),
+    alerts: op.alerts.map((a) => alertMessage(i18n, a)),
+  };
+}
+
+const rows = (pairs) =>
+  pairs.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join("");
+
+/**
+ * Documento HTML completo y autónomo (estilos en línea, imagen embebida). Con `autoPrint`
+ * abre el diálogo de impresión al cargar, desde donde se guarda como PDF.
+ */
+export function buildReportHtml(
+  report,
+  { branding, image = null, date = new Date(), autoPrint = false, i18n = createI18n() } = {}
+) {
+  const b = normalizeBranding(branding);
+  const { t } = i18n;
+  const when = date.toLocaleString(i18n.locale, { dateStyle: "long", timeStyle: "short" });
+  const notices = [...report.alarms, ...report.alerts];
+
+  return `<!doctype html>
+<html lang="${i18n.locale}">
+<head>
+<meta charset="UTF-8" />
+<title>${escapeHtml(report.title)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Inter, system-ui, Arial, sans-serif; color: #0f172a; margin: 0; font-size: 12px;
+    line-height: 1.45; }
+  header { display: flex; align-items: center; gap: 14px; padding: 14px 18px; background: ${b.primaryColor};
+    color: white; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  header img { max-height: 48px; max-width: 160px; background: white; border-radius: 6px; padding: 4px; }
+  header .company { font-size: 18px; font-weight: 900; }
+  header .date { margin-left: auto; opacity: 0.85; }
+  main { padding: 16px 18px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.4px; color: ${b.primaryColor};
+    border-bottom: 2px solid ${b.accentColor}; padding-bottom: 3px; margin: 18px 0 8px; }
+  .snapshot { width: 100%; border-radius: 8px; border: 1px solid #e2e8f0; margin-top: 10px; }
+  .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { font-weight: 600; color: #475569; width: 45%; }
+  ol { padding-left: 18px; margin: 0; }
+  li { margin-bottom: 6px; }
+  .ok { color: #15803d; font-weight: 700; }
+  .bad { color: #dc2626; font-weight: 700; }
+  .notice { color: #b45309; }
+  footer { padding: 10px 18px; color: #64748b; font-size: 10px; border-top: 1px solid #e2e8f0; }
+  h2, table, li { break-inside: avoid; }
+</style>
+</head>
+<body>
+<header>
+  ${b.logo ? `<img src="${escapeHtml(b.logo)}" alt="" />` : ""}
+  <div class="company">${escapeHtml(b.companyName)}</div>
+  <div class="date">${escapeHtml(when)}</div>
+</header>
+<main>
+  <h1>${escapeHtml(report.title)}</h1>
+  ${report.description ? `<div>${escapeHtml(report.description)}</div>` : ""}
+  ${image ? `<img class="snapshot" src="${escapeHtml(image)}" alt="${escapeHtml(t("report.snapshotAlt"))}" />` : ""}
+
+  <div class="grid">
+    <section>
+      <h2>${escapeHtml(t("report.parameters"))}</h2>
+      <table>${rows(report.parameters)}</table>
+    </section>
+    <section>
+      <h2>${escapeHtml(t("report.results"))}</h2>
+      <table>${rows(report.results)}</table>
+    </section>
+  </div>
+
+  <h2>${escapeHtml(t("report.process"))}</h2>
+  <ol>
+    ${report.stages.map((s) => `<li><b>${escapeHtml(s.title)}.</b> ${escapeHtml(s.narration)}</li>`).join("\n    ")}
+  </ol>
+  ${
+    report.callouts.length
+      ? `<table style="margin-top: 8px">${rows(report.callouts.map((c) => [c.title, c.subtitle]))}</table>`
+      : ""
+  }
+
+  <h2>${escapeHtml(t("report.waterQuality"))}</h2>
+  <table>
+    <tr><th>${escapeHtml(t("report.parameter"))}</th><td><b>${escapeHtml(t("report.outlet"))}</b></td>` +
+    `<td><b>${escapeHtml(t("lab.limit"))}</b></td><td></td></tr>
+    ${report.quality
+      .map(
+        (q) =>
+          `<tr><th>${escapeHtml(q.label)} ${escapeHtml(q.unit)}</th><td>${escapeHtml(q.value)}</td>` +
+          `<td>${escapeHtml(q.limit)}</td><td class="${q.ok ? "ok" : "bad"}">${q.ok ? "✓" : "✗"}</td></tr>`
+      )
+      .join("\n    ")}
+  </table>
+  <p class="${report.drinkable ? "ok" : "bad"}">
+    ${escapeHtml(t(report.drinkable ? "report.drinkable" : "report.notDrinkable"))}
+  </p>
+  ${
+    notices.length
+      ? `<h2>${escapeHtml(t("report.notices"))}</h2>
+  <ul>${notices.map((n) => `<li class="notice">${escapeHtml(n)}</li>`).join("")}</ul>`
+      : ""
+  }
+</main>
+<footer>${escapeHtml(b.footer ?? t("report.defaultFooter"))}</footer>
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>' : ""}
+</body>
+</html>
+`;
+}
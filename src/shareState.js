@@ -0,0 +1,166 @@
+// src/shareState.js
+// Escenario compartible: paso, parámetros, cámara y toggles en un JSON versionado
+// que se guarda como archivo o se comprime en el hash de la URL.
+
+import { DEFAULT_PARAMS } from "./sim/engine.js";
+import { TANK_DEFAULTS } from "./sim/massBalance.js";
+import { DEFAULT_SETPOINTS } from "./sim/controller.js";
+import { DRINKING_LIMITS } from "./sim/waterQuality.js";
+import { codedError } from "./sim/messages.js";
+
+export const SCENARIO_VERSION = 1;
+const HASH_KEY = "s";
+
+export const DEFAULT_SCENARIO = {
+  v: SCENARIO_VERSION,
+  // Id de la definición de máquina (data/machines); la primera incluida es la estándar
+  machineId: "awg-standard",
+  step: 0,
+  autoPlay: false,
+  playing: true,
+  speed: 60,
+  climateId: "manual",
+  params: {
+    ambientTemp: DEFAULT_PARAMS.ambientTemp,
+    relativeHumidity: DEFAULT_PARAMS.relativeHumidity,
+    altitude: DEFAULT_PARAMS.altitude,
+    airflow: DEFAULT_PARAMS.airflow,
+    coilTemp: DEFAULT_PARAMS.coilTemp,
+    demandLph: DEFAULT_PARAMS.demandLph,
+    tank: { dirtyCapacity: TANK_DEFAULTS.dirtyCapacity, cleanCapacity: TANK_DEFAULTS.cleanCapacity },
+    setpoints: DEFAULT_SETPOINTS,
+    // Sólo aplica a máquinas con tecnología desecante
+    desiccant: {
+      media: DEFAULT_PARAMS.desiccant.media,
+      regenTemp: DEFAULT_PARAMS.desiccant.regenTemp,
+      minRh: DEFAULT_PARAMS.desiccant.minRh,
+    },
+    // Forma de los controles de Leva (rangos como [min, max])
+    limits: {
+      turbidityMax: DRINKING_LIMITS.turbidity.max,
+      vocMax: DRINKING_LIMITS.voc.max,
+      microbesMax: DRINKING_LIMITS.microbes.max,
+      tdsRange: [DRINKING_LIMITS.tds.min, DRINKING_LIMITS.tds.max],
+      phRange: [DRINKING_LIMITS.ph.min, DRINKING_LIMITS.ph.max],
+    },
+  },
+  camera: { position: [5.2, 1.8, 5.2], target: [0, 0, 0] },
+};
+
+// MIGRATIONS[n] lleva un escenario de la versión n a la n + 1. Los parámetros nuevos no
+// necesitan migración: lo que falta se completa con los valores por defecto.
+const MIGRATIONS = {};
+
+// Copia `value` sobre `base` sólo donde el tipo coincide; lo desconocido o inválido se ignora
+function mergeInto(base, value) {
+  if (Array.isArray(base)) {
+    return Array.isArray(value) && value.length === base.length && value.every((v) => typeof v === typeof base[0])
+      ? value
+      : base;
+  }
+  if (base && typeof base === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) return base;
+    return Object.fromEntries(Object.keys(base).map((k) => [k, k in value ? mergeInto(base[k], value[k]) : base[k]]));
+  }
+  if (typeof base === "number") return Number.isFinite(value) ? value : base;
+  return typeof value === typeof base ? value : base;
+}
+
+// Errores al abrir un escenario (la interfaz los traduce con `code`, ver codedError)
+export const SHARE_ERRORS = {
+  notScenario: "El archivo no es un escenario del simulador.",
+  newerVersion: "Escenario de una versión más nueva (v{version}); actualiza el simulador.",
+  json: "El archivo no es un JSON válido.",
+  brokenLink: "El enlace está dañado o incompleto.",
+};
+
+/**
+ * Valida y completa un escenario leído de archivo o URL. Lanza Error con mensaje
+ * legible si no es un escenario o viene de una versión más nueva.
+ */
+export function normalizeScenario(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.v !== "number") {
+    throw codedError("share.notScenario", SHARE_ERRORS.notScenario);
+  }
+  if (raw.v > SCENARIO_VERSION) {
+    throw codedError("share.newerVersion", SHARE_ERRORS.newerVersion, { version: raw.v });
+  }
+  let s = raw;
+  for (let v = raw.v; v < SCENARIO_VERSION; v++) {
+    s = MIGRATIONS[v] ? MIGRATIONS[v](s) : s;
+  }
+  const scenario = mergeInto(DEFAULT_SCENARIO, { ...s, v: SCENARIO_VERSION });
+  // El perfil de clima propio sólo viaja en el archivo JSON
+  if (s.customClimate?.records?.length) scenario.customClimate = s.customClimate;
+  else if (scenario.climateId === "custom") scenario.climateId = "manual";
+  return scenario;
+}
+
+/* ----------------------------- Archivo JSON ----------------------------- */
+
+export function scenarioToJson(scenario) {
+  return JSON.stringify(scenario, null, 2);
+}
+
+export function scenarioFromJson(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw codedError("share.json", SHARE_ERRORS.json);
+  }
+  return normalizeScenario(raw);
+}
+
+/* ----------------------------- Hash de URL ----------------------------- */
+
+// Sólo lo que difiere de los valores por defecto, con números redondeados
+function diff(base, value) {
+  if (Array.isArray(base) || typeof base !== "object" || base === null) {
+    return JSON.stringify(base) === JSON.stringify(value) ? undefined : value;
+  }
+  const out = {};
+  Object.keys(base).forEach((k) => {
+    const d = diff(base[k], value[k]);
+    if (d !== undefined) out[k] = d;
+  });
+  return Object.keys(out).length ? out : undefined;
+}
+
+function round(value) {
+  if (typeof value === "number") return Math.round(value * 1000) / 1000;
+  if (Array.isArray(value)) return value.map(round);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, round(v)]));
+  return value;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+}
+
+/** "#s=…" con la diferencia respecto al escenario por defecto. */
+export function scenarioToHash(scenario) {
+  const { customClimate, ...rest } = scenario;
+  const compact = diff(DEFAULT_SCENARIO, round(rest)) || {};
+  return `#${HASH_KEY}=${toBase64Url(JSON.stringify({ ...compact, v: SCENARIO_VERSION }))}`;
+}
+
+/** Escenario del hash, o null si el hash no trae uno. */
+export function scenarioFromHash(hash) {
+  const code = new URLSearchParams(hash.replace(/^#/, "")).get(HASH_KEY);
+  if (!code) return null;
+  let raw;
+  try {
+    raw = JSON.parse(fromBase64Url(code));
+  } catch {
+    throw codedError("share.brokenLink", SHARE_ERRORS.brokenLink);
+  }
+  return normalizeScenario(raw);
+}
@@ -0,0 +1,141 @@
+// src/sim/controller.js
+// Lógica del firmware: máquina de estados con setpoints editables y registro de transiciones.
+
+import { fillMessage } from "./messages.js";
+
+export const CONTROLLER_STATES = {
+  standby: { label: "EN ESPERA", color: "#64748b" },
+  producing: { label: "PRODUCIENDO", color: "#2563eb" },
+  defrost: { label: "DESESCARCHE", color: "#f97316" },
+  tank_full: { label: "TANQUE LLENO", color: "#0891b2" },
+  sanitizing: { label: "SANITIZANDO", color: "#7c3aed" },
+  fault: { label: "FALLA", color: "#dc2626" },
+};
+
+export const DEFAULT_SETPOINTS = {
+  minRh: 30, // % HR mínima para arrancar
+  defrostThreshold: 0, // °C de serpentín a partir de la cual se forma escarcha
+  frostBuildup: 45, // min de operación bajo el umbral antes de desescarchar
+  defrostDuration: 10, // min
+  tankFullCutoff: 0.95, // fracción del tanque sucio
+  tankFullHysteresis: 0.1,
+  uvInterlock: true, // sin UV no se dispensa
+  sanitizeInterval: 24, // h entre ciclos de sanitizado
+  sanitizeDuration: 15, // min
+};
+
+// Actuadores por estado
+const OUTPUTS = {
+  standby: { compressor: false, fan: false, uv: true, transferPump: true },
+  producing: { compressor: true, fan: true, uv: true, transferPump: true },
+  defrost: { compressor: false, fan: true, uv: true, transferPump: true },
+  tank_full: { compressor: false, fan: false, uv: true, transferPump: true },
+  sanitizing: { compressor: false, fan: false, uv: true, transferPump: false },
+  fault: { compressor: false, fan: false, uv: true, transferPump: false },
+};
+
+const LOG_SIZE = 60;
+
+// Motivos del registro de transiciones. Cada entrada lleva `code` y `vars` para que la interfaz
+// la traduzca (transitionReason en simLabels.js) y `reason` con el texto en español
+export const TRANSITION_REASONS = {
+  power_on: "Encendido",
+  alarm: "Alarma {codes}",
+  alarms_cleared: "Alarmas despejadas",
+  sanitize_done: "Sanitizado completo",
+  defrost_done: "Desescarche completo",
+  sanitize_scheduled: "Ciclo programado cada {hours} h",
+  tank_full: "Tanque al {pct}%",
+  frost: "Serpentín ≤ {threshold} °C",
+  low_rh: "HR {rh}% < {minRh}%",
+  dew_point: "Punto de rocío bajo la temperatura del serpentín",
+  production: "Condiciones de producción",
+};
+
+function logEntry(time, from, to, code, vars = {}) {
+  return { time, from, to, code, vars, reason: fillMessage(TRANSITION_REASONS[code], vars) };
+}
+
+export function createControllerState(time = 0) {
+  return {
+    state: "standby",
+    since: time,
+    frostMinutes: 0,
+    lastSanitize: time,
+    log: [logEntry(time, null, "standby", "power_on")],
+  };
+}
+
+/**
+ * Salidas del controlador. Con el interlock UV activo, el dispensado se bloquea
+ * si la lámpara no emite o mientras se sanitiza.
+ */
+export function controllerOutputs(ctrl, { uvOk = true } = {}, setpoints = DEFAULT_SETPOINTS) {
+  const base = OUTPUTS[ctrl.state];
+  const dispenseAllowed = ctrl.state !== "sanitizing" && (!setpoints.uvInterlock || uvOk);
+  return { ...base, dispenseAllowed };
+}
+
+function transition(ctrl, to, time, code, vars) {
+  if (ctrl.state === to) return ctrl;
+  const log = [...ctrl.log, logEntry(time, ctrl.state, to, code, vars)].slice(-LOG_SIZE);
+  return { ...ctrl, state: to, since: time, log };
+}
+
+/**
+ * Un ciclo de scan. `sensors`: { rh, dewPoint, coilTemp (medida), coilSetpoint,
+ * dirtyLevel (0..1), faults: [códigos] }.
+ * `time` es el instante al final del paso; `dt` en segundos.
+ */
+export function stepController(ctrl, sensors, setpoints = DEFAULT_SETPOINTS, dt, time) {
+  const minutesIn = (time - ctrl.since) / 60;
+  let next = ctrl;
+
+  // Acumula escarcha mientras el serpentín trabaja bajo el umbral
+  if (ctrl.state === "producing" && sensors.coilTemp <= setpoints.defrostThreshold) {
+    next = { ...next, frostMinutes: next.frostMinutes + dt / 60 };
+  }
+
+  if (sensors.faults.length) {
+    return transition(next, "fault", time, "alarm", { codes: sensors.faults.join(", ") });
+  }
+  if (ctrl.state === "fault") {
+    return transition(next, "standby", time, "alarms_cleared");
+  }
+
+  if (ctrl.state === "sanitizing") {
+    if (minutesIn < setpoints.sanitizeDuration) return next;
+    next = { ...next, lastSanitize: time };
+    return transition(next, "standby", time, "sanitize_done");
+  }
+
+  if (ctrl.state === "defrost") {
+    if (minutesIn < setpoints.defrostDuration) return next;
+    return transition({ ...next, frostMinutes: 0 }, "standby", time, "defrost_done");
+  }
+
+  if ((time - next.lastSanitize) / 3600 >= setpoints.sanitizeInterval) {
+    return transition(next, "sanitizing", time, "sanitize_scheduled", { hours: setpoints.sanitizeInterval });
+  }
+
+  const fullCutoff = setpoints.tankFullCutoff;
+  if (sensors.dirtyLevel >= fullCutoff) {
+    return transition(next, "tank_full", time, "tank_full", { pct: Math.round(sensors.dirtyLevel * 100) });
+  }
+  if (ctrl.state === "tank_full" && sensors.dirtyLevel > fullCutoff - setpoints.tankFullHysteresis) {
+    return next;
+  }
+
+  if (next.frostMinutes >= setpoints.frostBuildup) {
+    return transition(next, "defrost", time, "frost", { threshold: setpoints.defrostThreshold });
+  }
+
+  if (sensors.rh < setpoints.minRh) {
+    return transition(next, "standby", time, "low_rh", { rh: Math.round(sensors.rh), minRh: setpoints.minRh });
+  }
+  if (sensors.dewPoint <= sensors.coilSetpoint) {
+    return transition(next, "standby", time, "dew_point");
+  }
+
+  return transition(next, "producing", time, "production");
+}
@@ -0,0 +1,104 @@
+// src/sim/desiccant.js
+// AWG por sorción: una rueda desecante (o un lecho de MOF) adsorbe vapor del aire de proceso
+// y un lazo cerrado de regeneración lo desorbe con aire caliente y lo condensa en un
+// condensador enfriado por aire ambiente. Mismas unidades que psychrometrics.js.
+
+import {
+  dewPointFromVaporPressure,
+  dryAirDensity,
+  humidityRatio,
+  pressureAtAltitude,
+  saturationHumidityRatio,
+  vaporPressure,
+  vaporPressureFromRatio,
+} from "./psychrometrics.js";
+
+/**
+ * Isoterma de cada medio como una sigmoide en HR (`rhStep` ± `rhWidth`) y calidad de la
+ * regeneración según cuánto supera el aire caliente a la temperatura ambiente.
+ * El MOF tiene un escalón abrupto a baja HR y regenera con menos temperatura.
+ */
+export const DESICCANT_MEDIA = {
+  silica: { label: "Gel de sílice", rhStep: 35, rhWidth: 14, maxCapture: 0.8, regenOffset: 15, regenSpan: 90 },
+  mof: { label: "MOF-801", rhStep: 18, rhWidth: 4, maxCapture: 0.65, regenOffset: 10, regenSpan: 45 },
+};
+
+export const DESICCANT_DEFAULTS = {
+  media: "silica",
+  regenTemp: 120, // °C a la salida del calefactor
+  regenFraction: 0.25, // caudal de regeneración / caudal de proceso
+  condenserApproach: 8, // K sobre el ambiente en el condensador enfriado por aire
+  condenserEfficiency: 0.9, // fracción del vapor desorbido que se recupera como líquido
+  minRh: 10, // % HR mínima para arrancar; reemplaza la del controlador en este modo
+  wheelRph: 12, // vueltas por hora de la rueda
+};
+
+export const DESORPTION_HEAT = 2800; // kJ/kg: calor latente más calor de adsorción
+export const CP_AIR = 1.02; // kJ/(kg·K), aire húmedo
+
+/** Fracción del vapor entrante que retiene la rueda (0..maxCapture). */
+export function captureFraction({ relativeHumidity, ambientTemp, regenTemp, media }) {
+  const m = DESICCANT_MEDIA[media] || DESICCANT_MEDIA.silica;
+  const isotherm = 1 / (1 + Math.exp(-(relativeHumidity - m.rhStep) / m.rhWidth));
+  const regen = Math.max(0, Math.min(1, (regenTemp - ambientTemp - m.regenOffset) / m.regenSpan));
+  return m.maxCapture * isotherm * regen;
+}
+
+/**
+ * Producción de una unidad desecante. Devuelve los mismos campos que computeCondensation
+ * (para que el resto del motor no distinga la tecnología) más el estado del lazo de
+ * regeneración. `airflow` es el caudal nominal de proceso: el potencial (`regenDewPoint`)
+ * se calcula aunque la unidad esté detenida, como lo mediría el controlador.
+ * `condenserWarming` (0..1) degrada el condensador, como la falla de refrigerante al serpentín.
+ */
+export function computeDesiccant({
+  ambientTemp,
+  relativeHumidity,
+  altitude = 0,
+  airflow,
+  running = true,
+  condenserWarming = 0,
+  opts = DESICCANT_DEFAULTS,
+}) {
+  const pressure = pressureAtAltitude(altitude);
+  const pv = vaporPressure(ambientTemp, relativeHumidity);
+  const wIn = humidityRatio(pv, pressure);
+  const massFlowDryAir = (Math.max(0, airflow) / 3600) * dryAirDensity(ambientTemp, pv, pressure); // kg/s
+  const regenMassFlow = massFlowDryAir * opts.regenFraction;
+
+  // La rueda retiene lo que su isoterma permite y el aire caliente alcanza a desorber
+  const capture = captureFraction({ relativeHumidity, ambientTemp, regenTemp: opts.regenTemp, media: opts.media });
+  const adsorbable = massFlowDryAir * wIn * capture; // kg/s
+  const condenserTemp = ambientTemp + opts.condenserApproach;
+  const regenHeat = regenMassFlow * CP_AIR * Math.max(0, opts.regenTemp - condenserTemp); // kW
+  const desorbable = regenHeat / DESORPTION_HEAT; // kg/s
+  const cycled = Math.min(adsorbable, desorbable);
+
+  // Lazo cerrado: el aire sale saturado del condensador y se vuelve a cargar en la rueda
+  const wRegen = saturationHumidityRatio(condenserTemp, pressure) + (regenMassFlow > 0 ? cycled / regenMassFlow : 0);
+  const regenDewPoint = dewPointFromVaporPressure(vaporPressureFromRatio(wRegen, pressure));
+
+  const removed = running ? cycled : 0;
+  const wOut = massFlowDryAir > 0 ? wIn - removed / massFlowDryAir : wIn;
+  const efficiency = opts.condenserEfficiency * (1 - Math.max(0, Math.min(1, condenserWarming)));
+
+  return {
+    pressure,
+    vaporPressure: pv,
+    dewPoint: dewPointFromVaporPressure(pv),
+    humidityRatioIn: wIn,
+    humidityRatioOut: wOut,
+    // El calor de adsorción calienta el aire de proceso
+    leavingTemp: ambientTemp + ((wIn - wOut) * DESORPTION_HEAT) / CP_AIR,
+    condensing: removed > 0,
+    massFlowDryAir,
+    litersPerHour: removed * efficiency * 3600,
+    captureFraction: capture,
+    adsorptionLph: adsorbable * 3600,
+    desorptionLph: desorbable * 3600,
+    regenAirflow: Math.max(0, airflow) * opts.regenFraction,
+    regenMassFlow,
+    regenDewPoint,
+    condenserTemp,
+  };
+}
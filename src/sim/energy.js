@@ -0,0 +1,103 @@
+// src/sim/energy.js
+// Modelo energético: ventilador, ciclo de refrigeración del serpentín (o calefactor de
+// regeneración en las unidades desecantes), lámpara UV y bombas. Potencias en W, energía en kWh.
+
+import { enthalpy } from "./psychrometrics.js";
+import { CP_AIR, DESICCANT_DEFAULTS } from "./desiccant.js";
+
+export const ENERGY_DEFAULTS = {
+  fanStaticPressure: 250, // Pa (serpentín + filtros de aire + rejilla)
+  fanEfficiency: 0.45,
+  evaporatorApproach: 5, // K entre superficie del serpentín y evaporación
+  condenserApproach: 12, // K sobre la temperatura ambiente
+  carnotEfficiency: 0.45, // fracción del COP de Carnot que alcanza el compresor real
+  uvLampPower: 25,
+  transferPumpPower: 30,
+  transferPumpCapacity: 60, // L/h
+  dispensePumpPower: 40,
+  controlsPower: 6,
+  heaterEfficiency: 0.95, // resistencia eléctrica + pérdidas del ducto de regeneración
+  wheelMotorPower: 15,
+};
+
+export function fanPower(airflow, opts = ENERGY_DEFAULTS) {
+  const q = Math.max(0, airflow) / 3600; // m³/s
+  return (q * opts.fanStaticPressure) / opts.fanEfficiency;
+}
+
+/** COP del ciclo a partir de las temperaturas de evaporación y condensación. */
+export function refrigerationCop(coilTemp, ambientTemp, opts = ENERGY_DEFAULTS) {
+  const te = coilTemp - opts.evaporatorApproach + 273.15;
+  const tc = ambientTemp + opts.condenserApproach + 273.15;
+  const carnot = te / Math.max(1, tc - te);
+  return Math.max(1, Math.min(8, carnot * opts.carnotEfficiency));
+}
+
+/**
+ * Potencia instantánea por componente.
+ * `psychro` es el resultado de computeCondensation para las mismas condiciones.
+ */
+export function computeEnergy({
+  airflow,
+  ambientTemp,
+  coilTemp,
+  psychro,
+  compressorOn = true,
+  uvOn = true,
+  transferPumpDuty = 0,
+  dispensePumpDuty = 0,
+  opts = ENERGY_DEFAULTS,
+}) {
+  const hIn = enthalpy(ambientTemp, psychro.humidityRatioIn);
+  const hOut = enthalpy(psychro.leavingTemp, psychro.humidityRatioOut);
+  const coolingLoad = compressorOn ? Math.max(0, hIn - hOut) * psychro.massFlowDryAir * 1000 : 0; // W
+  const cop = refrigerationCop(coilTemp, ambientTemp, opts);
+
+  const fan = fanPower(airflow, opts);
+  const compressor = coolingLoad / cop;
+  const uv = uvOn ? opts.uvLampPower : 0;
+  const pumps =
+    opts.transferPumpPower * Math.max(0, Math.min(1, transferPumpDuty)) +
+    opts.dispensePumpPower * Math.max(0, Math.min(1, dispensePumpDuty));
+  const total = fan + compressor + uv + pumps + opts.controlsPower;
+
+  return {
+    coolingLoad,
+    cop,
+    watts: { fan, compressor, uv, pumps, controls: opts.controlsPower, total },
+    kwhPerLiter: psychro.litersPerHour > 0 ? total / 1000 / psychro.litersPerHour : Infinity,
+  };
+}
+
+/**
+ * Potencia de una unidad desecante: ventiladores de proceso y regeneración, calefactor
+ * que lleva el aire del lazo desde el condensador a `regenTemp` y motor de la rueda.
+ * `psychro` es el resultado de computeDesiccant; no hay compresor ni COP.
+ */
+export function computeDesiccantEnergy({
+  airflow,
+  psychro,
+  running = true,
+  uvOn = true,
+  transferPumpDuty = 0,
+  dispensePumpDuty = 0,
+  opts = ENERGY_DEFAULTS,
+  desiccant = DESICCANT_DEFAULTS,
+}) {
+  const fan = fanPower(airflow * (1 + desiccant.regenFraction), opts);
+  const heatKw = psychro.regenMassFlow * CP_AIR * Math.max(0, desiccant.regenTemp - psychro.condenserTemp);
+  const heater = running ? (heatKw * 1000) / opts.heaterEfficiency : 0;
+  const wheel = running ? opts.wheelMotorPower : 0;
+  const uv = uvOn ? opts.uvLampPower : 0;
+  const pumps =
+    opts.transferPumpPower * Math.max(0, Math.min(1, transferPumpDuty)) +
+    opts.dispensePumpPower * Math.max(0, Math.min(1, dispensePumpDuty));
+  const total = fan + heater + wheel + uv + pumps + opts.controlsPower;
+
+  return {
+    coolingLoad: 0,
+    cop: null,
+    watts: { fan, compressor: 0, heater, wheel, uv, pumps, controls: opts.controlsPower, total },
+    kwhPerLiter: psychro.litersPerHour > 0 ? total / 1000 / psychro.litersPerHour : Infinity,
+  };
+}
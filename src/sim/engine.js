@@ -0,0 +1,320 @@
+// src/sim/engine.js
+// Motor de simulación sin dependencias de React ni WebGL: estado, parámetros, paso de tiempo
+// y suscripción. La escena 3D y la CLI consumen el mismo motor.
+
+import { computeCondensation } from "./psychrometrics.js";
+import { DESICCANT_DEFAULTS, computeDesiccant } from "./desiccant.js";
+import { ENERGY_DEFAULTS, computeDesiccantEnergy, computeEnergy } from "./energy.js";
+import { TANK_DEFAULTS, createTankState, requestDispense, stepMassBalance } from "./massBalance.js";
+import {
+  advanceMaintenance,
+  createMaintenanceState,
+  maintenanceAlerts,
+  maintenanceStatus,
+  mountedCartridges,
+  replaceCartridge,
+  replaceUvLamp,
+} from "./filters.js";
+import { DEFAULT_TREATMENT, DRINKING_LIMITS, checkLimits, computeWaterQuality } from "./waterQuality.js";
+import {
+  advanceFaults,
+  clearFault,
+  combineEffects,
+  createFaultState,
+  faultAlarms,
+  injectFault,
+  loadScenario,
+  scheduleFault,
+} from "./faults.js";
+import { DEFAULT_SETPOINTS, controllerOutputs, createControllerState, stepController } from "./controller.js";
+import { weatherAt } from "./weather.js";
+
+export const DEFAULT_PARAMS = {
+  ambientTemp: 30,
+  relativeHumidity: 70,
+  altitude: 0,
+  airflow: 600,
+  coilTemp: 8,
+  demandLph: 3,
+  technology: "refrigeration", // o "desiccant" (rueda de adsorción, ver desiccant.js)
+  desiccant: DESICCANT_DEFAULTS,
+  treatment: DEFAULT_TREATMENT, // etapas de tratamiento de la máquina (treatmentStages en machineDefinition.js)
+  tank: { dirtyCapacity: TANK_DEFAULTS.dirtyCapacity, cleanCapacity: TANK_DEFAULTS.cleanCapacity },
+  setpoints: DEFAULT_SETPOINTS,
+  limits: DRINKING_LIMITS,
+  climate: null, // perfil de weather.js; null = condiciones manuales
+};
+
+// Paso máximo del controlador: a 3600x un tick de UI son 6 min simulados
+const MAX_STEP = 60;
+
+export function createInitialState(params = DEFAULT_PARAMS) {
+  return {
+    time: 0,
+    tanks: createTankState({ opts: tankOptions(params) }),
+    maintenance: createMaintenanceState(),
+    faults: createFaultState(),
+    controller: createControllerState(),
+    energyKwh: 0,
+  };
+}
+
+export function tankOptions(params) {
+  return { ...TANK_DEFAULTS, ...params.tank };
+}
+
+function desiccantOptions(params) {
+  return params.technology === "desiccant" ? { ...DESICCANT_DEFAULTS, ...params.desiccant } : null;
+}
+
+// Una unidad desecante adsorbe con HR mucho menor: su propia HR mínima reemplaza la del controlador
+function effectiveSetpoints(params) {
+  const setpoints = { ...DEFAULT_SETPOINTS, ...params.setpoints };
+  const desiccant = desiccantOptions(params);
+  return desiccant ? { ...setpoints, minRh: desiccant.minRh } : setpoints;
+}
+
+/**
+ * Punto de operación de un estado: clima, desgaste, fallas y salidas del controlador
+ * aplicados sobre los modelos físicos.
+ */
+export function computeOperatingPoint(params, state) {
+  const { time, tanks, maintenance: wear, faults, controller } = state;
+  const { airflow, coilTemp, altitude, climate } = params;
+  const setpoints = effectiveSetpoints(params);
+  const desiccant = desiccantOptions(params);
+  const tankOpts = tankOptions(params);
+
+  const effects = combineEffects(faults.active);
+  const ambient = climate ? weatherAt(climate, time) : { temp: params.ambientTemp, rh: params.relativeHumidity };
+  const status = maintenanceStatus(wear, mountedCartridges(params.treatment));
+  const lampOutput = status.uv.output * effects.lampOutputFactor;
+  const outputs = controllerOutputs(controller, { uvOk: lampOutput > 0 }, setpoints);
+
+  const effAirflow = airflow * effects.airflowFactor * (outputs.fan ? 1 : 0);
+  // Con el compresor apagado el serpentín queda a temperatura ambiente y no condensa
+  const effCoilTemp = outputs.compressor
+    ? coilTemp + Math.max(0, ambient.temp - coilTemp) * effects.coilWarming
+    : ambient.temp;
+
+  // En modo desecante la salida "compresor" del controlador enciende calefactor y rueda, y el
+  // potencial se evalúa con el caudal nominal aunque el ventilador esté detenido
+  const psychro = desiccant
+    ? computeDesiccant({
+        ambientTemp: ambient.temp,
+        relativeHumidity: ambient.rh,
+        altitude,
+        airflow: airflow * effects.airflowFactor,
+        running: outputs.compressor && outputs.fan,
+        condenserWarming: effects.coilWarming,
+        opts: desiccant,
+      })
+    : computeCondensation({
+        ambientTemp: ambient.temp,
+        relativeHumidity: ambient.rh,
+        altitude,
+        airflow: effAirflow,
+        coilTemp: effCoilTemp,
+      });
+  const loads = {
+    uvOn: outputs.uv && effects.lampOutputFactor > 0,
+    transferPumpDuty: tanks.pumpOn ? 1 : 0,
+    dispensePumpDuty: tanks.dispensing ? 1 : 0,
+  };
+  const energy = desiccant
+    ? computeDesiccantEnergy({ airflow: effAirflow, psychro, running: outputs.compressor, desiccant, ...loads })
+    : computeEnergy({
+        airflow: effAirflow,
+        ambientTemp: ambient.temp,
+        coilTemp: effCoilTemp,
+        psychro,
+        compressorOn: outputs.compressor,
+        ...loads,
+        opts: { ...ENERGY_DEFAULTS, carnotEfficiency: ENERGY_DEFAULTS.carnotEfficiency * effects.copFactor },
+      });
+
+  // Los cartuchos cargados (u obstruidos por falla) frenan la bomba de trasiego
+  const flowFactor = status.flowFactor * effects.treatmentFlowFactor;
+  const maintenance = { ...status, flowFactor, uv: { ...status.uv, output: lampOutput } };
+  const effTankOpts = {
+    ...tankOpts,
+    transferRate: outputs.transferPump ? tankOpts.transferRate * flowFactor : 0,
+    cleanLeakRate: effects.cleanLeakRate,
+    faucetStuckOpen: effects.faucetStuckOpen,
+    dispenseBlocked: !outputs.dispenseAllowed,
+  };
+
+  const quality = computeWaterQuality({
+    cartridges: status.cartridges,
+    lampOutput,
+    flowLph: tankOpts.transferRate * flowFactor,
+    treatment: params.treatment,
+  });
+
+  // Para el controlador de una unidad desecante el "serpentín" es el condensador de regeneración:
+  // produce si el lazo caliente tiene su rocío al menos 1 K sobre él
+  const sensors = {
+    rh: ambient.rh,
+    dewPoint: desiccant ? psychro.regenDewPoint : psychro.dewPoint,
+    coilTemp: desiccant ? psychro.condenserTemp : effCoilTemp,
+    coilSetpoint: desiccant ? psychro.condenserTemp + 1 : coilTemp,
+    dirtyLevel: tanks.dirty / tankOpts.dirtyCapacity,
+    faults: faultAlarms(faults).map((a) => a.code),
+  };
+
+  return {
+    ambient,
+    effects,
+    outputs,
+    sensors,
+    psychro,
+    energy,
+    maintenance,
+    alerts: maintenanceAlerts(maintenance),
+    alarms: faultAlarms(faults),
+    quality,
+    qualityViolations: checkLimits(quality.output, params.limits || DRINKING_LIMITS),
+    tankOpts: effTankOpts,
+    airflowFactor: airflow > 0 ? effAirflow / airflow : 0,
+  };
+}
+
+/**
+ * Avanza `dt` segundos. Los actuadores siguen al controlador del ciclo anterior
+ * y luego el controlador lee los sensores (como un ciclo de scan del firmware).
+ */
+export function stepState(params, prev, dt) {
+  const time = prev.time + dt;
+  const faults = advanceFaults(prev.faults, time);
+  const op = computeOperatingPoint(params, { ...prev, faults });
+  const { psychro, energy, tankOpts, sensors } = op;
+  const tanks = stepMassBalance(prev.tanks, {
+    dt,
+    condensateLph: psychro.litersPerHour,
+    demandLph: params.demandLph,
+    opts: tankOpts,
+  });
+  // La lámpara sólo envejece encendida: con la salida UV apagada o la lámpara quemada no suma horas
+  const uvOn = op.outputs.uv && op.effects.lampOutputFactor > 0;
+  const maintenance = advanceMaintenance(prev.maintenance, {
+    processedLiters: tanks.transferred - prev.tanks.transferred,
+    uvOnHours: uvOn ? dt / 3600 : 0,
+    cartridges: mountedCartridges(params.treatment),
+  });
+  const setpoints = effectiveSetpoints(params);
+  const controller = stepController(prev.controller, sensors, setpoints, dt, time);
+  const kwh = (energy.watts.total / 1000) * (dt / 3600);
+  return { ...prev, time, tanks, maintenance, faults, controller, energyKwh: prev.energyKwh + kwh };
+}
+
+// Igualdad estructural de parámetros (objetos planos y arrays)
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const ka = Object.keys(a);
+  return ka.length === Object.keys(b).length && ka.every((k) => sameValue(a[k], b[k]));
+}
+
+/**
+ * Instancia con estado propio y suscriptores. `getSnapshot()` devuelve el mismo objeto
+ * mientras no haya cambios (apto para useSyncExternalStore).
+ */
+export function createSimulation(initialParams = {}) {
+  let params = { ...DEFAULT_PARAMS, ...initialParams };
+  let state = createInitialState(params);
+  let snapshot = null;
+  const listeners = new Set();
+
+  const emit = () => {
+    snapshot = null;
+    listeners.forEach((fn) => fn());
+  };
+  const update = (fn) => {
+    state = fn(state);
+    emit();
+  };
+
+  const sim = {
+    getParams: () => params,
+    getState: () => state,
+    getSnapshot() {
+      if (!snapshot) snapshot = { ...state, op: computeOperatingPoint(params, state) };
+      return snapshot;
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /** Mezcla parámetros; sólo notifica si algún valor cambió. */
+    setParams(partial) {
+      const changed = Object.keys(partial).some((k) => !sameValue(params[k], partial[k]));
+      if (!changed) return;
+      params = { ...params, ...partial };
+      emit();
+    },
+
+    step(dt) {
+      let remaining = Math.max(0, dt);
+      let next = state;
+      while (remaining > 1e-9) {
+        const h = Math.min(MAX_STEP, remaining);
+        next = stepState(params, next, h);
+        remaining -= h;
+      }
+      state = next;
+      emit();
+    },
+
+    /**
+     * Corre `seconds` simulados y devuelve muestras cada `sampleEvery` segundos.
+     * `sample(snapshot)` elige qué guardar de cada muestra.
+     */
+    run(seconds, { sampleEvery = 3600, sample = (s) => s } = {}) {
+      const samples = [sample(sim.getSnapshot())];
+      let elapsed = 0;
+      while (elapsed < seconds - 1e-9) {
+        const h = Math.min(sampleEvery, seconds - elapsed);
+        sim.step(h);
+        elapsed += h;
+        samples.push(sample(sim.getSnapshot()));
+      }
+      return samples;
+    },
+
+    reset() {
+      update(() => createInitialState(params));
+    },
+    seek(time) {
+      update((s) => ({ ...s, time: Math.max(0, time) }));
+    },
+    dispense() {
+      update((s) => ({ ...s, tanks: requestDispense(s.tanks) }));
+    },
+    replace(id) {
+      update((s) => ({
+        ...s,
+        maintenance: id === "uv" ? replaceUvLamp(s.maintenance) : replaceCartridge(s.maintenance, id),
+      }));
+    },
+
+    // Fallas: inyección inmediata, reparación y guiones por tiempo
+    injectFault(id) {
+      update((s) => ({ ...s, faults: injectFault(s.faults, id, s.time) }));
+    },
+    clearFault(id) {
+      update((s) => ({ ...s, faults: clearFault(s.faults, id) }));
+    },
+    scheduleFault(id, atHour) {
+      update((s) => ({ ...s, faults: scheduleFault(s.faults, id, s.time + atHour * 3600) }));
+    },
+    loadScenario(scenario) {
+      update((s) => ({ ...s, faults: loadScenario(s.faults, scenario, s.time) }));
+    },
+    clearScript() {
+      update((s) => ({ ...s, faults: { ...s.faults, script: [] } }));
+    },
+  };
+
+  return sim;
+}
@@ -0,0 +1,153 @@
+// src/sim/faults.js
+// Catálogo de fallas para entrenamiento de técnicos, sus efectos sobre el modelo y guiones por tiempo.
+
+export const FAULTS = [
+  {
+    id: "fan_stall",
+    code: "E01",
+    label: "Ventilador bloqueado",
+    diagnosis: "Sin caudal de aire. Revisar motor, capacitor y obstrucciones en la rejilla.",
+    effects: { airflowFactor: 0 },
+  },
+  {
+    id: "coil_icing",
+    code: "E02",
+    label: "Serpentín congelado",
+    diagnosis: "Hielo sobre las aletas. Forzar desescarche y revisar temperatura de evaporación.",
+    effects: { airflowFactor: 0.35, frost: true },
+  },
+  {
+    id: "refrigerant_leak",
+    code: "E03",
+    label: "Fuga de refrigerante",
+    diagnosis: "El serpentín no enfría y el compresor trabaja en vacío. Buscar fuga y recargar.",
+    effects: { coilWarming: 0.85, copFactor: 0.4 },
+  },
+  {
+    id: "sediment_clog",
+    code: "E04",
+    label: "Filtro de sedimentos obstruido",
+    diagnosis: "Caída de presión excesiva en la línea. Reemplazar cartucho de sedimentos.",
+    effects: { treatmentFlowFactor: 0.03 },
+  },
+  {
+    id: "uv_failure",
+    code: "E05",
+    label: "Lámpara UV apagada",
+    diagnosis: "Sin desinfección. Revisar balasto y lámpara; bloquear dispensado.",
+    effects: { lampOutputFactor: 0 },
+  },
+  {
+    id: "clean_tank_leak",
+    code: "E06",
+    label: "Fuga en tanque limpio",
+    diagnosis: "El nivel del tanque limpio baja sin dispensar. Revisar juntas y conexiones.",
+    effects: { cleanLeakRate: 4 },
+  },
+  {
+    id: "faucet_stuck",
+    code: "E07",
+    label: "Válvula del grifo trabada",
+    diagnosis: "El grifo no cierra y vacía el tanque limpio. Reemplazar la electroválvula.",
+    effects: { faucetStuckOpen: true },
+  },
+];
+
+export const NO_EFFECTS = {
+  airflowFactor: 1,
+  frost: false,
+  coilWarming: 0, // fracción en que el serpentín se acerca a la temperatura ambiente
+  copFactor: 1,
+  treatmentFlowFactor: 1,
+  lampOutputFactor: 1,
+  cleanLeakRate: 0,
+  faucetStuckOpen: false,
+};
+
+// Guiones predefinidos: fallas que aparecen a una hora simulada dada
+export const FAULT_SCENARIOS = [
+  { id: "fan_2h", label: "Ventilador se bloquea a las 2 h", events: [{ faultId: "fan_stall", atHour: 2 }] },
+  {
+    id: "leak_then_ice",
+    label: "Fuga de refrigerante (4 h) y hielo (8 h)",
+    events: [
+      { faultId: "refrigerant_leak", atHour: 4 },
+      { faultId: "coil_icing", atHour: 8 },
+    ],
+  },
+  {
+    id: "treatment_day",
+    label: "Día de fallas de tratamiento",
+    events: [
+      { faultId: "sediment_clog", atHour: 3 },
+      { faultId: "uv_failure", atHour: 9 },
+      { faultId: "clean_tank_leak", atHour: 15 },
+    ],
+  },
+];
+
+export function faultById(id) {
+  return FAULTS.find((f) => f.id === id);
+}
+
+export function createFaultState() {
+  return { active: {}, script: [] };
+}
+
+/** Efectos combinados de las fallas activas (factores multiplicativos, banderas con OR). */
+export function combineEffects(active) {
+  return Object.keys(active).reduce((acc, id) => {
+    const e = faultById(id)?.effects || {};
+    return {
+      airflowFactor: acc.airflowFactor * (e.airflowFactor ?? 1),
+      frost: acc.frost || !!e.frost,
+      coilWarming: Math.max(acc.coilWarming, e.coilWarming ?? 0),
+      copFactor: acc.copFactor * (e.copFactor ?? 1),
+      treatmentFlowFactor: acc.treatmentFlowFactor * (e.treatmentFlowFactor ?? 1),
+      lampOutputFactor: acc.lampOutputFactor * (e.lampOutputFactor ?? 1),
+      cleanLeakRate: acc.cleanLeakRate + (e.cleanLeakRate ?? 0),
+      faucetStuckOpen: acc.faucetStuckOpen || !!e.faucetStuckOpen,
+    };
+  }, NO_EFFECTS);
+}
+
+export function injectFault(state, id, time) {
+  if (!faultById(id) || state.active[id] !== undefined) return state;
+  return { ...state, active: { ...state.active, [id]: time } };
+}
+
+export function clearFault(state, id) {
+  const active = { ...state.active };
+  delete active[id];
+  return { ...state, active };
+}
+
+export function scheduleFault(state, faultId, at) {
+  const script = [...state.script, { faultId, at }].sort((a, b) => a.at - b.at);
+  return { ...state, script };
+}
+
+/** Carga un guion predefinido relativo al instante actual. */
+export function loadScenario(state, scenario, now) {
+  return scenario.events.reduce((s, e) => scheduleFault(s, e.faultId, now + e.atHour * 3600), {
+    ...state,
+    script: [],
+  });
+}
+
+/** Dispara los eventos del guion cuyo instante ya pasó. */
+export function advanceFaults(state, time) {
+  if (!state.script.length || state.script[0].at > time) return state;
+  let next = { ...state, script: state.script.filter((e) => e.at > time) };
+  state.script.filter((e) => e.at <= time).forEach((e) => {
+    next = injectFault(next, e.faultId, e.at);
+  });
+  return next;
+}
+
+/** Alarmas visibles: código, descripción y momento en que se levantó. */
+export function faultAlarms(state) {
+  return Object.entries(state.active)
+    .map(([id, since]) => ({ ...faultById(id), since }))
+    .sort((a, b) => a.since - b.since);
+}
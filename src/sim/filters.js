@@ -0,0 +1,103 @@
+// src/sim/filters.js
+// Vida útil de los cartuchos (carga por volumen procesado) y envejecimiento de la lámpara UV.
+// Volúmenes en L, presiones en bar, tiempos en horas.
+
+export const CARTRIDGES = [
+  { id: "sediment", label: "SEDIMENT FILTER", capacity: 2000, dpClean: 0.12, dpClogged: 1.1 },
+  { id: "carbon", label: "CARBON FILTER", capacity: 4000, dpClean: 0.18, dpClogged: 0.9 },
+  { id: "mineral", label: "MINERALIZACIÓN", capacity: 3000, dpClean: 0.1, dpClogged: 0.5 },
+];
+
+export const UV_LAMP = { lifeHours: 9000, endOfLifeOutput: 0.7 };
+
+// Presión disponible de la bomba de trasiego: cuando la caída total se acerca, el caudal cae
+export const PUMP_HEAD = 2.0; // bar
+
+export const WARNING_LIFE = 0.15;
+
+/** Cartuchos que monta una línea de tratamiento (ver DEFAULT_TREATMENT en waterQuality.js). */
+export function mountedCartridges(treatment) {
+  const steps = new Set(treatment.flatMap((s) => s.steps));
+  return CARTRIDGES.filter((c) => steps.has(c.id));
+}
+
+export function createMaintenanceState() {
+  return {
+    processed: Object.fromEntries(CARTRIDGES.map((c) => [c.id, 0])),
+    uvHours: 0,
+  };
+}
+
+export function cartridgeStatus(def, processed) {
+  const loading = Math.max(0, processed / def.capacity);
+  const clogged = Math.min(1, loading);
+  return {
+    id: def.id,
+    loading,
+    remainingLife: Math.max(0, 1 - loading),
+    pressureDrop: def.dpClean + (def.dpClogged - def.dpClean) * clogged * clogged,
+  };
+}
+
+export function uvLampStatus(hours, lamp = UV_LAMP) {
+  const age = Math.max(0, hours / lamp.lifeHours);
+  return {
+    hours,
+    remainingLife: Math.max(0, 1 - age),
+    output: 1 - (1 - lamp.endOfLifeOutput) * Math.min(1, age),
+  };
+}
+
+/**
+ * Estado de toda la línea: cartuchos montados (`defs`, ver mountedCartridges), lámpara y
+ * factor de caudal resultante (0..1).
+ */
+export function maintenanceStatus(state, defs = CARTRIDGES) {
+  const cartridges = defs.map((c) => cartridgeStatus(c, state.processed[c.id] || 0));
+  const dpClean = defs.reduce((acc, c) => acc + c.dpClean, 0);
+  const dpTotal = cartridges.reduce((acc, c) => acc + c.pressureDrop, 0);
+  const flowFactor = Math.max(0, Math.min(1, Math.sqrt((PUMP_HEAD - dpTotal) / (PUMP_HEAD - dpClean)) || 0));
+  return { cartridges, uv: uvLampStatus(state.uvHours), pressureDrop: dpTotal, flowFactor };
+}
+
+// Sólo se cargan los cartuchos montados: los demás conservan su carga para otra definición
+export function advanceMaintenance(state, { processedLiters = 0, uvOnHours = 0, cartridges = CARTRIDGES }) {
+  const processed = { ...state.processed };
+  cartridges.forEach((c) => {
+    processed[c.id] = (processed[c.id] || 0) + Math.max(0, processedLiters);
+  });
+  return { processed, uvHours: state.uvHours + Math.max(0, uvOnHours) };
+}
+
+export function replaceCartridge(state, id) {
+  return { ...state, processed: { ...state.processed, [id]: 0 } };
+}
+
+export function replaceUvLamp(state) {
+  return { ...state, uvHours: 0 };
+}
+
+/**
+ * Alertas de mantenimiento: aviso bajo WARNING_LIFE y crítico al agotarse. `value` lleva la vida
+ * restante (o el factor de caudal) para que la interfaz arme el mensaje en otro idioma.
+ */
+export function maintenanceAlerts(status) {
+  const alerts = [];
+  const push = (id, label, life) => {
+    if (life <= 0) alerts.push({ id, level: "critical", message: `${label}: vida agotada, reemplazar`, value: 0 });
+    else if (life < WARNING_LIFE) {
+      alerts.push({ id, level: "warning", message: `${label}: ${Math.round(life * 100)}% de vida restante`, value: life });
+    }
+  };
+  status.cartridges.forEach((c) => push(c.id, CARTRIDGES.find((d) => d.id === c.id).label, c.remainingLife));
+  push("uv", "LÁMPARA UV", status.uv.remainingLife);
+  if (status.flowFactor < 0.5) {
+    alerts.push({
+      id: "flow",
+      level: "warning",
+      message: `Caudal de filtrado reducido al ${Math.round(status.flowFactor * 100)}%`,
+      value: status.flowFactor,
+    });
+  }
+  return alerts;
+}
@@ -0,0 +1,138 @@
+// src/sim/massBalance.js
+// Balance de masa continuo: condensado -> tanque sucio -> (filtros + UV) -> tanque limpio -> vaso.
+// Volúmenes en litros, caudales en L/h, tiempos en segundos.
+
+export const TANK_DEFAULTS = {
+  dirtyCapacity: 20,
+  cleanCapacity: 20,
+  cupCapacity: 0.3,
+  transferRate: 60, // bomba de trasiego a través de filtros y UV
+  dispenseRate: 90, // grifo (1.5 L/min)
+  minTransferLevel: 0.05, // la bomba no aspira por debajo de este volumen
+  cleanLeakRate: 0, // fuga del tanque limpio (falla)
+  faucetStuckOpen: false, // grifo que no cierra (falla)
+  dispenseBlocked: false, // interlock del controlador
+};
+
+const EPS = 1e-9;
+const MAX_SUBSTEP = 10;
+
+export function createTankState({ dirty = 2, clean = 5, opts = TANK_DEFAULTS } = {}) {
+  return {
+    dirty: Math.min(dirty, opts.dirtyCapacity),
+    clean: Math.min(clean, opts.cleanCapacity),
+    cup: 0,
+    produced: 0,
+    transferred: 0,
+    dispensed: 0,
+    overflow: 0,
+    leaked: 0,
+    spilled: 0,
+    pendingDemand: 0,
+    cupsServed: 0,
+    pumpOn: false,
+    dispensing: false,
+    overflowing: false,
+  };
+}
+
+function integrate(s, dt, { condensateLph, demandLph, opts }) {
+  const hours = dt / 3600;
+
+  // Condensado al tanque sucio; lo que no cabe se pierde por el rebose
+  const inflow = Math.max(0, condensateLph) * hours;
+  const room = Math.max(0, opts.dirtyCapacity - s.dirty);
+  const stored = Math.min(inflow, room);
+  s.dirty += stored;
+  s.produced += inflow;
+  s.overflow += inflow - stored;
+  s.overflowing = inflow - stored > EPS;
+
+  // Trasiego por filtros y UV mientras haya agua que aspirar y espacio en el limpio
+  const available = Math.max(0, s.dirty - opts.minTransferLevel);
+  const cleanRoom = Math.max(0, opts.cleanCapacity - s.clean);
+  const transfer = Math.min(opts.transferRate * hours, available, cleanRoom);
+  s.pumpOn = transfer > EPS;
+  s.dirty -= transfer;
+  s.clean += transfer;
+  s.transferred += transfer;
+
+  // Fuga del tanque limpio
+  const leak = Math.min(Math.max(0, opts.cleanLeakRate) * hours, s.clean);
+  s.clean -= leak;
+  s.leaked += leak;
+
+  // Grifo trabado: vierte sin parar y el vaso rebalsa
+  if (opts.faucetStuckOpen) {
+    const pour = Math.min(opts.dispenseRate * hours, s.clean);
+    const intoCup = Math.min(pour, opts.cupCapacity - s.cup);
+    s.clean -= pour;
+    s.cup += intoCup;
+    s.dispensed += pour;
+    s.spilled += pour - intoCup; // parte de lo dispensado que cae fuera del vaso
+    s.dispensing = pour > EPS;
+    return;
+  }
+
+  // La demanda se sirve por vasos completos; con el interlock activo o sin agua queda en espera
+  // como mucho un vaso, para no servir una ráfaga de vasos acumulados al liberarse
+  s.pendingDemand = Math.min(opts.cupCapacity, s.pendingDemand + Math.max(0, demandLph) * hours);
+  if (opts.dispenseBlocked) {
+    s.dispensing = false;
+    return;
+  }
+  if (!s.dispensing && s.pendingDemand >= opts.cupCapacity && s.clean > EPS) {
+    s.pendingDemand -= opts.cupCapacity;
+    s.dispensing = true;
+  }
+
+  if (s.dispensing) {
+    const pour = Math.min(opts.dispenseRate * hours, s.clean, opts.cupCapacity - s.cup);
+    s.clean -= pour;
+    s.cup += pour;
+    s.dispensed += pour;
+    const cupFull = s.cup >= opts.cupCapacity - EPS;
+    if (cupFull || s.clean <= EPS) {
+      s.dispensing = false;
+      if (cupFull) {
+        s.cup = 0; // vaso servido, se coloca uno vacío
+        s.cupsServed += 1;
+      }
+    }
+  }
+}
+
+/** Avanza el balance `dt` segundos. Devuelve un nuevo estado (no muta el anterior). */
+export function stepMassBalance(state, { dt, condensateLph = 0, demandLph = 0, opts = TANK_DEFAULTS }) {
+  const s = { ...state };
+  let remaining = Math.max(0, dt);
+  let overflowing = false;
+  while (remaining > EPS) {
+    const h = Math.min(MAX_SUBSTEP, remaining);
+    integrate(s, h, { condensateLph, demandLph, opts });
+    overflowing = overflowing || s.overflowing;
+    remaining -= h;
+  }
+  s.overflowing = overflowing;
+  return s;
+}
+
+/** Solicita llenar un vaso desde el tanque limpio. */
+export function requestDispense(state) {
+  if (state.dispensing || state.clean <= EPS) return state;
+  return { ...state, dispensing: true };
+}
+
+export function tankFlags(state, opts = TANK_DEFAULTS) {
+  return {
+    dirtyFull: state.dirty >= opts.dirtyCapacity - 1e-6,
+    dirtyEmpty: state.dirty <= opts.minTransferLevel + 1e-6,
+    cleanFull: state.clean >= opts.cleanCapacity - 1e-6,
+    cleanEmpty: state.clean <= 1e-6,
+  };
+}
+
+/** Volumen en el sistema más lo que salió (rebose, grifo, fugas); se conserva: inicial + producido. */
+export function totalVolume(state) {
+  return state.dirty + state.clean + state.overflow + state.leaked + state.dispensed;
+}
@@ -0,0 +1,13 @@
+// src/sim/messages.js
+// Mensajes con código y variables: el texto en español queda para la CLI y los registros, y la
+// interfaz lo traduce a partir del código (ver simLabels.js).
+
+/** `{nombre}` -> `vars.nombre` en una plantilla de mensaje. */
+export function fillMessage(template, vars = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/** Error con `code` ("grupo.id") y `vars`; `message` es la plantilla en español ya completada. */
+export function codedError(code, template, vars = {}) {
+  return Object.assign(new Error(fillMessage(template, vars)), { code, vars });
+}
@@ -0,0 +1,101 @@
+// src/sim/psychrometrics.js
+// Modelo psicrométrico del aire húmedo (ASHRAE, aproximación Magnus para saturación).
+// Unidades: °C, %, Pa, m, m³/h, kg/kg, L/h.
+
+export const P_SEA_LEVEL = 101325; // Pa
+const EPS = 0.621945; // Mw / Mda
+const R_DA = 287.042; // J/(kg·K)
+
+// Factor de bypass del serpentín: fracción de aire que atraviesa sin tocar la aleta fría.
+export const DEFAULT_BYPASS_FACTOR = 0.15;
+
+/** Presión barométrica estándar (Pa) a una altitud dada (m). */
+export function pressureAtAltitude(altitude = 0) {
+  return P_SEA_LEVEL * Math.pow(1 - 2.25577e-5 * altitude, 5.2559);
+}
+
+/** Presión de saturación del vapor (Pa). Sobre hielo por debajo de 0 °C. */
+export function saturationPressure(tempC) {
+  if (tempC < 0) return 611.21 * Math.exp((22.587 * tempC) / (tempC + 273.86));
+  return 610.94 * Math.exp((17.625 * tempC) / (tempC + 243.04));
+}
+
+/** Presión parcial de vapor (Pa) a partir de temperatura y humedad relativa (%). */
+export function vaporPressure(tempC, rh) {
+  return (Math.max(0, Math.min(100, rh)) / 100) * saturationPressure(tempC);
+}
+
+/** Punto de rocío (°C) desde presión parcial de vapor (Pa). */
+export function dewPointFromVaporPressure(pv) {
+  if (pv <= 0) return -Infinity;
+  const g = Math.log(pv / 610.94);
+  return (243.04 * g) / (17.625 - g);
+}
+
+export function dewPoint(tempC, rh) {
+  return dewPointFromVaporPressure(vaporPressure(tempC, rh));
+}
+
+/** Relación de humedad (kg vapor / kg aire seco). */
+export function humidityRatio(pv, pressure = P_SEA_LEVEL) {
+  return (EPS * pv) / Math.max(1, pressure - pv);
+}
+
+/** Presión parcial de vapor (Pa) correspondiente a una relación de humedad. */
+export function vaporPressureFromRatio(w, pressure = P_SEA_LEVEL) {
+  return (Math.max(0, w) * pressure) / (EPS + Math.max(0, w));
+}
+
+export function saturationHumidityRatio(tempC, pressure = P_SEA_LEVEL) {
+  return humidityRatio(saturationPressure(tempC), pressure);
+}
+
+/** Densidad del aire seco contenido en el aire húmedo (kg/m³). */
+export function dryAirDensity(tempC, pv, pressure = P_SEA_LEVEL) {
+  return (pressure - pv) / (R_DA * (tempC + 273.15));
+}
+
+/** Entalpía específica del aire húmedo (kJ/kg aire seco). */
+export function enthalpy(tempC, w) {
+  return 1.006 * tempC + w * (2501 + 1.86 * tempC);
+}
+
+/**
+ * Producción de agua de un serpentín de condensación.
+ * El aire sale como mezcla entre aire saturado a la temperatura del serpentín
+ * y la fracción de bypass que no se enfría.
+ */
+export function computeCondensation({
+  ambientTemp,
+  relativeHumidity,
+  altitude = 0,
+  airflow,
+  coilTemp,
+  bypassFactor = DEFAULT_BYPASS_FACTOR,
+}) {
+  const pressure = pressureAtAltitude(altitude);
+  const pv = vaporPressure(ambientTemp, relativeHumidity);
+  const dew = dewPointFromVaporPressure(pv);
+  const wIn = humidityRatio(pv, pressure);
+
+  const condensing = coilTemp < dew;
+  const wCoil = saturationHumidityRatio(coilTemp, pressure);
+  const wOut = condensing ? bypassFactor * wIn + (1 - bypassFactor) * wCoil : wIn;
+  const tOut = bypassFactor * ambientTemp + (1 - bypassFactor) * Math.min(coilTemp, ambientTemp);
+
+  const density = dryAirDensity(ambientTemp, pv, pressure);
+  const massFlowDryAir = (Math.max(0, airflow) / 3600) * density; // kg/s
+  const condensateKgS = massFlowDryAir * Math.max(0, wIn - wOut);
+
+  return {
+    pressure,
+    vaporPressure: pv,
+    dewPoint: dew,
+    humidityRatioIn: wIn,
+    humidityRatioOut: wOut,
+    leavingTemp: tOut,
+    condensing,
+    massFlowDryAir,
+    litersPerHour: condensateKgS * 3600, // 1 kg de condensado ≈ 1 L
+  };
+}
@@ -0,0 +1,75 @@
+// src/sim/scenario.js
+// Corrida de un escenario completo sobre el motor (usado por la CLI y las pruebas).
+
+import { createSimulation } from "./engine.js";
+
+export const CSV_COLUMNS = [
+  ["time_h", (s) => (s.time / 3600).toFixed(3)],
+  ["state", (s) => s.controller.state],
+  ["ambient_temp_c", (s) => s.op.ambient.temp.toFixed(2)],
+  ["rh_pct", (s) => s.op.ambient.rh.toFixed(1)],
+  ["dew_point_c", (s) => s.op.psychro.dewPoint.toFixed(2)],
+  ["yield_lph", (s) => s.op.psychro.litersPerHour.toFixed(3)],
+  ["power_w", (s) => s.op.energy.watts.total.toFixed(1)],
+  ["dirty_l", (s) => s.tanks.dirty.toFixed(3)],
+  ["clean_l", (s) => s.tanks.clean.toFixed(3)],
+  ["produced_l", (s) => s.tanks.produced.toFixed(3)],
+  ["dispensed_l", (s) => s.tanks.dispensed.toFixed(3)],
+  ["overflow_l", (s) => s.tanks.overflow.toFixed(3)],
+  ["energy_kwh", (s) => s.energyKwh.toFixed(4)],
+  ["alarms", (s) => s.op.alarms.map((a) => a.code).join(" ")],
+];
+
+/**
+ * `scenario`: { name, hours, sampleMinutes, params, faults: [{ faultId, atHour }] }.
+ * `climate` es el perfil ya leído (la resolución de archivos queda del lado de quien llama).
+ */
+export function runScenario(scenario, { climate = null } = {}) {
+  const hours = scenario.hours ?? 24;
+  const sim = createSimulation({ ...scenario.params, climate });
+  if (scenario.faults?.length) {
+    sim.loadScenario({ id: "script", label: scenario.name, events: scenario.faults });
+  }
+
+  const samples = sim.run(hours * 3600, { sampleEvery: (scenario.sampleMinutes ?? 60) * 60 });
+  const last = samples[samples.length - 1];
+  const { tanks } = last;
+
+  return {
+    name: scenario.name || "Escenario",
+    hours,
+    summary: {
+      producedL: tanks.produced,
+      dispensedL: tanks.dispensed,
+      overflowL: tanks.overflow,
+      leakedL: tanks.leaked,
+      finalDirtyL: tanks.dirty,
+      finalCleanL: tanks.clean,
+      energyKwh: last.energyKwh,
+      kwhPerLiter: tanks.produced > 0 ? last.energyKwh / tanks.produced : null,
+      finalState: last.controller.state,
+      alarms: last.op.alarms.map((a) => a.code),
+      qualityViolations: last.op.qualityViolations.map((v) => v.key),
+      transitions: last.controller.log,
+    },
+    samples,
+  };
+}
+
+export function samplesToCsv(samples) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(",");
+  const rows = samples.map((s) => CSV_COLUMNS.map(([, get]) => get(s)).join(","));
+  return [header, ...rows].join("\n") + "\n";
+}
+
+/** Muestra reducida para JSON: sólo las columnas tabuladas, como números cuando corresponde. */
+export function samplesToRecords(samples) {
+  return samples.map((s) =>
+    Object.fromEntries(
+      CSV_COLUMNS.map(([name, get]) => {
+        const v = get(s);
+        return [name, v !== "" && Number.isFinite(Number(v)) ? Number(v) : v];
+      })
+    )
+  );
+}
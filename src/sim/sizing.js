@@ -0,0 +1,154 @@
+// src/sim/sizing.js
+// Dimensionamiento de un sitio: con la demanda diaria, el clima y la tarifa calcula cuántas
+// unidades instalar, el tanque de reserva y los meses en que no alcanzaría la producción.
+
+import { saturationPressure, vaporPressure } from "./psychrometrics.js";
+import { DAYS_IN_MONTH } from "./weather.js";
+import { steadyState } from "./technology.js";
+
+export const SIZING_DEFAULTS = {
+  demandLpd: 500, // L/día del sitio
+  tariff: 0.15, // $/kWh
+  autonomyDays: 1, // reserva de agua tratada para cortes o días malos
+  criterion: "average", // "average" (promedio anual) o "worst" (peor mes)
+};
+
+export const SIZING_CRITERIA = {
+  average: "Promedio anual",
+  worst: "Peor mes",
+};
+
+/**
+ * Día típico de un mes a partir de la temperatura y HR medias: la temperatura oscila
+ * `swing` °C de pico a pico (mínima a las 5 h, máxima a las 15 h) con la humedad
+ * absoluta constante, así que la HR baja en las horas de calor como en un día real.
+ */
+export function typicalDayProfile({ temp, rh, swing = 8, month = 1, name = "Mes típico" }) {
+  const pv = vaporPressure(temp, rh);
+  const records = Array.from({ length: 24 }, (_, hour) => {
+    const t = temp + (swing / 2) * Math.cos(((hour - 15) / 24) * 2 * Math.PI);
+    return {
+      month,
+      day: 1,
+      hour,
+      dayKey: "typical",
+      temp: t,
+      rh: Math.min(100, (100 * pv) / saturationPressure(t)),
+    };
+  });
+  return { name, records };
+}
+
+// Promedios por mes de un perfil: litros y kWh por día de una unidad y su curva horaria
+function monthlyUnitProfile(climate, unitLph) {
+  const months = new Map();
+  climate.records.forEach((r) => {
+    const point = unitLph(r);
+    const m = months.get(r.month) || { month: r.month, liters: 0, wattHours: 0, days: new Set(), hourly: [] };
+    m.liters += point.litersPerHour;
+    m.wattHours += point.watts;
+    m.days.add(r.dayKey);
+    (m.hourly[r.hour] ||= []).push(point.litersPerHour);
+    months.set(r.month, m);
+  });
+  return [...months.values()]
+    .sort((a, b) => a.month - b.month)
+    .map((m) => ({
+      month: m.month,
+      unitLpd: m.liters / m.days.size,
+      unitKwhPerDay: m.wattHours / m.days.size / 1000,
+      // Hora del día -> L/h promedio (horas sin datos cuentan como sin producción)
+      hourlyLph: Array.from({ length: 24 }, (_, h) =>
+        m.hourly[h] ? m.hourly[h].reduce((a, b) => a + b, 0) / m.hourly[h].length : 0
+      ),
+      temp: mean(climate.records.filter((r) => r.month === m.month).map((r) => r.temp)),
+      rh: mean(climate.records.filter((r) => r.month === m.month).map((r) => r.rh)),
+    }));
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+/**
+ * Mayor caída del tanque a lo largo de un día con demanda pareja: lo que hay que tener
+ * guardado para cubrir las horas en que la flota produce menos de lo que se consume.
+ * El día es cíclico: se recorre desde el final de la hora en que el tanque queda más lleno,
+ * así el déficit de la noche que cruza las 00:00 cuenta entero.
+ */
+export function intradayBuffer(hourlyLph, demandLpd) {
+  const net = hourlyLph.map((lph) => lph - demandLpd / 24);
+  let level = 0;
+  let top = 0;
+  let start = 0;
+  net.forEach((flow, h) => {
+    level += flow;
+    if (level > top) {
+      top = level;
+      start = h + 1;
+    }
+  });
+
+  level = 0;
+  let peak = 0;
+  let buffer = 0;
+  net.forEach((_, i) => {
+    level += net[(start + i) % net.length];
+    peak = Math.max(peak, level);
+    buffer = Math.max(buffer, peak - level);
+  });
+  return buffer;
+}
+
+/**
+ * Recomendación para un sitio. `unit` son los parámetros de la máquina (tecnología, caudal,
+ * serpentín, altitud, setpoints, desecante) tal como los usa steadyState. Cuando la flota
+ * produce más de lo que se consume las unidades ciclan por tanque lleno, así que el consumo
+ * eléctrico se escala con el agua efectivamente entregada.
+ */
+export function sizeSite({ demandLpd, climate, tariff, autonomyDays, criterion = "average", unit }) {
+  const technology = unit.technology || "refrigeration";
+  const months = monthlyUnitProfile(climate, (r) =>
+    steadyState(technology, { ...unit, ambientTemp: r.temp, relativeHumidity: r.rh })
+  );
+  const monthDays = (m) => DAYS_IN_MONTH[(m.month - 1 + 12) % 12];
+  const totalDays = months.reduce((acc, m) => acc + monthDays(m), 0);
+  const averageLpd = months.reduce((acc, m) => acc + m.unitLpd * monthDays(m), 0) / totalDays;
+  const worst = months.reduce((a, b) => (b.unitLpd < a.unitLpd ? b : a));
+  const designLpd = criterion === "worst" ? worst.unitLpd : averageLpd;
+
+  // Sin producción en el clima de diseño no hay cantidad de unidades que alcance
+  const units = designLpd > 1e-6 ? Math.ceil(demandLpd / designLpd - 1e-9) : null;
+  const n = units ?? 0;
+
+  const monthly = months.map((m) => {
+    const fleetLpd = m.unitLpd * n;
+    const deliveredLpd = Math.min(fleetLpd, demandLpd);
+    const kwhPerDay = fleetLpd > 0 ? m.unitKwhPerDay * n * (deliveredLpd / fleetLpd) : 0;
+    return {
+      ...m,
+      days: monthDays(m),
+      fleetLpd,
+      deficitLpd: Math.max(0, demandLpd - fleetLpd),
+      kwhPerDay,
+      cost: kwhPerDay * monthDays(m) * tariff,
+      buffer: intradayBuffer(m.hourlyLph.map((lph) => lph * n), demandLpd),
+    };
+  });
+
+  const delivered = monthly.reduce((acc, m) => acc + Math.min(m.fleetLpd, demandLpd) * m.days, 0);
+  const annualKwh = monthly.reduce((acc, m) => acc + m.kwhPerDay * m.days, 0);
+  const storageL = Math.ceil((autonomyDays * demandLpd + Math.max(0, ...monthly.map((m) => m.buffer))) / 10) * 10;
+
+  return {
+    technology,
+    units,
+    unitAverageLpd: averageLpd,
+    designLpd,
+    designMonth: worst.month,
+    storageL,
+    months: monthly,
+    shortfallMonths: monthly.filter((m) => m.deficitLpd > 1e-6).map((m) => m.month),
+    annualKwh: (annualKwh * 365) / totalDays,
+    annualCost: (annualKwh * 365 * tariff) / totalDays,
+    costPerLiter: delivered > 0 ? (annualKwh * tariff) / delivered : null,
+  };
+}
@@ -0,0 +1,68 @@
+// src/sim/technology.js
+// Tecnologías de captación de agua y su comparación en régimen bajo el mismo clima.
+
+import { computeCondensation } from "./psychrometrics.js";
+import { DESICCANT_DEFAULTS, computeDesiccant } from "./desiccant.js";
+import { computeDesiccantEnergy, computeEnergy } from "./energy.js";
+import { DEFAULT_SETPOINTS } from "./controller.js";
+
+export const TECHNOLOGIES = {
+  refrigeration: { label: "Refrigeración", detail: "Serpentín frío bajo el punto de rocío" },
+  desiccant: { label: "Desecante", detail: "Rueda de adsorción con regeneración térmica" },
+};
+
+/**
+ * Punto de régimen de una tecnología: L/h y W totales con la unidad produciendo si el
+ * clima lo permite (sin desescarches, sanitizados ni tanques llenos). Si no produce sólo
+ * quedan encendidos la lámpara UV y la electrónica.
+ */
+export function steadyState(technology, params) {
+  const { ambientTemp, relativeHumidity, altitude = 0, airflow, coilTemp, setpoints, desiccant } = params;
+  const conditions = { ambientTemp, relativeHumidity, altitude };
+  if (technology === "desiccant") {
+    const opts = { ...DESICCANT_DEFAULTS, ...desiccant };
+    const potential = computeDesiccant({ ...conditions, airflow, opts });
+    const running = relativeHumidity >= opts.minRh && potential.litersPerHour > 0;
+    const psychro = running ? potential : computeDesiccant({ ...conditions, airflow, running, opts });
+    const energy = computeDesiccantEnergy({ airflow: running ? airflow : 0, psychro, running, desiccant: opts });
+    return { litersPerHour: psychro.litersPerHour, watts: energy.watts.total };
+  }
+  const { minRh } = { ...DEFAULT_SETPOINTS, ...setpoints };
+  const potential = computeCondensation({ ...conditions, airflow, coilTemp });
+  const running = relativeHumidity >= minRh && potential.condensing;
+  const psychro = running ? potential : computeCondensation({ ...conditions, airflow: 0, coilTemp });
+  const energy = computeEnergy({
+    airflow: running ? airflow : 0,
+    ambientTemp,
+    coilTemp,
+    psychro,
+    compressorOn: running,
+  });
+  return { litersPerHour: psychro.litersPerHour, watts: energy.watts.total };
+}
+
+/**
+ * L/día, kWh/día y kWh/L de cada tecnología con los mismos parámetros: promedio sobre
+ * las horas del perfil de clima o, sin perfil, las condiciones manuales sostenidas 24 h.
+ */
+export function compareTechnologies(params, climate = null) {
+  const hours = climate
+    ? climate.records.map((r) => ({ ambientTemp: r.temp, relativeHumidity: r.rh }))
+    : [{ ambientTemp: params.ambientTemp, relativeHumidity: params.relativeHumidity }];
+
+  return Object.fromEntries(
+    Object.keys(TECHNOLOGIES).map((technology) => {
+      let liters = 0;
+      let wattHours = 0;
+      hours.forEach((h) => {
+        const point = steadyState(technology, { ...params, ...h });
+        liters += point.litersPerHour;
+        wattHours += point.watts;
+      });
+      const litersPerDay = (liters * 24) / hours.length;
+      const kwhPerDay = (wattHours * 24) / hours.length / 1000;
+      const kwhPerLiter = litersPerDay > 0 ? kwhPerDay / litersPerDay : Infinity;
+      return [technology, { litersPerDay, kwhPerDay, kwhPerLiter }];
+    })
+  );
+}
@@ -0,0 +1,150 @@
+// src/sim/telemetry.js
+// Historial de telemetría sobre el tiempo simulado: series que se grafican en el HUD,
+// muestreo con tope de memoria y exportación a CSV.
+
+/** Magnitudes registradas; `csv` es el nombre de columna al exportar. */
+export const TELEMETRY_SERIES = [
+  {
+    key: "yieldLph",
+    csv: "yield_lph",
+    label: "Producción",
+    unit: "L/h",
+    color: "#2563eb",
+    get: (s) => s.op.psychro.litersPerHour,
+  },
+  {
+    key: "dirtyPct",
+    csv: "dirty_pct",
+    label: "Tanque sucio",
+    unit: "%",
+    color: "#78716c",
+    get: (s) => (100 * s.tanks.dirty) / s.op.tankOpts.dirtyCapacity,
+  },
+  {
+    key: "cleanPct",
+    csv: "clean_pct",
+    label: "Tanque limpio",
+    unit: "%",
+    color: "#0ea5e9",
+    get: (s) => (100 * s.tanks.clean) / s.op.tankOpts.cleanCapacity,
+  },
+  {
+    key: "powerW",
+    csv: "power_w",
+    label: "Consumo",
+    unit: "W",
+    color: "#f59e0b",
+    get: (s) => s.op.energy.watts.total,
+  },
+  {
+    key: "ambientTemp",
+    csv: "ambient_temp_c",
+    label: "Ambiente",
+    unit: "°C",
+    color: "#ef4444",
+    get: (s) => s.op.ambient.temp,
+  },
+  {
+    key: "dewPoint",
+    csv: "dew_point_c",
+    label: "Rocío",
+    unit: "°C",
+    color: "#8b5cf6",
+    get: (s) => s.op.psychro.dewPoint,
+  },
+  {
+    key: "coilTemp",
+    csv: "coil_temp_c",
+    label: "Serpentín",
+    unit: "°C",
+    color: "#1d4ed8",
+    get: (s) => s.op.sensors.coilTemp,
+  },
+  {
+    key: "rh",
+    csv: "rh_pct",
+    label: "HR",
+    unit: "%",
+    color: "#14b8a6",
+    get: (s) => s.op.ambient.rh,
+  },
+];
+
+/** Gráficos del HUD: qué series comparten eje. `range` fija el eje Y; sin él se ajusta a los datos. */
+export const TELEMETRY_CHARTS = [
+  { id: "yield", title: "Producción de agua", series: ["yieldLph"] },
+  { id: "tanks", title: "Nivel de tanques", series: ["dirtyPct", "cleanPct"], range: [0, 100] },
+  { id: "power", title: "Consumo eléctrico", series: ["powerW"] },
+  { id: "temps", title: "Temperaturas", series: ["ambientTemp", "dewPoint", "coilTemp"] },
+  { id: "rh", title: "Humedad relativa", series: ["rh"], range: [0, 100] },
+];
+
+export const TELEMETRY_DEFAULTS = {
+  interval: 60, // s simulados entre muestras
+  capacity: 720, // muestras; al llenarse se descarta una de cada dos y se duplica el intervalo
+};
+
+export function createTelemetry(opts = TELEMETRY_DEFAULTS) {
+  return { interval: opts.interval, capacity: opts.capacity, samples: [] };
+}
+
+/**
+ * Agrega la muestra de `snapshot` si pasó al menos un intervalo desde la anterior.
+ * Devuelve el mismo historial cuando no hay nada que agregar (apto para setState).
+ * Si el reloj retrocede (reinicio o salto atrás en el clima) el historial empieza de nuevo.
+ */
+export function recordSample(history, snapshot) {
+  const last = history.samples[history.samples.length - 1];
+  if (last && snapshot.time < last.time) return recordSample({ ...history, samples: [] }, snapshot);
+  if (last && snapshot.time - last.time < history.interval) return history;
+
+  const sample = { time: snapshot.time };
+  TELEMETRY_SERIES.forEach((s) => {
+    sample[s.key] = s.get(snapshot);
+  });
+  let { samples, interval } = history;
+  samples = [...samples, sample];
+  if (samples.length > history.capacity) {
+    // Mantiene la primera y la última para no acortar el rango graficado
+    samples = samples.filter((_, i) => i % 2 === 0 || i === samples.length - 1);
+    interval *= 2;
+  }
+  return { ...history, samples, interval };
+}
+
+/** Valor mínimo y máximo de un conjunto de series, con margen si son planas. */
+export function seriesExtent(samples, keys, range = null) {
+  if (range) return range;
+  let min = Infinity;
+  let max = -Infinity;
+  samples.forEach((s) =>
+    keys.forEach((k) => {
+      if (!Number.isFinite(s[k])) return;
+      min = Math.min(min, s[k]);
+      max = Math.max(max, s[k]);
+    })
+  );
+  if (min === Infinity) return [0, 1];
+  if (max - min < 1e-6) return [min - 1, max + 1];
+  return [min, max];
+}
+
+/** Índice de la muestra más cercana a `time` (búsqueda binaria; las muestras están ordenadas). */
+export function nearestSample(samples, time) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].time <= time) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(samples[hi]?.time - time) < Math.abs(samples[lo]?.time - time) ? hi : lo;
+}
+
+export function telemetryToCsv(history) {
+  const header = ["time_h", ...TELEMETRY_SERIES.map((s) => s.csv)].join(",");
+  const rows = history.samples.map((sample) =>
+    [(sample.time / 3600).toFixed(3), ...TELEMETRY_SERIES.map((s) => sample[s.key].toFixed(3))].join(",")
+  );
+  return [header, ...rows].join("\n") + "\n";
+}
@@ -0,0 +1,170 @@
+// src/sim/waterQuality.js
+// Calidad del agua a lo largo del tratamiento: condensado -> filtración -> UV -> mineralización
+// en la máquina estándar; otras definiciones arman su propia línea (ozono, UV a la salida...).
+// Turbidez en NTU, VOC (proxy cloro/orgánicos) en mg/L, microbios en UFC/100 mL,
+// TDS/Ca/Mg en mg/L, dosis UV en mJ/cm².
+
+export const RAW_CONDENSATE = {
+  turbidity: 1.5, // polvo arrastrado por el aire
+  voc: 0.4,
+  microbes: 500,
+  tds: 15,
+  ca: 1,
+  mg: 0.3,
+  ph: 6.2, // el CO2 disuelto acidifica el condensado
+};
+
+export const TREATMENT_DEFAULTS = {
+  sedimentRemoval: 0.9,
+  carbonRemoval: 0.95,
+  uvIrradiance: 1.2, // mW/cm² promedio en el reactor con lámpara nueva
+  uvReactorVolume: 0.5, // L
+  uvD10: 8, // mJ/cm² por log de inactivación
+  maxLogReduction: 6,
+  mineralDose: { tds: 80, ca: 20, mg: 6 },
+  mineralPh: 7.4,
+  ozoneLogReduction: 2, // inactivación en el tanque de condensado con el generador en marcha
+  ozoneVocOxidation: 0.5,
+};
+
+// Línea de tratamiento de la máquina estándar: etapas del recorrido por las que pasa el agua
+// y los procesos de cada una, en orden. La primera es donde se forma el condensado.
+// Procesos: "sediment", "carbon" y "mineral" (cartuchos), "uv" y "ozone".
+export const DEFAULT_TREATMENT = [
+  { key: "condensation", steps: [] },
+  { key: "filtration", steps: ["sediment", "carbon"] },
+  { key: "uv_tank", steps: ["uv"] },
+  { key: "mineral", steps: ["mineral"] },
+];
+
+export const DRINKING_LIMITS = {
+  turbidity: { max: 1 },
+  voc: { max: 0.2 },
+  microbes: { max: 1 },
+  tds: { min: 50, max: 600 },
+  ph: { min: 6.5, max: 8.5 },
+};
+
+export const QUALITY_PARAMS = [
+  { key: "turbidity", label: "Turbidez", unit: "NTU", digits: 2 },
+  { key: "voc", label: "Cloro/VOC", unit: "mg/L", digits: 2 },
+  { key: "microbes", label: "Carga microbiana", unit: "UFC/100 mL", digits: 1 },
+  { key: "tds", label: "TDS", unit: "mg/L", digits: 0 },
+  { key: "ca", label: "Calcio", unit: "mg/L", digits: 1 },
+  { key: "mg", label: "Magnesio", unit: "mg/L", digits: 1 },
+  { key: "ph", label: "pH", unit: "", digits: 2 },
+];
+
+/** Valor para tablas: "<0.01" en lugar de 0.00 cuando es positivo pero menor a la resolución. */
+export function formatQualityValue(v, digits) {
+  if (!Number.isFinite(v)) return "—";
+  if (v > 0 && v < Math.pow(10, -digits)) return `<${Math.pow(10, -digits).toFixed(digits)}`;
+  return v.toFixed(digits);
+}
+
+export function formatLimit({ min, max }) {
+  if (min !== undefined && max !== undefined) return `${min}–${max}`;
+  if (max !== undefined) return `≤ ${max}`;
+  if (min !== undefined) return `≥ ${min}`;
+  return "";
+}
+
+/** Dosis UV = irradiancia efectiva × tiempo de residencia en el reactor. */
+export function uvDose({ lampOutput = 1, flowLph, turbidity = 0, opts = TREATMENT_DEFAULTS }) {
+  const residenceTime = flowLph > 0 ? opts.uvReactorVolume / (flowLph / 3600) : Infinity; // s
+  // La turbidez apantalla la radiación
+  const transmittance = Math.max(0.3, 1 - 0.1 * turbidity);
+  const irradiance = opts.uvIrradiance * Math.max(0, lampOutput) * transmittance;
+  const dose = irradiance > 0 ? irradiance * Math.min(residenceTime, 3600) : 0;
+  return { residenceTime, irradiance, dose };
+}
+
+// Aplica un proceso de la línea sobre la calidad `q`; las pasadas por UV se anotan en `uvRuns`
+function applyStep(step, q, { loading, lampOutput, flowLph, opts, uvRuns }) {
+  switch (step) {
+    // Sedimentos: retiene bien hasta agotarse
+    case "sediment": {
+      const eff = (loading.sediment ?? 0) < 1 ? opts.sedimentRemoval : opts.sedimentRemoval * 0.3;
+      return { ...q, turbidity: q.turbidity * (1 - eff) };
+    }
+    // El carbón pierde capacidad al saturarse
+    case "carbon": {
+      const eff = opts.carbonRemoval * (1 - Math.min(1, loading.carbon ?? 0) ** 3);
+      return { ...q, voc: q.voc * (1 - eff) };
+    }
+    // El cartucho mineral dosifica menos a medida que se agota
+    case "mineral": {
+      const dosing = Math.max(0, 1 - (loading.mineral ?? 0));
+      return {
+        ...q,
+        tds: q.tds + opts.mineralDose.tds * dosing,
+        ca: q.ca + opts.mineralDose.ca * dosing,
+        mg: q.mg + opts.mineralDose.mg * dosing,
+        ph: q.ph + (opts.mineralPh - q.ph) * dosing,
+      };
+    }
+    case "ozone":
+      return {
+        ...q,
+        microbes: q.microbes / Math.pow(10, opts.ozoneLogReduction),
+        voc: q.voc * (1 - opts.ozoneVocOxidation),
+      };
+    // Cada lámpara es un reactor como el de TREATMENT_DEFAULTS; la turbidez que llega la apantalla
+    case "uv": {
+      const uv = uvDose({ lampOutput, flowLph, turbidity: q.turbidity, opts });
+      const logReduction = Math.min(opts.maxLogReduction, uv.dose / opts.uvD10);
+      uvRuns.push({ ...uv, logReduction });
+      return { ...q, microbes: q.microbes / Math.pow(10, logReduction) };
+    }
+    default:
+      throw new Error(`Proceso de tratamiento desconocido: ${step}`);
+  }
+}
+
+/**
+ * Calidad a la salida de cada etapa de `treatment` (ver DEFAULT_TREATMENT). `cartridges` viene
+ * de maintenanceStatus (carga de cada cartucho); `flowLph` es el caudal real por la línea.
+ * `uv` suma dosis y reducción de todas las lámparas; el tiempo de residencia es el de la primera.
+ */
+export function computeWaterQuality({
+  cartridges,
+  lampOutput = 1,
+  flowLph,
+  treatment = DEFAULT_TREATMENT,
+  raw = RAW_CONDENSATE,
+  opts = TREATMENT_DEFAULTS,
+}) {
+  const ctx = {
+    loading: Object.fromEntries(cartridges.map((c) => [c.id, c.loading])),
+    lampOutput,
+    flowLph,
+    opts,
+    uvRuns: [],
+  };
+
+  let quality = { ...raw };
+  const stages = treatment.map(({ key, steps }) => {
+    quality = steps.reduce((q, step) => applyStep(step, q, ctx), quality);
+    return { key, quality };
+  });
+
+  const [first] = ctx.uvRuns;
+  const uv = {
+    residenceTime: first?.residenceTime ?? Infinity,
+    irradiance: first?.irradiance ?? 0,
+    dose: ctx.uvRuns.reduce((acc, r) => acc + r.dose, 0),
+    logReduction: ctx.uvRuns.reduce((acc, r) => acc + r.logReduction, 0),
+  };
+
+  return { uv, stages, output: quality };
+}
+
+/** Parámetros fuera de límites: [{ key, value, min?, max? }]. */
+export function checkLimits(quality, limits = DRINKING_LIMITS) {
+  return Object.entries(limits)
+    .filter(([key, { min, max }]) => {
+      const v = quality[key];
+      return (min !== undefined && v < min) || (max !== undefined && v > max);
+    })
+    .map(([key, lim]) => ({ key, value: quality[key], ...lim }));
+}
@@ -0,0 +1,145 @@
+// src/sim/weather.js
+// Perfiles climáticos horarios: lectura de CSV (timestamp, temperatura, HR) y EPW,
+// interpolación a lo largo del reloj de simulación y resumen de producción.
+
+import { codedError } from "./messages.js";
+
+// Errores al leer un archivo de clima (la interfaz los traduce con `code`)
+export const WEATHER_ERRORS = {
+  noData: "El archivo no tiene datos.",
+  missingColumns: "Faltan columnas de temperatura y/o humedad relativa (p. ej. 'temp', 'rh').",
+  noRows: "No se encontraron filas válidas.",
+  emptyEpw: "El EPW no contiene registros horarios.",
+};
+
+const TIME_COLS = ["timestamp", "time", "datetime", "date", "fecha", "hora"];
+const TEMP_COLS = ["temp", "temperature", "temp_c", "dry_bulb", "drybulb", "t", "temperatura"];
+const RH_COLS = ["rh", "relative_humidity", "humidity", "hr", "humedad"];
+
+const TS_RE = /(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}))?/;
+
+function normalizeHeader(h) {
+  return h.trim().toLowerCase().replace(/\s*\(.*\)$/, "").replace(/[\s.-]+/g, "_");
+}
+
+function findColumn(headers, names) {
+  return headers.findIndex((h) => names.includes(h));
+}
+
+function parseTimestamp(value, index) {
+  const m = TS_RE.exec(value || "");
+  if (!m) return { month: 1, day: Math.floor(index / 24) + 1, hour: index % 24, dayKey: `d${Math.floor(index / 24)}` };
+  const [, y, mo, d, h] = m;
+  return {
+    month: Number(mo),
+    day: Number(d),
+    hour: h === undefined ? index % 24 : Number(h),
+    dayKey: `${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}`,
+  };
+}
+
+/** CSV con cabecera; separador `,` o `;`. Lanza Error con mensaje legible si faltan columnas. */
+export function parseWeatherCsv(text, name = "CSV") {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.trim().startsWith("#"));
+  if (lines.length < 2) throw codedError("weather.noData", WEATHER_ERRORS.noData);
+
+  const sep = lines[0].includes(";") ? ";" : ",";
+  const headers = lines[0].split(sep).map(normalizeHeader);
+  const iTime = findColumn(headers, TIME_COLS);
+  const iTemp = findColumn(headers, TEMP_COLS);
+  const iRh = findColumn(headers, RH_COLS);
+  if (iTemp < 0 || iRh < 0) {
+    throw codedError("weather.missingColumns", WEATHER_ERRORS.missingColumns);
+  }
+
+  const records = [];
+  lines.slice(1).forEach((line) => {
+    const cols = line.split(sep);
+    const temp = parseFloat(cols[iTemp]);
+    const rh = parseFloat(cols[iRh]);
+    if (!Number.isFinite(temp) || !Number.isFinite(rh)) return;
+    const ts = parseTimestamp(iTime >= 0 ? cols[iTime] : "", records.length);
+    records.push({ ...ts, temp, rh: Math.max(0, Math.min(100, rh)) });
+  });
+  if (!records.length) throw codedError("weather.noRows", WEATHER_ERRORS.noRows);
+  return { name, records };
+}
+
+/** EnergyPlus Weather (EPW): 8 líneas de cabecera y una fila por hora. */
+export function parseEpw(text, name = "EPW") {
+  const lines = text.split(/\r?\n/);
+  const location = lines[0]?.startsWith("LOCATION") ? lines[0].split(",")[1] : null;
+
+  const records = [];
+  lines.slice(8).forEach((line) => {
+    const cols = line.split(",");
+    if (cols.length < 9) return;
+    const [y, mo, d, h] = cols.slice(0, 4).map(Number);
+    const temp = parseFloat(cols[6]);
+    const rh = parseFloat(cols[8]);
+    if (!Number.isFinite(temp) || !Number.isFinite(rh)) return;
+    records.push({
+      month: mo,
+      day: d,
+      hour: h - 1, // EPW usa horas 1..24
+      dayKey: `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`,
+      temp,
+      rh: Math.max(0, Math.min(100, rh)),
+    });
+  });
+  if (!records.length) throw codedError("weather.emptyEpw", WEATHER_ERRORS.emptyEpw);
+  return { name: location || name, records };
+}
+
+export function parseWeatherFile(fileName, text) {
+  const isEpw = /\.epw$/i.test(fileName) || text.startsWith("LOCATION");
+  const base = fileName.replace(/\.[^.]+$/, "");
+  return isEpw ? parseEpw(text, base) : parseWeatherCsv(text, base);
+}
+
+/** Condiciones en un instante del reloj (s), interpolando entre horas y repitiendo el perfil. */
+export function weatherAt(profile, seconds) {
+  const n = profile.records.length;
+  const hours = (((seconds / 3600) % n) + n) % n;
+  const i = Math.floor(hours);
+  const f = hours - i;
+  const a = profile.records[i];
+  const b = profile.records[(i + 1) % n];
+  return {
+    index: i,
+    record: a,
+    temp: a.temp + (b.temp - a.temp) * f,
+    rh: a.rh + (b.rh - a.rh) * f,
+  };
+}
+
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Producción acumulada por día y por mes. `litersPerHourFor(record)` evalúa el modelo
+ * para cada hora. Los meses incompletos se extrapolan con su promedio diario.
+ */
+export function summarizeProduction(profile, litersPerHourFor) {
+  const days = new Map();
+  const months = new Map();
+
+  profile.records.forEach((r) => {
+    const liters = litersPerHourFor(r);
+    days.set(r.dayKey, (days.get(r.dayKey) || 0) + liters);
+    const m = months.get(r.month) || { month: r.month, liters: 0, days: new Set() };
+    m.liters += liters;
+    m.days.add(r.dayKey);
+    months.set(r.month, m);
+  });
+
+  const daily = [...days].map(([day, liters]) => ({ day, liters }));
+  const monthly = [...months.values()].map(({ month, liters, days: d }) => ({
+    month,
+    liters,
+    daysCovered: d.size,
+    estimatedLiters: (liters / d.size) * DAYS_IN_MONTH[(month - 1 + 12) % 12],
+  }));
+  const total = daily.reduce((acc, d) => acc + d.liters, 0);
+
+  return { daily, monthly, total, averageDaily: daily.length ? total / daily.length : 0 };
+}
@@ -0,0 +1,73 @@
+// src/simLabels.js
+// Nombres de lo que reporta el motor (fallas, estados, parámetros de calidad, alertas...) en el
+// idioma de la interfaz. Los módulos de sim/ conservan sus textos en español, que quedan como
+// respaldo: el catálogo español no necesita repetirlos.
+import { CONTROLLER_STATES, TRANSITION_REASONS } from "./sim/controller.js";
+import { TECHNOLOGIES } from "./sim/technology.js";
+import { DESICCANT_MEDIA } from "./sim/desiccant.js";
+import { SIZING_CRITERIA } from "./sim/sizing.js";
+import { WEATHER_ERRORS } from "./sim/weather.js";
+import { MODEL_ROLES } from "./machineModel.js";
+import { MACHINE_ERRORS, MACHINE_ISSUES } from "./machineDefinition.js";
+import { SHARE_ERRORS } from "./shareState.js";
+import { RECORDING_ERRORS } from "./tourVideo.js";
+
+// Grupo del `code` de un error -> plantillas en español
+const ERROR_TEXTS = {
+  share: SHARE_ERRORS,
+  weather: WEATHER_ERRORS,
+  recording: RECORDING_ERRORS,
+  machine: MACHINE_ERRORS,
+};
+
+export const faultLabel = (i18n, fault) => i18n.label(`sim.faults.${fault.id}.label`, fault.label);
+export const faultDiagnosis = (i18n, fault) => i18n.label(`sim.faults.${fault.id}.diagnosis`, fault.diagnosis);
+export const faultScenarioLabel = (i18n, scenario) => i18n.label(`sim.faultScenarios.${scenario.id}`, scenario.label);
+export const stateLabel = (i18n, state) => i18n.label(`sim.states.${state}`, CONTROLLER_STATES[state].label);
+export const transitionReason = (i18n, entry) =>
+  i18n.label(`sim.reasons.${entry.code}`, TRANSITION_REASONS[entry.code], entry.vars);
+export const qualityLabel = (i18n, param) => i18n.label(`sim.quality.${param.key}`, param.label);
+export const seriesLabel = (i18n, series) => i18n.label(`sim.series.${series.key}`, series.label);
+export const chartTitle = (i18n, chart) => i18n.label(`sim.charts.${chart.id}`, chart.title);
+export const climateLabel = (i18n, sample) => i18n.label(`sim.climates.${sample.id}`, sample.label);
+export const mediaLabel = (i18n, id) => i18n.label(`sim.media.${id}`, DESICCANT_MEDIA[id].label);
+export const criterionLabel = (i18n, id) => i18n.label(`sim.criteria.${id}`, SIZING_CRITERIA[id]);
+
+export function technologyText(i18n, id) {
+  const { label, detail } = TECHNOLOGIES[id];
+  return {
+    label: i18n.label(`sim.technologies.${id}.label`, label),
+    detail: i18n.label(`sim.technologies.${id}.detail`, detail),
+  };
+}
+
+export function roleLabel(i18n, role) {
+  return i18n.label(`sim.roles.${role}`, MODEL_ROLES.find((r) => r.role === role)?.label ?? role);
+}
+
+/** Alertas de mantenimiento (sim/filters.js): `value` es la vida restante o el factor de caudal. */
+export function alertMessage(i18n, alert) {
+  const pct = Math.round(alert.value * 100);
+  if (alert.id === "flow") return i18n.label("sim.alerts.flow", alert.message, { pct });
+  const name = i18n.label(`sim.cartridges.${alert.id}`, alert.id);
+  const key = alert.level === "critical" ? "sim.alerts.exhausted" : "sim.alerts.low";
+  return i18n.label(key, alert.message, { name, pct });
+}
+
+/** Problema de una definición de máquina (`{ path, code, vars }`, ver machineIssues). */
+export function machineIssueText(i18n, { path, code, vars }) {
+  const text = i18n.label(`errors.machineIssues.${code}`, MACHINE_ISSUES[code], vars);
+  return path ? `${path}: ${text}` : text;
+}
+
+/**
+ * Mensaje de un error para la interfaz: los que traen `code` (ver sim/messages.js) se traducen;
+ * el resto se muestra tal cual.
+ */
+export function errorMessage(i18n, err) {
+  const [group, id] = String(err?.code ?? "").split(".");
+  const template = ERROR_TEXTS[group]?.[id];
+  if (!template) return err?.message || String(err);
+  const text = i18n.label(`errors.${group}.${id}`, template, err.vars);
+  return [text, ...(err.issues ?? []).map((issue) => `• ${machineIssueText(i18n, issue)}`)].join("\n");
+}
@@ -0,0 +1,57 @@
+// src/sw.js
+// Service worker del modo sin conexión (kiosco). No lo importa la app: vite.config.js lo emite
+// como sw.js en el build, reemplazando la lista de archivos a precargar y la versión de caché.
+// Las navegaciones prueban la red primero (así llegan las actualizaciones) y el resto del
+// build se sirve desde la caché.
+
+const CACHE = "awg-__CACHE_VERSION__";
+const PRECACHE = __PRECACHE__;
+const INDEX = new URL("./", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Al activar una versión nueva se borran las cachés de builds anteriores
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("awg-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function fromNetworkOrIndex(request) {
+  try {
+    const response = await fetch(request);
+    const cache = await caches.open(CACHE);
+    await cache.put(INDEX, response.clone());
+    return response;
+  } catch {
+    return (await caches.match(INDEX)) || Response.error();
+  }
+}
+
+// Archivos fuera de la lista (p. ej. un modelo agregado después) se guardan al primer uso
+async function fromCache(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(request.mode === "navigate" ? fromNetworkOrIndex(request) : fromCache(request));
+});
@@ -0,0 +1,206 @@
+// src/tourVideo.js
+// Grabación del recorrido automático a WebM: cada cuadro avanza la escena y la simulación un
+// paso fijo (1/fps), se compone con el subtítulo del paso y se codifica con WebCodecs. Así el
+// video sale fluido aunque el equipo tarde más que el tiempo real en producir cada cuadro.
+
+import { createWebmMuxer } from "./webm.js";
+import { codedError } from "./sim/messages.js";
+
+// Los nombres están en los catálogos (recorder.resolutions.<id>)
+export const RECORDING_RESOLUTIONS = [
+  { id: "720p", width: 1280, height: 720 },
+  { id: "1080p", width: 1920, height: 1080 },
+  { id: "square", width: 1080, height: 1080 },
+  { id: "vertical", width: 1080, height: 1920 },
+];
+export const RECORDING_FPS = [24, 30, 60];
+export const RECORDING_DEFAULTS = { resolution: "720p", fps: 30 };
+
+// Errores del navegador al grabar (la interfaz los traduce con `code`, ver codedError)
+export const RECORDING_ERRORS = {
+  noWebCodecs: "Este navegador no soporta WebCodecs; usa una versión reciente de Chrome, Edge, Safari o Firefox",
+  noCodec: "El navegador no puede codificar VP8/VP9 a {width}×{height}",
+};
+
+// VP9 primero por calidad; VP8 como respaldo en navegadores sin codificador VP9
+const CODECS = [
+  { codec: "vp9", config: "vp09.00.10.08" },
+  { codec: "vp8", config: "vp8" },
+];
+const KEYFRAME_SECONDS = 2;
+const CAPTION_FADE_SECONDS = 0.3;
+
+/**
+ * Cuadros del recorrido: `stepSeconds` por etapa (número o lista por etapa) a `fps`.
+ * `at(frame)` devuelve la etapa y la opacidad del subtítulo (aparece al cambiar de etapa).
+ */
+export function tourTimeline(stageCount, { fps, stepSeconds }) {
+  const durations = Array.from({ length: stageCount }, (_, i) =>
+    Array.isArray(stepSeconds) ? stepSeconds[i] : stepSeconds
+  );
+  const starts = [];
+  let total = 0;
+  for (const d of durations) {
+    starts.push(Math.round(total * fps));
+    total += d;
+  }
+  const frames = Math.round(total * fps);
+  return {
+    frames,
+    at(frame) {
+      let stage = starts.length - 1;
+      while (stage > 0 && starts[stage] > frame) stage--;
+      const since = (frame - starts[stage]) / fps;
+      return { stage, captionAlpha: Math.min(1, since / CAPTION_FADE_SECONDS) };
+    },
+  };
+}
+
+/** Parte `text` en líneas que no superen `maxWidth` según `measure(texto)`. */
+export function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function roundedRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+/** Subtítulo del paso con el aspecto del panel de narración (abajo al centro). */
+export function drawCaption(ctx, { heading, narration, alpha = 1 }, width, height) {
+  const unit = Math.min(width, height) / 720;
+  const boxW = Math.min(width - 40 * unit, 760 * unit);
+  const pad = 18 * unit;
+  const font = "Inter, system-ui, Arial, sans-serif";
+
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.font = `${22 * unit}px ${font}`;
+  const lines = wrapText(narration, boxW - 2 * pad, (t) => ctx.measureText(t).width);
+  const lineH = 29 * unit;
+  const boxH = pad * 2 + 30 * unit + lines.length * lineH;
+  const x = (width - boxW) / 2;
+  const y = height - boxH - 28 * unit;
+
+  ctx.shadowColor = "rgba(0,0,0,0.18)";
+  ctx.shadowBlur = 24 * unit;
+  ctx.fillStyle = "rgba(255,255,255,0.86)";
+  roundedRect(ctx, x, y, boxW, boxH, 16 * unit);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+
+  ctx.fillStyle = "#0f172a";
+  ctx.textBaseline = "top";
+  ctx.font = `900 ${22 * unit}px ${font}`;
+  ctx.fillText(heading, x + pad, y + pad);
+  ctx.font = `${22 * unit}px ${font}`;
+  ctx.globalAlpha = alpha * 0.8;
+  lines.forEach((line, i) => ctx.fillText(line, x + pad, y + pad + 30 * unit + i * lineH));
+  ctx.restore();
+}
+
+async function createEncoder({ width, height, fps }) {
+  if (typeof VideoEncoder === "undefined") {
+    throw codedError("recording.noWebCodecs", RECORDING_ERRORS.noWebCodecs);
+  }
+  const config = { width, height, framerate: fps, bitrate: Math.round(width * height * fps * 0.12) };
+  let chosen = null;
+  for (const c of CODECS) {
+    const { supported } = await VideoEncoder.isConfigSupported({ ...config, codec: c.config });
+    if (supported) {
+      chosen = c;
+      break;
+    }
+  }
+  if (!chosen) throw codedError("recording.noCodec", RECORDING_ERRORS.noCodec, { width, height });
+
+  const muxer = createWebmMuxer({ width, height, codec: chosen.codec, frameRate: fps });
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === "key");
+    },
+    error: (e) => {
+      failure = e;
+    },
+  });
+  encoder.configure({ ...config, codec: chosen.config });
+
+  return {
+    async encode(canvas, index) {
+      if (failure) throw failure;
+      const duration = Math.round(1e6 / fps); // µs
+      const frame = new VideoFrame(canvas, { timestamp: Math.round((index * 1e6) / fps), duration });
+      encoder.encode(frame, { keyFrame: index % (fps * KEYFRAME_SECONDS) === 0 });
+      frame.close();
+      // Sin contrapresión la cola del codificador crece sin límite en equipos lentos
+      while (encoder.encodeQueueSize > 4) await new Promise((r) => setTimeout(r, 4));
+    },
+    async finish() {
+      await encoder.flush();
+      if (failure) throw failure;
+      return muxer.finish();
+    },
+    close() {
+      if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+/**
+ * Graba el recorrido completo. `scene` conecta con la app:
+ * - `prepare(width, height)` deja el lienzo listo para grabar y devuelve cómo restaurarlo
+ * - `setStage(index)` y `stepSim(seconds)` aplican el estado de forma síncrona
+ * - `renderFrame(time)` dibuja la escena en `time` (s) y devuelve el canvas WebGL
+ * `captions[i]` es `{ heading, narration }` de cada etapa. Devuelve los bytes del WebM, o null
+ * si se canceló con `signal`.
+ */
+export async function recordTour({ captions, width, height, fps, stepSeconds, simSpeed, scene, onProgress, signal }) {
+  const timeline = tourTimeline(captions.length, { fps, stepSeconds });
+  const encoder = await createEncoder({ width, height, fps });
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const restore = scene.prepare(width, height);
+
+  try {
+    let stage = -1;
+    for (let i = 0; i < timeline.frames; i++) {
+      if (signal?.aborted) return null;
+      const at = timeline.at(i);
+      if (at.stage !== stage) {
+        stage = at.stage;
+        scene.setStage(stage);
+      }
+      scene.stepSim(simSpeed / fps);
+      ctx.drawImage(scene.renderFrame((i + 1) / fps), 0, 0, width, height);
+      drawCaption(ctx, { ...captions[stage], alpha: at.captionAlpha }, width, height);
+      await encoder.encode(canvas, i);
+      onProgress?.((i + 1) / timeline.frames);
+    }
+    return await encoder.finish();
+  } finally {
+    restore();
+    encoder.close();
+  }
+}
@@ -0,0 +1,62 @@
+// src/ui.jsx
+// Piezas de interfaz compartidas por el simulador y sus paneles.
+import React from "react";
+
+export const FONT = "Inter, system-ui, Arial";
+
+// Tarjeta translúcida usada por los paneles superpuestos al canvas
+export const PANEL_STYLE = {
+  background: "rgba(255,255,255,0.62)",
+  borderRadius: 16,
+  padding: "10px 12px",
+  backdropFilter: "blur(10px)",
+  boxShadow: "0 10px 30px rgba(0,0,0,0.12)",
+  fontFamily: FONT,
+};
+
+// Oculto en pantalla pero leído por los lectores de pantalla (regiones vivas, etiquetas extra)
+export const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+/** Descarga `content` (texto o bytes) como archivo desde el navegador. */
+export function downloadFile(fileName, content, type = "application/json") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** `large`: tamaño táctil para el modo kiosco. */
+export function UiButton({ children, onClick, disabled, large }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      style={{
+        border: "none",
+        borderRadius: 12,
+        padding: large ? "16px 22px" : "10px 14px",
+        cursor: disabled ? "not-allowed" : "pointer",
+        background: disabled ? "rgba(255,255,255,0.35)" : "rgba(255,255,255,0.78)",
+        backdropFilter: "blur(10px)",
+        boxShadow: "0 10px 30px rgba(0,0,0,0.14)",
+        fontFamily: FONT,
+        fontSize: large ? 17 : 13,
+        fontWeight: 800,
+      }}
+    >
+      {children}
+    </button>
+  );
+}
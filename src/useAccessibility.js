@@ -0,0 +1,91 @@
+// src/useAccessibility.js
+// Accesibilidad del recorrido: atajos de teclado para pasos y demo, y preferencia del sistema
+// de movimiento reducido (prefers-reduced-motion) para calmar las animaciones de la escena.
+import { useEffect, useRef, useState } from "react";
+
+// Acciones en el orden en que las lista la ayuda del modo texto (teclas y textos en el catálogo `a11y`)
+export const SHORTCUT_ACTIONS = [
+  "next",
+  "previous",
+  "first",
+  "last",
+  "step",
+  "autoplay",
+  "explode",
+  "cutaway",
+  "description",
+  "close",
+];
+
+// Tecla → acción; los dígitos 1–9 saltan directo a ese paso
+const KEY_ACTIONS = {
+  ArrowRight: "next",
+  ArrowLeft: "previous",
+  Home: "first",
+  End: "last",
+  " ": "autoplay",
+  e: "explode",
+  E: "explode",
+  c: "cutaway",
+  C: "cutaway",
+  d: "description",
+  D: "description",
+  Escape: "close",
+};
+
+// Campos donde el teclado escribe: ahí las teclas no se interpretan como atajos
+const TYPING_TAGS = new Set(["INPUT", "SELECT", "TEXTAREA"]);
+
+/**
+ * Acción del recorrido para un evento de teclado: `{ action }` o `{ action: "step", index }`.
+ * Devuelve null con modificadores, al escribir en un campo o si otro manejador ya lo atendió.
+ * Espacio sobre un botón lo pulsa, así que tampoco se toma como atajo.
+ */
+export function shortcutAction(event) {
+  if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return null;
+  const target = event.target ?? {};
+  if (TYPING_TAGS.has(target.tagName) || target.isContentEditable) return null;
+  if (/^[1-9]$/.test(event.key)) return { action: "step", index: Number(event.key) - 1 };
+  const action = KEY_ACTIONS[event.key];
+  if (!action || (action === "autoplay" && target.tagName === "BUTTON")) return null;
+  return { action };
+}
+
+// Multiplicadores de las animaciones continuas: giro de rotores, vaivén del serpentín, flujo de
+// partículas, vuelo de cámara y apertura de la vista explosionada (0 = salto directo al final)
+export const FULL_MOTION = { spin: 1, wobble: 1, particles: 1, flight: 1, explode: 1 };
+export const REDUCED_MOTION = { spin: 0.15, wobble: 0, particles: 0, flight: 0, explode: 0 };
+
+const REDUCED_QUERY = "(prefers-reduced-motion: reduce)";
+
+/** `true` mientras el sistema pida movimiento reducido; sigue los cambios en vivo. */
+export function useReducedMotion() {
+  const [reduced, setReduced] = useState(() => window.matchMedia?.(REDUCED_QUERY).matches ?? false);
+  useEffect(() => {
+    const query = window.matchMedia?.(REDUCED_QUERY);
+    if (!query) return;
+    const onChange = () => setReduced(query.matches);
+    query.addEventListener("change", onChange);
+    return () => query.removeEventListener("change", onChange);
+  }, []);
+  return reduced;
+}
+
+/**
+ * Atajos globales del recorrido: `handlers[action](shortcut)` por cada tecla reconocida
+ * (ver shortcutAction). Los manejadores se leen en cada tecla, no hace falta memorizarlos.
+ */
+export default function useKeyboardShortcuts(handlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      const shortcut = shortcutAction(event);
+      const handler = shortcut && handlersRef.current[shortcut.action];
+      if (!handler || handler(shortcut) === false) return;
+      event.preventDefault();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+}
@@ -0,0 +1,56 @@
+// src/useI18n.js
+// Enlace React de i18n.js: el simulador guarda idioma y unidades (URL ?lang=&units= y
+// localStorage) y los paneles leen el traductor del contexto.
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { createI18n, defaultUnits, preferencesFromSearch, resolveLocale } from "./i18n.js";
+
+const STORAGE_KEY = "awg-locale";
+
+export const I18nContext = createContext(createI18n());
+
+/** Traductor del idioma activo (ver createI18n). */
+export default function useI18n() {
+  return useContext(I18nContext);
+}
+
+function loadStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Preferencias de idioma: la URL manda sobre lo guardado y lo guardado sobre el idioma del
+ * navegador. Las unidades siguen al idioma hasta que se eligen a mano.
+ */
+export function useLocalePreferences() {
+  const [prefs, setPrefs] = useState(() => {
+    const stored = loadStored();
+    const fromUrl = preferencesFromSearch(window.location.search);
+    const locale = resolveLocale(fromUrl.locale, stored.locale, navigator.language);
+    return { locale, units: fromUrl.units ?? stored.units ?? null };
+  });
+  const i18n = useMemo(() => createI18n(prefs.locale, prefs.units ?? defaultUnits(prefs.locale)), [prefs]);
+
+  useEffect(() => {
+    document.documentElement.lang = prefs.locale;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+    } catch {
+      // Sin almacenamiento la preferencia queda en la URL
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.set("lang", prefs.locale);
+    if (prefs.units) url.searchParams.set("units", prefs.units);
+    else url.searchParams.delete("units");
+    window.history.replaceState(null, "", url);
+  }, [prefs]);
+
+  return {
+    i18n,
+    setLocale: (locale) => setPrefs((p) => ({ ...p, locale })),
+    setUnits: (units) => setPrefs((p) => ({ ...p, units })),
+  };
+}
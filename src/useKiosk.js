@@ -0,0 +1,68 @@
+// src/useKiosk.js
+// Modo kiosco para pantallas táctiles de exhibición: pantalla completa, interfaz reducida y
+// detección de inactividad para volver al recorrido automático (bucle de atracción).
+import { useEffect, useState } from "react";
+
+export const KIOSK_DEFAULTS = { idleSeconds: 45 };
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"];
+
+/**
+ * `?kiosk` activa el modo con la espera por defecto; `?kiosk=60` fija los segundos de
+ * inactividad antes de arrancar el recorrido. Devuelve null si el parámetro no está.
+ */
+export function kioskFromSearch(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has("kiosk")) return null;
+  const seconds = Number(params.get("kiosk"));
+  return { idleSeconds: params.get("kiosk") && seconds > 0 ? seconds : KIOSK_DEFAULTS.idleSeconds };
+}
+
+function requestFullscreen() {
+  const root = document.documentElement;
+  if (document.fullscreenElement || !root.requestFullscreen) return;
+  // El navegador lo rechaza fuera de un gesto del usuario; el botón del kiosco permite reintentar
+  root.requestFullscreen().catch(() => {});
+}
+
+/** `{ kiosk, idle, enter, exit, fullscreen }`; `kiosk` es null fuera del modo. */
+export default function useKiosk() {
+  const [kiosk, setKiosk] = useState(() => kioskFromSearch(window.location.search));
+  const [idle, setIdle] = useState(false);
+
+  // Cualquier interacción reinicia la espera; al cumplirse se marca inactivo hasta el próximo toque
+  useEffect(() => {
+    if (!kiosk) return;
+    let timer;
+    const wake = () => {
+      setIdle(false);
+      clearTimeout(timer);
+      timer = setTimeout(() => setIdle(true), kiosk.idleSeconds * 1000);
+    };
+    wake();
+    ACTIVITY_EVENTS.forEach((e) => window.addEventListener(e, wake, { passive: true }));
+    // Abierto desde la URL no hay gesto previo: la pantalla completa se pide al primer toque
+    window.addEventListener("pointerdown", requestFullscreen, { once: true });
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((e) => window.removeEventListener(e, wake));
+      window.removeEventListener("pointerdown", requestFullscreen);
+    };
+  }, [kiosk]);
+
+  const enter = () => {
+    setKiosk({ ...KIOSK_DEFAULTS });
+    requestFullscreen();
+  };
+  const exit = () => {
+    setKiosk(null);
+    setIdle(false);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    // Quita ?kiosk para que recargar no vuelva a entrar
+    const url = new URL(window.location.href);
+    url.searchParams.delete("kiosk");
+    window.history.replaceState(null, "", url);
+  };
+
+  return { kiosk, idle, enter, exit, fullscreen: requestFullscreen };
+}
@@ -0,0 +1,49 @@
+// src/useSimulation.js
+// Enlace React del motor de simulación: reloj (play/pausa/velocidad) y suscripción al estado.
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createSimulation } from "./sim/engine.js";
+
+export const SIM_SPEEDS = [1, 60, 3600];
+
+const TICK_MS = 100;
+const MAX_REAL_DT = 0.5; // s; evita saltos enormes al volver de una pestaña en segundo plano
+
+/**
+ * `params` se sincroniza con el motor en cada render (el motor ignora valores sin cambios).
+ * Devuelve el snapshot `{ ...estado, op }` y el motor para disparar acciones.
+ */
+export default function useSimulation(params) {
+  const [engine] = useState(() => createSimulation(params));
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(SIM_SPEEDS[1]);
+
+  useEffect(() => {
+    engine.setParams(params);
+  });
+
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    const id = setInterval(() => {
+      const now = performance.now();
+      const dt = Math.min(MAX_REAL_DT, (now - last) / 1000) * speed;
+      last = now;
+      engine.step(dt);
+    }, TICK_MS);
+    return () => clearInterval(id);
+  }, [engine, playing, speed]);
+
+  const sim = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
+
+  return { sim, engine, playing, setPlaying, speed, setSpeed };
+}
+
+/** "Día 1 · 05:32:10"; `dayLabel` cambia la palabra según el idioma. */
+export function formatSimTime(seconds, dayLabel = "Día") {
+  const day = Math.floor(seconds / 86400) + 1;
+  const rest = Math.floor(seconds % 86400);
+  const hh = String(Math.floor(rest / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((rest % 3600) / 60)).padStart(2, "0");
+  const ss = String(rest % 60).padStart(2, "0");
+  return `${dayLabel} ${day} · ${hh}:${mm}:${ss}`;
+}
@@ -0,0 +1,155 @@
+// src/webm.js
+// Muxer WebM mínimo (una pista de video VP8/VP9) para los cuadros que entrega WebCodecs.
+// Todo queda en memoria y se escribe al final, así los tamaños de cada elemento son conocidos.
+
+const ID = {
+  EBML: [0x1a, 0x45, 0xdf, 0xa3],
+  EBMLVersion: [0x42, 0x86],
+  EBMLReadVersion: [0x42, 0xf7],
+  EBMLMaxIDLength: [0x42, 0xf2],
+  EBMLMaxSizeLength: [0x42, 0xf3],
+  DocType: [0x42, 0x82],
+  DocTypeVersion: [0x42, 0x87],
+  DocTypeReadVersion: [0x42, 0x85],
+  Segment: [0x18, 0x53, 0x80, 0x67],
+  Info: [0x15, 0x49, 0xa9, 0x66],
+  TimecodeScale: [0x2a, 0xd7, 0xb1],
+  Duration: [0x44, 0x89],
+  MuxingApp: [0x4d, 0x80],
+  WritingApp: [0x57, 0x41],
+  Tracks: [0x16, 0x54, 0xae, 0x6b],
+  TrackEntry: [0xae],
+  TrackNumber: [0xd7],
+  TrackUID: [0x73, 0xc5],
+  TrackType: [0x83],
+  FlagLacing: [0x9c],
+  CodecID: [0x86],
+  DefaultDuration: [0x23, 0xe3, 0x83],
+  Video: [0xe0],
+  PixelWidth: [0xb0],
+  PixelHeight: [0xba],
+  Cluster: [0x1f, 0x43, 0xb6, 0x75],
+  Timecode: [0xe7],
+  SimpleBlock: [0xa3],
+};
+
+export const WEBM_CODECS = { vp8: "V_VP8", vp9: "V_VP9" };
+
+// Los tiempos de bloque son int16 relativos al cluster: se abre uno nuevo antes de desbordar
+const MAX_CLUSTER_MS = 30000;
+
+/** Tamaño EBML de longitud variable (1 a 8 bytes). */
+export function encodeSize(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+  if (length > 8) throw new Error(`webm: tamaño fuera de rango (${size})`);
+  const bytes = new Uint8Array(length);
+  let rest = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+function uint(value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    bytes.unshift(rest % 256);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+  return Uint8Array.from(bytes);
+}
+
+function float64(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+const text = (value) => new TextEncoder().encode(value);
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+/** Elemento EBML: `children` es un Uint8Array o una lista de elementos ya codificados. */
+function element(id, children) {
+  const data = children instanceof Uint8Array ? children : concat(children);
+  return concat([Uint8Array.from(id), encodeSize(data.length), data]);
+}
+
+function simpleBlock(frame, relativeMs, keyframe) {
+  const header = new Uint8Array(4);
+  header[0] = 0x81; // pista 1
+  new DataView(header.buffer).setInt16(1, relativeMs);
+  header[3] = keyframe ? 0x80 : 0;
+  return element(ID.SimpleBlock, [header, frame]);
+}
+
+/**
+ * `addFrame(data, timestampMs, keyframe)` en orden de presentación; el primer cuadro debe ser
+ * clave. `finish()` devuelve el archivo completo.
+ */
+export function createWebmMuxer({ width, height, codec = "vp9", frameRate = 30 }) {
+  if (!WEBM_CODECS[codec]) throw new Error(`webm: códec "${codec}" no soportado (vp8 o vp9)`);
+  const clusters = [];
+  let cluster = null;
+  let lastMs = 0;
+
+  const closeCluster = () => {
+    if (cluster) clusters.push(element(ID.Cluster, [element(ID.Timecode, uint(cluster.start)), ...cluster.blocks]));
+    cluster = null;
+  };
+
+  return {
+    addFrame(data, timestampMs, keyframe) {
+      const ms = Math.round(timestampMs);
+      if (!cluster && !keyframe) throw new Error("webm: el primer cuadro debe ser clave");
+      if (cluster && (keyframe || ms - cluster.start > MAX_CLUSTER_MS)) closeCluster();
+      if (!cluster) cluster = { start: ms, blocks: [] };
+      cluster.blocks.push(simpleBlock(data, ms - cluster.start, keyframe));
+      lastMs = Math.max(lastMs, ms);
+    },
+
+    finish() {
+      closeCluster();
+      const frameMs = 1000 / frameRate;
+      const header = element(ID.EBML, [
+        element(ID.EBMLVersion, uint(1)),
+        element(ID.EBMLReadVersion, uint(1)),
+        element(ID.EBMLMaxIDLength, uint(4)),
+        element(ID.EBMLMaxSizeLength, uint(8)),
+        element(ID.DocType, text("webm")),
+        element(ID.DocTypeVersion, uint(2)),
+        element(ID.DocTypeReadVersion, uint(2)),
+      ]);
+      const info = element(ID.Info, [
+        element(ID.TimecodeScale, uint(1000000)), // 1 ms
+        element(ID.MuxingApp, text("awg-simulator")),
+        element(ID.WritingApp, text("awg-simulator")),
+        element(ID.Duration, float64(clusters.length ? lastMs + frameMs : 0)),
+      ]);
+      const tracks = element(ID.Tracks, [
+        element(ID.TrackEntry, [
+          element(ID.TrackNumber, uint(1)),
+          element(ID.TrackUID, uint(1)),
+          element(ID.TrackType, uint(1)), // video
+          element(ID.FlagLacing, uint(0)),
+          element(ID.CodecID, text(WEBM_CODECS[codec])),
+          element(ID.DefaultDuration, uint(Math.round(frameMs * 1e6))),
+          element(ID.Video, [element(ID.PixelWidth, uint(width)), element(ID.PixelHeight, uint(height))]),
+        ]),
+      ]);
+      return concat([header, element(ID.Segment, [info, tracks, ...clusters])]);
+    },
+  };
+}
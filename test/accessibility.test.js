@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { shortcutAction } from "../src/useAccessibility.js";
+import { describeProcess, describeStep, stageParts } from "../src/processDescription.js";
+import { createSimulation, tankOptions } from "../src/sim/engine.js";
+import { localizeMachine, normalizeMachine } from "../src/machineDefinition.js";
+import { createI18n } from "../src/i18n.js";
+
+const read = (file) => JSON.parse(readFileSync(new URL(`../src/data/${file}`, import.meta.url), "utf8"));
+const standard = normalizeMachine(read("machines/awg-standard.json"));
+const specs = read("components.json");
+
+const key = (k, extra = {}) => ({ key: k, target: { tagName: "BODY" }, ...extra });
+
+test("las teclas del recorrido se traducen en acciones", () => {
+  assert.deepEqual(shortcutAction(key("ArrowRight")), { action: "next" });
+  assert.deepEqual(shortcutAction(key("Home")), { action: "first" });
+  assert.deepEqual(shortcutAction(key("3")), { action: "step", index: 2 });
+  assert.deepEqual(shortcutAction(key("D")), { action: "description" });
+  assert.deepEqual(shortcutAction(key(" ")), { action: "autoplay" });
+  assert.deepEqual(shortcutAction(key("e")), { action: "explode" });
+  assert.deepEqual(shortcutAction(key("C")), { action: "cutaway" });
+  assert.equal(shortcutAction(key("0")), null);
+  assert.equal(shortcutAction(key("x")), null);
+});
+
+test("los atajos no interfieren al escribir, con modificadores ni sobre botones", () => {
+  assert.equal(shortcutAction(key("ArrowRight", { target: { tagName: "INPUT" } })), null);
+  assert.equal(shortcutAction(key("d", { target: { tagName: "DIV", isContentEditable: true } })), null);
+  assert.equal(shortcutAction(key("ArrowLeft", { altKey: true })), null);
+  assert.equal(shortcutAction(key("2", { ctrlKey: true })), null);
+  assert.equal(shortcutAction(key("Escape", { defaultPrevented: true })), null);
+  // Espacio pulsa el botón enfocado; las flechas siguen funcionando
+  assert.equal(shortcutAction(key(" ", { target: { tagName: "BUTTON" } })), null);
+  assert.deepEqual(shortcutAction(key("ArrowRight", { target: { tagName: "BUTTON" } })), { action: "next" });
+});
+
+function snapshot() {
+  const sim = createSimulation({ technology: standard.technology });
+  sim.step(2 * 3600);
+  return sim.getSnapshot();
+}
+
+test("el anuncio de cada paso dice posición, piezas y estado", () => {
+  const sim = snapshot();
+  const es = describeStep(createI18n("es"), { machine: standard, specs, index: 2, sim });
+  assert.match(es, /^Paso 3 de 6: Filtración\./);
+  assert.match(es, /Filtro de sedimentos, Filtro de carbón activado, Cartucho mineralizador/);
+  assert.match(es, /Producción: [\d,]+ L\/h/);
+
+  const en = createI18n("en");
+  const text = describeStep(en, { machine: localizeMachine(standard, "en"), specs, index: 0, sim });
+  assert.match(text, /^Step 1 of 6: .*Axial fan/);
+  assert.match(text, /gal\/h/);
+});
+
+test("el modo texto resume el estado y recorre todas las etapas", () => {
+  const sim = snapshot();
+  const i18n = createI18n("es");
+  const description = describeProcess(i18n, { machine: standard, specs, sim, tankOpts: tankOptions({}) });
+  assert.equal(description.title, standard.name);
+  assert.deepEqual(
+    description.stages.map((s) => s.key),
+    standard.stages.map((s) => s.key)
+  );
+  assert.ok(description.summary.some(([label]) => label === "Tanque limpio"));
+  // Las tuberías no tienen ficha y no se nombran; los grupos se expanden a sus piezas
+  assert.deepEqual(stageParts(i18n, { machine: standard, specs }, "uv_tank"), [
+    "Lámpara UV-C",
+    "Tanque de condensado",
+    "Tanque de agua tratada",
+  ]);
+});
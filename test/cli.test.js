@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../bin/awg-sim.js", import.meta.url));
+const scenario = fileURLToPath(new URL("../scenarios/fault-training.json", import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [cli, scenario, ...args], { encoding: "utf8" });
+
+test("la CLI corre un escenario con horas y muestreo propios", () => {
+  const { status, stdout } = run("--hours", "2", "--sample-min", "30");
+  assert.equal(status, 0);
+  const result = JSON.parse(stdout);
+  assert.equal(result.hours, 2);
+  assert.equal(result.samples.length, 5);
+});
+
+test("la CLI rechaza horas o muestreo que no son números positivos", () => {
+  for (const args of [["--hours", "abc"], ["--hours", "0"], ["--sample-min", "-5"], ["--hours"]]) {
+    const { status, stdout, stderr } = run(...args);
+    assert.equal(status, 1, args.join(" "));
+    assert.equal(stdout, "");
+    assert.match(stderr, /^awg-sim: --(hours|sample-min) debe ser un número positivo/);
+  }
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SETPOINTS,
+  controllerOutputs,
+  createControllerState,
+  stepController,
+} from "../src/sim/controller.js";
+import { createI18n } from "../src/i18n.js";
+import { transitionReason } from "../src/simLabels.js";
+
+const SENSORS = { rh: 70, dewPoint: 23.9, coilTemp: 8, coilSetpoint: 8, dirtyLevel: 0.2, faults: [] };
+
+function run(ctrl, sensors, minutes, setpoints = DEFAULT_SETPOINTS, start = ctrl.since) {
+  let c = ctrl;
+  for (let m = 1; m <= minutes; m++) c = stepController(c, sensors, setpoints, 60, start + m * 60);
+  return c;
+}
+
+test("arranca a producir con humedad y punto de rocío suficientes", () => {
+  const c = run(createControllerState(), SENSORS, 1);
+  assert.equal(c.state, "producing");
+  assert.equal(c.log.at(-1).reason, "Condiciones de producción");
+});
+
+test("el registro guarda el motivo como código y variables para traducirlo", () => {
+  const c = run(createControllerState(), { ...SENSORS, rh: 20 }, 1);
+  assert.deepEqual(c.log.map((e) => e.code), ["power_on"]);
+  const low = run(run(createControllerState(), SENSORS, 1), { ...SENSORS, rh: 20 }, 1).log.at(-1);
+  assert.equal(low.code, "low_rh");
+  assert.deepEqual(low.vars, { rh: 20, minRh: DEFAULT_SETPOINTS.minRh });
+  assert.equal(low.reason, "HR 20% < 30%");
+  assert.equal(transitionReason(createI18n("es"), low), "HR 20% < 30%");
+  assert.equal(transitionReason(createI18n("en"), low), "RH 20% < 30%");
+  assert.equal(transitionReason(createI18n("pt"), low), "UR 20% < 30%");
+});
+
+test("queda en espera con humedad bajo el mínimo", () => {
+  const c = run(createControllerState(), { ...SENSORS, rh: 20 }, 5);
+  assert.equal(c.state, "standby");
+});
+
+test("tanque lleno con histéresis", () => {
+  let c = run(createControllerState(), SENSORS, 1);
+  c = run(c, { ...SENSORS, dirtyLevel: 0.97 }, 1, DEFAULT_SETPOINTS, 60);
+  assert.equal(c.state, "tank_full");
+  c = run(c, { ...SENSORS, dirtyLevel: 0.9 }, 1, DEFAULT_SETPOINTS, 120);
+  assert.equal(c.state, "tank_full");
+  c = run(c, { ...SENSORS, dirtyLevel: 0.8 }, 1, DEFAULT_SETPOINTS, 180);
+  assert.equal(c.state, "producing");
+});
+
+test("desescarcha tras acumular escarcha bajo el umbral", () => {
+  const cold = { ...SENSORS, coilTemp: -2, coilSetpoint: -2 };
+  let c = run(createControllerState(), cold, DEFAULT_SETPOINTS.frostBuildup + 2);
+  assert.equal(c.state, "defrost");
+  c = run(c, cold, DEFAULT_SETPOINTS.defrostDuration + 1, DEFAULT_SETPOINTS, c.since);
+  assert.notEqual(c.state, "defrost");
+  assert.ok(c.frostMinutes < DEFAULT_SETPOINTS.frostBuildup);
+});
+
+test("una alarma lleva a falla y al despejarse vuelve a espera", () => {
+  let c = run(createControllerState(), { ...SENSORS, faults: ["E01"] }, 1);
+  assert.equal(c.state, "fault");
+  assert.equal(controllerOutputs(c).compressor, false);
+  c = run(c, SENSORS, 1, DEFAULT_SETPOINTS, 60);
+  assert.equal(c.state, "standby");
+});
+
+test("interlock UV bloquea el dispensado", () => {
+  const c = createControllerState();
+  assert.equal(controllerOutputs(c, { uvOk: false }).dispenseAllowed, false);
+  const off = { ...DEFAULT_SETPOINTS, uvInterlock: false };
+  assert.equal(controllerOutputs(c, { uvOk: false }, off).dispenseAllowed, true);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DESICCANT_DEFAULTS, captureFraction, computeDesiccant } from "../src/sim/desiccant.js";
+import { computeDesiccantEnergy } from "../src/sim/energy.js";
+import { compareTechnologies } from "../src/sim/technology.js";
+import { runScenario } from "../src/sim/scenario.js";
+
+const HUMID = { ambientTemp: 30, relativeHumidity: 70, altitude: 0, airflow: 600 };
+const ARID = { ambientTemp: 35, relativeHumidity: 20, altitude: 0, airflow: 600 };
+
+test("la rueda captura más con más humedad y nada sin temperatura de regeneración", () => {
+  const base = { ambientTemp: 30, regenTemp: 120, media: "silica" };
+  assert.ok(captureFraction({ ...base, relativeHumidity: 70 }) > captureFraction({ ...base, relativeHumidity: 20 }));
+  assert.equal(captureFraction({ ...base, relativeHumidity: 70, regenTemp: 40 }), 0);
+});
+
+test("el MOF supera al gel de sílice a baja humedad", () => {
+  const base = { ambientTemp: 35, relativeHumidity: 20, regenTemp: 120 };
+  assert.ok(captureFraction({ ...base, media: "mof" }) > captureFraction({ ...base, media: "silica" }));
+});
+
+test("la producción la limita lo que la regeneración alcanza a desorber", () => {
+  const r = computeDesiccant(HUMID);
+  assert.ok(r.litersPerHour > 0);
+  const cycled = Math.min(r.adsorptionLph, r.desorptionLph);
+  assert.ok(Math.abs(r.litersPerHour - cycled * DESICCANT_DEFAULTS.condenserEfficiency) < 1e-9);
+  assert.ok(r.regenDewPoint > r.condenserTemp, "el lazo de regeneración condensa");
+  assert.ok(r.leavingTemp > HUMID.ambientTemp, "la adsorción calienta el aire de proceso");
+});
+
+test("detenida no produce pero informa el potencial del lazo", () => {
+  const r = computeDesiccant({ ...HUMID, running: false });
+  assert.equal(r.litersPerHour, 0);
+  assert.equal(r.condensing, false);
+  assert.ok(r.regenDewPoint > r.condenserTemp);
+});
+
+test("el calefactor domina el consumo y no hay COP", () => {
+  const psychro = computeDesiccant(HUMID);
+  const e = computeDesiccantEnergy({ airflow: HUMID.airflow, psychro });
+  assert.equal(e.cop, null);
+  assert.equal(e.watts.compressor, 0);
+  assert.ok(e.watts.heater > e.watts.fan + e.watts.wheel);
+  assert.ok(Number.isFinite(e.kwhPerLiter));
+  assert.equal(computeDesiccantEnergy({ airflow: 0, psychro, running: false }).watts.heater, 0);
+});
+
+test("la comparación favorece la refrigeración en clima húmedo y el desecante en clima árido", () => {
+  const params = { coilTemp: 8, airflow: 600, altitude: 0 };
+  const humid = compareTechnologies({ ...params, ...HUMID });
+  assert.ok(humid.refrigeration.kwhPerLiter < humid.desiccant.kwhPerLiter);
+
+  const arid = compareTechnologies({ ...params, ...ARID });
+  assert.equal(arid.refrigeration.litersPerDay, 0);
+  assert.equal(arid.refrigeration.kwhPerLiter, Infinity);
+  assert.ok(arid.desiccant.litersPerDay > 0);
+});
+
+test("el motor en modo desecante produce donde la refrigeración queda en espera", () => {
+  const params = { ...ARID, coilTemp: 8, demandLph: 0 };
+  const fridge = runScenario({ hours: 6, params });
+  const wheel = runScenario({ hours: 6, params: { ...params, technology: "desiccant" } });
+  assert.equal(fridge.summary.producedL, 0);
+  assert.equal(fridge.summary.finalState, "standby");
+  assert.ok(wheel.summary.producedL > 1);
+  assert.equal(wheel.summary.finalState, "producing");
+});
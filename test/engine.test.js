@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createSimulation } from "../src/sim/engine.js";
+import { normalizeMachine, treatmentStages } from "../src/machineDefinition.js";
+import { RAW_CONDENSATE } from "../src/sim/waterQuality.js";
+import { totalVolume } from "../src/sim/massBalance.js";
+import { runScenario, samplesToCsv } from "../src/sim/scenario.js";
+
+test("una corrida de 24 h produce agua y consume energía", () => {
+  const sim = createSimulation({ ambientTemp: 30, relativeHumidity: 70 });
+  const samples = sim.run(24 * 3600, { sampleEvery: 3600 });
+  assert.equal(samples.length, 25);
+  const last = samples.at(-1);
+  assert.ok(last.tanks.produced > 100);
+  assert.ok(last.energyKwh > 0);
+  assert.equal(last.time, 24 * 3600);
+});
+
+test("el snapshot es estable hasta que cambia algo", () => {
+  const sim = createSimulation();
+  const a = sim.getSnapshot();
+  assert.equal(sim.getSnapshot(), a);
+  sim.setParams({ airflow: 600, tank: { ...sim.getParams().tank } });
+  assert.equal(sim.getSnapshot(), a, "parámetros iguales no invalidan el snapshot");
+  sim.setParams({ airflow: 400 });
+  assert.notEqual(sim.getSnapshot(), a);
+});
+
+test("los suscriptores se notifican y se pueden desuscribir", () => {
+  const sim = createSimulation();
+  let calls = 0;
+  const off = sim.subscribe(() => calls++);
+  sim.step(10);
+  off();
+  sim.step(10);
+  assert.equal(calls, 1);
+});
+
+test("el volumen se conserva a través del motor", () => {
+  const sim = createSimulation({ demandLph: 5 });
+  const initial = totalVolume(sim.getState().tanks);
+  sim.run(48 * 3600, { sampleEvery: 6 * 3600 });
+  const { tanks } = sim.getState();
+  assert.ok(Math.abs(totalVolume(tanks) - (initial + tanks.produced)) < 1e-6);
+});
+
+test("una falla programada detiene la producción", () => {
+  const result = runScenario({
+    hours: 6,
+    params: { ambientTemp: 30, relativeHumidity: 70 },
+    faults: [{ faultId: "fan_stall", atHour: 2 }],
+  });
+  const at = (h) => result.samples[h];
+  assert.equal(at(1).controller.state, "producing");
+  assert.equal(at(3).controller.state, "fault");
+  assert.equal(at(4).tanks.produced, at(6).tanks.produced);
+  assert.deepEqual(result.summary.alarms, ["E01"]);
+});
+
+test("la lámpara UV sólo suma horas mientras emite", () => {
+  const sim = createSimulation();
+  sim.run(2 * 3600);
+  const hours = sim.getState().maintenance.uvHours;
+  assert.ok(Math.abs(hours - 2) < 1e-9);
+  sim.injectFault("uv_failure");
+  sim.run(3 * 3600);
+  assert.equal(sim.getState().maintenance.uvHours, hours);
+});
+
+test("la máquina con ozono y doble UV trata el agua según su definición", () => {
+  const ozone = normalizeMachine(
+    JSON.parse(readFileSync(new URL("../src/data/machines/awg-ozone-dual-uv.json", import.meta.url), "utf8"))
+  );
+  const sim = createSimulation({ treatment: treatmentStages(ozone) });
+  sim.run(24 * 3600);
+  const { maintenance, quality, alerts, qualityViolations } = sim.getSnapshot().op;
+
+  assert.deepEqual(
+    quality.stages.map((s) => s.key),
+    ["condensation", "ozone", "filtration", "uv_tank", "dispense"]
+  );
+  assert.deepEqual(
+    maintenance.cartridges.map((c) => c.id),
+    ["sediment", "carbon"]
+  );
+  assert.ok(!alerts.some((a) => a.id === "mineral"));
+  // El ozono ya desinfecta antes de los filtros y cada lámpara suma su propia reducción
+  const [, ozoneStage, filtration] = quality.stages;
+  assert.ok(ozoneStage.quality.microbes < RAW_CONDENSATE.microbes / 10);
+  assert.ok(filtration.quality.voc < ozoneStage.quality.voc);
+  const standard = createSimulation().getSnapshot().op.quality.uv;
+  assert.ok(quality.uv.logReduction > standard.logReduction);
+  // Sin mineralizador el agua sale con los sólidos disueltos del condensado
+  assert.equal(quality.output.tds, RAW_CONDENSATE.tds);
+  assert.ok(qualityViolations.some((v) => v.key === "tds"));
+});
+
+test("exporta CSV con cabecera y una fila por muestra", () => {
+  const { samples } = runScenario({ hours: 3, params: {} });
+  const lines = samplesToCsv(samples).trim().split("\n");
+  assert.equal(lines.length, 5);
+  assert.match(lines[0], /^time_h,state,/);
+  assert.match(lines[4], /^3\.000,/);
+});
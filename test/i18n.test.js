@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  LITERS_PER_GALLON,
+  createI18n,
+  defaultUnits,
+  preferencesFromSearch,
+  resolveLocale,
+} from "../src/i18n.js";
+import es from "../src/locales/es.js";
+import en from "../src/locales/en.js";
+import pt from "../src/locales/pt.js";
+import { SHARE_ERRORS } from "../src/shareState.js";
+import { WEATHER_ERRORS } from "../src/sim/weather.js";
+import { RECORDING_ERRORS } from "../src/tourVideo.js";
+import { MACHINE_ERRORS, MACHINE_ISSUES } from "../src/machineDefinition.js";
+
+// Rutas de todas las hojas de un catálogo: "controls.dew", "months"...
+function keys(node, prefix = "") {
+  return Object.entries(node).flatMap(([k, v]) =>
+    v && typeof v === "object" && !Array.isArray(v) ? keys(v, `${prefix}${k}.`) : [`${prefix}${k}`]
+  );
+}
+
+test("inglés y portugués traducen todas las claves del catálogo español", () => {
+  const base = keys(es).filter((k) => !k.startsWith("units."));
+  [en, pt].forEach((catalog, i) => {
+    const own = new Set(keys(catalog));
+    assert.deepEqual(
+      base.filter((k) => !own.has(k)),
+      [],
+      ["en", "pt"][i]
+    );
+    assert.equal(catalog.months.length, 12);
+  });
+});
+
+test("inglés y portugués traducen todos los errores con código", () => {
+  const tables = {
+    share: SHARE_ERRORS,
+    weather: WEATHER_ERRORS,
+    recording: RECORDING_ERRORS,
+    machine: MACHINE_ERRORS,
+    machineIssues: MACHINE_ISSUES,
+  };
+  const codes = Object.entries(tables).flatMap(([group, table]) =>
+    Object.keys(table).map((id) => `errors.${group}.${id}`)
+  );
+  [en, pt].forEach((catalog, i) => {
+    const own = new Set(keys(catalog));
+    assert.deepEqual(
+      codes.filter((k) => !own.has(k)),
+      [],
+      ["en", "pt"][i]
+    );
+  });
+});
+
+test("idioma desde la URL, lo guardado o el navegador", () => {
+  assert.equal(resolveLocale(undefined, null, "pt-BR"), "pt");
+  assert.equal(resolveLocale("EN", "pt"), "en");
+  assert.equal(resolveLocale("fr-FR", "de"), "es");
+  assert.deepEqual(preferencesFromSearch("?lang=en&units=imperial"), { locale: "en", units: "imperial" });
+  assert.deepEqual(preferencesFromSearch("?lang=fr&units=furlongs"), {});
+  assert.equal(defaultUnits("en"), "imperial");
+  assert.equal(defaultUnits("pt"), "metric");
+});
+
+test("traduce con variables y vuelve al español o a la clave", () => {
+  const i18n = createI18n("en");
+  assert.equal(i18n.t("alarms.active", { count: 2 }), "🚨 ALARMS (2)");
+  assert.equal(i18n.t("nope.missing"), "nope.missing");
+  assert.equal(createI18n("pt").t("report.heading", { machine: "X" }), "Relatório de simulação · X");
+  // Textos de datos: el español no necesita clave, los otros idiomas sí
+  assert.equal(createI18n("es").label("sim.states.fault", "FALLA"), "FALLA");
+  assert.equal(i18n.label("sim.states.fault", "FALLA"), "FAULT");
+  assert.equal(i18n.label("sim.states.nope", "{n} sin traducir", { n: 1 }), "1 sin traducir");
+});
+
+test("números y unidades según el idioma y el sistema elegido", () => {
+  const es = createI18n("es");
+  assert.equal(es.format(12.345, "L/h", 1), "12,3 L/h");
+  assert.equal(es.format(20, "°C"), "20 °C");
+  assert.equal(es.unit("L/d"), "L/día");
+  assert.equal(es.number(Infinity), "—");
+
+  const us = createI18n("en");
+  assert.equal(us.format(LITERS_PER_GALLON * 2, "L", 1), "2.0 gal");
+  assert.equal(us.format(100, "°C"), "212 °F");
+  assert.equal(us.format(10, "Δ°C"), "18 °F");
+  assert.equal(us.format(24 * LITERS_PER_GALLON, "L/d"), "24 gal/day");
+  assert.equal(us.format(500, "m³/h"), "500 m³/h");
+  assert.ok(Math.abs(us.toMetric(us.convert(37, "°C"), "°C") - 37) < 1e-9);
+
+  const metricEn = createI18n("en", "metric");
+  assert.equal(metricEn.format(1234.5, "L", 1), "1,234.5 L");
+  assert.equal(createI18n("pt", "imperial").format(LITERS_PER_GALLON, "L/h", 1), "1,0 gal/h");
+});
+
+test("las fichas de componentes traen inglés y portugués completos", () => {
+  const specs = JSON.parse(readFileSync(new URL("../src/data/components.json", import.meta.url), "utf8"));
+  Object.entries(specs).forEach(([id, spec]) => {
+    ["en", "pt"].forEach((locale) => {
+      const tr = spec.translations?.[locale];
+      assert.ok(tr?.name && tr.role, `${id} ${locale}`);
+      assert.equal(tr.specs.length, spec.specs.length, `${id} ${locale}`);
+    });
+  });
+});
@@ -0,0 +1,13 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { KIOSK_DEFAULTS, kioskFromSearch } from "../src/useKiosk.js";
+
+test("el kiosco se activa desde la URL con espera opcional", () => {
+  assert.equal(kioskFromSearch(""), null);
+  assert.equal(kioskFromSearch("?machine=awg"), null);
+  assert.deepEqual(kioskFromSearch("?kiosk"), KIOSK_DEFAULTS);
+  assert.deepEqual(kioskFromSearch("?kiosk=90"), { idleSeconds: 90 });
+  // Valores inválidos caen en la espera por defecto
+  assert.deepEqual(kioskFromSearch("?kiosk=nunca"), KIOSK_DEFAULTS);
+  assert.deepEqual(kioskFromSearch("?kiosk=-5"), KIOSK_DEFAULTS);
+});
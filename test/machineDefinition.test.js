@@ -0,0 +1,222 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import {
+  DEFAULT_STAGE_SECONDS,
+  explodedOffsetAt,
+  explodedOffsets,
+  explodedStageOffset,
+  fillTemplate,
+  focusedComponents,
+  localizeMachine,
+  machineFromJson,
+  normalizeMachine,
+  stageIndexForComponent,
+  treatmentStages,
+  validateMachine,
+} from "../src/machineDefinition.js";
+import { DEFAULT_TREATMENT } from "../src/sim/waterQuality.js";
+import { createI18n } from "../src/i18n.js";
+import { errorMessage } from "../src/simLabels.js";
+
+const dir = new URL("../src/data/machines/", import.meta.url);
+const read = (file) => JSON.parse(readFileSync(new URL(file, dir), "utf8"));
+const standard = read("awg-standard.json");
+
+test("las definiciones incluidas son válidas", () => {
+  readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .forEach((f) => assert.deepEqual(validateMachine(read(f)), [], f));
+});
+
+test("cada etapa trae cámara, narración y componentes en foco", () => {
+  const machine = normalizeMachine(standard);
+  machine.stages.forEach((s) => {
+    assert.equal(s.camera.position.length, 3, s.key);
+    assert.equal(s.camera.target.length, 3, s.key);
+    assert.ok(s.narration.length > 20, s.key);
+    assert.ok(focusedComponents(machine, s.key).size > 0, s.key);
+  });
+});
+
+test("los grupos de foco se expanden a sus componentes", () => {
+  const machine = normalizeMachine(standard);
+  assert.deepEqual([...focusedComponents(machine, "uv_tank")], ["uv", "dirty_tank", "clean_tank"]);
+  assert.ok(focusedComponents(machine, "filtration").has("mineral"));
+  assert.equal(focusedComponents(machine, "nope").size, 0);
+});
+
+test("al seleccionar un componente se salta a su etapa", () => {
+  const machine = normalizeMachine(standard);
+  const index = (id) => machine.stages[stageIndexForComponent(machine, id)]?.key;
+  assert.equal(index("carbon"), "filtration");
+  assert.equal(index("mineral"), "mineral");
+  assert.equal(index("cup"), "dispense");
+  assert.equal(stageIndexForComponent(machine, "nope"), -1);
+});
+
+test("la línea de tratamiento sale de las etapas y sus componentes", () => {
+  assert.deepEqual(treatmentStages(normalizeMachine(standard)), DEFAULT_TREATMENT);
+  assert.deepEqual(treatmentStages(normalizeMachine(read("awg-ozone-dual-uv.json"))), [
+    { key: "condensation", steps: [] },
+    { key: "ozone", steps: ["ozone"] },
+    { key: "filtration", steps: ["sediment", "carbon"] },
+    { key: "uv_tank", steps: ["uv"] },
+    { key: "dispense", steps: ["uv"] },
+  ]);
+  // Sin `stage` propio el mineralizador va con el resto de los filtros
+  assert.deepEqual(treatmentStages(normalizeMachine(read("awg-desiccant.json"))), [
+    { key: "condensation", steps: [] },
+    { key: "filtration", steps: ["sediment", "carbon", "mineral"] },
+    { key: "uv_tank", steps: ["uv"] },
+  ]);
+});
+
+test("errores con la ruta del campo", () => {
+  const broken = structuredClone(standard);
+  broken.technology = "osmosis";
+  broken.stages[2].focus = ["filtros"];
+  broken.components[0].type = "turbina";
+  broken.components[3].media = "arena";
+  broken.components.push({ ...broken.components[1] });
+  broken.emitters[0].stage = "ozone";
+  broken.emitters[1].color = "azul";
+  broken.callouts.items[0].target = "ozone";
+  const errors = validateMachine(broken);
+  assert.deepEqual(errors, [
+    "technology: debe ser una de refrigeration, desiccant",
+    'components[0] (fan).type: "turbina" no es un tipo conocido ' +
+      "(fan, coil, cartridge, uv, ozone, wheel, heater, tank, pipe, faucet, cup)",
+    "components[3] (sediment).media: debe ser uno de sediment, carbon, mineral",
+    'components[11].id: "coil" está repetido',
+    'stages[2] (filtration).focus: "filtros" no es un componente ni un grupo',
+    'emitters[0] (air).stage: "ozone" no es una etapa',
+    "emitters[1] (condensation).color: debe ser un color #rrggbb",
+    'callouts.items[0].target: "ozone" no es un componente',
+  ]);
+  assert.throws(() => normalizeMachine(broken), /Definición de máquina inválida:\n• technology/);
+});
+
+test("un cartucho que ninguna etapa resalta no entra en la línea y se rechaza", () => {
+  const spare = structuredClone(standard);
+  spare.components.push({ id: "spare", type: "cartridge", media: "carbon", position: [0, 0, 0] });
+  spare.callouts.items.push({ target: "spare", title: "REPUESTO", subtitle: "{life}% de vida" });
+  assert.deepEqual(validateMachine(spare), [
+    "components[11] (spare): ninguna etapa lo resalta; agrégalo al foco de una o indica su stage",
+  ]);
+  assert.throws(() => normalizeMachine(spare), /ninguna etapa lo resalta/);
+  spare.components.at(-1).stage = "filtration";
+  assert.deepEqual(validateMachine(spare), []);
+  assert.deepEqual(treatmentStages(normalizeMachine(spare))[1].steps, ["sediment", "carbon", "carbon"]);
+});
+
+test("los errores de carga se muestran en el idioma de la interfaz", () => {
+  const spare = structuredClone(standard);
+  spare.components.push({ id: "spare", type: "cartridge", media: "carbon", position: [0, 0, 0] });
+  const caught = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err;
+    }
+  };
+  const invalid = caught(() => normalizeMachine(spare));
+  assert.equal(invalid.code, "machine.invalid");
+  assert.equal(errorMessage(createI18n("es"), invalid), invalid.message);
+  assert.equal(
+    errorMessage(createI18n("en"), invalid),
+    "Invalid machine definition:\n• components[11] (spare): " +
+      "no stage highlights it; add it to a stage focus or set its stage"
+  );
+  const json = caught(() => machineFromJson("{"));
+  assert.equal(errorMessage(createI18n("pt"), json), "O arquivo não é um JSON válido.");
+  assert.equal(errorMessage(createI18n("en"), new Error("sin código")), "sin código");
+});
+
+test("versión, JSON y emisores sin etapa", () => {
+  assert.throws(() => machineFromJson("{"), /JSON válido/);
+  assert.match(validateMachine({ ...standard, v: 99 })[0], /versión más nueva/);
+  const idle = structuredClone(standard);
+  delete idle.emitters[0].stage;
+  delete idle.emitters[5].stage;
+  assert.deepEqual(validateMachine(idle), ["emitters[0] (air).stage: sin etapa el emisor nunca se activa"]);
+});
+
+test("completa valores por defecto", () => {
+  const { emitters, components, callouts, ...rest } = standard;
+  const machine = normalizeMachine({ ...rest, shell: undefined, components });
+  assert.deepEqual(machine.shell.size, [4, 2.4, 2.2]);
+  assert.deepEqual(machine.emitters, []);
+  assert.deepEqual(machine.callouts.items, []);
+  assert.deepEqual(machine.components[0].rotation, [0, 0, 0]);
+  assert.equal(machine.components[0].spec, "fan");
+  assert.equal(machine.technology, "refrigeration");
+  assert.equal(normalizeMachine(read("awg-desiccant.json")).technology, "desiccant");
+});
+
+test("duración y leyenda de cada etapa", () => {
+  const bare = structuredClone(standard);
+  delete bare.stages[0].duration;
+  delete bare.stages[0].caption;
+  const [first, second] = normalizeMachine(bare).stages;
+  assert.equal(first.duration, DEFAULT_STAGE_SECONDS);
+  assert.equal(first.caption, first.narration);
+  assert.equal(second.duration, 4.5);
+  assert.equal(second.caption, "El frío convierte el vapor en agua");
+
+  bare.stages[1].duration = 0;
+  bare.stages[2].caption = "";
+  assert.deepEqual(validateMachine(bare), [
+    "stages[1] (condensation).duration: debe ser positiva (segundos)",
+    "stages[2] (filtration).caption: debe ser un texto",
+  ]);
+});
+
+test("plantillas de los callouts", () => {
+  assert.equal(fillTemplate("{hours} h · emisión {output}%", { hours: 120, output: 96 }), "120 h · emisión 96%");
+  assert.equal(fillTemplate("{nope} queda", {}), "{nope} queda");
+});
+
+test("traducciones de etapas y callouts", () => {
+  const machine = normalizeMachine(standard);
+  const en = localizeMachine(machine, "en");
+  assert.equal(en.name, "Standard AWG");
+  assert.equal(en.stages[0].title, "Air intake");
+  assert.deepEqual(en.stages[0].camera, machine.stages[0].camera);
+  assert.equal(en.callouts.items[0].title, "SEDIMENT FILTER");
+  assert.equal(en.callouts.items[0].icon, machine.callouts.items[0].icon);
+  assert.equal(localizeMachine(machine, "fr"), machine);
+
+  // Sin leyenda traducida se usa la narración traducida
+  const partial = structuredClone(standard);
+  partial.translations = { en: { stages: { air: { title: "Intake", narration: "Air comes in." } } } };
+  const [air, condensation] = localizeMachine(normalizeMachine(partial), "en").stages;
+  assert.equal(air.caption, "Air comes in.");
+  assert.equal(condensation.title, "Condensación");
+
+  partial.translations.en.stages.ozone = { title: "Ozone" };
+  partial.translations.en.callouts = { carbon: { subtitle: 3 } };
+  assert.deepEqual(validateMachine(partial), [
+    'translations.en.stages.ozone: "ozone" no es una etapa',
+    "translations.en.callouts.carbon.subtitle: debe ser un texto",
+  ]);
+});
+
+test("la vista explosionada separa las piezas siguiendo el recorrido", () => {
+  const machine = normalizeMachine(standard);
+  const offsets = explodedOffsets(machine);
+  const at = (id) => {
+    const part = machine.components.find((c) => c.id === id);
+    return part.position.map((v, i) => v + offsets[id][i]);
+  };
+  // Cada etapa sale más por el frente que la anterior
+  assert.ok(offsets.coil[2] > offsets.fan[2]);
+  assert.ok(offsets.cup[2] > offsets.uv[2]);
+  // La lámpara UV, metida en la línea de filtros, queda separada del mineralizador
+  const gap = Math.hypot(...at("uv").map((v, i) => v - at("mineral")[i]));
+  assert.ok(gap > 0.5, `separación ${gap}`);
+  // Los emisores siguen a la pieza más cercana y la cámara al centro de las piezas en foco
+  assert.deepEqual(explodedOffsetAt(machine, offsets, [0.26, -0.7, 0.05]), offsets.clean_tank);
+  const tanks = explodedStageOffset(machine, offsets, "uv_tank");
+  assert.equal(tanks[2], (offsets.uv[2] + offsets.dirty_tank[2] + offsets.clean_tank[2]) / 3);
+});
@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as THREE from "three";
+import { MOCK_SIZE, fitModel, mapModelNodes, particleAnchors, prepareModel, roleForNode } from "../src/machineModel.js";
+
+function box(name, [x, y, z], size = 0.2) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(size, size, size), new THREE.MeshStandardMaterial());
+  mesh.name = name;
+  mesh.position.set(x, y, z);
+  return mesh;
+}
+
+function machine() {
+  const root = new THREE.Group();
+  const fan = new THREE.Group();
+  fan.name = "Fan_Housing";
+  fan.add(box("Fan_Rotor.001", [0, 0, 0.1]));
+  fan.position.set(-15, 4, 0);
+  const tank = box("Tank_Clean", [5, -8, 0], 3);
+  tank.add(box("Clean_Tank_Water", [0, -0.5, 0], 2));
+  root.add(
+    box("Shell", [0, 0, 0], 40),
+    fan,
+    box("Evaporator Coil", [2, 5, 0], 4),
+    box("Filter-Sediment", [-4, 0, 0]),
+    box("Filter-Carbon", [0, 0, 0]),
+    box("Filter-Mineral", [4, 0, 0]),
+    box("UV_Lamp", [2, -1, 2]),
+    box("Tank_Dirty", [-5, -8, 0], 3),
+    tank,
+    box("Grifo", [15, -3, 5])
+  );
+  return root;
+}
+
+test("asigna roles por nombre como palabra", () => {
+  assert.equal(roleForNode({ name: "Fan_Rotor.001" }), "fan");
+  assert.equal(roleForNode({ name: "Fan_Housing" }), null);
+  assert.equal(roleForNode({ name: "Clean_Tank_Water" }), "clean_water");
+  assert.equal(roleForNode({ name: "Tank_Clean" }), "clean_tank");
+  assert.equal(roleForNode({ name: "Curved_Panel" }), null, "'uv' dentro de otra palabra no cuenta");
+});
+
+test("userData.awgRole manda sobre el nombre", () => {
+  assert.equal(roleForNode({ name: "Object_12", userData: { awgRole: "coil" } }), "coil");
+  assert.equal(roleForNode({ name: "Object_12", userData: { awgRole: "inexistente" } }), null);
+});
+
+test("agrupa nodos y reporta los roles obligatorios que faltan", () => {
+  const { nodes, missing } = mapModelNodes(machine());
+  assert.deepEqual(nodes.fan.map((n) => n.name), ["Fan_Rotor.001"]);
+  assert.deepEqual(nodes.clean_water.map((n) => n.name), ["Clean_Tank_Water"]);
+  assert.equal(nodes.faucet.length, 1);
+  assert.deepEqual(missing, []);
+
+  const empty = mapModelNodes(new THREE.Group());
+  assert.ok(empty.missing.includes("coil"));
+  assert.equal(empty.missing.includes("cup"), false, "el vaso es opcional");
+});
+
+test("escala el modelo para que entre en la caja de la maqueta", () => {
+  const source = machine();
+  source.position.set(3, 1, -2);
+  const root = fitModel(source);
+  const size = new THREE.Box3().setFromObject(root).getSize(new THREE.Vector3());
+  assert.ok(size.x <= MOCK_SIZE[0] + 1e-6 && size.y <= MOCK_SIZE[1] + 1e-6 && size.z <= MOCK_SIZE[2] + 1e-6);
+  const center = new THREE.Box3().setFromObject(root).getCenter(new THREE.Vector3());
+  assert.ok(center.length() < 1e-6);
+});
+
+test("anclas de partículas sobre la geometría real", () => {
+  const root = machine();
+  const { nodes } = mapModelNodes(root);
+  const anchors = particleAnchors(root, nodes);
+  assert.deepEqual(anchors.filtration, [0, 0, 0]);
+  assert.deepEqual(anchors.uv_tank, [2, -1, 2]);
+  assert.equal(anchors.leak[1], -9.5);
+  assert.equal("cup" in anchors, false);
+});
+
+test("prepara una copia con materiales propios en los nodos con rol", () => {
+  const source = machine();
+  const model = prepareModel(source);
+  assert.notEqual(model.root, source);
+  const coil = model.nodes.coil[0];
+  const original = source.children.find((c) => c.name === "Evaporator Coil");
+  assert.notEqual(coil.material, original.material);
+  assert.ok(model.found.includes("uv"));
+});
+
+test("las anclas quedan en el espacio del modelo ya ajustado", () => {
+  const model = prepareModel(machine());
+  const tank = new THREE.Box3().setFromObject(model.nodes.clean_tank[0]);
+  assert.ok(Math.abs(model.anchors.leak[1] - tank.min.y) < 1e-6);
+});
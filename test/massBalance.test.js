@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  TANK_DEFAULTS,
+  createTankState,
+  requestDispense,
+  stepMassBalance,
+  totalVolume,
+} from "../src/sim/massBalance.js";
+
+function simulate(state, hours, args) {
+  let s = state;
+  for (let t = 0; t < hours * 60; t++) s = stepMassBalance(s, { dt: 60, ...args });
+  return s;
+}
+
+test("conserva el volumen: inicial + producido = tanques + salidas", () => {
+  const start = createTankState();
+  const initial = totalVolume(start);
+  const end = simulate(start, 12, { condensateLph: 7, demandLph: 3 });
+  assert.ok(Math.abs(totalVolume(end) - (initial + end.produced)) < 1e-6);
+});
+
+test("el tanque sucio rebalsa cuando la bomba no da abasto", () => {
+  const opts = { ...TANK_DEFAULTS, transferRate: 0 };
+  const end = simulate(createTankState({ opts }), 6, { condensateLph: 7, demandLph: 0, opts });
+  assert.equal(end.dirty, opts.dirtyCapacity);
+  assert.ok(end.overflow > 0);
+  assert.ok(Math.abs(totalVolume(end) - (7 + end.produced)) < 1e-6);
+});
+
+test("fuga y grifo trabado también se contabilizan", () => {
+  const opts = { ...TANK_DEFAULTS, cleanLeakRate: 0.5, faucetStuckOpen: true };
+  const start = createTankState({ opts });
+  const end = simulate(start, 4, { condensateLph: 5, demandLph: 0, opts });
+  assert.ok(end.leaked > 0);
+  assert.ok(end.dispensed > 0);
+  assert.ok(Math.abs(totalVolume(end) - (totalVolume(start) + end.produced)) < 1e-6);
+});
+
+test("un pedido de dispensado llena el vaso desde el tanque limpio", () => {
+  let s = requestDispense(createTankState());
+  assert.equal(s.dispensing, true);
+  s = simulate(s, 0.1, { condensateLph: 0, demandLph: 0 });
+  assert.ok(s.cupsServed >= 1);
+  assert.ok(Math.abs(s.dispensed - TANK_DEFAULTS.cupCapacity) < 1e-9);
+});
+
+test("la demanda bloqueada no se acumula en una ráfaga de vasos", () => {
+  const blocked = { ...TANK_DEFAULTS, dispenseBlocked: true };
+  let s = simulate(createTankState(), 6, { condensateLph: 0, demandLph: 3, opts: blocked });
+  assert.equal(s.pendingDemand, TANK_DEFAULTS.cupCapacity);
+  assert.equal(s.dispensed, 0);
+  // Al liberarse se sirve el vaso en espera y luego sólo lo que pide la demanda
+  s = simulate(s, 0.1, { condensateLph: 0, demandLph: 3 });
+  assert.ok(s.cupsServed <= 2);
+});
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  P_SEA_LEVEL,
+  computeCondensation,
+  dewPoint,
+  pressureAtAltitude,
+  saturationPressure,
+} from "../src/sim/psychrometrics.js";
+
+const near = (actual, expected, tol, msg) =>
+  assert.ok(Math.abs(actual - expected) <= tol, `${msg ?? ""} ${actual} ≉ ${expected} ± ${tol}`);
+
+test("presión de saturación según Magnus", () => {
+  near(saturationPressure(20), 2339, 15);
+  near(saturationPressure(30), 4246, 25);
+});
+
+test("punto de rocío", () => {
+  near(dewPoint(30, 70), 23.9, 0.2);
+  near(dewPoint(25, 100), 25, 1e-6);
+});
+
+test("presión atmosférica cae con la altitud", () => {
+  assert.equal(pressureAtAltitude(0), P_SEA_LEVEL);
+  near(pressureAtAltitude(2000), 79500, 300);
+});
+
+test("rendimiento de referencia: 30 °C, 70 %, 600 m³/h, serpentín a 8 °C", () => {
+  const r = computeCondensation({ ambientTemp: 30, relativeHumidity: 70, altitude: 0, airflow: 600, coilTemp: 8 });
+  assert.ok(r.condensing);
+  near(r.litersPerHour, 6.98, 0.05);
+  assert.ok(r.humidityRatioOut < r.humidityRatioIn);
+});
+
+test("sin condensación si el serpentín está sobre el punto de rocío", () => {
+  const r = computeCondensation({ ambientTemp: 20, relativeHumidity: 30, altitude: 0, airflow: 600, coilTemp: 8 });
+  assert.equal(r.condensing, false);
+  assert.equal(r.litersPerHour, 0);
+});
+
+test("el rendimiento crece con el caudal y la humedad", () => {
+  const base = { ambientTemp: 28, relativeHumidity: 60, altitude: 0, airflow: 400, coilTemp: 8 };
+  const y = (o) => computeCondensation({ ...base, ...o }).litersPerHour;
+  assert.ok(y({ airflow: 800 }) > y({}));
+  assert.ok(y({ relativeHumidity: 80 }) > y({}));
+});
@@ -0,0 +1,19 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ADAPTIVE_QUALITY, renderQuality } from "../src/renderQuality.js";
+
+test("el modo automático escala resolución y partículas con el factor", () => {
+  const full = renderQuality("auto", 1, 2);
+  const low = renderQuality("auto", 0, 2);
+  assert.deepEqual(full, { dpr: 2, particles: 1 });
+  assert.deepEqual(low, { dpr: ADAPTIVE_QUALITY.minDpr, particles: ADAPTIVE_QUALITY.minParticles });
+  const mid = renderQuality("auto", 0.5, 2);
+  assert.ok(mid.dpr > low.dpr && mid.dpr < full.dpr);
+});
+
+test("los modos fijos ignoran el factor y respetan la pantalla", () => {
+  assert.deepEqual(renderQuality("high", 0, 3), { dpr: ADAPTIVE_QUALITY.maxDpr, particles: 1 });
+  assert.equal(renderQuality("low", 1, 1).particles, ADAPTIVE_QUALITY.minParticles);
+  // Una pantalla de densidad 0.5 no se sube a minDpr
+  assert.equal(renderQuality("low", 1, 0.5).dpr, 0.5);
+});
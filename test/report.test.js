@@ -0,0 +1,82 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createSimulation } from "../src/sim/engine.js";
+import { localizeMachine, normalizeMachine } from "../src/machineDefinition.js";
+import { buildReportHtml, collectReport, escapeHtml, normalizeBranding } from "../src/report.js";
+import { createI18n } from "../src/i18n.js";
+
+const read = (file) => JSON.parse(readFileSync(new URL(`../src/data/machines/${file}`, import.meta.url), "utf8"));
+const standard = normalizeMachine(read("awg-standard.json"));
+const desiccant = normalizeMachine(read("awg-desiccant.json"));
+
+function reportFor(machine, params = {}) {
+  const sim = createSimulation({ technology: machine.technology, ...params });
+  sim.step(3 * 3600);
+  return collectReport({ machine, params: sim.getParams(), sim: sim.getSnapshot(), climateName: "Costa" });
+}
+
+test("el informe reúne etapas, callouts con plantillas y calidad del agua", () => {
+  const report = reportFor(standard);
+  assert.deepEqual(
+    report.stages.map((s) => s.title),
+    standard.stages.map((s) => s.title)
+  );
+  assert.equal(report.callouts.length, standard.callouts.items.length);
+  assert.ok(report.callouts.every((c) => !/\{\w+\}/.test(c.subtitle)));
+  assert.ok(report.quality.length > 0);
+  assert.ok(report.parameters.some(([label, value]) => label === "Clima" && value === "Costa"));
+  assert.ok(report.results.some(([label]) => label === "COP del ciclo"));
+});
+
+test("en modo desecante informa la rueda y el calefactor en vez del COP", () => {
+  const report = reportFor(desiccant);
+  assert.ok(report.parameters.some(([label]) => label === "Rueda desecante"));
+  assert.ok(report.results.some(([label]) => label === "Calefactor de regeneración"));
+});
+
+test("el HTML escapa los textos y aplica la marca", () => {
+  const report = { ...reportFor(standard), title: "<script>alert(1)</script>" };
+  const html = buildReportHtml(report, {
+    branding: { companyName: "Agua & Co", primaryColor: "#123456", logo: "javascript:alert(1)" },
+    image: "data:image/png;base64,AAAA",
+  });
+  assert.ok(!html.includes("<script>alert(1)"));
+  assert.ok(html.includes("Agua &amp; Co"));
+  assert.ok(html.includes("#123456"));
+  assert.ok(html.includes('src="data:image/png;base64,AAAA"'));
+  assert.ok(!html.includes("javascript:"));
+  assert.ok(!html.includes("window.print"));
+  assert.ok(buildReportHtml(report, { autoPrint: true }).includes("window.print"));
+});
+
+test("informe en inglés con galones y °F", () => {
+  const i18n = createI18n("en");
+  const sim = createSimulation({ technology: "refrigeration" });
+  sim.step(3600);
+  const report = collectReport({
+    machine: localizeMachine(standard, "en"),
+    params: sim.getParams(),
+    sim: sim.getSnapshot(),
+    i18n,
+  });
+  assert.equal(report.title, "Simulation report · Standard AWG");
+  assert.ok(report.parameters.some(([label, value]) => label === "Climate" && value === "Manual conditions"));
+  assert.ok(report.parameters.some(([label, value]) => label === "Demand" && /gal\/h$/.test(value)));
+  assert.ok(report.parameters.some(([label, value]) => label === "Ambient temperature" && value.endsWith("°F")));
+  assert.equal(report.stages[0].title, "Air intake");
+  const html = buildReportHtml(report, { i18n, date: new Date(0) });
+  assert.ok(html.includes('<html lang="en">'));
+  assert.ok(html.includes("<h2>Water quality</h2>"));
+  // El aviso por defecto sale en el idioma del informe; un pie propio se imprime tal cual
+  assert.ok(html.includes("<footer>Simulated values for reference only;"));
+  const custom = buildReportHtml(report, { i18n, branding: { footer: "Solo uso interno" } });
+  assert.ok(custom.includes("<footer>Solo uso interno</footer>"));
+});
+
+test("la marca descarta colores inválidos y completa los faltantes", () => {
+  const b = normalizeBranding({ primaryColor: "red; background: url(x)", companyName: "X" });
+  assert.equal(b.primaryColor, "#1d4ed8");
+  assert.equal(b.companyName, "X");
+  assert.equal(escapeHtml(`"a" <b> & 'c'`), "&quot;a&quot; &lt;b&gt; &amp; &#39;c&#39;");
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SCENARIO,
+  SCENARIO_VERSION,
+  normalizeScenario,
+  scenarioFromHash,
+  scenarioFromJson,
+  scenarioToHash,
+  scenarioToJson,
+} from "../src/shareState.js";
+
+const edited = {
+  ...DEFAULT_SCENARIO,
+  step: 3,
+  autoPlay: true,
+  climateId: "arid",
+  params: { ...DEFAULT_SCENARIO.params, airflow: 850, tank: { dirtyCapacity: 40, cleanCapacity: 60 } },
+  camera: { position: [3.14159, 2.5, -4], target: [0, 0.4, 0] },
+};
+
+test("ida y vuelta por JSON", () => {
+  assert.deepEqual(scenarioFromJson(scenarioToJson(edited)), edited);
+});
+
+test("ida y vuelta por el hash de la URL", () => {
+  const hash = scenarioToHash(edited);
+  assert.match(hash, /^#s=[\w-]+$/);
+  const back = scenarioFromHash(hash);
+  assert.equal(back.params.airflow, 850);
+  assert.deepEqual(back.params.tank, { dirtyCapacity: 40, cleanCapacity: 60 });
+  assert.deepEqual(back.camera.position, [3.142, 2.5, -4]);
+  assert.equal(back.step, 3);
+});
+
+test("el hash sólo guarda lo que difiere del escenario por defecto", () => {
+  assert.ok(scenarioToHash(DEFAULT_SCENARIO).length < scenarioToHash(edited).length);
+  assert.deepEqual(scenarioFromHash(scenarioToHash(DEFAULT_SCENARIO)), DEFAULT_SCENARIO);
+});
+
+test("los enlaces viejos se completan con los valores por defecto", () => {
+  const old = normalizeScenario({ v: 1, step: 2, params: { airflow: 400 } });
+  assert.equal(old.params.airflow, 400);
+  assert.equal(old.params.coilTemp, DEFAULT_SCENARIO.params.coilTemp);
+  assert.deepEqual(old.camera, DEFAULT_SCENARIO.camera);
+});
+
+test("ignora valores con tipo incorrecto y claves desconocidas", () => {
+  const s = normalizeScenario({ v: 1, step: "x", params: { airflow: null, extra: 1 }, camera: { position: [1, 2] } });
+  assert.equal(s.step, DEFAULT_SCENARIO.step);
+  assert.equal(s.params.airflow, DEFAULT_SCENARIO.params.airflow);
+  assert.equal("extra" in s.params, false);
+  assert.deepEqual(s.camera.position, DEFAULT_SCENARIO.camera.position);
+});
+
+test("errores legibles", () => {
+  assert.throws(() => scenarioFromJson("{"), /JSON válido/);
+  assert.throws(() => scenarioFromJson("{}"), /no es un escenario/);
+  assert.throws(() => normalizeScenario({ v: SCENARIO_VERSION + 1 }), /versión más nueva/);
+  assert.throws(() => scenarioFromHash("#s=%%%"), /dañado/);
+  assert.equal(scenarioFromHash("#otra=cosa"), null);
+});
+
+test("el clima propio viaja en el JSON pero no en el enlace", () => {
+  const customClimate = { name: "Mi clima", records: [{ temp: 25, rh: 60 }] };
+  const s = { ...DEFAULT_SCENARIO, climateId: "custom", customClimate };
+  assert.deepEqual(scenarioFromJson(scenarioToJson(s)).customClimate, customClimate);
+  assert.equal(scenarioFromHash(scenarioToHash(s)).climateId, "manual");
+});
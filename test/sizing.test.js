@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { intradayBuffer, sizeSite, typicalDayProfile } from "../src/sim/sizing.js";
+
+const UNIT = { technology: "refrigeration", airflow: 600, coilTemp: 8, altitude: 0 };
+const SITE = { demandLpd: 500, tariff: 0.15, autonomyDays: 1, unit: UNIT };
+
+// Un día por mes: templado y húmedo salvo un invierno fresco en julio
+function year() {
+  const records = [];
+  for (let month = 1; month <= 12; month++) {
+    const cold = month === 7;
+    typicalDayProfile({ temp: cold ? 16 : 24, rh: cold ? 70 : 75, month }).records.forEach((r) =>
+      records.push({ ...r, dayKey: `m${month}` })
+    );
+  }
+  return { name: "Año", records };
+}
+
+test("el día típico conserva la humedad absoluta y oscila la temperatura", () => {
+  const { records } = typicalDayProfile({ temp: 20, rh: 60, swing: 10 });
+  assert.equal(records.length, 24);
+  const hottest = records.reduce((a, b) => (b.temp > a.temp ? b : a));
+  const coldest = records.reduce((a, b) => (b.temp < a.temp ? b : a));
+  assert.equal(hottest.hour, 15);
+  assert.ok(Math.abs(hottest.temp - coldest.temp - 10) < 0.2);
+  assert.ok(hottest.rh < 60 && coldest.rh > 60);
+});
+
+test("reserva dentro del día para producción despareja", () => {
+  const hourly = Array.from({ length: 24 }, (_, h) => (h < 12 ? 0 : 2));
+  assert.equal(intradayBuffer(hourly, 24), 12);
+  assert.equal(intradayBuffer(Array(24).fill(1), 24), 0);
+  // Producción sólo de 10 a 16 h: el déficit va de la tarde a la mañana siguiente
+  const midday = Array.from({ length: 24 }, (_, h) => (h >= 10 && h < 16 ? 40 : 0));
+  assert.equal(intradayBuffer(midday, 240), 180);
+});
+
+test("unidades para cubrir la demanda con el promedio anual y meses en falta", () => {
+  const r = sizeSite({ ...SITE, climate: year() });
+  assert.ok(r.units > 0);
+  assert.ok(r.units * r.unitAverageLpd >= SITE.demandLpd);
+  assert.deepEqual(r.shortfallMonths, [7]);
+  assert.equal(r.designMonth, 7);
+  assert.ok(r.storageL >= SITE.demandLpd, "incluye un día de autonomía");
+  assert.equal(r.storageL % 10, 0);
+  assert.ok(r.costPerLiter > 0);
+});
+
+test("con el peor mes no quedan meses en falta", () => {
+  const r = sizeSite({ ...SITE, climate: year(), criterion: "worst" });
+  const avg = sizeSite({ ...SITE, climate: year() });
+  assert.ok(r.units > avg.units);
+  assert.deepEqual(r.shortfallMonths, []);
+});
+
+test("sin producción posible no recomienda unidades", () => {
+  const r = sizeSite({ ...SITE, climate: typicalDayProfile({ temp: 35, rh: 12 }) });
+  assert.equal(r.units, null);
+  assert.deepEqual(r.shortfallMonths, [1]);
+  assert.equal(r.costPerLiter, null);
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation } from "../src/sim/engine.js";
+import {
+  TELEMETRY_SERIES,
+  createTelemetry,
+  nearestSample,
+  recordSample,
+  seriesExtent,
+  telemetryToCsv,
+} from "../src/sim/telemetry.js";
+
+function record(sim, history, steps, dt) {
+  let h = history;
+  for (let i = 0; i < steps; i++) {
+    sim.step(dt);
+    h = recordSample(h, sim.getSnapshot());
+  }
+  return h;
+}
+
+test("muestrea cada intervalo simulado con todas las series", () => {
+  const sim = createSimulation();
+  let h = recordSample(createTelemetry(), sim.getSnapshot());
+  h = record(sim, h, 10, 30);
+  assert.equal(h.samples.length, 6);
+  assert.deepEqual(
+    h.samples.map((s) => s.time),
+    [0, 60, 120, 180, 240, 300]
+  );
+  TELEMETRY_SERIES.forEach((s) => assert.ok(Number.isFinite(h.samples[5][s.key]), s.key));
+  assert.equal(recordSample(h, sim.getSnapshot()), h, "sin cambios devuelve el mismo historial");
+});
+
+test("al llenarse diezma y duplica el intervalo", () => {
+  const sim = createSimulation();
+  const h = record(sim, createTelemetry({ interval: 60, capacity: 10 }), 12, 60);
+  assert.ok(h.samples.length <= 10);
+  assert.equal(h.interval, 120);
+  assert.equal(h.samples[0].time, 60);
+  assert.ok(sim.getState().time - h.samples.at(-1).time < h.interval);
+});
+
+test("un reinicio del reloj empieza un historial nuevo", () => {
+  const sim = createSimulation();
+  let h = record(sim, createTelemetry(), 5, 60);
+  sim.reset();
+  h = recordSample(h, sim.getSnapshot());
+  assert.deepEqual(
+    h.samples.map((s) => s.time),
+    [0]
+  );
+});
+
+test("extensión de ejes, muestra más cercana y CSV", () => {
+  const samples = [
+    { time: 0, a: 1, b: 5 },
+    { time: 60, a: 3, b: 2 },
+    { time: 180, a: 2, b: 2 },
+  ];
+  assert.deepEqual(seriesExtent(samples, ["a", "b"]), [1, 5]);
+  assert.deepEqual(seriesExtent(samples, ["a"], [0, 100]), [0, 100]);
+  assert.deepEqual(seriesExtent([{ time: 0, a: 4 }], ["a"]), [3, 5]);
+  assert.equal(nearestSample(samples, 100), 1);
+  assert.equal(nearestSample(samples, 150), 2);
+
+  const sim = createSimulation();
+  const csv = telemetryToCsv(record(sim, createTelemetry(), 2, 60));
+  const [header, first] = csv.trim().split("\n");
+  assert.equal(header, "time_h,yield_lph,dirty_pct,clean_pct,power_w,ambient_temp_c,dew_point_c,coil_temp_c,rh_pct");
+  assert.equal(first.split(",")[0], "0.017");
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tourTimeline, wrapText } from "../src/tourVideo.js";
+import { createWebmMuxer, encodeSize } from "../src/webm.js";
+
+test("la línea de tiempo reparte los cuadros por etapa con paso fijo", () => {
+  const timeline = tourTimeline(3, { fps: 30, stepSeconds: 2 });
+  assert.equal(timeline.frames, 180);
+  assert.deepEqual(timeline.at(0), { stage: 0, captionAlpha: 0 });
+  assert.equal(timeline.at(59).stage, 0);
+  assert.equal(timeline.at(60).stage, 1);
+  assert.equal(timeline.at(179).stage, 2);
+  assert.equal(timeline.at(70).captionAlpha, 1);
+
+  const custom = tourTimeline(2, { fps: 10, stepSeconds: [1, 3] });
+  assert.equal(custom.frames, 40);
+  assert.equal(custom.at(9).stage, 0);
+  assert.equal(custom.at(10).stage, 1);
+});
+
+test("wrapText corta por palabras según el ancho medido", () => {
+  const lines = wrapText("uno dos tres cuatro", 7, (t) => t.length);
+  assert.deepEqual(lines, ["uno dos", "tres", "cuatro"]);
+  assert.deepEqual(wrapText("palabramuylarga", 3, (t) => t.length), ["palabramuylarga"]);
+});
+
+test("encodeSize usa el largo mínimo y evita el valor reservado", () => {
+  assert.deepEqual([...encodeSize(5)], [0x85]);
+  assert.deepEqual([...encodeSize(126)], [0xfe]);
+  assert.deepEqual([...encodeSize(127)], [0x40, 0x7f]);
+  assert.deepEqual([...encodeSize(1000)], [0x43, 0xe8]);
+});
+
+test("el muxer arma un WebM con un cluster por cuadro clave", () => {
+  const muxer = createWebmMuxer({ width: 64, height: 32, codec: "vp8", frameRate: 10 });
+  assert.throws(() => muxer.addFrame(new Uint8Array([1]), 0, false), /clave/);
+  for (let i = 0; i < 5; i++) muxer.addFrame(new Uint8Array([i, i, i]), i * 100, i % 3 === 0);
+  const file = muxer.finish();
+
+  assert.deepEqual([...file.slice(0, 4)], [0x1a, 0x45, 0xdf, 0xa3]);
+  const ascii = Buffer.from(file).toString("latin1");
+  assert.ok(ascii.includes("webm"));
+  assert.ok(ascii.includes("V_VP8"));
+  const clusters = ascii.split("\x1f\x43\xb6\x75").length - 1;
+  assert.equal(clusters, 2);
+  // El segundo bloque del primer cluster va 100 ms después del inicio
+  const second = ascii.indexOf("\xa3\x87\x81\x00\x64\x00\x01\x01\x01");
+  assert.ok(second > 0);
+  assert.throws(() => createWebmMuxer({ width: 1, height: 1, codec: "h264" }), /no soportado/);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseWeatherCsv, parseWeatherFile, summarizeProduction, weatherAt } from "../src/sim/weather.js";
+
+const CSV = `# perfil de prueba
+timestamp;temp_c;rh
+2024-01-01T00:00;20;50
+2024-01-01T01:00;22;60
+2024-01-01T02:00;24;70
+`;
+
+test("lee CSV con separador ; y comentarios", () => {
+  const { records } = parseWeatherCsv(CSV);
+  assert.equal(records.length, 3);
+  assert.deepEqual(
+    { temp: records[1].temp, rh: records[1].rh, hour: records[1].hour, dayKey: records[1].dayKey },
+    { temp: 22, rh: 60, hour: 1, dayKey: "2024-01-01" }
+  );
+});
+
+test("error legible si faltan columnas", () => {
+  assert.throws(() => parseWeatherCsv("fecha,viento\n1,2\n"), /temperatura/);
+});
+
+test("elige el parser según la extensión", () => {
+  assert.equal(parseWeatherFile("clima.csv", CSV).records.length, 3);
+});
+
+test("interpola entre horas y repite el perfil", () => {
+  const profile = parseWeatherCsv(CSV);
+  const mid = weatherAt(profile, 1800);
+  assert.equal(mid.temp, 21);
+  assert.equal(mid.rh, 55);
+  assert.equal(weatherAt(profile, 3 * 3600).temp, weatherAt(profile, 0).temp);
+});
+
+test("resumen diario y mensual de producción", () => {
+  const profile = parseWeatherCsv(CSV);
+  const summary = summarizeProduction(profile, () => 2);
+  assert.equal(summary.total, 6);
+  assert.equal(summary.daily.length, 1);
+  assert.equal(summary.monthly[0].month, 1);
+});
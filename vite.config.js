@@ -1,7 +1,61 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, readdirSync, statSync } from "node:fs";
+import { join } from "node:path";
+
+// Decodificador Draco de three: se sirve desde el propio build para cargar GLB comprimidos sin red
+const DRACO_DIR = new URL("./node_modules/three/examples/jsm/libs/draco/gltf/", import.meta.url);
+const DRACO_FILES = ["draco_decoder.wasm", "draco_wasm_wrapper.js", "draco_decoder.js"];
+
+function listFiles(dir, prefix = "") {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).flatMap((name) =>
+    statSync(join(dir, name)).isDirectory() ? listFiles(join(dir, name), `${prefix}${name}/`) : [`${prefix}${name}`]
+  );
+}
+
+/**
+ * Build sin conexión: copia el decodificador Draco y emite sw.js (src/sw.js) con la lista de
+ * todos los archivos del build y de public/ para precargarlos.
+ */
+function offline() {
+  let publicDir;
+  return {
+    name: "awg-offline",
+    enforce: "post",
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = DRACO_FILES.find((f) => req.url?.endsWith(`/draco/${f}`));
+        if (!file) return next();
+        res.setHeader("Content-Type", file.endsWith(".wasm") ? "application/wasm" : "text/javascript");
+        res.end(readFileSync(new URL(file, DRACO_DIR)));
+      });
+    },
+    generateBundle(_, bundle) {
+      for (const file of DRACO_FILES) {
+        this.emitFile({ type: "asset", fileName: `draco/${file}`, source: readFileSync(new URL(file, DRACO_DIR)) });
+      }
+      const publicFiles = listFiles(publicDir);
+      const files = [...Object.keys(bundle), ...DRACO_FILES.map((f) => `draco/${f}`), ...publicFiles].filter(
+        (f) => !f.endsWith(".map") && f !== "index.html" && f !== "sw.js"
+      );
+      // Los nombres del build llevan hash; los de public/ no, así que también cuenta su contenido
+      const hash = createHash("sha256").update(files.join("\n"));
+      publicFiles.forEach((f) => hash.update(readFileSync(join(publicDir, f))));
+      const precache = ["./", ...[...new Set(files)].map((f) => `./${f}`)];
+      const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+        .replace("__CACHE_VERSION__", hash.digest("hex").slice(0, 12))
+        .replace("__PRECACHE__", JSON.stringify(precache, null, 2));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), offline()],
   base: "/awg-simulator/",
 });